@@ -5,11 +5,18 @@ const dotenv = require('dotenv');
 const helmet = require('helmet');
 const morgan = require('morgan');
 const rateLimit = require('express-rate-limit');
+const { getTransportName, isCapturingTransport } = require('./services/mailTransport');
 
 dotenv.config();
 
+// Fail at startup rather than on the first mail when no transport is configured
+console.log(`Mail transport: ${getTransportName()}`);
+
 const app = express();
 
+// Behind Azure's front end: trust its X-Forwarded-For so rate limits and login lockouts see the client IP
+app.set('trust proxy', Number(process.env.TRUST_PROXY ?? 1));
+
 // Middleware
 app.use(express.json());
 app.use(helmet());  // Security headers
@@ -36,6 +43,49 @@ app.use('/api/inventorys', inventoryRoutes);
 const cartRoutes = require('./routes/cart');
 app.use('/api/cart', cartRoutes);
 
+const auditRoutes = require('./routes/audit');
+app.use('/api/audit', auditRoutes);
+
+const allowedEmailRoutes = require('./routes/allowedEmails');
+app.use('/api/allowed-emails', allowedEmailRoutes);
+
+const requisitionRoutes = require('./routes/requisitions');
+app.use('/api/requisitions', requisitionRoutes);
+
+const seasonRoutes = require('./routes/seasons');
+app.use('/api/seasons', seasonRoutes);
+
+const vendorRoutes = require('./routes/vendors');
+app.use('/api/vendors', vendorRoutes);
+
+const purchaseOrderRoutes = require('./routes/purchaseOrders');
+app.use('/api/purchase-orders', purchaseOrderRoutes);
+
+const budgetRoutes = require('./routes/budgets');
+app.use('/api/budgets', budgetRoutes);
+
+const customItemRoutes = require('./routes/customItems');
+app.use('/api/custom-items', customItemRoutes);
+
+const loanRoutes = require('./routes/loans');
+app.use('/api/loans', loanRoutes);
+
+const stockTakeRoutes = require('./routes/stockTakes');
+app.use('/api/stock-takes', stockTakeRoutes);
+
+const eventRoutes = require('./routes/events');
+app.use('/api/events', eventRoutes);
+
+const notificationRoutes = require('./routes/notifications');
+app.use('/api/notifications', notificationRoutes);
+
+// Captured mails for local development, see services/mailTransport.js. They include verification and
+// reset codes, so the mailbox is only mounted on request (ENABLE_DEV_MAILBOX=1) and only for admins.
+if (process.env.ENABLE_DEV_MAILBOX === '1' && isCapturingTransport()) {
+    const devMailboxRoutes = require('./routes/devMailbox');
+    app.use('/api/dev/mailbox', devMailboxRoutes);
+}
+
 // Error Handling Middleware
 app.use((err, req, res, next) => {
     console.error(err.stack);
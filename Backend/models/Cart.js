@@ -2,10 +2,13 @@ const mongoose = require('mongoose');
 const CartItem = require('./cartItem');
 
 const cartSchema = new mongoose.Schema({
-    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, unique: true },  
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },  
+    season: { type: mongoose.Schema.Types.ObjectId, ref: 'Season', required: false },  // One cart per club per season
     cartItems: [{ type: mongoose.Schema.Types.ObjectId, ref: 'CartItem' }]  
 });
 
+cartSchema.index({ userId: 1, season: 1 }, { unique: true });
+
 const Cart = mongoose.model('Cart', cartSchema);
 
 module.exports = Cart;
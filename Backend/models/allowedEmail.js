@@ -0,0 +1,17 @@
+const mongoose = require('mongoose');
+
+// Emails that may register, replaces the old whitelist.csv
+const allowedEmailSchema = new mongoose.Schema({
+    email: { type: String, required: true, unique: true, lowercase: true, trim: true },
+    clubName: { type: String, required: true, trim: true },    // The only club this email can register for
+    fest: { type: String, required: false, trim: true },       // e.g. OASIS 2024
+    addedBy: {
+        id: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: false },
+        email: { type: String, required: false }
+    },
+    expiresAt: { type: Date, required: false }                  // No expiry when empty
+}, { timestamps: true });
+
+const AllowedEmail = mongoose.model('AllowedEmail', allowedEmailSchema);
+
+module.exports = AllowedEmail;
@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+// One entry per write made through the API, never updated after creation
+const auditLogSchema = new mongoose.Schema({
+    actor: {
+        id: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: false },   // Taken from the JWT, empty for public routes
+        email: { type: String, required: false }
+    },
+    method: { type: String, required: true },
+    route: { type: String, required: true },
+    action: { type: String, enum: ['create', 'update', 'delete'], required: true },
+    entityType: { type: String, required: true },          // Model name, e.g. Inventory, CartItem
+    entityId: { type: String, required: true },
+    before: { type: mongoose.Schema.Types.Mixed, default: null },
+    after: { type: mongoose.Schema.Types.Mixed, default: null },
+    diff: [{
+        _id: false,
+        field: String,
+        from: mongoose.Schema.Types.Mixed,
+        to: mongoose.Schema.Types.Mixed
+    }],
+    createdAt: { type: Date, default: Date.now }
+});
+
+auditLogSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+auditLogSchema.index({ 'actor.id': 1, createdAt: -1 });
+auditLogSchema.index({ createdAt: -1 });
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+module.exports = AuditLog;
@@ -0,0 +1,18 @@
+const mongoose = require('mongoose');
+
+// How much a club may spend in one season, in rupees
+const budgetSchema = new mongoose.Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },    // The club's account
+    season: { type: mongoose.Schema.Types.ObjectId, ref: 'Season', required: true },
+    amount: { type: Number, required: true, min: 0 },
+    setBy: {
+        id: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        email: { type: String }
+    }
+}, { timestamps: true });
+
+budgetSchema.index({ season: 1, userId: 1 }, { unique: true });
+
+const Budget = mongoose.model('Budget', budgetSchema);
+
+module.exports = Budget;
@@ -1,14 +1,56 @@
 const mongoose = require('mongoose');
+const { ORDER_STATUSES } = require('../services/orderStateMachine');
+const { APPROVAL_STAGES } = require('../services/customItemApproval');
+
+const actorSchema = {
+    id: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    email: { type: String }
+};
 
 const cartItemSchema = new mongoose.Schema({
     cart: { type: mongoose.Schema.Types.ObjectId, ref: 'Cart', required: true },  // Reference to the Cart model
+    season: { type: mongoose.Schema.Types.ObjectId, ref: 'Season', required: false },  // Same as the cart's season
     item_id: { type: String },
     itemName: { type: String , required: true },
     ordered_quantity: { type: Number, required: true, min: 1 },
     allotted_quantity: { type: Number, default: 0 },
-    status: { type: String, enum: ['Pending', 'Ready', 'Rejected', 'Delivered', 'Amazon'], default: 'Pending' },
+    status: { type: String, enum: ORDER_STATUSES, default: 'Pending' },   // Changed only through services/orderStateMachine.js
+    statusChangedAt: { type: Date, required: false },
+    statusHistory: [{
+        _id: false,
+        from: { type: String, enum: ORDER_STATUSES },
+        to: { type: String, enum: ORDER_STATUSES },
+        at: { type: Date, default: Date.now },
+        by: {
+            id: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+            email: { type: String }
+        },
+        reason: { type: String }
+    }],
+    rejectionReason: { type: String, required: false },
     remarks: { type: String, required: false },
-    link : { type: String, required: false }
+    link : { type: String, required: false },
+    linkHost: { type: String, required: false },    // e.g. www.amazon.in, so admins see where a link goes without opening it
+    // Custom items only: purchase approval, changed only through services/customItemApproval.js
+    approvalStatus: { type: String, enum: APPROVAL_STAGES, required: false },
+    approvalHistory: [{
+        _id: false,
+        from: { type: String, enum: APPROVAL_STAGES },
+        to: { type: String, enum: APPROVAL_STAGES },
+        at: { type: Date, default: Date.now },
+        by: actorSchema,
+        comment: { type: String }
+    }],
+    adminComments: [{
+        _id: false,
+        at: { type: Date, default: Date.now },
+        by: actorSchema,
+        text: { type: String, required: true }
+    }],
+    // Price per unit in rupees: the inventory price when ordered, or the club's estimate for custom items.
+    // actualUnitCost is what the store really paid and wins over the estimate when set.
+    estimatedUnitCost: { type: Number, min: 0, required: false },
+    actualUnitCost: { type: Number, min: 0, required: false }
 });
 
 const CartItem = mongoose.model('CartItem', cartItemSchema);
@@ -0,0 +1,11 @@
+const mongoose = require('mongoose');
+
+// Named sequences for human-readable document numbers, see services/counters.js
+const counterSchema = new mongoose.Schema({
+    _id: { type: String, required: true },   // Sequence name, e.g. 'requisition'
+    seq: { type: Number, default: 0 }
+});
+
+const Counter = mongoose.model('Counter', counterSchema);
+
+module.exports = Counter;
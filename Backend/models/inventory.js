@@ -1,17 +1,47 @@
 const mongoose = require('mongoose');
 
+// Units the store counts stock in
+const UNITS = ['pcs', 'litres', 'ml', 'kg', 'g', 'metres', 'sheets', 'rolls', 'boxes'];
+
+// itemOrderedStatus is 'Available', 'Not Available' or 'Ordered from <vendor name>' (see models/vendor.js)
+const ORDERED_FROM_PREFIX = 'Ordered from ';
+const orderedFrom = (vendorName) => `${ORDERED_FROM_PREFIX}${vendorName}`;
+const vendorNameOf = (itemOrderedStatus) => (typeof itemOrderedStatus === 'string' && itemOrderedStatus.startsWith(ORDERED_FROM_PREFIX)
+    ? itemOrderedStatus.slice(ORDERED_FROM_PREFIX.length).trim() || null
+    : null);
+const isItemOrderedStatus = (value) => ['Available', 'Not Available'].includes(value) || vendorNameOf(value) !== null;
+
 const inventSchema = new mongoose.Schema({
     itemQuantity: { type: Number, required: true },
     itemStatus: { type: String, enum: ['enabled','disabled'], default: 'enabled' },
     itemName: { type: String, required: true, unique: true },
-    itemOrderedStatus: { type: String, enum: ['Available', 'Ordered from Akshay', 'Ordered from Amazon', 'Not Available'], default: 'Available'},        //Wheather the item is ordered from akshay/amazon or not
-    itemRemark: { type: String , required: false }
+    itemOrderedStatus: { type: String, validate: [isItemOrderedStatus, 'Invalid ordered status'], default: 'Available'},        //Wheather the item is ordered from a vendor or not
+    itemRemark: { type: String , required: false },
+    category: { type: String, trim: true, default: 'Uncategorised' },
+    unit: { type: String, enum: UNITS, default: 'pcs' },
+    sku: { type: String, trim: true, required: false },
+    storageLocation: { type: String, trim: true, required: false },
+    minOrderMultiple: { type: Number, min: 1, default: 1 },     // Clubs order in multiples of this, e.g. nails by the box of 100
+    unitCost: { type: Number, min: 0, default: 0 },              // Price per unit in rupees
+    reorderThreshold: { type: Number, min: 0, default: 0 },     // Stock to keep on hand after serving open orders; below it the item is suggested for reordering
+    purchasePackSize: { type: Number, min: 1, default: 1 },     // The store buys it from vendors in packs of this; reorder suggestions round up to it
+    photoUrl: { type: String, trim: true, required: false },
+    returnable: { type: Boolean, default: false },    // Tools and reusable kit lent to clubs and checked back in, see models/loan.js
+    sortRank: { type: Number, default: 0 }            // Position in the item lists; categories are grouped, see services/displayOrder.js
 });
 
 inventSchema.index({ itemName: 1 }, { unique: true }); 
+// Items without a SKU don't collide
+inventSchema.index({ sku: 1 }, { unique: true, partialFilterExpression: { sku: { $type: 'string' } } });
+inventSchema.index({ category: 1 });
+inventSchema.index({ sortRank: 1 });
 const Inventory = mongoose.model('Inventory', inventSchema);
 
 module.exports = Inventory;
+module.exports.UNITS = UNITS;
+module.exports.orderedFrom = orderedFrom;
+module.exports.vendorNameOf = vendorNameOf;
+module.exports.isItemOrderedStatus = isItemOrderedStatus;
 
 // Connect to MongoDB and create index on startup
 mongoose.connect(process.env.MONGO_URI, { useNewUrlParser: true, useUnifiedTopology: true })
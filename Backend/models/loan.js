@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+const LOAN_STATUSES = ['out', 'partially_returned', 'returned'];
+
+const actor = {
+    id: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    email: { type: String }
+};
+
+// Units of a returnable inventory item lent to a club, e.g. 2 drills for OASIS.
+// Units come back through check-ins; damaged and lost units are written off instead of restocked.
+const loanSchema = new mongoose.Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },       // The borrowing club
+    season: { type: mongoose.Schema.Types.ObjectId, ref: 'Season', required: false },
+    item_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Inventory', required: true },
+    itemName: { type: String, required: true },
+    cartItem: { type: mongoose.Schema.Types.ObjectId, ref: 'CartItem', default: null },   // The delivered order line, if any
+    quantity: { type: Number, required: true, min: 1 },
+    returnedQuantity: { type: Number, default: 0, min: 0 },
+    damagedQuantity: { type: Number, default: 0, min: 0 },
+    lostQuantity: { type: Number, default: 0, min: 0 },
+    status: { type: String, enum: LOAN_STATUSES, default: 'out' },
+    dueAt: { type: Date, required: true },
+    checkedOutAt: { type: Date, default: Date.now },
+    checkedOutBy: actor,
+    checkIns: [{
+        _id: false,
+        at: { type: Date, default: Date.now },
+        by: actor,
+        returned: { type: Number, default: 0, min: 0 },
+        damaged: { type: Number, default: 0, min: 0 },
+        lost: { type: Number, default: 0, min: 0 },
+        notes: { type: String }
+    }]
+}, { timestamps: true, toJSON: { virtuals: true } });
+
+// Units still with the club
+loanSchema.virtual('outstandingQuantity').get(function () {
+    return this.quantity - this.returnedQuantity - this.damagedQuantity - this.lostQuantity;
+});
+
+loanSchema.virtual('isOverdue').get(function () {
+    return this.status !== 'returned' && this.dueAt < new Date();
+});
+
+loanSchema.index({ status: 1, dueAt: 1 });
+loanSchema.index({ userId: 1, status: 1 });
+
+const Loan = mongoose.model('Loan', loanSchema);
+
+module.exports = Loan;
+module.exports.LOAN_STATUSES = LOAN_STATUSES;
@@ -0,0 +1,13 @@
+const mongoose = require('mongoose');
+
+// Failed logins per account ("email:<address>") or per client ("ip:<address>"), see services/loginThrottle.js
+const loginAttemptSchema = new mongoose.Schema({
+    key: { type: String, required: true, unique: true },
+    failures: { type: Number, default: 0 },
+    lockedUntil: { type: Date, required: false },
+    lastFailureAt: { type: Date, default: Date.now, expires: 24 * 60 * 60 } // Forget a day after the last failure
+});
+
+const LoginAttempt = mongoose.model('LoginAttempt', loginAttemptSchema);
+
+module.exports = LoginAttempt;
@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+
+const NOTIFICATION_TYPES = ['orderStatus'];
+
+// An in-app message for one user, e.g. "Drill (x2) is ready for pickup". Written by services/notifications.js.
+const notificationSchema = new mongoose.Schema({
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    type: { type: String, enum: NOTIFICATION_TYPES, required: true },
+    message: { type: String, required: true },
+    cartItem: { type: mongoose.Schema.Types.ObjectId, ref: 'CartItem', required: false },
+    status: { type: String, required: false },       // The order status the item moved to
+    readAt: { type: Date, default: null },
+    createdAt: { type: Date, default: Date.now, expires: 90 * 24 * 60 * 60 }  // Dropped after 90 days
+});
+
+notificationSchema.index({ user: 1, createdAt: -1 });
+
+const Notification = mongoose.model('Notification', notificationSchema);
+
+module.exports = Notification;
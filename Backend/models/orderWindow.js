@@ -0,0 +1,14 @@
+const mongoose = require('mongoose');
+
+// Single settings document controlling whether clubs can submit orders
+const orderWindowSchema = new mongoose.Schema({
+    isOpen: { type: Boolean, default: true },                                 // Master switch flipped by the ADP coordinators
+    openAt: { type: Date, default: null },                                    // Optional time from which orders are accepted
+    closeAt: { type: Date, default: null },                                   // Optional time after which orders are refused
+    festLabel: { type: String, required: false },                             // e.g. "OASIS 2024"
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: false }
+}, { timestamps: true });
+
+const OrderWindow = mongoose.model('OrderWindow', orderWindowSchema);
+
+module.exports = OrderWindow;
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+const PURCHASE_ORDER_STATUSES = ['open', 'partially_received', 'received', 'closed'];
+
+// One item bought from the vendor: an inventory item, or a club's custom cart item
+const purchaseOrderLineSchema = new mongoose.Schema({
+    item_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Inventory', default: null },
+    cartItem: { type: mongoose.Schema.Types.ObjectId, ref: 'CartItem', default: null },   // Custom items only
+    itemName: { type: String, required: true },
+    orderedQuantity: { type: Number, required: true, min: 1 },
+    receivedQuantity: { type: Number, default: 0, min: 0 },
+    unitCost: { type: Number, default: 0, min: 0 }
+});
+
+// A purchase from one vendor. Receiving inventory lines adds the units to stock;
+// closing stops further receipts, whether or not everything arrived.
+const purchaseOrderSchema = new mongoose.Schema({
+    number: { type: Number, required: true, unique: true },
+    vendor: { type: mongoose.Schema.Types.ObjectId, ref: 'Vendor', required: true },
+    season: { type: mongoose.Schema.Types.ObjectId, ref: 'Season', required: false },
+    status: { type: String, enum: PURCHASE_ORDER_STATUSES, default: 'open' },
+    lines: {
+        type: [purchaseOrderLineSchema],
+        validate: [(lines) => lines.length > 0, 'A purchase order needs at least one line']
+    },
+    notes: { type: String, required: false },
+    expectedAt: { type: Date, required: false },
+    createdBy: {
+        id: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        email: { type: String }
+    },
+    receipts: [{
+        _id: false,
+        at: { type: Date, default: Date.now },
+        by: {
+            id: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+            email: { type: String }
+        },
+        lines: [{
+            _id: false,
+            line: { type: mongoose.Schema.Types.ObjectId, required: true },
+            quantity: { type: Number, required: true, min: 1 }
+        }]
+    }],
+    closedAt: { type: Date, required: false },
+    closedBy: {
+        id: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        email: { type: String }
+    }
+}, { timestamps: true, toJSON: { virtuals: true } });
+
+purchaseOrderSchema.virtual('totalCost').get(function () {
+    return this.lines.reduce((total, line) => total + line.orderedQuantity * line.unitCost, 0);
+});
+
+purchaseOrderSchema.index({ vendor: 1, number: -1 });
+purchaseOrderSchema.index({ status: 1 });
+
+const PurchaseOrder = mongoose.model('PurchaseOrder', purchaseOrderSchema);
+
+module.exports = PurchaseOrder;
+module.exports.PURCHASE_ORDER_STATUSES = PURCHASE_ORDER_STATUSES;
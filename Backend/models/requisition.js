@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// One order submission from a club, frozen at the time it was placed.
+// The Cart's CartItems are what gets allotted; requisitions record what was asked for and when.
+const requisitionSchema = new mongoose.Schema({
+    number: { type: Number, required: true, unique: true },
+    cart: { type: mongoose.Schema.Types.ObjectId, ref: 'Cart', required: true },
+    season: { type: mongoose.Schema.Types.ObjectId, ref: 'Season', required: false },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    clubName: { type: String, required: true },
+    submittedBy: {
+        id: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        email: { type: String }
+    },
+    items: [{
+        _id: false,
+        cartItem: { type: mongoose.Schema.Types.ObjectId, ref: 'CartItem' },   // Where the quantity was merged into
+        item_id: { type: String, default: null },                             // null for custom items
+        itemName: { type: String, required: true },
+        ordered_quantity: { type: Number, required: true, min: 1 },
+        link: { type: String, required: false }
+    }],
+    submittedAt: { type: Date, default: Date.now }
+});
+
+requisitionSchema.index({ userId: 1, number: -1 });
+
+// Requisitions are immutable once created
+requisitionSchema.pre('save', function (next) {
+    if (!this.isNew) {
+        return next(new Error('Requisitions cannot be modified.'));
+    }
+    next();
+});
+
+requisitionSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne'], function (next) {
+    next(new Error('Requisitions cannot be modified.'));
+});
+
+const Requisition = mongoose.model('Requisition', requisitionSchema);
+
+module.exports = Requisition;
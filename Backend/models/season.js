@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+const FESTS = ['OASIS', 'APOGEE'];
+
+// Stock of every inventory item at one point in time
+const stockSnapshotSchema = new mongoose.Schema({
+    item_id: { type: String, required: true },
+    itemName: { type: String, required: true },
+    itemQuantity: { type: Number, required: true }
+}, { _id: false });
+
+// One fest, e.g. OASIS 2024. Carts, cart items and requisitions belong to a season;
+// only the active one accepts changes, closed seasons are kept as a read-only archive.
+const seasonSchema = new mongoose.Schema({
+    fest: { type: String, enum: FESTS, required: true },
+    year: { type: Number, required: true },
+    status: { type: String, enum: ['active', 'closed'], default: 'active' },
+    startedAt: { type: Date, default: Date.now },
+    closedAt: { type: Date, required: false },
+    startedBy: {
+        id: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        email: { type: String }
+    },
+    closedBy: {
+        id: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        email: { type: String }
+    },
+    openingStock: [stockSnapshotSchema],
+    closingStock: [stockSnapshotSchema]
+}, { toJSON: { virtuals: true } });
+
+seasonSchema.virtual('name').get(function () {
+    return `${this.fest} ${this.year}`;
+});
+
+seasonSchema.index({ fest: 1, year: 1 }, { unique: true });
+// At most one active season
+seasonSchema.index({ status: 1 }, { unique: true, partialFilterExpression: { status: 'active' } });
+
+const Season = mongoose.model('Season', seasonSchema);
+
+module.exports = Season;
+module.exports.FESTS = FESTS;
@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+
+// A login session backing one refresh token. Only a hash of the token is stored.
+const sessionSchema = new mongoose.Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    refreshTokenHash: { type: String, required: true, unique: true },    // Replaced on every refresh (rotation)
+    expiresAt: { type: Date, required: true },
+    revokedAt: { type: Date, default: null },
+    lastUsedAt: { type: Date, default: Date.now },
+    userAgent: { type: String, required: false },
+    ip: { type: String, required: false }
+}, { timestamps: true });
+
+sessionSchema.index({ userId: 1, revokedAt: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });    // Let MongoDB drop expired sessions
+
+const Session = mongoose.model('Session', sessionSchema);
+
+module.exports = Session;
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+// receipt: goods in from a vendor or opening stock; issue: allotted or lent to a club;
+// return: back from a club; adjustment: correction after a count; write-off: damaged or lost in the store
+const MOVEMENT_TYPES = ['receipt', 'issue', 'return', 'adjustment', 'write-off'];
+
+// One change to an item's stock. Inventory.itemQuantity is the running total of these and is only
+// changed through services/stockLedger.js; movements are never edited or removed.
+const stockMovementSchema = new mongoose.Schema({
+    item_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Inventory', required: true },
+    type: { type: String, enum: MOVEMENT_TYPES, required: true },
+    quantity: { type: Number, required: true },           // Signed: negative takes units out of stock
+    balanceAfter: { type: Number, required: true },
+    reason: { type: String, required: false },
+    reference: {                                          // What caused the movement, e.g. a PO or a cart item
+        kind: { type: String, enum: ['PurchaseOrder', 'CartItem', 'Loan', 'StockTake'] },
+        id: { type: mongoose.Schema.Types.ObjectId }
+    },
+    by: {
+        id: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        email: { type: String }
+    },
+    at: { type: Date, default: Date.now }
+});
+
+stockMovementSchema.index({ item_id: 1, at: -1 });
+
+// The ledger is append-only
+stockMovementSchema.pre('save', function (next) {
+    if (!this.isNew) {
+        return next(new Error('Stock movements cannot be modified.'));
+    }
+    next();
+});
+
+stockMovementSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete'], function (next) {
+    next(new Error('Stock movements cannot be modified.'));
+});
+
+const StockMovement = mongoose.model('StockMovement', stockMovementSchema);
+
+module.exports = StockMovement;
+module.exports.MOVEMENT_TYPES = MOVEMENT_TYPES;
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+const STOCK_TAKE_STATUSES = ['open', 'posted', 'cancelled'];
+
+const actor = {
+    id: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    email: { type: String }
+};
+
+// A hand count of the store. Every item gets a line when the count starts; counters fill in
+// countedQuantity from any number of devices, and posting books the differences as stock adjustments.
+const stockTakeSchema = new mongoose.Schema({
+    number: { type: Number, required: true, unique: true },
+    label: { type: String, required: false },                     // e.g. "Pre-OASIS count"
+    status: { type: String, enum: STOCK_TAKE_STATUSES, default: 'open' },
+    lines: [{
+        _id: false,
+        item_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Inventory', required: true },
+        itemName: { type: String, required: true },
+        unit: { type: String },
+        category: { type: String },
+        sku: { type: String },
+        storageLocation: { type: String },
+        countedQuantity: { type: Number, default: null, min: 0 },  // null until someone counts it
+        countedAt: { type: Date },
+        countedBy: actor,
+        postedVariance: { type: Number, default: null }           // Adjustment booked when the count was posted
+    }],
+    startedAt: { type: Date, default: Date.now },
+    startedBy: actor,
+    closedAt: { type: Date },
+    closedBy: actor
+}, { timestamps: true });
+
+stockTakeSchema.index({ status: 1, startedAt: -1 });
+
+const StockTake = mongoose.model('StockTake', stockTakeSchema);
+
+module.exports = StockTake;
+module.exports.STOCK_TAKE_STATUSES = STOCK_TAKE_STATUSES;
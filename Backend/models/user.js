@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { ROLES } = require('../services/roles');
 
 const userSchema = new mongoose.Schema({
     cordName: { type: String, required: true },
@@ -6,7 +7,12 @@ const userSchema = new mongoose.Schema({
     mobile: { type: String, required: true },
     email: { type: String, required: true, unique: true },
     password: { type: String, required: true },
-    access: { type: String, enum: ['user', 'bosslevel'], default: 'user' } // Added access field
+    access: { type: String, enum: ROLES, default: 'user' }, // Role, see services/roles.js
+    // How the user hears about their order items changing status, see services/notifications.js
+    notificationPreferences: {
+        email: { type: Boolean, default: true },    // One digest mail per bulk update
+        inApp: { type: Boolean, default: true }
+    }
 });
 
 const User = mongoose.model('User', userSchema);
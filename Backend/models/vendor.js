@@ -0,0 +1,16 @@
+const mongoose = require('mongoose');
+
+// A supplier the store buys from, e.g. Akshay (local) or Amazon
+const vendorSchema = new mongoose.Schema({
+    name: { type: String, required: true, unique: true, trim: true },
+    contactName: { type: String, trim: true, required: false },
+    email: { type: String, trim: true, lowercase: true, required: false },
+    phone: { type: String, trim: true, required: false },
+    leadTimeDays: { type: Number, min: 0, default: 0 },     // Usual days from ordering to delivery
+    notes: { type: String, required: false },
+    active: { type: Boolean, default: true }
+}, { timestamps: true });
+
+const Vendor = mongoose.model('Vendor', vendorSchema);
+
+module.exports = Vendor;
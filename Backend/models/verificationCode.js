@@ -2,7 +2,8 @@ const mongoose = require('mongoose');
 
 const verificationCodeSchema = new mongoose.Schema({
     email: { type: String, required: true, unique: true }, // Ensure uniqueness by email
-    code: { type: String, required: true },
+    codeHash: { type: String, required: true },             // HMAC of the code, see services/verificationCodes.js
+    attempts: { type: Number, default: 0 },                 // Wrong guesses so far, the code is dropped at the limit
     createdAt: { type: Date, default: Date.now, expires: 600 } // Expires after 10 mins
 });
 
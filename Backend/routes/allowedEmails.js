@@ -0,0 +1,178 @@
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const { body, param, query, validationResult } = require('express-validator');
+const { apiLimiter } = require('../services/rateLimiters');
+const AllowedEmail = require('../models/allowedEmail');
+const authMiddleware = require('../services/authMiddleware');
+const { recordAudit, snapshot } = require('../services/auditLog');
+const { parseAllowedEmailFile, importAllowedEmails } = require('../services/allowedEmails');
+
+// Whitelist files are small, keep them in memory
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 2 * 1024 * 1024 } });
+
+// Rate limiter for whitelist routes
+router.use(apiLimiter);
+
+// Handle validation errors
+function validationResultHandler(req, res, next) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+    next();
+}
+
+const validateIdParam = [
+    param('id').isMongoId().withMessage('Invalid ID format'),
+    validationResultHandler
+];
+
+const allowedEmailFields = (optional) => {
+    const maybe = (chain) => (optional ? chain.optional() : chain);
+    return [
+        maybe(body('email')).isEmail().withMessage('A valid email is required').trim().toLowerCase(),
+        maybe(body('clubName')).isString().trim().notEmpty().withMessage('Club name is required'),
+        body('fest').optional({ values: 'null' }).isString().trim(),
+        body('expiresAt').optional({ values: 'null' }).isISO8601().withMessage('expiresAt must be a valid date').toDate(),
+        validationResultHandler
+    ];
+};
+
+// List whitelisted emails (requires users:manage)
+// Filters: search (email or club), fest, includeExpired
+router.get('/',
+    authMiddleware('users:manage'),
+    [
+        query('search').optional().isString().trim(),
+        query('fest').optional().isString().trim(),
+        query('includeExpired').optional().isBoolean().toBoolean(),
+        validationResultHandler
+    ],
+    async (req, res) => {
+        const { search, fest, includeExpired } = req.query;
+        const filter = {};
+
+        if (search) {
+            const pattern = new RegExp(search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+            filter.$or = [{ email: pattern }, { clubName: pattern }];
+        }
+        if (fest) {
+            filter.fest = fest;
+        }
+        if (!includeExpired) {
+            filter.$and = [{ $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }] }];
+        }
+
+        try {
+            const allowedEmails = await AllowedEmail.find(filter).sort({ clubName: 1, email: 1 });
+            res.status(200).json(allowedEmails);
+        } catch (err) {
+            res.status(500).json({ error: err.message });
+        }
+    }
+);
+
+// Whitelist a single email (requires users:manage)
+router.post('/', authMiddleware('users:manage'), allowedEmailFields(false), async (req, res) => {
+    const { email, clubName, fest, expiresAt } = req.body;
+
+    try {
+        const allowedEmail = await AllowedEmail.create({
+            email,
+            clubName,
+            fest,
+            expiresAt,
+            addedBy: { id: req.user.id, email: req.user.email }
+        });
+        await recordAudit(req, { entityType: 'AllowedEmail', entityId: allowedEmail._id, after: allowedEmail });
+        res.status(201).json(allowedEmail);
+    } catch (err) {
+        if (err.code === 11000) {
+            return res.status(409).json({ error: 'This email is already whitelisted.' });
+        }
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Bulk import whitelisted emails from a .csv or .xlsx file (requires users:manage)
+// Expected columns: email, clubName, optional fest and expiresAt.
+// `fest` and `expiresAt` form fields apply to rows that leave those columns empty.
+router.post('/import',
+    authMiddleware('users:manage'),
+    upload.single('file'),
+    [
+        body('fest').optional({ values: 'falsy' }).isString().trim(),
+        body('expiresAt').optional({ values: 'falsy' }).isISO8601().withMessage('expiresAt must be a valid date').toDate(),
+        validationResultHandler
+    ],
+    async (req, res) => {
+        if (!req.file) {
+            return res.status(400).json({ error: 'No file uploaded.' });
+        }
+
+        try {
+            const rows = await parseAllowedEmailFile(req.file.buffer, req.file.originalname);
+            const { created, updated, skipped } = await importAllowedEmails(rows, {
+                fest: req.body.fest || undefined,
+                expiresAt: req.body.expiresAt || undefined,
+                addedBy: { id: req.user.id, email: req.user.email }
+            });
+
+            for (const allowedEmail of created) {
+                await recordAudit(req, { entityType: 'AllowedEmail', entityId: allowedEmail._id, after: allowedEmail });
+            }
+            for (const { before, after } of updated) {
+                await recordAudit(req, { entityType: 'AllowedEmail', entityId: after._id, before, after });
+            }
+
+            res.status(200).json({ created: created.length, updated: updated.length, skipped });
+        } catch (err) {
+            res.status(400).json({ error: err.message });
+        }
+    }
+);
+
+// Update a whitelisted email (requires users:manage)
+router.put('/:id', authMiddleware('users:manage'), validateIdParam, allowedEmailFields(true), async (req, res) => {
+    try {
+        const allowedEmail = await AllowedEmail.findById(req.params.id);
+        if (!allowedEmail) {
+            return res.status(404).json({ error: 'Whitelisted email not found' });
+        }
+
+        const before = snapshot(allowedEmail);
+        for (const field of ['email', 'clubName', 'fest', 'expiresAt']) {
+            if (req.body[field] !== undefined) {
+                allowedEmail[field] = req.body[field];
+            }
+        }
+
+        await allowedEmail.save();
+        await recordAudit(req, { entityType: 'AllowedEmail', entityId: allowedEmail._id, before, after: allowedEmail });
+        res.status(200).json(allowedEmail);
+    } catch (err) {
+        if (err.code === 11000) {
+            return res.status(409).json({ error: 'This email is already whitelisted.' });
+        }
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Remove an email from the whitelist (requires users:manage)
+// Accounts that were already registered are not affected
+router.delete('/:id', authMiddleware('users:manage'), validateIdParam, async (req, res) => {
+    try {
+        const allowedEmail = await AllowedEmail.findByIdAndDelete(req.params.id);
+        if (!allowedEmail) {
+            return res.status(404).json({ error: 'Whitelisted email not found' });
+        }
+
+        await recordAudit(req, { entityType: 'AllowedEmail', entityId: allowedEmail._id, before: allowedEmail });
+        res.status(200).json({ message: 'Email removed from the whitelist', allowedEmail });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,73 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { query, validationResult } = require('express-validator');
+const { apiLimiter } = require('../services/rateLimiters');
+const AuditLog = require('../models/auditLog');
+const authMiddleware = require('../services/authMiddleware');
+
+// Rate limiter for audit routes
+router.use(apiLimiter);
+
+// Get audit log entries, newest first (requires audit:read)
+// Filters: entityType, entityId, user (user ID or email of the actor), from/to (dates), page, limit
+router.get('/',
+    authMiddleware('audit:read'),
+    [
+        query('entityType').optional().isString().trim(),
+        query('entityId').optional().isString().trim(),
+        query('user').optional().isString().trim(),
+        query('from').optional().isISO8601().withMessage('from must be a valid date').toDate(),
+        query('to').optional().isISO8601().withMessage('to must be a valid date').toDate(),
+        query('page').optional().isInt({ min: 1 }).withMessage('page must be a positive integer').toInt(),
+        query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('limit must be between 1 and 200').toInt()
+    ],
+    async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const { entityType, entityId, user, from, to } = req.query;
+        const page = req.query.page || 1;
+        const limit = req.query.limit || 50;
+
+        const filter = {};
+
+        if (entityType) {
+            filter.entityType = entityType;
+        }
+
+        if (entityId) {
+            filter.entityId = entityId;
+        }
+
+        if (user) {
+            filter.$or = mongoose.isValidObjectId(user)
+                ? [{ 'actor.id': user }, { 'actor.email': user }]
+                : [{ 'actor.email': user.toLowerCase() }, { 'actor.email': user }];
+        }
+
+        if (from || to) {
+            filter.createdAt = {};
+            if (from) filter.createdAt.$gte = from;
+            if (to) filter.createdAt.$lte = to;
+        }
+
+        try {
+            const [total, logs] = await Promise.all([
+                AuditLog.countDocuments(filter),
+                AuditLog.find(filter)
+                    .sort({ createdAt: -1 })
+                    .skip((page - 1) * limit)
+                    .limit(limit)
+            ]);
+
+            res.status(200).json({ total, page, limit, logs });
+        } catch (err) {
+            res.status(500).json({ error: err.message });
+        }
+    }
+);
+
+module.exports = router;
@@ -0,0 +1,115 @@
+const express = require('express');
+const router = express.Router();
+const { body, param, validationResult } = require('express-validator');
+const { apiLimiter } = require('../services/rateLimiters');
+const Budget = require('../models/budget');
+const User = require('../models/user');
+const authMiddleware = require('../services/authMiddleware');
+const { canViewForUser } = require('../services/roles');
+const { resolveSeason, requireActiveSeason, assertSeasonWritable } = require('../services/seasons');
+const { getClubSpend, getSpendReport } = require('../services/spend');
+const { recordAudit, snapshot } = require('../services/auditLog');
+
+// Rate limiter for budget routes
+router.use(apiLimiter);
+
+// Handle validation errors
+function validationResultHandler(req, res, next) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+    next();
+}
+
+// Spend by club against budget, by category and by vendor for a season (requires budgets:manage)
+router.get('/report', authMiddleware('budgets:manage'), async (req, res) => {
+    try {
+        const season = await resolveSeason(req);
+        const report = await getSpendReport(season);
+        res.status(200).json({ season: season ? season.name : null, generatedAt: new Date(), ...report });
+    } catch (err) {
+        res.status(err.status || 500).json({ error: err.message });
+    }
+});
+
+// A club's budget and spend so far; clubs can see their own
+router.get('/club/:userId',
+    authMiddleware(),
+    [
+        param('userId').isMongoId().withMessage('Invalid user ID'),
+        validationResultHandler
+    ],
+    async (req, res) => {
+        if (!canViewForUser(req, req.params.userId)) {
+            return res.status(403).json({ error: 'You can only view your own club\'s budget.' });
+        }
+
+        try {
+            const season = await resolveSeason(req);
+            const spend = await getClubSpend(season, req.params.userId);
+            res.status(200).json(spend);
+        } catch (err) {
+            res.status(err.status || 500).json({ error: err.message });
+        }
+    }
+);
+
+// Set a club's budget for the running season (requires budgets:manage)
+router.put('/',
+    authMiddleware('budgets:manage'),
+    [
+        body('userId').isMongoId().withMessage('Invalid user ID'),
+        body('amount').isFloat({ min: 0 }).withMessage('Budget must be a non-negative amount').toFloat(),
+        validationResultHandler
+    ],
+    async (req, res) => {
+        try {
+            const season = await requireActiveSeason();
+            const user = await User.findById(req.body.userId);
+            if (!user) {
+                return res.status(404).json({ error: 'User not found' });
+            }
+
+            let budget = await Budget.findOne({ season: season._id, userId: user._id });
+            const before = budget ? snapshot(budget) : undefined;
+            if (!budget) {
+                budget = new Budget({ season: season._id, userId: user._id });
+            }
+            budget.amount = req.body.amount;
+            budget.setBy = { id: req.user.id, email: req.user.email };
+
+            await budget.save();
+            await recordAudit(req, { entityType: 'Budget', entityId: budget._id, before, after: budget });
+            res.status(200).json(budget);
+        } catch (err) {
+            res.status(err.status || 500).json({ error: err.message });
+        }
+    }
+);
+
+// Remove a club's budget (requires budgets:manage)
+router.delete('/:id',
+    authMiddleware('budgets:manage'),
+    [
+        param('id').isMongoId().withMessage('Invalid ID format'),
+        validationResultHandler
+    ],
+    async (req, res) => {
+        try {
+            const budget = await Budget.findById(req.params.id);
+            if (!budget) {
+                return res.status(404).json({ error: 'Budget not found' });
+            }
+            await assertSeasonWritable(budget.season);
+
+            await budget.deleteOne();
+            await recordAudit(req, { entityType: 'Budget', entityId: budget._id, before: budget });
+            res.status(200).json({ message: 'Budget removed' });
+        } catch (err) {
+            res.status(err.status || 500).json({ error: err.message });
+        }
+    }
+);
+
+module.exports = router;
@@ -3,27 +3,97 @@ const router = express.Router();
 const Cart = require('../models/Cart');
 const CartItem = require('../models/cartItem');
 const Inventory = require('../models/inventory');
+const Requisition = require('../models/requisition');
 const authMiddleware = require('../services/authMiddleware');
+const { getOrderWindow, serializeOrderWindow, requireOpenOrderWindow } = require('../services/orderWindow');
+const { allotCartItem, releaseAllotment, releaseCartItems } = require('../services/stockReservation');
+const { recordAudit, snapshot } = require('../services/auditLog');
+const { canActForUser } = require('../services/roles');
+const { isOrderStatus, isFinalStatus, planTransition, applyTransition } = require('../services/orderStateMachine');
+const { submitRequisition } = require('../services/requisitions');
+const { checkOutDelivered } = require('../services/loans');
+const { resolveSeason, seasonFilter, assertSeasonWritable } = require('../services/seasons');
+const { outstandingDemandByItem, stockPosition } = require('../services/reorderSuggestions');
+const { sortForDisplay } = require('../services/displayOrder');
+const { publishCartChange, publishCartItemChange } = require('../services/liveUpdates');
+const { notifyStatusChanges } = require('../services/notifications');
 const { body, param, validationResult } = require('express-validator');
-const rateLimit = require('express-rate-limit');
+const { apiLimiter } = require('../services/rateLimiters');
 
 // Rate Limiter for cart routes
-const cartRateLimiter = rateLimit({
-    windowMs: 15 * 60 * 1000, // 15 minutes
-    max: 100000, // Limit each IP to 100 requests per windowMs
-    message: 'Too many requests from this IP, please try again later.',
-});
+router.use(apiLimiter);
 
-router.use(cartRateLimiter);
+// Apply an allotment/status/remarks change to a cart item, keeping inventory stock in sync.
+// Status changes must follow services/orderStateMachine.js; a rejection needs a reason
+// (`rejectionReason`, or the remarks when none is given).
+// Items whose status changed are added to `statusChanges`, for the caller to notify the clubs once it is done.
+const applyCartItemUpdate = async (req, cartItem, { allotted_quantity, status, remarks, rejectionReason, actualUnitCost }, statusChanges = []) => {
+    // Items of a closed season are archived
+    await assertSeasonWritable(cartItem.season);
 
-// Post a list of items to the cart (restricted to user)
-router.post('/add-items',
-    authMiddleware('user'),
+    const before = snapshot(cartItem);
+    const reason = rejectionReason !== undefined ? rejectionReason : remarks;
+
+    // Validate the transition before any stock moves; null means the status stays the same
+    const nextStatus = status ? planTransition(cartItem, status, reason) : null;
+
+    if (allotted_quantity && isFinalStatus(cartItem.status)) {
+        throw Object.assign(new Error(`Cannot change the allotment of a ${cartItem.status} item.`), { status: 409 });
+    }
+
+    if (nextStatus === 'Rejected') {
+        // Rejected items hand everything they were allotted back to stock
+        cartItem = await releaseAllotment(req, cartItem);
+    } else if (allotted_quantity !== undefined) {
+        // The allotted quantity is added to the existing one and taken out of stock
+        cartItem = await allotCartItem(req, cartItem, allotted_quantity);
+    }
+
+    if (nextStatus) {
+        applyTransition(cartItem, nextStatus, { actor: req.user, reason });
+    }
+
+    if (remarks !== undefined) {
+        cartItem.remarks = remarks;
+    }
+
+    // null clears the actual cost, falling back to the estimate
+    if (actualUnitCost !== undefined) {
+        cartItem.actualUnitCost = actualUnitCost === null ? undefined : actualUnitCost;
+    }
+
+    const updatedCartItem = await cartItem.save();
+    await recordAudit(req, { entityType: 'CartItem', entityId: updatedCartItem._id, before, after: updatedCartItem });
+    await publishCartItemChange(updatedCartItem);
+    if (nextStatus) {
+        statusChanges.push(updatedCartItem);
+    }
+
+    // Returnable items handed over are lent to the club until checked back in
+    if (nextStatus === 'Delivered') {
+        await checkOutDelivered(req, updatedCartItem);
+    }
+    return updatedCartItem;
+};
+
+// Get the current order window (any logged-in user, so both clubs and ADP can read it)
+router.get('/order-window', authMiddleware(), async (req, res) => {
+    try {
+        const orderWindow = await getOrderWindow();
+        res.status(200).json(serializeOrderWindow(orderWindow));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Open/close the order window or schedule it (requires settings:manage)
+router.put('/order-window',
+    authMiddleware('settings:manage'),
     [
-        body('userId').isMongoId().withMessage('Invalid user ID'),
-        body('items').isArray().withMessage('Items must be an array'),
-        body('items.*.item_id').isMongoId().withMessage('Invalid item ID'),
-        body('items.*.ordered_quantity').isInt({ min: 1 }).withMessage('Ordered quantity must be a positive integer')
+        body('isOpen').optional().isBoolean().withMessage('isOpen must be a boolean').toBoolean(),
+        body('openAt').optional({ values: 'null' }).isISO8601().withMessage('openAt must be a valid date').toDate(),
+        body('closeAt').optional({ values: 'null' }).isISO8601().withMessage('closeAt must be a valid date').toDate(),
+        body('festLabel').optional().isString().trim().withMessage('Fest label must be a string')
     ],
     async (req, res) => {
         const errors = validationResult(req);
@@ -31,62 +101,53 @@ router.post('/add-items',
             return res.status(400).json({ errors: errors.array() });
         }
 
-        const { userId, items } = req.body;
+        const { isOpen, openAt, closeAt, festLabel } = req.body;
 
         try {
-            let cart = await Cart.findOne({ userId });
+            const orderWindow = await getOrderWindow();
+            const before = snapshot(orderWindow);
 
-            if (!cart) {
-                cart = new Cart({
-                    userId,
-                    cartItems: []
-                });
+            if (isOpen !== undefined) {
+                orderWindow.isOpen = isOpen;
             }
 
-            for (let item of items) {
-                const inventoryItem = await Inventory.findById(item.item_id);
-                if (!inventoryItem) {
-                    return res.status(404).json({ error: `Item with ID ${item.item_id} not found in inventory` });
-                }
-
-                let existingCartItem = await CartItem.findOne({
-                    cart: cart._id,
-                    item_id: item.item_id
-                });
+            // null clears a previously scheduled time
+            if (openAt !== undefined) {
+                orderWindow.openAt = openAt;
+            }
 
-                if (existingCartItem) {
-                    existingCartItem.ordered_quantity += item.ordered_quantity;
+            if (closeAt !== undefined) {
+                orderWindow.closeAt = closeAt;
+            }
 
-                    await existingCartItem.save();
-                } else {
-                    const newCartItem = new CartItem({
-                        cart: cart._id,
-                        item_id: item.item_id,
-                        itemName: inventoryItem.itemName,
-                        ordered_quantity: item.ordered_quantity
-                    });
+            if (festLabel !== undefined) {
+                orderWindow.festLabel = festLabel;
+            }
 
-                    await newCartItem.save();
-                    cart.cartItems.push(newCartItem._id);
-                }
+            if (orderWindow.openAt && orderWindow.closeAt && orderWindow.closeAt <= orderWindow.openAt) {
+                return res.status(400).json({ error: 'Close time must be after open time.' });
             }
 
-            await cart.save();
-            res.status(200).json(cart);
+            orderWindow.updatedBy = req.user.id;
+            await orderWindow.save();
+            await recordAudit(req, { entityType: 'OrderWindow', entityId: orderWindow._id, before, after: orderWindow });
+
+            res.status(200).json(serializeOrderWindow(orderWindow));
         } catch (err) {
             res.status(500).json({ error: err.message });
         }
     }
 );
 
-// POST a custom item to the cart (restricted to user)
-router.post('/add-custom-item',
-    authMiddleware('user'),
+// Post a list of items to the cart (requires cart:submit)
+router.post('/add-items',
+    authMiddleware('cart:submit'),
+    requireOpenOrderWindow,
     [
         body('userId').isMongoId().withMessage('Invalid user ID'),
-        body('itemName').isString().withMessage('Item name must be a string'),
-        body('ordered_quantity').isInt({ min: 1 }).withMessage('Ordered quantity must be a positive integer'),
-        body('link').optional().isString().withMessage('Link must be a string') // New validation for link
+        body('items').isArray().withMessage('Items must be an array'),
+        body('items.*.item_id').isMongoId().withMessage('Invalid item ID'),
+        body('items.*.ordered_quantity').isInt({ min: 1 }).withMessage('Ordered quantity must be a positive integer')
     ],
     async (req, res) => {
         const errors = validationResult(req);
@@ -94,59 +155,58 @@ router.post('/add-custom-item',
             return res.status(400).json({ errors: errors.array() });
         }
 
-        const { userId, itemName, ordered_quantity, link } = req.body;
-
-        try {
-            let cart = await Cart.findOne({ userId });
-
-            if (!cart) {
-                cart = new Cart({
-                    userId,
-                    cartItems: []
-                });
-            }
+        const { userId, items } = req.body;
 
-            // Check if the custom item already exists in the cart
-            let existingCartItem = await CartItem.findOne({
-                cart: cart._id,
-                itemName: itemName,  // Matching by name since it's a custom item
-                item_id: { $exists: false }  // Ensuring it's a custom item with no item_id
-            });
+        if (!canActForUser(req, userId)) {
+            return res.status(403).json({ error: 'You can only order for your own club.' });
+        }
 
-            if (existingCartItem) {
-                // If it exists, update the quantity and link
-                existingCartItem.ordered_quantity += ordered_quantity;
+        try {
+            // Every submission is also kept as a numbered requisition
+            const { cart } = await submitRequisition(req, userId, { items });
+            res.status(200).json(cart);
+        } catch (err) {
+            res.status(err.status || 500).json({ error: err.message });
+        }
+    }
+);
 
-                if (link !== undefined) {
-                    existingCartItem.link = link;
-                }
+// POST a custom item to the cart (requires cart:submit)
+router.post('/add-custom-item',
+    authMiddleware('cart:submit'),
+    requireOpenOrderWindow,
+    [
+        body('userId').isMongoId().withMessage('Invalid user ID'),
+        body('itemName').isString().withMessage('Item name must be a string'),
+        body('ordered_quantity').isInt({ min: 1 }).withMessage('Ordered quantity must be a positive integer'),
+        body('link').optional({ values: 'falsy' }).isURL({ protocols: ['http', 'https'], require_protocol: true }).withMessage('Link must be an http(s) URL'),
+        body('estimatedUnitCost').optional().isFloat({ min: 0 }).withMessage('Estimated unit cost must be a non-negative number').toFloat()
+    ],
+    async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
 
-                await existingCartItem.save();
-            } else {
-                // If it doesn't exist, create a new CartItem
-                const newCartItem = new CartItem({
-                    cart: cart._id,
-                    item_id: null,  // No item_id since it's a custom item
-                    itemName,
-                    ordered_quantity,
-                    link  // Store the provided link
-                });
+        const { userId, itemName, ordered_quantity, link, estimatedUnitCost } = req.body;
 
-                await newCartItem.save();
-                cart.cartItems.push(newCartItem._id);
-            }
+        if (!canActForUser(req, userId)) {
+            return res.status(403).json({ error: 'You can only order for your own club.' });
+        }
 
-            await cart.save();
+        try {
+            // Every submission is also kept as a numbered requisition
+            const { cart } = await submitRequisition(req, userId, { customItems: [{ itemName, ordered_quantity, link, estimatedUnitCost }] });
             res.status(200).json(cart);
         } catch (err) {
-            res.status(500).json({ error: err.message });
+            res.status(err.status || 500).json({ error: err.message });
         }
     }
 );
 
-// Get all cart items for a user (restricted to user)
+// Get all cart items for a user (requires cart:read-own)
 router.get('/cart-items-final/:userId',
-    authMiddleware('user'),
+    authMiddleware('cart:read-own'),
     [param('userId').isMongoId().withMessage('Invalid user ID')],
     async (req, res) => {
         const errors = validationResult(req);
@@ -156,22 +216,28 @@ router.get('/cart-items-final/:userId',
 
         const { userId } = req.params;
 
+        if (!canActForUser(req, userId)) {
+            return res.status(403).json({ error: 'You can only view your own club\'s orders.' });
+        }
+
         try {
-            const cart = await Cart.findOne({ userId }).populate('cartItems', 'itemName ordered_quantity status remarks');
+            // The running season unless ?season= asks for an archived one
+            const season = await resolveSeason(req);
+            const cart = await Cart.findOne({ userId, ...seasonFilter(season) }).populate('cartItems', 'item_id itemName ordered_quantity status remarks rejectionReason statusChangedAt approvalStatus adminComments');
 
             if (!cart || cart.cartItems.length === 0) {
                 return res.status(404).json({ message: "No items found for this user." });
             }
             res.status(200).json(cart.cartItems);
         } catch (err) {
-            res.status(500).json({ error: err.message });
+            res.status(err.status || 500).json({ error: err.message });
         }
     }
 );
 
-// Remove an item from the cart (restricted to Admin)
+// Remove an item from the cart (requires orders:manage)
 router.delete('/remove-item/:cart/:itemName',
-    authMiddleware('bosslevel'),
+    authMiddleware('orders:manage'),
     [
         param('cart').isMongoId().withMessage('Invalid cart ID'),
         param('itemName').isString().withMessage('Invalid item name')
@@ -191,6 +257,7 @@ router.delete('/remove-item/:cart/:itemName',
             if (!cartDoc) {
                 return res.status(404).json({ error: 'Cart not found.' });
             }
+            await assertSeasonWritable(cartDoc.season);
 
             // Find the cart item by itemName in the cart
             const cartItem = await CartItem.findOne({ cart: cartDoc._id, itemName });
@@ -199,15 +266,19 @@ router.delete('/remove-item/:cart/:itemName',
                 return res.status(404).json({ error: 'Item not found in the cart.' });
             }
 
-            // Delete the found cart item
+            // Return its allotted stock, then delete the found cart item
+            await releaseCartItems(req, [cartItem]);
             await CartItem.deleteOne({ _id: cartItem._id });
+            await recordAudit(req, { entityType: 'CartItem', entityId: cartItem._id, before: cartItem });
 
             // Remove the cart item from the cart's cartItems array
             cartDoc.cartItems = cartDoc.cartItems.filter(id => !id.equals(cartItem._id));
+            publishCartChange(cartDoc.userId, cartDoc._id);
 
             if (cartDoc.cartItems.length === 0) {
                 // Delete the cart if it's empty
                 await Cart.deleteOne({ _id: cartDoc._id });
+                await recordAudit(req, { entityType: 'Cart', entityId: cartDoc._id, before: cartDoc });
                 return res.status(200).json({ message: 'Item removed and cart deleted as it was empty.' });
             } else {
                 // Save the updated cart
@@ -216,16 +287,16 @@ router.delete('/remove-item/:cart/:itemName',
             }
 
         } catch (err) {
-            res.status(500).json({ error: err.message });
+            res.status(err.status || 500).json({ error: err.message });
         }
     }
 );
 
 
 
-// Get all cart items for a user (restricted to bosslevel)
+// Get all cart items for a user (requires orders:read)
 router.get('/cart-items-user/:userId',
-    authMiddleware('bosslevel'),
+    authMiddleware('orders:read'),
     [param('userId').isMongoId().withMessage('Invalid user ID')],
     async (req, res) => {
         const errors = validationResult(req);
@@ -236,53 +307,66 @@ router.get('/cart-items-user/:userId',
         const { userId } = req.params;
 
         try {
-            const cart = await Cart.findOne({ userId }).populate('cartItems', 'itemName ordered_quantity allotted_quantity status remarks link');
+            // The running season unless ?season= asks for an archived one
+            const season = await resolveSeason(req);
+            const cart = await Cart.findOne({ userId, ...seasonFilter(season) }).populate('cartItems', 'itemName ordered_quantity allotted_quantity status remarks link rejectionReason statusChangedAt statusHistory');
 
             if (!cart || cart.cartItems.length === 0) {
                 return res.status(404).json({ message: "No items found for this user." });
             }
             res.status(200).json(cart.cartItems);
         } catch (err) {
-            res.status(500).json({ error: err.message });
+            res.status(err.status || 500).json({ error: err.message });
         }
     }
 );
 
-// Get a list of clubs (restricted to bosslevel)
+// Get a list of clubs (requires orders:read)
 router.get('/get-club-list',
-    authMiddleware('bosslevel'),
+    authMiddleware('orders:read'),
     async (req, res) => {
         try {
-            const carts = await Cart.find()
+            const season = await resolveSeason(req);
+            const carts = await Cart.find(seasonFilter(season))
                 .populate({
                     path: 'userId',
                     select: 'clubName cordName mobile'
                 })
                 .select('_id userId');
 
+            // How many times each club has submitted, and when it last did
+            const requisitionStats = await Requisition.aggregate([
+                { $group: { _id: '$cart', count: { $sum: 1 }, lastSubmittedAt: { $max: '$submittedAt' } } }
+            ]);
+            const statsByCart = new Map(requisitionStats.map(stat => [stat._id.toString(), stat]));
+
             const clubList = carts.map(cart => ({
                 clubName: cart.userId.clubName,
                 cordName: cart.userId.cordName,
                 contact: cart.userId.mobile,
                 cart_id: cart._id,
-                user_id: cart.userId._id
+                user_id: cart.userId._id,
+                requisitionCount: statsByCart.has(cart._id.toString()) ? statsByCart.get(cart._id.toString()).count : 0,
+                lastRequisitionAt: statsByCart.has(cart._id.toString()) ? statsByCart.get(cart._id.toString()).lastSubmittedAt : null
             }));
 
             res.status(200).json(clubList);
         } catch (err) {
-            res.status(500).json({ error: err.message });
+            res.status(err.status || 500).json({ error: err.message });
         }
     }
 );
 
-// Update the status of a cart item (restricted to bosslevel)
+// Update the status of a cart item (requires orders:manage)
 router.put('/update-cart-item-status/:cartItemId',
-    authMiddleware('bosslevel'),
+    authMiddleware('orders:manage'),
     [
         param('cartItemId').isMongoId().withMessage('Invalid cart item ID'),
         body('allotted_quantity').optional().isInt({ min: 0 }).withMessage('Allotted quantity must be a non-negative integer'),
-        body('status').optional().isString().isIn(['pending', 'ready', 'rejected', 'delivered', 'amazon']).withMessage('Invalid status value'),
-        body('remarks').optional().isString().withMessage('Remarks must be a string')
+        body('status').optional().custom(isOrderStatus).withMessage('Invalid status value'),
+        body('remarks').optional().isString().withMessage('Remarks must be a string'),
+        body('rejectionReason').optional().isString().withMessage('Rejection reason must be a string'),
+        body('actualUnitCost').optional({ values: 'null' }).isFloat({ min: 0 }).withMessage('Actual unit cost must be a non-negative number').toFloat()
     ],
     async (req, res) => {
         const errors = validationResult(req);
@@ -292,7 +376,7 @@ router.put('/update-cart-item-status/:cartItemId',
 
         try {
             const { cartItemId } = req.params;
-            const { allotted_quantity, status, remarks } = req.body;
+            const { allotted_quantity, status, remarks, rejectionReason, actualUnitCost } = req.body;
 
             // Fetch the current CartItem
             const cartItem = await CartItem.findById(cartItemId);
@@ -300,39 +384,33 @@ router.put('/update-cart-item-status/:cartItemId',
                 return res.status(404).json({ error: 'CartItem not found.' });
             }
 
-            // Update the allotted quantity by adding the new quantity to the existing one
-            if (allotted_quantity !== undefined) {
-                cartItem.allotted_quantity += allotted_quantity;
-            }
-
-            // Update status and remarks if provided
-            if (status !== undefined) {
-                cartItem.status = status;
-            }
-
-            if (remarks !== undefined) {
-                cartItem.remarks = remarks;
-            }
-
-            // Save the updated CartItem
-            const updatedCartItem = await cartItem.save();
+            const statusChanges = [];
+            const updatedCartItem = await applyCartItemUpdate(req, cartItem, {
+                allotted_quantity: allotted_quantity !== undefined ? Number(allotted_quantity) : undefined,
+                status,
+                remarks,
+                rejectionReason,
+                actualUnitCost
+            }, statusChanges);
+            await notifyStatusChanges(statusChanges);
 
             res.status(200).json(updatedCartItem);
         } catch (err) {
-            res.status(500).json({ error: err.message });
+            res.status(err.status || 500).json({ error: err.message });
         }
     }
 );
 
 router.put('/update-multiple-cart-items',
-    authMiddleware('bosslevel'),
+    authMiddleware('orders:manage'),
     body('items').isArray().withMessage('Items must be an array of cart item updates').custom((items) => {
         // Custom validation to check if each item in the array has a valid structure
         return items.every(item => 
             item._id && 
             (item.allotted_quantity !== undefined || 
             item.status !== undefined || 
-            item.remarks !== undefined)
+            item.remarks !== undefined ||
+            item.actualUnitCost !== undefined)
         );
     }).withMessage('Each item must have an _id and at least one field to update'),
     async (req, res) => {
@@ -343,37 +421,51 @@ router.put('/update-multiple-cart-items',
 
         try {
             const { items } = req.body;
+            const updatedCartItems = [];
+            const itemErrors = [];
+            const statusChanges = [];
 
-            // Create an array to hold update promises
-            const updatePromises = items.map(async (item) => {
-                const { _id, allotted_quantity, status, remarks } = item;
-
-                // Fetch the current CartItem
-                const cartItem = await CartItem.findById(_id);
-                if (!cartItem) {
-                    throw new Error(`CartItem with ID ${_id} not found.`);
-                }
+            // Items are processed one by one so a shortage on one item doesn't block the rest
+            for (const item of items) {
+                const { _id, allotted_quantity, status, remarks, rejectionReason, actualUnitCost } = item;
 
-                // Update the allotted quantity by adding the new quantity to the existing one
-                if (allotted_quantity !== undefined) {
-                    cartItem.allotted_quantity += allotted_quantity;
-                }
+                try {
+                    if (allotted_quantity !== undefined && !Number.isInteger(Number(allotted_quantity))) {
+                        throw Object.assign(new Error('Allotted quantity must be an integer.'), { status: 400 });
+                    }
+                    if (actualUnitCost !== undefined && actualUnitCost !== null && !(Number(actualUnitCost) >= 0)) {
+                        throw Object.assign(new Error('Actual unit cost must be a non-negative number.'), { status: 400 });
+                    }
 
-                // Update status and remarks if provided
-                if (status !== undefined) {
-                    cartItem.status = status;
-                }
+                    // Fetch the current CartItem
+                    const cartItem = await CartItem.findById(_id);
+                    if (!cartItem) {
+                        throw Object.assign(new Error(`CartItem with ID ${_id} not found.`), { status: 404 });
+                    }
 
-                if (remarks !== undefined) {
-                    cartItem.remarks = remarks;
+                    updatedCartItems.push(await applyCartItemUpdate(req, cartItem, {
+                        allotted_quantity: allotted_quantity !== undefined ? Number(allotted_quantity) : undefined,
+                        status,
+                        remarks,
+                        rejectionReason,
+                        actualUnitCost: actualUnitCost === undefined || actualUnitCost === null ? actualUnitCost : Number(actualUnitCost)
+                    }, statusChanges));
+                } catch (err) {
+                    if (!err.status) throw err;
+                    itemErrors.push({ _id, error: err.message });
                 }
+            }
 
-                // Save the updated CartItem
-                return cartItem.save();
-            });
+            // One digest per club for everything that did change, even when some items failed
+            await notifyStatusChanges(statusChanges);
 
-            // Execute all update promises
-            const updatedCartItems = await Promise.all(updatePromises);
+            if (itemErrors.length > 0) {
+                return res.status(409).json({
+                    error: 'Some cart items could not be updated.',
+                    errors: itemErrors,
+                    updatedCartItems
+                });
+            }
 
             res.status(200).json(updatedCartItems);
         } catch (err) {
@@ -383,12 +475,20 @@ router.put('/update-multiple-cart-items',
 );
 
 
-router.get('/cart-item-summary', authMiddleware('bosslevel'), async (req, res) => {
+// Demand vs stock per inventory item for a season (requires orders:read)
+router.get('/cart-item-summary', authMiddleware('orders:read'), async (req, res) => {
     try {
+        const season = await resolveSeason(req);
         // Fetch all inventory items
         const inventories = await Inventory.find();
-        // Fetch all cart items
-        const cartItems = await CartItem.find();
+        // Fetch all cart items of the season
+        const cartItems = await CartItem.find(seasonFilter(season));
+        const demand = await outstandingDemandByItem(season);
+
+        // An archived season shows the stock it was closed with
+        const closingStock = season && season.status === 'closed'
+            ? new Map(season.closingStock.map(stock => [stock.item_id, stock.itemQuantity]))
+            : null;
 
         // Group cart items by item_id, treat null item_ids as individual entities
         const cartItemsById = cartItems.reduce((acc, item) => {
@@ -411,10 +511,22 @@ router.get('/cart-item-summary', authMiddleware('bosslevel'), async (req, res) =
         // Prepare the response for each inventory item
         const response = inventories.map(inventory => {
             const cartData = cartItemsById[inventory._id.toString()] || { totalOrderedQuantity: 0, totalAllottedQuantity: 0 };
+            const availableQuantity = closingStock ? (closingStock.get(inventory._id.toString()) ?? 0) : inventory.itemQuantity;
+            const position = stockPosition({ itemQuantity: availableQuantity }, demand.get(inventory._id.toString()) || 0);
             return {
                 _id: inventory._id,
                 itemName: inventory.itemName,
-                availableQuantity: inventory.itemQuantity,
+                category: inventory.category,
+                sortRank: inventory.sortRank || 0,
+                unit: inventory.unit,
+                unitCost: inventory.unitCost || 0,
+                sku: inventory.sku || '',
+                storageLocation: inventory.storageLocation || '',
+                availableQuantity,
+                reorderThreshold: inventory.reorderThreshold || 0,
+                outstandingDemand: position.outstandingDemand,
+                shortfall: position.shortfall,
+                needsReorder: position.projectedStock < (inventory.reorderThreshold || 0),
                 totalOrderedQuantity: cartData.totalOrderedQuantity,
                 totalAllottedQuantity: cartData.totalAllottedQuantity,
                 itemOrderedStatus: inventory.itemOrderedStatus || '',
@@ -422,22 +534,22 @@ router.get('/cart-item-summary', authMiddleware('bosslevel'), async (req, res) =
             };
         });
 
-
-        res.status(200).json(response);
+        res.status(200).json(sortForDisplay(response));
     } catch (err) {
-        res.status(500).json({ error: err.message });
+        res.status(err.status || 500).json({ error: err.message });
     }
 });
 
-router.get('/cart-item-summary-custom', authMiddleware('bosslevel'), async (req, res) => {
+router.get('/cart-item-summary-custom', authMiddleware('orders:read'), async (req, res) => {
     try {
-        // Fetch all cart items where item_id is null (custom items)
-        const cartItems = await CartItem.find({ item_id: null });
+        const season = await resolveSeason(req);
+        // Fetch all cart items of the season where item_id is null (custom items)
+        const cartItems = await CartItem.find({ item_id: null, ...seasonFilter(season) });
 
         // Directly return the fetched cart items without modifying the structure
         res.status(200).json(cartItems);
     } catch (err) {
-        res.status(500).json({ error: err.message });
+        res.status(err.status || 500).json({ error: err.message });
     }
 });
 
@@ -445,13 +557,16 @@ router.get('/cart-item-summary-custom', authMiddleware('bosslevel'), async (req,
 
 
 
+// Update the status of inventory-backed cart items in bulk (requires orders:manage)
+// Same per-item error handling as update-multiple-cart-items
 router.put('/update-items-status',
-    authMiddleware('bosslevel'),
+    authMiddleware('orders:manage'),
     [
         body('items').isArray().withMessage('Items should be an array'),
         body('items.*._id').isMongoId().withMessage('Invalid cart item ID'),
-        body('items.*.status').optional().isString().isIn(['pending', 'ready', 'rejected', 'delivered', 'amazon']).withMessage('Invalid status value'),
+        body('items.*.status').optional().custom(isOrderStatus).withMessage('Invalid status value'),
         body('items.*.remarks').optional().isString().withMessage('Remarks must be a string'),
+        body('items.*.rejectionReason').optional().isString().withMessage('Rejection reason must be a string'),
     ],
     async (req, res) => {
         const errors = validationResult(req);
@@ -461,6 +576,8 @@ router.put('/update-items-status',
 
         try {
             const { items } = req.body;
+            const itemErrors = [];
+            const statusChanges = [];
 
             // Fetch all inventory items
             const inventories = await Inventory.find();
@@ -468,29 +585,30 @@ router.put('/update-items-status',
 
             // Process each item in the request
             for (const item of items) {
-                const { _id, status, remarks } = item;
+                const { _id, status, remarks, rejectionReason } = item;
 
-                // Find the cart item
-                const cartItem = await CartItem.findById(_id);
-                if (!cartItem) {
-                    return res.status(404).json({ error: `Cart item with ID ${_id} not found.` });
-                }
-
-                // Check if the cart item has a corresponding inventory
-                if (inventoryIds.includes(cartItem.item_id.toString())) {
-                    // Update status and remarks if provided
-                    if (status !== undefined) {
-                        cartItem.status = status;
+                try {
+                    // Find the cart item
+                    const cartItem = await CartItem.findById(_id);
+                    if (!cartItem) {
+                        throw Object.assign(new Error(`Cart item with ID ${_id} not found.`), { status: 404 });
                     }
 
-                    if (remarks !== undefined) {
-                        cartItem.remarks = remarks;
+                    // Ignore custom items and items without inventory records
+                    if (cartItem.item_id && inventoryIds.includes(cartItem.item_id.toString())) {
+                        // Update status and remarks if provided
+                        await applyCartItemUpdate(req, cartItem, { status, remarks, rejectionReason }, statusChanges);
                     }
-
-                    // Save the updated CartItem
-                    await cartItem.save();
+                } catch (err) {
+                    if (!err.status) throw err;
+                    itemErrors.push({ _id, error: err.message });
                 }
-                // Ignore items without inventory records
+            }
+
+            await notifyStatusChanges(statusChanges);
+
+            if (itemErrors.length > 0) {
+                return res.status(409).json({ error: 'Some cart items could not be updated.', errors: itemErrors });
             }
 
             res.status(200).json({ message: 'Cart items updated successfully.' });
@@ -500,9 +618,19 @@ router.put('/update-items-status',
     }
 );
 
-router.delete('/remove-cart/:cart_id', authMiddleware('bosslevel'), cartRateLimiter, async (req, res) => {
+router.delete('/remove-cart/:cart_id', authMiddleware('orders:manage'), async (req, res) => {
     const { cart_id } = req.params;
     try {
+        // Archived carts stay as they are
+        const existingCart = await Cart.findById(cart_id);
+        if (existingCart) {
+            await assertSeasonWritable(existingCart.season);
+        }
+
+        // Hand the stock allotted to this cart back before its items disappear
+        const cartItems = await CartItem.find({ cart: cart_id });
+        await releaseCartItems(req, cartItems);
+
         const [deletedcart, deletecartitem] = await Promise.all([
             Cart.findByIdAndDelete(cart_id),
             CartItem.deleteMany({cart: cart_id})
@@ -511,6 +639,12 @@ router.delete('/remove-cart/:cart_id', authMiddleware('bosslevel'), cartRateLimi
         if (!deletedcart) {
             return res.status(404).json({ message: "Cart not found" });
         }
+
+        await recordAudit(req, { entityType: 'Cart', entityId: deletedcart._id, before: deletedcart });
+        for (const cartItem of cartItems) {
+            await recordAudit(req, { entityType: 'CartItem', entityId: cartItem._id, before: cartItem });
+        }
+        publishCartChange(deletedcart.userId, deletedcart._id);
     
         res.status(200).json({ 
             message: "Cart deleted successfully", 
@@ -518,7 +652,7 @@ router.delete('/remove-cart/:cart_id', authMiddleware('bosslevel'), cartRateLimi
             deletecartitem
         });
     } catch (err) {
-        res.status(500).json({ error: 'Internal Server Error' });
+        res.status(err.status || 500).json({ error: err.status ? err.message : 'Internal Server Error' });
     }
     
 });
@@ -0,0 +1,146 @@
+const express = require('express');
+const router = express.Router();
+const { body, param, validationResult } = require('express-validator');
+const { apiLimiter } = require('../services/rateLimiters');
+const CartItem = require('../models/cartItem');
+const Inventory = require('../models/inventory');
+const authMiddleware = require('../services/authMiddleware');
+const { hasPermission } = require('../services/roles');
+const { resolveSeason, seasonFilter } = require('../services/seasons');
+const { STAGE_PERMISSIONS, stageOf } = require('../services/customItemApproval');
+const { findInventoryDuplicates, advanceApproval, addAdminComment, promoteToInventory } = require('../services/customItems');
+
+// Rate limiter for custom item routes
+router.use(apiLimiter);
+
+// Handle validation errors
+function validationResultHandler(req, res, next) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+    next();
+}
+
+const validateIdParam = [
+    param('id').isMongoId().withMessage('Invalid ID format'),
+    validationResultHandler
+];
+
+// Load the custom cart item named in the URL, or answer 404
+const loadCustomItem = async (req, res, next) => {
+    try {
+        const cartItem = await CartItem.findById(req.params.id);
+        if (!cartItem) {
+            return res.status(404).json({ error: 'Cart item not found' });
+        }
+        req.cartItem = cartItem;
+        next();
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+};
+
+// Custom items of a season with their club, approval stage and likely inventory duplicates (requires orders:read).
+// Items already promoted to inventory stay listed.
+router.get('/', authMiddleware('orders:read'), async (req, res) => {
+    try {
+        const season = await resolveSeason(req);
+        const cartItems = await CartItem.find({
+            $or: [{ item_id: null }, { approvalStatus: 'converted' }],
+            ...seasonFilter(season)
+        }).populate({ path: 'cart', select: 'userId', populate: { path: 'userId', select: 'clubName' } });
+
+        const duplicates = await findInventoryDuplicates(cartItems.filter(cartItem => !cartItem.item_id).map(cartItem => cartItem.itemName));
+
+        res.status(200).json(cartItems.map(cartItem => ({
+            ...cartItem.toObject({ depopulate: true }),
+            clubName: cartItem.cart && cartItem.cart.userId ? cartItem.cart.userId.clubName : null,
+            approvalStatus: stageOf(cartItem),
+            possibleDuplicates: cartItem.item_id ? [] : duplicates.get(cartItem.itemName) || []
+        })));
+    } catch (err) {
+        res.status(err.status || 500).json({ error: err.message });
+    }
+});
+
+// Move a custom item to another approval stage, with an optional comment and estimated price.
+// Approving and marking purchased need purchasing:manage, marking received needs purchasing:receive.
+router.post('/:id/approval',
+    authMiddleware(),
+    validateIdParam,
+    [
+        body('stage').isIn(Object.keys(STAGE_PERMISSIONS)).withMessage(`Stage must be one of ${Object.keys(STAGE_PERMISSIONS).join(', ')}`),
+        body('comment').optional().isString().withMessage('Comment must be a string'),
+        body('estimatedUnitCost').optional().isFloat({ min: 0 }).withMessage('Estimated unit cost must be a non-negative number').toFloat(),
+        validationResultHandler
+    ],
+    loadCustomItem,
+    async (req, res) => {
+        const { stage, comment, estimatedUnitCost } = req.body;
+        if (!hasPermission(req.user.access, STAGE_PERMISSIONS[stage])) {
+            return res.status(403).json({ error: `Access denied. Requires ${STAGE_PERMISSIONS[stage]}.` });
+        }
+
+        try {
+            const cartItem = await advanceApproval(req, req.cartItem, stage, { comment, estimatedUnitCost });
+            res.status(200).json(cartItem);
+        } catch (err) {
+            res.status(err.status || 500).json({ error: err.message });
+        }
+    }
+);
+
+// Comment on a custom item; the club sees the comments with its order (requires orders:manage)
+router.post('/:id/comments',
+    authMiddleware('orders:manage'),
+    validateIdParam,
+    [
+        body('text').isString().trim().notEmpty().withMessage('Comment text is required'),
+        validationResultHandler
+    ],
+    loadCustomItem,
+    async (req, res) => {
+        try {
+            const cartItem = await addAdminComment(req, req.cartItem, req.body.text);
+            res.status(201).json(cartItem);
+        } catch (err) {
+            res.status(err.status || 500).json({ error: err.message });
+        }
+    }
+);
+
+// Promote a custom item to an inventory item (requires inventory:write).
+// Send item_id to link it to an existing item, or the fields of a new one; itemName defaults to the custom item's name.
+router.post('/:id/promote',
+    authMiddleware('inventory:write'),
+    validateIdParam,
+    [
+        body('item_id').optional().isMongoId().withMessage('Invalid item ID'),
+        body('itemName').optional().isString().trim().notEmpty().withMessage('Item name must be a non-empty string'),
+        body('itemQuantity').optional().isInt({ min: 0 }).withMessage('Quantity must be a non-negative integer').toInt(),
+        body('category').optional().isString().trim().notEmpty().withMessage('Category must be a non-empty string'),
+        body('unit').optional().isIn(Inventory.UNITS).withMessage(`Unit must be one of ${Inventory.UNITS.join(', ')}`),
+        body('minOrderMultiple').optional().isInt({ min: 1 }).withMessage('Minimum order multiple must be a positive integer').toInt(),
+        body('unitCost').optional().isFloat({ min: 0 }).withMessage('Unit cost must be a non-negative number').toFloat(),
+        validationResultHandler
+    ],
+    loadCustomItem,
+    async (req, res) => {
+        const target = {};
+        for (const field of ['item_id', 'itemName', 'itemQuantity', 'category', 'unit', 'minOrderMultiple', 'unitCost']) {
+            if (req.body[field] !== undefined) {
+                target[field] = req.body[field];
+            }
+        }
+
+        try {
+            const { cartItem, inventory } = await promoteToInventory(req, req.cartItem, target);
+            res.status(200).json({ cartItem, inventory });
+        } catch (err) {
+            res.status(err.status || 500).json({ error: err.message });
+        }
+    }
+);
+
+module.exports = router;
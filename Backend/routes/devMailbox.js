@@ -0,0 +1,34 @@
+const express = require('express');
+const router = express.Router();
+const authMiddleware = require('../services/authMiddleware');
+const { getTransportName, listCapturedMails, clearCapturedMails } = require('../services/mailTransport');
+
+// Development only: mails captured by the file/console transports.
+// index.js mounts this router only when ENABLE_DEV_MAILBOX=1.
+
+// Captured mails hold verification and password reset codes (requires settings:manage)
+router.use(authMiddleware('settings:manage'));
+
+// List captured mails, newest first (optional ?to= filter)
+router.get('/', (req, res) => {
+    const to = (req.query.to || '').toLowerCase();
+    const mails = listCapturedMails().filter((mail) => !to || String(mail.to).toLowerCase() === to);
+    res.status(200).json({ transport: getTransportName(), mails });
+});
+
+// Get one captured mail
+router.get('/:id', (req, res) => {
+    const mail = listCapturedMails().find((captured) => captured.id === req.params.id);
+    if (!mail) {
+        return res.status(404).json({ error: 'Mail not found' });
+    }
+    res.status(200).json(mail);
+});
+
+// Empty the mailbox
+router.delete('/', (req, res) => {
+    clearCapturedMails();
+    res.status(200).json({ message: 'Mailbox cleared' });
+});
+
+module.exports = router;
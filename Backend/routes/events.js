@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router();
+const { apiLimiter } = require('../services/rateLimiters');
+const authMiddleware = require('../services/authMiddleware');
+const { openStream } = require('../services/liveUpdates');
+
+// Rate limiter for event routes; a stream counts once per (re)connect
+router.use(apiLimiter);
+
+// Server-sent events for the logged-in user (any role): cart, cart-item and inventory changes,
+// scoped by role and club (see services/liveUpdates.js)
+router.get('/', authMiddleware(), (req, res) => {
+    openStream(req, res);
+});
+
+module.exports = router;
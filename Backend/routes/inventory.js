@@ -1,29 +1,57 @@
 const express = require('express');
 const router = express.Router();
 const { body, param, validationResult } = require('express-validator');
-const rateLimit = require('express-rate-limit');
 const morgan = require('morgan');
 const helmet = require('helmet');
 const cors = require('cors');
 const Inventory = require('../models/inventory');
 const authMiddleware = require('../services/authMiddleware');
 const CartItem = require('../models/cartItem');
+const Season = require('../models/season');
+const { recordAudit, snapshot } = require('../services/auditLog');
+const { apiLimiter } = require('../services/rateLimiters');
+const { getActiveSeason } = require('../services/seasons');
+const { getReorderSuggestions } = require('../services/reorderSuggestions');
+const StockMovement = require('../models/stockMovement');
+const { postMovement, adjustStock, setStock, ledgerQuantity } = require('../services/stockLedger');
+const { sortForDisplay, nextSortRank, saveDisplayOrder } = require('../services/displayOrder');
+const { publishInventoryChange, publishCartItemChange } = require('../services/liveUpdates');
 
 
-// Rate limiter to prevent brute-force attacks
-const apiLimiter = rateLimit({
-    windowMs: 15 * 60 * 1000, // 15 minutes
-    max: 100000 // Limit each IP to 100 requests per `window`
-});
-
 // Middleware to validate and sanitize inputs
 const validateInventoryInput = [
-    body('itemQuantity').isInt({ min: 0 }).withMessage('Quantity must be a positive integer').toInt(),
+    body('itemQuantity').optional().isInt({ min: 0 }).withMessage('Quantity must be a positive integer').toInt(),
     body('itemStatus').isIn(['enabled', 'disabled']).withMessage('Invalid status'),
     // body('itemName').trim().escape().notEmpty().withMessage('Name is required'),
+    body('category').optional().isString().trim().notEmpty().withMessage('Category must be a non-empty string'),
+    body('unit').optional().isIn(Inventory.UNITS).withMessage(`Unit must be one of ${Inventory.UNITS.join(', ')}`),
+    body('sku').optional({ values: 'null' }).isString().trim().isLength({ max: 64 }).withMessage('SKU must be at most 64 characters'),
+    body('storageLocation').optional({ values: 'null' }).isString().trim().withMessage('Storage location must be a string'),
+    body('minOrderMultiple').optional().isInt({ min: 1 }).withMessage('Minimum order multiple must be a positive integer').toInt(),
+    body('unitCost').optional().isFloat({ min: 0 }).withMessage('Unit cost must be a non-negative number').toFloat(),
+    body('reorderThreshold').optional().isInt({ min: 0 }).withMessage('Reorder threshold must be a non-negative integer').toInt(),
+    body('purchasePackSize').optional().isInt({ min: 1 }).withMessage('Purchase pack size must be a positive integer').toInt(),
+    body('returnable').optional().isBoolean().withMessage('Returnable must be true or false').toBoolean(),
+    body('photoUrl').optional({ values: 'falsy' }).isURL({ protocols: ['http', 'https'], require_protocol: true }).withMessage('Photo URL must be an http(s) URL'),
     validationResultHandler
 ];
 
+// Item metadata present in the request body; empty optional text fields clear the stored value
+const OPTIONAL_TEXT_FIELDS = ['sku', 'storageLocation', 'photoUrl'];
+const pickItemMetadata = (body) => {
+    const metadata = {};
+    for (const field of ['category', 'unit', 'minOrderMultiple', 'unitCost', 'reorderThreshold', 'purchasePackSize', 'returnable', ...OPTIONAL_TEXT_FIELDS]) {
+        if (body[field] !== undefined) {
+            metadata[field] = OPTIONAL_TEXT_FIELDS.includes(field) && !body[field] ? null : body[field];
+        }
+    }
+    return metadata;
+};
+
+const duplicateKeyMessage = (err) => (err.keyPattern && err.keyPattern.sku
+    ? 'SKU must be unique. Another item already uses it.'
+    : null);
+
 // Middleware to validate ID parameter
 const validateIdParam = [
     param('id').isMongoId().withMessage('Invalid ID format'),
@@ -39,60 +67,164 @@ function validationResultHandler(req, res, next) {
     next();
 }
 
-// Route to create a new inventory item (restricted to bosslevel)
-router.post('/inventory', authMiddleware('bosslevel'), apiLimiter, validateInventoryInput, async (req, res) => {
-    const { itemQuantity, itemStatus, itemName } = req.body;
+// Route to create a new inventory item (requires inventory:write).
+// The starting quantity is booked as an opening receipt in the stock ledger.
+router.post('/inventory', authMiddleware('inventory:write'), apiLimiter, validateInventoryInput, async (req, res) => {
+    const { itemQuantity = 0, itemStatus, itemName } = req.body;
     try {
-        const newInventory = new Inventory({
-            itemQuantity,
+        let newInventory = new Inventory({
+            itemQuantity: 0,
             itemStatus,
-            itemName
+            itemName,
+            ...pickItemMetadata(req.body),
+            sortRank: await nextSortRank()
         });
 
         await newInventory.save();
+        if (itemQuantity > 0) {
+            newInventory = await postMovement(req, newInventory._id, { type: 'receipt', quantity: itemQuantity, reason: 'Opening stock' });
+        }
+        await recordAudit(req, { entityType: 'Inventory', entityId: newInventory._id, after: newInventory });
+        publishInventoryChange(newInventory._id);
         res.status(201).json(newInventory);
     } catch (err) {
         if (err.code && err.code === 11000) { // MongoDB duplicate key error code
-            res.status(400).json({ error: 'Item name must be unique. This item already exists.' });
+            res.status(400).json({ error: duplicateKeyMessage(err) || 'Item name must be unique. This item already exists.' });
         } else {
             res.status(500).json({ error: 'Internal Server Error' });
         }
     }
 });
 
-// Route to get all inventory items (restricted to bosslevel)
-router.get('/inventory', authMiddleware('bosslevel'), apiLimiter, async (req, res) => {
+// Route to get all inventory items in display order, optionally of one category (requires inventory:read)
+router.get('/inventory', authMiddleware('inventory:read'), apiLimiter, async (req, res) => {
+    try {
+        const filter = typeof req.query.category === 'string' && req.query.category ? { category: req.query.category } : {};
+        const items = await Inventory.find(filter);
+        res.status(200).json(sortForDisplay(items));
+    } catch (err) {
+        res.status(500).json({ error: 'Internal Server Error' });
+    }
+});
+
+// Route to get all enabled inventory items in display order (requires inventory:browse)
+router.get('/inventory/user', authMiddleware('inventory:browse'), apiLimiter, async (req, res) => {
     try {
-        const items = await Inventory.find();
-        res.status(200).json(items);
+        const items = await Inventory.find({"itemStatus":"enabled"}, 'itemName itemStatus category unit minOrderMultiple photoUrl unitCost returnable sortRank');
+        res.status(200).json(sortForDisplay(items));
     } catch (err) {
         res.status(500).json({ error: 'Internal Server Error' });
     }
 });
 
-// Route to get all inventory items (restricted to user)
-router.get('/inventory/user', authMiddleware('user'), apiLimiter, async (req, res) => {
+// Categories in use and the units items can be counted in, for the item forms (requires inventory:read)
+router.get('/inventory/categories', authMiddleware('inventory:read'), apiLimiter, async (req, res) => {
     try {
-        const items = await Inventory.find({"itemStatus":"enabled"}, 'itemName itemStatus');
-        res.status(200).json(items);
+        const categories = await Inventory.distinct('category');
+        res.status(200).json({ categories: categories.filter(Boolean).sort(), units: Inventory.UNITS });
     } catch (err) {
         res.status(500).json({ error: 'Internal Server Error' });
     }
 });
 
-// Route to delete an inventory item (restricted to bosslevel)
-router.delete('/inventory/:id', authMiddleware('bosslevel'), apiLimiter, validateIdParam, async (req, res) => {
+// Items to buy, grouped by vendor, for the running season's open orders (requires purchasing:manage)
+router.get('/reorder-suggestions', authMiddleware('purchasing:manage'), apiLimiter, async (req, res) => {
+    try {
+        const season = await getActiveSeason();
+        const vendors = await getReorderSuggestions(season);
+        res.status(200).json({ season: season ? season.name : null, generatedAt: new Date(), vendors });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// An item's stock movements, newest first, with the quantity they add up to (requires inventory:read)
+router.get('/inventory/:id/movements', authMiddleware('inventory:read'), apiLimiter, validateIdParam, async (req, res) => {
+    try {
+        const inventory = await Inventory.findById(req.params.id, 'itemName itemQuantity unit');
+        if (!inventory) {
+            return res.status(404).json({ error: 'Item not found' });
+        }
+
+        const [movements, quantity] = await Promise.all([
+            StockMovement.find({ item_id: inventory._id }).sort({ at: -1 }).limit(500),
+            ledgerQuantity(inventory._id)
+        ]);
+        res.status(200).json({ item: inventory, ledgerQuantity: quantity, movements });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Post a stock correction with a reason: a signed adjustment after a count, or a write-off of damaged/lost units (requires inventory:write)
+router.post('/inventory/:id/movements',
+    authMiddleware('inventory:write'),
+    apiLimiter,
+    validateIdParam,
+    [
+        body('type').isIn(['adjustment', 'write-off']).withMessage('Type must be adjustment or write-off'),
+        body('quantity').isInt().withMessage('Quantity must be a whole number').toInt(),
+        body('reason').isString().trim().notEmpty().withMessage('A reason is required'),
+        validationResultHandler
+    ],
+    async (req, res) => {
+        try {
+            const before = await Inventory.findById(req.params.id);
+            const { type, quantity, reason } = req.body;
+            const inventory = await adjustStock(req, req.params.id, { type, quantity, reason });
+            await recordAudit(req, { entityType: 'Inventory', entityId: inventory._id, before, after: inventory });
+            res.status(201).json(inventory);
+        } catch (err) {
+            res.status(err.status || 500).json({ error: err.message });
+        }
+    }
+);
+
+// Reorder the item lists: itemIds in the new display order, grouped by category (requires settings:manage)
+router.put('/inventory/display-order',
+    authMiddleware('settings:manage'),
+    apiLimiter,
+    [
+        body('itemIds').isArray({ min: 1 }).withMessage('itemIds must be a non-empty array'),
+        body('itemIds.*').isMongoId().withMessage('Invalid item ID'),
+        validationResultHandler
+    ],
+    async (req, res) => {
+        try {
+            const items = await saveDisplayOrder(req, req.body.itemIds);
+            publishInventoryChange(items.map((item) => item._id));
+            res.status(200).json(items);
+        } catch (err) {
+            res.status(err.status || 500).json({ error: err.message });
+        }
+    }
+);
+
+// Route to delete an inventory item (requires inventory:write)
+router.delete('/inventory/:id', authMiddleware('inventory:write'), apiLimiter, validateIdParam, async (req, res) => {
     const { id } = req.params;
     const retardId = id.toString();
     try {
+        // Orders in closed seasons are archived and keep their lines
+        const closedSeasonIds = await Season.find({ status: 'closed' }).distinct('_id');
+        const cartItemFilter = { item_id: retardId, season: { $nin: closedSeasonIds } };
+
+        const cartItems = await CartItem.find(cartItemFilter);
         const [deletedItem, deletecartitem] = await Promise.all([
             Inventory.findByIdAndDelete(id),
-            CartItem.deleteMany({item_id:retardId})
+            CartItem.deleteMany(cartItemFilter)
         ]);
     
         if (!deletedItem) {
             return res.status(404).json({ message: "Item not found" });
         }
+
+        await recordAudit(req, { entityType: 'Inventory', entityId: deletedItem._id, before: deletedItem });
+        for (const cartItem of cartItems) {
+            await recordAudit(req, { entityType: 'CartItem', entityId: cartItem._id, before: cartItem });
+            await publishCartItemChange(cartItem);
+        }
+        publishInventoryChange(deletedItem._id);
     
         res.status(200).json({ 
             message: "Item deleted successfully", 
@@ -105,18 +237,25 @@ router.delete('/inventory/:id', authMiddleware('bosslevel'), apiLimiter, validat
     
 });
 
-// Route to edit an inventory item (name, status, and quantity) by item ID (restricted to bosslevel)
-router.put('/inventory/:id', authMiddleware('bosslevel'), apiLimiter, validateIdParam, validateInventoryInput, async (req, res) => {
+// Route to edit an inventory item (name, status and metadata) by item ID (requires inventory:write).
+// A changed itemQuantity is booked as an adjustment in the stock ledger rather than overwritten.
+router.put('/inventory/:id', authMiddleware('inventory:write'), apiLimiter, validateIdParam, validateInventoryInput, async (req, res) => {
     const { id } = req.params;
     const { itemName, itemStatus, itemQuantity } = req.body;
 
     try {
-        const updatedItem = await Inventory.findByIdAndUpdate(
+        const existingItem = await Inventory.findById(id);
+        if (!existingItem) {
+            return res.status(404).json({ message: "Item not found" });
+        }
+
+        // Name and details first: a duplicate name fails here, before any stock has moved
+        let updatedItem = await Inventory.findByIdAndUpdate(
             id,
             { 
                 itemName, 
                 itemStatus, 
-                itemQuantity 
+                ...pickItemMetadata(req.body)
             },
             { new: true }
         );
@@ -125,10 +264,19 @@ router.put('/inventory/:id', authMiddleware('bosslevel'), apiLimiter, validateId
             return res.status(404).json({ message: "Item not found" });
         }
 
+        if (itemQuantity !== undefined && itemQuantity !== updatedItem.itemQuantity) {
+            updatedItem = await setStock(req, id, itemQuantity, 'Quantity edited on the item');
+        }
+
+        await recordAudit(req, { entityType: 'Inventory', entityId: updatedItem._id, before: existingItem, after: updatedItem });
+        publishInventoryChange(updatedItem._id);
+
         res.status(200).json({ message: "Item updated successfully", updatedItem });
     } catch (err) {
         if (err.code && err.code === 11000) { // MongoDB duplicate key error code
-            res.status(400).json({ error: 'Item name must be unique. This name already exists.' });
+            res.status(400).json({ error: duplicateKeyMessage(err) || 'Item name must be unique. This name already exists.' });
+        } else if (err.status) {
+            res.status(err.status).json({ error: err.message });
         } else {
             res.status(500).json({ error: 'Internal Server Error' });
         }
@@ -137,7 +285,12 @@ router.put('/inventory/:id', authMiddleware('bosslevel'), apiLimiter, validateId
 
 
 router.put('/update-inventory-items',
-    authMiddleware('bosslevel'),
+    authMiddleware('inventory:write'),
+    [
+        body().isArray().withMessage('Send an array of inventory updates'),
+        body('*.itemOrderedStatus').optional().custom(Inventory.isItemOrderedStatus).withMessage('Ordered status must be Available, Not Available or Ordered from <vendor>'),
+        validationResultHandler
+    ],
     async (req, res) => {
         try {
             const items  = req.body;
@@ -153,6 +306,7 @@ router.put('/update-inventory-items',
                 if (!inventory) {
                     throw new Error(`inventory item with ID ${_id} not found.`);
                 }
+                const before = snapshot(inventory);
 
                 // Update status and remarks if provided
                 if (itemOrderedStatus !== undefined) {
@@ -164,11 +318,14 @@ router.put('/update-inventory-items',
                 }
 
                 // Save the updated inventory item
-                return inventory.save();
+                const savedInventory = await inventory.save();
+                await recordAudit(req, { entityType: 'Inventory', entityId: savedInventory._id, before, after: savedInventory });
+                return savedInventory;
             });
 
             // Execute all update promises
             const updatedInventoryItems = await Promise.all(updatePromises);
+            publishInventoryChange(updatedInventoryItems.map((item) => item._id));
 
             res.status(200).json(updatedInventoryItems);
         } catch (err) {
@@ -0,0 +1,167 @@
+const express = require('express');
+const router = express.Router();
+const { body, param, query, validationResult } = require('express-validator');
+const { apiLimiter } = require('../services/rateLimiters');
+const Loan = require('../models/loan');
+const User = require('../models/user');
+const authMiddleware = require('../services/authMiddleware');
+const { canViewForUser } = require('../services/roles');
+const { checkOut, checkIn } = require('../services/loans');
+const { recordAudit, snapshot } = require('../services/auditLog');
+
+// Rate limiter for loan routes
+router.use(apiLimiter);
+
+// Handle validation errors
+function validationResultHandler(req, res, next) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+    next();
+}
+
+const validateIdParam = [
+    param('id').isMongoId().withMessage('Invalid ID format'),
+    validationResultHandler
+];
+
+// open: anything still out; overdue: open and past its due date; returned: fully accounted for
+const LOAN_VIEWS = {
+    open: () => ({ status: { $ne: 'returned' } }),
+    overdue: () => ({ status: { $ne: 'returned' }, dueAt: { $lt: new Date() } }),
+    returned: () => ({ status: 'returned' }),
+    all: () => ({})
+};
+
+const findLoans = (filter) => Loan.find(filter)
+    .populate('userId', 'clubName cordName mobile')
+    .sort({ dueAt: 1 });
+
+// List loans across clubs, soonest due first; ?view=open|overdue|returned|all, ?userId= (requires orders:read).
+// Loans are not limited to a season: tools lent for one fest can still be out in the next.
+router.get('/',
+    authMiddleware('orders:read'),
+    [
+        query('view').optional().isIn(Object.keys(LOAN_VIEWS)).withMessage(`View must be one of ${Object.keys(LOAN_VIEWS).join(', ')}`),
+        query('userId').optional().isMongoId().withMessage('Invalid user ID'),
+        validationResultHandler
+    ],
+    async (req, res) => {
+        try {
+            const filter = LOAN_VIEWS[req.query.view || 'open']();
+            if (req.query.userId) {
+                filter.userId = req.query.userId;
+            }
+            res.status(200).json(await findLoans(filter));
+        } catch (err) {
+            res.status(500).json({ error: err.message });
+        }
+    }
+);
+
+// A club's own loans, open ones first; clubs can see their own
+router.get('/club/:userId',
+    authMiddleware(),
+    [
+        param('userId').isMongoId().withMessage('Invalid user ID'),
+        validationResultHandler
+    ],
+    async (req, res) => {
+        if (!canViewForUser(req, req.params.userId)) {
+            return res.status(403).json({ error: 'You can only view your own club\'s loans.' });
+        }
+
+        try {
+            const loans = await findLoans({ userId: req.params.userId });
+            loans.sort((a, b) => (a.status === 'returned') - (b.status === 'returned'));
+            res.status(200).json(loans);
+        } catch (err) {
+            res.status(500).json({ error: err.message });
+        }
+    }
+);
+
+// Lend a returnable item to a club without an order; the units leave stock now (requires orders:manage)
+router.post('/',
+    authMiddleware('orders:manage'),
+    [
+        body('userId').isMongoId().withMessage('Invalid user ID'),
+        body('item_id').isMongoId().withMessage('Invalid item ID'),
+        body('quantity').isInt({ min: 1 }).withMessage('Quantity must be a positive integer').toInt(),
+        body('dueAt').optional().isISO8601().withMessage('Due date must be a date').toDate(),
+        validationResultHandler
+    ],
+    async (req, res) => {
+        try {
+            const user = await User.findById(req.body.userId);
+            if (!user) {
+                return res.status(404).json({ error: 'User not found' });
+            }
+
+            const loan = await checkOut(req, {
+                userId: user._id,
+                item_id: req.body.item_id,
+                quantity: req.body.quantity,
+                dueAt: req.body.dueAt
+            });
+            res.status(201).json(loan);
+        } catch (err) {
+            res.status(err.status || 500).json({ error: err.message });
+        }
+    }
+);
+
+// Check units back in: returned ones are restocked, damaged and lost ones written off (requires orders:manage)
+router.post('/:id/check-in',
+    authMiddleware('orders:manage'),
+    validateIdParam,
+    [
+        body('returned').optional().isInt({ min: 0 }).withMessage('Returned must be a non-negative integer').toInt(),
+        body('damaged').optional().isInt({ min: 0 }).withMessage('Damaged must be a non-negative integer').toInt(),
+        body('lost').optional().isInt({ min: 0 }).withMessage('Lost must be a non-negative integer').toInt(),
+        body('notes').optional().isString().withMessage('Notes must be a string'),
+        validationResultHandler
+    ],
+    async (req, res) => {
+        try {
+            const loan = await Loan.findById(req.params.id);
+            if (!loan) {
+                return res.status(404).json({ error: 'Loan not found' });
+            }
+
+            const { returned, damaged, lost, notes } = req.body;
+            res.status(200).json(await checkIn(req, loan, { returned, damaged, lost, notes }));
+        } catch (err) {
+            res.status(err.status || 500).json({ error: err.message });
+        }
+    }
+);
+
+// Move a loan's due date (requires orders:manage)
+router.put('/:id',
+    authMiddleware('orders:manage'),
+    validateIdParam,
+    [
+        body('dueAt').isISO8601().withMessage('Due date must be a date').toDate(),
+        validationResultHandler
+    ],
+    async (req, res) => {
+        try {
+            const loan = await Loan.findById(req.params.id);
+            if (!loan) {
+                return res.status(404).json({ error: 'Loan not found' });
+            }
+
+            const before = snapshot(loan);
+            loan.dueAt = req.body.dueAt;
+            await loan.save();
+            await recordAudit(req, { entityType: 'Loan', entityId: loan._id, before, after: loan });
+            res.status(200).json(loan);
+        } catch (err) {
+            res.status(500).json({ error: err.message });
+        }
+    }
+);
+
+module.exports = router;
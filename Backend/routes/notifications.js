@@ -0,0 +1,96 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const { apiLimiter } = require('../services/rateLimiters');
+const User = require('../models/user');
+const authMiddleware = require('../services/authMiddleware');
+const { preferencesOf, listNotifications, markRead } = require('../services/notifications');
+const { recordAudit, snapshot } = require('../services/auditLog');
+
+// Rate limiter for notification routes
+router.use(apiLimiter);
+
+// Handle validation errors
+function validationResultHandler(req, res, next) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+    next();
+}
+
+// Every route acts on the logged-in user's own notifications, whatever their role
+
+// The latest notifications and the unread count
+router.get('/', authMiddleware(), async (req, res) => {
+    try {
+        res.status(200).json(await listNotifications(req.user.id));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Mark notifications read: the given ids, or all of them when ids is left out
+router.put('/read',
+    authMiddleware(),
+    [
+        body('ids').optional().isArray().withMessage('ids must be an array'),
+        body('ids.*').isMongoId().withMessage('Invalid notification ID'),
+        validationResultHandler
+    ],
+    async (req, res) => {
+        try {
+            await markRead(req.user.id, req.body.ids);
+            res.status(200).json(await listNotifications(req.user.id));
+        } catch (err) {
+            res.status(500).json({ error: err.message });
+        }
+    }
+);
+
+router.get('/preferences', authMiddleware(), async (req, res) => {
+    try {
+        const user = await User.findById(req.user.id, 'notificationPreferences');
+        if (!user) {
+            return res.status(404).json({ error: 'User not found.' });
+        }
+        res.status(200).json(preferencesOf(user));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Turn the order status mails and in-app notifications on or off
+router.put('/preferences',
+    authMiddleware(),
+    [
+        body('email').optional().isBoolean().withMessage('email must be a boolean').toBoolean(),
+        body('inApp').optional().isBoolean().withMessage('inApp must be a boolean').toBoolean(),
+        validationResultHandler
+    ],
+    async (req, res) => {
+        try {
+            const user = await User.findById(req.user.id);
+            if (!user) {
+                return res.status(404).json({ error: 'User not found.' });
+            }
+
+            const before = snapshot(user);
+            const preferences = preferencesOf(user);
+            for (const channel of ['email', 'inApp']) {
+                if (req.body[channel] !== undefined) {
+                    preferences[channel] = req.body[channel];
+                }
+            }
+            user.notificationPreferences = preferences;
+            await user.save();
+            await recordAudit(req, { entityType: 'User', entityId: user._id, before, after: user });
+
+            res.status(200).json(preferencesOf(user));
+        } catch (err) {
+            res.status(500).json({ error: err.message });
+        }
+    }
+);
+
+module.exports = router;
@@ -0,0 +1,135 @@
+const express = require('express');
+const router = express.Router();
+const { body, param, query, validationResult } = require('express-validator');
+const { apiLimiter } = require('../services/rateLimiters');
+const PurchaseOrder = require('../models/purchaseOrder');
+const authMiddleware = require('../services/authMiddleware');
+const { createPurchaseOrder, receivePurchaseOrder, closePurchaseOrder } = require('../services/purchaseOrders');
+
+// Rate limiter for purchase order routes
+router.use(apiLimiter);
+
+// Handle validation errors
+function validationResultHandler(req, res, next) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+    next();
+}
+
+const validateIdParam = [
+    param('id').isMongoId().withMessage('Invalid purchase order ID'),
+    validationResultHandler
+];
+
+// Load the purchase order named in the URL into req.purchaseOrder
+const loadPurchaseOrder = async (req, res, next) => {
+    try {
+        const purchaseOrder = await PurchaseOrder.findById(req.params.id);
+        if (!purchaseOrder) {
+            return res.status(404).json({ error: 'Purchase order not found.' });
+        }
+        req.purchaseOrder = purchaseOrder;
+        next();
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+};
+
+// List purchase orders, newest first (requires inventory:read)
+// Filters: status, vendor
+router.get('/',
+    authMiddleware('inventory:read'),
+    [
+        query('status').optional().isIn(PurchaseOrder.PURCHASE_ORDER_STATUSES).withMessage('Invalid status'),
+        query('vendor').optional().isMongoId().withMessage('Invalid vendor ID'),
+        validationResultHandler
+    ],
+    async (req, res) => {
+        const filter = {};
+        if (req.query.status) filter.status = req.query.status;
+        if (req.query.vendor) filter.vendor = req.query.vendor;
+
+        try {
+            const purchaseOrders = await PurchaseOrder.find(filter).populate('vendor', 'name leadTimeDays').sort({ number: -1 });
+            res.status(200).json(purchaseOrders);
+        } catch (err) {
+            res.status(500).json({ error: err.message });
+        }
+    }
+);
+
+// Get one purchase order (requires inventory:read)
+router.get('/:id', authMiddleware('inventory:read'), validateIdParam, async (req, res) => {
+    try {
+        const purchaseOrder = await PurchaseOrder.findById(req.params.id).populate('vendor');
+        if (!purchaseOrder) {
+            return res.status(404).json({ error: 'Purchase order not found.' });
+        }
+        res.status(200).json(purchaseOrder);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Raise a purchase order (requires purchasing:manage)
+// Each line names either an inventory item (item_id) or a club's custom cart item (cartItem)
+router.post('/',
+    authMiddleware('purchasing:manage'),
+    [
+        body('vendor').isMongoId().withMessage('Invalid vendor ID'),
+        body('lines').isArray({ min: 1 }).withMessage('Add at least one line'),
+        body('lines.*.item_id').optional({ values: 'null' }).isMongoId().withMessage('Invalid item ID'),
+        body('lines.*.cartItem').optional({ values: 'null' }).isMongoId().withMessage('Invalid cart item ID'),
+        body('lines.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be a positive integer').toInt(),
+        body('lines.*.unitCost').optional().isFloat({ min: 0 }).withMessage('Unit cost must be a non-negative number').toFloat(),
+        body('notes').optional({ values: 'null' }).isString(),
+        validationResultHandler
+    ],
+    async (req, res) => {
+        try {
+            const purchaseOrder = await createPurchaseOrder(req, {
+                vendorId: req.body.vendor,
+                lines: req.body.lines,
+                notes: req.body.notes
+            });
+            res.status(201).json(await purchaseOrder.populate('vendor', 'name leadTimeDays'));
+        } catch (err) {
+            res.status(err.status || 500).json({ error: err.message });
+        }
+    }
+);
+
+// Book received goods; inventory lines add to stock (requires purchasing:receive)
+router.post('/:id/receive',
+    authMiddleware('purchasing:receive'),
+    validateIdParam,
+    [
+        body('lines').isArray({ min: 1 }).withMessage('Receive at least one line'),
+        body('lines.*.lineId').isMongoId().withMessage('Invalid line ID'),
+        body('lines.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be a positive integer').toInt(),
+        validationResultHandler
+    ],
+    loadPurchaseOrder,
+    async (req, res) => {
+        try {
+            const purchaseOrder = await receivePurchaseOrder(req, req.purchaseOrder, req.body.lines);
+            res.status(200).json(await purchaseOrder.populate('vendor', 'name leadTimeDays'));
+        } catch (err) {
+            res.status(err.status || 500).json({ error: err.message });
+        }
+    }
+);
+
+// Close a purchase order; nothing more is expected on it (requires purchasing:manage)
+router.post('/:id/close', authMiddleware('purchasing:manage'), validateIdParam, loadPurchaseOrder, async (req, res) => {
+    try {
+        const purchaseOrder = await closePurchaseOrder(req, req.purchaseOrder);
+        res.status(200).json(await purchaseOrder.populate('vendor', 'name leadTimeDays'));
+    } catch (err) {
+        res.status(err.status || 500).json({ error: err.message });
+    }
+});
+
+module.exports = router;
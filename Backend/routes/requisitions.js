@@ -0,0 +1,141 @@
+const express = require('express');
+const router = express.Router();
+const { body, param, query, validationResult } = require('express-validator');
+const Requisition = require('../models/requisition');
+const authMiddleware = require('../services/authMiddleware');
+const { requireOpenOrderWindow } = require('../services/orderWindow');
+const { canActForUser, canViewForUser, hasPermission } = require('../services/roles');
+const { submitRequisition, diffRequisitions } = require('../services/requisitions');
+const { apiLimiter } = require('../services/rateLimiters');
+const { resolveSeason, seasonFilter } = require('../services/seasons');
+
+// Rate limiter for requisition routes
+router.use(apiLimiter);
+
+// Handle validation errors
+function validationResultHandler(req, res, next) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+    next();
+}
+
+// Submit an order: inventory items and custom items in one numbered requisition (requires cart:submit)
+router.post('/',
+    authMiddleware('cart:submit'),
+    requireOpenOrderWindow,
+    [
+        body('userId').isMongoId().withMessage('Invalid user ID'),
+        body('items').optional().isArray().withMessage('Items must be an array'),
+        body('items.*.item_id').isMongoId().withMessage('Invalid item ID'),
+        body('items.*.ordered_quantity').isInt({ min: 1 }).withMessage('Ordered quantity must be a positive integer').toInt(),
+        body('customItems').optional().isArray().withMessage('Custom items must be an array'),
+        body('customItems.*.itemName').isString().trim().notEmpty().withMessage('Item name must be a string'),
+        body('customItems.*.ordered_quantity').isInt({ min: 1 }).withMessage('Ordered quantity must be a positive integer').toInt(),
+        body('customItems.*.link').optional({ values: 'falsy' }).isURL({ protocols: ['http', 'https'], require_protocol: true }).withMessage('Link must be an http(s) URL'),
+        body('customItems.*.estimatedUnitCost').optional().isFloat({ min: 0 }).withMessage('Estimated unit cost must be a non-negative number').toFloat(),
+        validationResultHandler
+    ],
+    async (req, res) => {
+        const { userId, items = [], customItems = [] } = req.body;
+
+        if (items.length === 0 && customItems.length === 0) {
+            return res.status(400).json({ error: 'Add at least one item to the order.' });
+        }
+
+        if (!canActForUser(req, userId)) {
+            return res.status(403).json({ error: 'You can only order for your own club.' });
+        }
+
+        try {
+            const { cart, requisition } = await submitRequisition(req, userId, { items, customItems });
+            res.status(201).json({ requisition, cart });
+        } catch (err) {
+            res.status(err.status || 500).json({ error: err.message });
+        }
+    }
+);
+
+// List requisitions, newest first. Clubs see their own; orders:read may list any club or all of them.
+router.get('/',
+    authMiddleware(),
+    [
+        query('userId').optional().isMongoId().withMessage('Invalid user ID'),
+        validationResultHandler
+    ],
+    async (req, res) => {
+        const { userId } = req.query;
+
+        if (userId ? !canViewForUser(req, userId) : !hasPermission(req.user.access, 'orders:read')) {
+            return res.status(403).json({ error: 'You can only view your own club\'s requisitions.' });
+        }
+
+        try {
+            // The running season unless ?season= asks for an archived one
+            const season = await resolveSeason(req);
+            const requisitions = await Requisition.find({ ...(userId ? { userId } : {}), ...seasonFilter(season) }).sort({ number: -1 });
+            res.status(200).json(requisitions);
+        } catch (err) {
+            res.status(err.status || 500).json({ error: err.message });
+        }
+    }
+);
+
+// Compare two requisitions item by item: ?from=<id>&to=<id>
+router.get('/diff',
+    authMiddleware(),
+    [
+        query('from').isMongoId().withMessage('Invalid requisition ID'),
+        query('to').isMongoId().withMessage('Invalid requisition ID'),
+        validationResultHandler
+    ],
+    async (req, res) => {
+        try {
+            const [from, to] = await Promise.all([
+                Requisition.findById(req.query.from),
+                Requisition.findById(req.query.to)
+            ]);
+            if (!from || !to) {
+                return res.status(404).json({ error: 'Requisition not found.' });
+            }
+            if (!canViewForUser(req, from.userId) || !canViewForUser(req, to.userId)) {
+                return res.status(403).json({ error: 'You can only view your own club\'s requisitions.' });
+            }
+
+            res.status(200).json({
+                from: { _id: from._id, number: from.number, submittedAt: from.submittedAt },
+                to: { _id: to._id, number: to.number, submittedAt: to.submittedAt },
+                items: diffRequisitions(from, to)
+            });
+        } catch (err) {
+            res.status(500).json({ error: err.message });
+        }
+    }
+);
+
+// Get one requisition
+router.get('/:id',
+    authMiddleware(),
+    [
+        param('id').isMongoId().withMessage('Invalid requisition ID'),
+        validationResultHandler
+    ],
+    async (req, res) => {
+        try {
+            const requisition = await Requisition.findById(req.params.id);
+            if (!requisition) {
+                return res.status(404).json({ error: 'Requisition not found.' });
+            }
+            if (!canViewForUser(req, requisition.userId)) {
+                return res.status(403).json({ error: 'You can only view your own club\'s requisitions.' });
+            }
+
+            res.status(200).json(requisition);
+        } catch (err) {
+            res.status(500).json({ error: err.message });
+        }
+    }
+);
+
+module.exports = router;
@@ -0,0 +1,91 @@
+const express = require('express');
+const router = express.Router();
+const { body, param, validationResult } = require('express-validator');
+const Season = require('../models/season');
+const authMiddleware = require('../services/authMiddleware');
+const { getActiveSeason, startSeason, closeSeason } = require('../services/seasons');
+const { apiLimiter } = require('../services/rateLimiters');
+
+// Rate limiter for season routes
+router.use(apiLimiter);
+
+// Handle validation errors
+function validationResultHandler(req, res, next) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+    next();
+}
+
+const validateIdParam = [
+    param('id').isMongoId().withMessage('Invalid season ID'),
+    validationResultHandler
+];
+
+// List all seasons, newest first, without their stock snapshots
+router.get('/', authMiddleware(), async (req, res) => {
+    try {
+        const seasons = await Season.find({}, '-openingStock -closingStock').sort({ startedAt: -1 });
+        res.status(200).json({ fests: Season.FESTS, seasons });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// The running season, or null between fests
+router.get('/active', authMiddleware(), async (req, res) => {
+    try {
+        const season = await getActiveSeason().select('-openingStock -closingStock');
+        res.status(200).json(season);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// One season with its opening and closing stock (requires orders:read)
+router.get('/:id', authMiddleware('orders:read'), validateIdParam, async (req, res) => {
+    try {
+        const season = await Season.findById(req.params.id);
+        if (!season) {
+            return res.status(404).json({ error: 'Season not found.' });
+        }
+        res.status(200).json(season);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Start a season (requires settings:manage)
+router.post('/',
+    authMiddleware('settings:manage'),
+    [
+        body('fest').isIn(Season.FESTS).withMessage(`Fest must be one of ${Season.FESTS.join(', ')}`),
+        body('year').isInt({ min: 2000, max: 2100 }).withMessage('Year must be a valid year').toInt(),
+        validationResultHandler
+    ],
+    async (req, res) => {
+        try {
+            const season = await startSeason(req, { fest: req.body.fest, year: req.body.year });
+            res.status(201).json(season);
+        } catch (err) {
+            res.status(err.status || 500).json({ error: err.message });
+        }
+    }
+);
+
+// Close a season and archive it (requires settings:manage)
+router.post('/:id/close', authMiddleware('settings:manage'), validateIdParam, async (req, res) => {
+    try {
+        const season = await Season.findById(req.params.id);
+        if (!season) {
+            return res.status(404).json({ error: 'Season not found.' });
+        }
+
+        res.status(200).json(await closeSeason(req, season));
+    } catch (err) {
+        res.status(err.status || 500).json({ error: err.message });
+    }
+});
+
+module.exports = router;
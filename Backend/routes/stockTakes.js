@@ -0,0 +1,157 @@
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const { body, param, validationResult } = require('express-validator');
+const { apiLimiter } = require('../services/rateLimiters');
+const StockTake = require('../models/stockTake');
+const authMiddleware = require('../services/authMiddleware');
+const { startStockTake, withVariances, recordCounts, parseCountSheet, postStockTake, cancelStockTake } = require('../services/stockTakes');
+const { recordAudit, snapshot } = require('../services/auditLog');
+
+// Count sheets are small, keep them in memory
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 2 * 1024 * 1024 } });
+
+// Rate limiter for stock-take routes
+router.use(apiLimiter);
+
+// Handle validation errors
+function validationResultHandler(req, res, next) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+    next();
+}
+
+const validateIdParam = [
+    param('id').isMongoId().withMessage('Invalid ID format'),
+    validationResultHandler
+];
+
+const findStockTake = async (req, res) => {
+    const stockTake = await StockTake.findById(req.params.id);
+    if (!stockTake) {
+        res.status(404).json({ error: 'Stock-take not found' });
+    }
+    return stockTake;
+};
+
+// List stock-takes, newest first, without their lines (requires inventory:read)
+router.get('/', authMiddleware('inventory:read'), async (req, res) => {
+    try {
+        const stockTakes = await StockTake.find({}, '-lines').sort({ startedAt: -1 });
+        res.status(200).json(stockTakes);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// A stock-take with its lines and their variances against the current stock (requires inventory:read)
+router.get('/:id', authMiddleware('inventory:read'), validateIdParam, async (req, res) => {
+    try {
+        const stockTake = await findStockTake(req, res);
+        if (!stockTake) return;
+        res.status(200).json(await withVariances(stockTake));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Start a count of every inventory item (requires inventory:write)
+router.post('/',
+    authMiddleware('inventory:write'),
+    [
+        body('label').optional({ values: 'falsy' }).isString().trim(),
+        validationResultHandler
+    ],
+    async (req, res) => {
+        try {
+            const stockTake = await startStockTake(req, { label: req.body.label || undefined });
+            await recordAudit(req, { entityType: 'StockTake', entityId: stockTake._id, after: stockTake });
+            res.status(201).json(await withVariances(stockTake));
+        } catch (err) {
+            res.status(err.status || 500).json({ error: err.message });
+        }
+    }
+);
+
+// Record counted quantities from a device; null clears a count (requires inventory:write).
+// Who counted what is kept on each line, so these writes are not audited one by one.
+router.put('/:id/counts',
+    authMiddleware('inventory:write'),
+    validateIdParam,
+    [
+        body('counts').isArray({ min: 1 }).withMessage('Counts must be a non-empty array'),
+        body('counts.*.item_id').isMongoId().withMessage('Invalid item ID'),
+        body('counts.*.countedQuantity').optional({ values: 'null' }).isInt({ min: 0 }).withMessage('Counted quantity must be a non-negative integer').toInt(),
+        validationResultHandler
+    ],
+    async (req, res) => {
+        try {
+            const stockTake = await findStockTake(req, res);
+            if (!stockTake) return;
+
+            const counts = req.body.counts.map(({ item_id, countedQuantity }) => ({ item_id, countedQuantity: countedQuantity ?? null }));
+            const { recorded, skipped } = await recordCounts(req, stockTake, counts);
+            res.status(200).json({ recorded, skipped });
+        } catch (err) {
+            res.status(err.status || 500).json({ error: err.message });
+        }
+    }
+);
+
+// Import a filled-in count sheet (.xlsx or .csv) exported from the stock-take screen (requires inventory:write).
+// Expected columns: Item ID (or Item) and Counted; rows with an empty Counted cell are skipped.
+router.post('/:id/import',
+    authMiddleware('inventory:write'),
+    upload.single('file'),
+    validateIdParam,
+    async (req, res) => {
+        if (!req.file) {
+            return res.status(400).json({ error: 'No file uploaded.' });
+        }
+
+        try {
+            const stockTake = await findStockTake(req, res);
+            if (!stockTake) return;
+
+            const { counts, rejected } = await parseCountSheet(stockTake, req.file.buffer, req.file.originalname);
+            const { recorded } = await recordCounts(req, stockTake, counts);
+            res.status(200).json({ recorded, rejected });
+        } catch (err) {
+            res.status(err.status || 400).json({ error: err.message });
+        }
+    }
+);
+
+// Post the reconciliation: every counted variance becomes a stock adjustment, in one transaction (requires inventory:write)
+router.post('/:id/post', authMiddleware('inventory:write'), validateIdParam, async (req, res) => {
+    try {
+        const stockTake = await findStockTake(req, res);
+        if (!stockTake) return;
+
+        const before = snapshot(stockTake);
+        const posted = await postStockTake(req, stockTake);
+        await recordAudit(req, { entityType: 'StockTake', entityId: posted._id, before, after: posted });
+        res.status(200).json(await withVariances(posted));
+    } catch (err) {
+        res.status(err.status || 500).json({ error: err.message });
+    }
+});
+
+// Cancel a count without changing any stock (requires inventory:write)
+router.post('/:id/cancel', authMiddleware('inventory:write'), validateIdParam, async (req, res) => {
+    try {
+        const stockTake = await findStockTake(req, res);
+        if (!stockTake) return;
+
+        const before = snapshot(stockTake);
+        const cancelled = await cancelStockTake(req, stockTake);
+        await recordAudit(req, { entityType: 'StockTake', entityId: cancelled._id, before, after: cancelled });
+        res.status(200).json(cancelled);
+    } catch (err) {
+        res.status(err.status || 500).json({ error: err.message });
+    }
+});
+
+module.exports = router;
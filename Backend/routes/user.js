@@ -1,64 +1,65 @@
 const express = require('express');
 const router = express.Router();
 const bcrypt = require('bcrypt');
-const jwt = require('jsonwebtoken');
 const User = require('../models/user');
 const VerificationCode = require('../models/verificationCode');
-const { body, validationResult } = require('express-validator');
-const rateLimit = require('express-rate-limit');
-const { sendVerificationEmail } = require('../services/sendGridService');
-const loadAllowedEmails = require('../services/loadAllowedEmails');
-
-// Rate limiter for registration and login routes
-const authRateLimiter = rateLimit({
-    windowMs: 15 * 60 * 1000, // 15 minutes
-    max: 100000, // Limit each IP to 5 requests per windowMs
-    message: 'Too many requests from this IP, please try again later.'
-});
-
-router.use(authRateLimiter);
-
-// Generate a random 6-digit verification code
-const generateVerificationCode = () => Math.floor(100000 + Math.random() * 900000).toString();
+const { body, param, validationResult } = require('express-validator');
+const { apiLimiter, loginLimiter, codeRequestLimiter, codeVerifyLimiter } = require('../services/rateLimiters');
+const { issueVerificationCode, checkVerificationCode } = require('../services/verificationCodes');
+const { getLoginLockRemaining, recordLoginFailure, clearLoginFailures } = require('../services/loginThrottle');
+const { sendVerificationEmail, sendPasswordResetEmail, sendRoleChangeEmail } = require('../services/sendGridService');
+const { findAllowedEmail } = require('../services/allowedEmails');
+const { recordAudit, snapshot } = require('../services/auditLog');
+const authMiddleware = require('../services/authMiddleware');
+const { ROLE_DEFINITIONS, ROLES } = require('../services/roles');
+const { createSession, rotateSession, revokeSessionByToken, revokeAllSessions, signAccessToken } = require('../services/sessions');
+const { disconnectUser } = require('../services/liveUpdates');
+
+// Rate limits per route group, see services/rateLimiters.js
+router.use(apiLimiter);
 
 // Route to request a verification code for registration
-router.post('/request-code', async (req, res) => {
+router.post('/request-code', codeRequestLimiter, async (req, res) => {
     const { email } = req.body;
-    const code = generateVerificationCode();
 
     try {
-        // Load allowed emails from the CSV file
-        const allowedEmails = await loadAllowedEmails();
-
-        // Check if the email is in the allowed list
-        if (!allowedEmails.includes(email)) {
+        // Check if the email is whitelisted (see /api/allowed-emails)
+        const allowedEmail = await findAllowedEmail(email);
+        if (!allowedEmail) {
             return res.status(403).json({ error: 'This email is not allowed to register.' });
         }
 
-        // Upsert the verification code for the email
-        await VerificationCode.findOneAndUpdate(
-            { email },
-            { code, createdAt: Date.now() },
-            { upsert: true, new: true }
-        );
-
+        const code = await issueVerificationCode(email);
         await sendVerificationEmail(email, code);
-        res.status(200).json({ message: 'Verification email sent.' });
+        // The club is bound to the email, the register form shows it read-only
+        res.status(200).json({ message: 'Verification email sent.', clubName: allowedEmail.clubName });
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        res.status(error.status || 500).json({ error: error.message });
     }
 });
 
 // Route to register a new user
-router.post('/register', async (req, res) => {
-    const { cordName, clubName, mobile, email, password, access, verificationCode } = req.body;
+router.post('/register', codeVerifyLimiter, async (req, res) => {
+    // `access` is deliberately not read from the body: roles are only granted by an admin
+    const { cordName, mobile, email, password, verificationCode } = req.body;
 
     try {
-        const storedVerificationCode = await VerificationCode.findOne({ email });
+        // Check if the verification code matches (wrong guesses are counted)
+        const codeError = await checkVerificationCode(email, verificationCode);
+        if (codeError) {
+            return res.status(400).json({ error: codeError });
+        }
 
-        // Check if the verification code matches
-        if (!storedVerificationCode || verificationCode !== storedVerificationCode.code) {
-            return res.status(400).json({ error: 'Invalid verification code.' });
+        // The email may have been removed from the whitelist since the code was sent
+        const allowedEmail = await findAllowedEmail(email);
+        if (!allowedEmail) {
+            return res.status(403).json({ error: 'This email is not allowed to register.' });
+        }
+
+        // A whitelisted email can only register for its own club
+        const clubName = allowedEmail.clubName;
+        if (req.body.clubName && req.body.clubName.trim().toLowerCase() !== clubName.toLowerCase()) {
+            return res.status(403).json({ error: `This email can only register for ${clubName}.` });
         }
 
         const existingUser = await User.findOne({ clubName: clubName });
@@ -69,31 +70,38 @@ router.post('/register', async (req, res) => {
         // Hash the password before saving the user
         const hashedPassword = await bcrypt.hash(password, 10);
 
-        // Create a new user with the provided access level, default to 'user' if not specified
+        // Every self-registered account is a club user
         const newUser = new User({
             cordName,
             clubName,
             mobile,
             email,
             password: hashedPassword,
-            access: access || 'user'
+            access: 'user'
         });
 
         await newUser.save();
+        await recordAudit(req, { entityType: 'User', entityId: newUser._id, after: newUser, actor: { id: newUser._id, email: newUser.email } });
 
         // Delete the verification code after successful registration
         await VerificationCode.deleteOne({ email });
 
-        res.status(201).json(newUser);
+        res.status(201).json({
+            id: newUser._id,
+            cordName: newUser.cordName,
+            clubName: newUser.clubName,
+            mobile: newUser.mobile,
+            email: newUser.email,
+            access: newUser.access
+        });
     } catch (err) {
         res.status(500).json({ error: err.message });
     }
 });
 
 // Route to request a verification code for password reset
-router.post('/request-code-pass-reset', async (req, res) => {
+router.post('/request-code-pass-reset', codeRequestLimiter, async (req, res) => {
     const { email } = req.body;
-    const code = generateVerificationCode();
 
     try {
         // Fetch the user by email
@@ -102,30 +110,23 @@ router.post('/request-code-pass-reset', async (req, res) => {
             return res.status(404).json({ error: 'User not found.' });
         }
 
-        // Upsert the verification code for the email
-        await VerificationCode.findOneAndUpdate(
-            { email },
-            { code, createdAt: Date.now() },
-            { upsert: true, new: true }
-        );
-
-        await sendVerificationEmail(email, code);
+        const code = await issueVerificationCode(email);
+        await sendPasswordResetEmail(email, code);
         res.status(200).json({ message: 'Otp for password reset sent.' });
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        res.status(error.status || 500).json({ error: error.message });
     }
 });
 
 // Route to reset password using the verification code
-router.put('/reset-password', async (req, res) => {
+router.put('/reset-password', codeVerifyLimiter, async (req, res) => {
     const { email, newPassword, verificationCode } = req.body;
 
     try {
-        const storedVerificationCode = await VerificationCode.findOne({ email });
-
-        // Check if the verification code matches
-        if (!storedVerificationCode || verificationCode !== storedVerificationCode.code) {
-            return res.status(400).json({ error: 'Invalid verification code.' });
+        // Check if the verification code matches (wrong guesses are counted)
+        const codeError = await checkVerificationCode(email, verificationCode);
+        if (codeError) {
+            return res.status(400).json({ error: codeError });
         }
 
         // Fetch the user by email
@@ -135,13 +136,26 @@ router.put('/reset-password', async (req, res) => {
         }
 
         // Hash the new password before updating
+        const before = snapshot(user);
         const hashedPassword = await bcrypt.hash(newPassword, 10);
         user.password = hashedPassword;
         await user.save();
+        // The password itself is redacted, so record the reset explicitly
+        await recordAudit(req, {
+            entityType: 'User',
+            entityId: user._id,
+            before: { ...before, passwordResetAt: null },
+            after: { ...snapshot(user), passwordResetAt: new Date() },
+            actor: { id: user._id, email: user.email }
+        });
 
         // Delete the verification code after successful password reset
         await VerificationCode.deleteOne({ email });
 
+        // Log out everywhere: whoever knew the old password loses their sessions too
+        await revokeAllSessions(user._id);
+        disconnectUser(user._id);
+
         res.status(200).json({ message: 'Password reset successful.' });
     } catch (err) {
         res.status(500).json({ error: err.message });
@@ -149,6 +163,7 @@ router.put('/reset-password', async (req, res) => {
 });
 
 router.post('/login',
+    loginLimiter,
     [
         body('email').isEmail().withMessage('Invalid email address'),
         body('password').isLength({ min: 5 }).withMessage('Password must be at least 6 characters long')
@@ -162,25 +177,33 @@ router.post('/login',
         const { email, password } = req.body;
 
         try {
+            // Locked after repeated failures for this account or this IP
+            const lockRemaining = await getLoginLockRemaining(email, req.ip);
+            if (lockRemaining > 0) {
+                const minutes = Math.ceil(lockRemaining / 60000);
+                res.set('Retry-After', String(Math.ceil(lockRemaining / 1000)));
+                return res.status(429).json({ message: `Too many failed login attempts. Try again in ${minutes} minute(s).` });
+            }
+
             const user = await User.findOne({ email });
             if (!user) {
+                await recordLoginFailure(email, req.ip);
                 return res.status(404).json({ message: 'User not found' });
             }
 
             const isMatch = await bcrypt.compare(password, user.password);
             if (!isMatch) {
+                await recordLoginFailure(email, req.ip);
                 return res.status(401).json({ message: 'Invalid credentials' });
             }
 
-            const token = jwt.sign(
-                { id: user._id, email: user.email },
-                process.env.JWT_SECRET,
-                { expiresIn: '1h' }
-            );
+            await clearLoginFailures(email);
+            const { token, refreshToken } = await createSession(user, req);
 
             res.status(200).json({
                 message: 'Login successful',
                 token,
+                refreshToken,
                 user: {
                     id: user._id,
                     cordName: user.cordName,
@@ -196,4 +219,156 @@ router.post('/login',
     }
 );
 
+// Exchange a refresh token for a new access token and a new (rotated) refresh token
+router.post('/refresh',
+    [body('refreshToken').isString().notEmpty().withMessage('Refresh token is required')],
+    async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        try {
+            const rotated = await rotateSession(req.body.refreshToken);
+            if (!rotated) {
+                return res.status(401).json({ message: 'Session has expired. Please login again.' });
+            }
+
+            const user = await User.findById(rotated.session.userId);
+            if (!user) {
+                return res.status(404).json({ message: 'User not found' });
+            }
+
+            res.status(200).json({
+                token: signAccessToken(user, rotated.session),
+                refreshToken: rotated.refreshToken,
+                user: {
+                    id: user._id,
+                    cordName: user.cordName,
+                    clubName: user.clubName,
+                    mobile: user.mobile,
+                    email: user.email,
+                    access : user.access
+                }
+            });
+        } catch (err) {
+            res.status(500).json({ error: err.message });
+        }
+    }
+);
+
+// Revoke the session behind a refresh token, or every session of its user with `everywhere: true`
+router.post('/logout',
+    [
+        body('refreshToken').isString().notEmpty().withMessage('Refresh token is required'),
+        body('everywhere').optional().isBoolean().withMessage('everywhere must be a boolean').toBoolean()
+    ],
+    async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        try {
+            const session = await revokeSessionByToken(req.body.refreshToken);
+
+            if (session && req.body.everywhere) {
+                await revokeAllSessions(session.userId);
+                disconnectUser(session.userId);
+            }
+
+            // Logging out twice is not an error
+            res.status(200).json({ message: 'Logged out.' });
+        } catch (err) {
+            res.status(500).json({ error: err.message });
+        }
+    }
+);
+
+// List the available roles and their permissions (requires users:manage)
+router.get('/roles', authMiddleware('users:manage'), (req, res) => {
+    res.status(200).json(ROLES.map(role => ({
+        role,
+        label: ROLE_DEFINITIONS[role].label,
+        inherits: ROLE_DEFINITIONS[role].inherits,
+        permissions: ROLE_DEFINITIONS[role].permissions
+    })));
+});
+
+// List all users without their password hashes (requires users:manage)
+router.get('/', authMiddleware('users:manage'), async (req, res) => {
+    try {
+        const users = await User.find({}, 'cordName clubName mobile email access').sort({ clubName: 1 });
+        res.status(200).json(users);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Promote/demote a user by assigning a role (requires users:manage).
+// The change is audited and the user is told by email.
+router.put('/:id/role',
+    authMiddleware('users:manage'),
+    [
+        param('id').isMongoId().withMessage('Invalid user ID'),
+        body('role').isIn(ROLES).withMessage(`Role must be one of: ${ROLES.join(', ')}`)
+    ],
+    async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const { id } = req.params;
+        const { role } = req.body;
+
+        try {
+            const user = await User.findById(id);
+            if (!user) {
+                return res.status(404).json({ error: 'User not found.' });
+            }
+
+            // Never leave the system without an admin
+            if (user.access === 'bosslevel' && role !== 'bosslevel') {
+                const adminCount = await User.countDocuments({ access: 'bosslevel' });
+                if (adminCount <= 1) {
+                    return res.status(400).json({ error: 'Cannot remove the last admin.' });
+                }
+            }
+
+            if (user.access === role) {
+                return res.status(400).json({ error: `User already has the ${ROLE_DEFINITIONS[role].label} role.` });
+            }
+
+            const before = snapshot(user);
+            user.access = role;
+            await user.save();
+            await recordAudit(req, { entityType: 'User', entityId: user._id, before, after: user });
+            // Open event streams reconnect and are scoped by the new role
+            disconnectUser(user._id);
+
+            // The role is already saved, a failed email should not undo it
+            try {
+                await sendRoleChangeEmail(user.email, {
+                    cordName: user.cordName,
+                    roleLabel: ROLE_DEFINITIONS[role].label,
+                    changedBy: req.user.email
+                });
+            } catch (emailError) {
+                console.error(emailError);
+            }
+
+            res.status(200).json({
+                id: user._id,
+                cordName: user.cordName,
+                clubName: user.clubName,
+                email: user.email,
+                access: user.access
+            });
+        } catch (err) {
+            res.status(500).json({ error: err.message });
+        }
+    }
+);
+
 module.exports = router;
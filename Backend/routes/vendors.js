@@ -0,0 +1,100 @@
+const express = require('express');
+const router = express.Router();
+const { body, param, validationResult } = require('express-validator');
+const { apiLimiter } = require('../services/rateLimiters');
+const Vendor = require('../models/vendor');
+const authMiddleware = require('../services/authMiddleware');
+const { recordAudit, snapshot } = require('../services/auditLog');
+
+// Rate limiter for vendor routes
+router.use(apiLimiter);
+
+// Handle validation errors
+function validationResultHandler(req, res, next) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+    next();
+}
+
+const validateIdParam = [
+    param('id').isMongoId().withMessage('Invalid ID format'),
+    validationResultHandler
+];
+
+const VENDOR_FIELDS = ['name', 'contactName', 'email', 'phone', 'leadTimeDays', 'notes', 'active'];
+
+const vendorFields = (optional) => {
+    const maybe = (chain) => (optional ? chain.optional() : chain);
+    return [
+        maybe(body('name')).isString().trim().notEmpty().withMessage('Vendor name is required'),
+        body('contactName').optional({ values: 'null' }).isString().trim(),
+        body('email').optional({ values: 'falsy' }).isEmail().withMessage('A valid email is required').trim().toLowerCase(),
+        body('phone').optional({ values: 'null' }).isString().trim(),
+        body('leadTimeDays').optional().isInt({ min: 0 }).withMessage('Lead time must be a non-negative number of days').toInt(),
+        body('notes').optional({ values: 'null' }).isString(),
+        body('active').optional().isBoolean().withMessage('Active must be true or false').toBoolean(),
+        validationResultHandler
+    ];
+};
+
+// List vendors, active ones first (requires inventory:read)
+router.get('/', authMiddleware('inventory:read'), async (req, res) => {
+    try {
+        const vendors = await Vendor.find().sort({ active: -1, name: 1 });
+        res.status(200).json(vendors);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Add a vendor (requires purchasing:manage)
+router.post('/', authMiddleware('purchasing:manage'), vendorFields(false), async (req, res) => {
+    try {
+        const vendor = new Vendor();
+        for (const field of VENDOR_FIELDS) {
+            if (req.body[field] !== undefined) {
+                vendor[field] = req.body[field];
+            }
+        }
+
+        await vendor.save();
+        await recordAudit(req, { entityType: 'Vendor', entityId: vendor._id, after: vendor });
+        res.status(201).json(vendor);
+    } catch (err) {
+        if (err.code === 11000) {
+            return res.status(409).json({ error: 'A vendor with this name already exists.' });
+        }
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Update a vendor; set active to false to retire it (requires purchasing:manage)
+// Items already marked 'Ordered from <old name>' keep that label after a rename
+router.put('/:id', authMiddleware('purchasing:manage'), validateIdParam, vendorFields(true), async (req, res) => {
+    try {
+        const vendor = await Vendor.findById(req.params.id);
+        if (!vendor) {
+            return res.status(404).json({ error: 'Vendor not found' });
+        }
+
+        const before = snapshot(vendor);
+        for (const field of VENDOR_FIELDS) {
+            if (req.body[field] !== undefined) {
+                vendor[field] = req.body[field];
+            }
+        }
+
+        await vendor.save();
+        await recordAudit(req, { entityType: 'Vendor', entityId: vendor._id, before, after: vendor });
+        res.status(200).json(vendor);
+    } catch (err) {
+        if (err.code === 11000) {
+            return res.status(409).json({ error: 'A vendor with this name already exists.' });
+        }
+        res.status(500).json({ error: err.message });
+    }
+});
+
+module.exports = router;
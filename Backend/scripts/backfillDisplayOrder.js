@@ -0,0 +1,43 @@
+// Give items a starting display order: run once when deploying the saved display order.
+//
+//   npm run backfill-display-order
+//
+// The item lists used to pin brushes and paints to the top; this stores that as ranks so the lists look
+// the same until a coordinator reorders them. The pinned items come first, in the order below, then
+// everything else by category and name. Items are still grouped by category on screen.
+// Refuses when items already have ranks, so a saved order is not overwritten by accident; items added
+// since the deploy have one too, so pass --force to replace the order anyway.
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const Inventory = require('../models/inventory');
+const { sortForDisplay, saveDisplayOrder } = require('../services/displayOrder');
+
+// Name prefixes of the items the lists pinned, top first
+const PINNED_PREFIXES = ['Brush Round', 'Brush Flat', 'Paint (15 ml)', 'Paint (500 ml)'];
+
+// saveDisplayOrder records audit entries, which expect an Express request; describe the CLI run instead
+const cliRequest = { method: 'CLI', originalUrl: 'scripts/backfillDisplayOrder.js', user: { email: 'backfill-cli' } };
+
+const backfillDisplayOrder = async () => {
+    const items = sortForDisplay(await Inventory.find({}, 'itemName category sortRank'));
+
+    if (!process.argv.includes('--force') && items.some((item) => item.sortRank)) {
+        throw new Error('Items already have a display order. Run with --force to replace it.');
+    }
+
+    const pinned = PINNED_PREFIXES.flatMap((prefix) => items.filter((item) => item.itemName.startsWith(prefix)));
+    const ordered = await saveDisplayOrder(cliRequest, pinned.map((item) => item._id));
+    console.log(`Pinned ${pinned.length} item(s) and ranked ${ordered.length} item(s) in all.`);
+};
+
+mongoose.connect(process.env.MONGO_URI)
+    .then(backfillDisplayOrder)
+    .then(() => mongoose.disconnect())
+    .catch(async (err) => {
+        console.error(err.message);
+        await mongoose.disconnect();
+        process.exit(1);
+    });
@@ -0,0 +1,47 @@
+// Give every item's stock a starting point in the movement ledger.
+//
+//   npm run backfill-stock-ledger
+//
+// Items whose quantity does not match the sum of their movements (every item from before the
+// ledger existed) get one adjustment for the difference. itemQuantity itself is left alone.
+// Safe to run again: matching items are skipped.
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const Inventory = require('../models/inventory');
+const StockMovement = require('../models/stockMovement');
+const { ledgerQuantity } = require('../services/stockLedger');
+
+const backfillStockLedger = async () => {
+    const items = await Inventory.find({}, 'itemName itemQuantity');
+    let posted = 0;
+
+    for (const item of items) {
+        const difference = item.itemQuantity - await ledgerQuantity(item._id);
+        if (difference === 0) continue;
+
+        const hasMovements = await StockMovement.exists({ item_id: item._id });
+        await StockMovement.create({
+            item_id: item._id,
+            type: 'adjustment',
+            quantity: difference,
+            balanceAfter: item.itemQuantity,
+            reason: hasMovements ? 'Reconciled with the stored quantity' : 'Opening balance',
+            by: { email: 'backfill-cli' }
+        });
+        posted++;
+        console.log(`${item.itemName}: ${difference > 0 ? '+' : ''}${difference}`);
+    }
+    console.log(`Posted ${posted} movement(s) for ${items.length} item(s).`);
+};
+
+mongoose.connect(process.env.MONGO_URI)
+    .then(backfillStockLedger)
+    .then(() => mongoose.disconnect())
+    .catch(async (err) => {
+        console.error(err.message);
+        await mongoose.disconnect();
+        process.exit(1);
+    });
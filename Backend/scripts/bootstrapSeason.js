@@ -0,0 +1,46 @@
+// Prepare the database for seasons: run once when deploying them, before clubs place orders.
+//
+//   npm run bootstrap-season -- OASIS 2024
+//
+// Rebuilds the cart indexes (carts used to be unique per user, now per user and season), starts the
+// given season when none exists yet, and files carts, cart items and requisitions from before seasons
+// under the running season, or the first one when none is running. Safe to run again: data that already
+// has a season is left alone, and the fest and year are only needed while no season exists.
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const Season = require('../models/season');
+const Cart = require('../models/Cart');
+const { getActiveSeason, fileUnseasonedData, startSeason } = require('../services/seasons');
+
+// startSeason and recordAudit expect an Express request; describe the CLI run instead
+const cliRequest = { method: 'CLI', originalUrl: 'scripts/bootstrapSeason.js', user: { email: 'bootstrap-cli' } };
+
+const bootstrapSeason = async () => {
+    await Cart.syncIndexes();
+    console.log('Cart indexes are up to date.');
+
+    let season = (await getActiveSeason()) || (await Season.findOne().sort({ startedAt: 1 }));
+    if (!season) {
+        const [fest, year] = process.argv.slice(2);
+        if (!Season.FESTS.includes(fest) || !Number.isInteger(Number(year))) {
+            throw new Error(`No season exists yet. Name the first one, e.g. npm run bootstrap-season -- ${Season.FESTS[0]} ${new Date().getFullYear()}`);
+        }
+        season = await startSeason(cliRequest, { fest, year: Number(year) });
+        console.log(`Started ${season.name}.`);
+    }
+
+    const filed = await fileUnseasonedData(season);
+    console.log(`Filed ${filed.carts} cart(s), ${filed.cartItems} cart item(s) and ${filed.requisitions} requisition(s) under ${season.name}.`);
+};
+
+mongoose.connect(process.env.MONGO_URI)
+    .then(bootstrapSeason)
+    .then(() => mongoose.disconnect())
+    .catch(async (err) => {
+        console.error(err.message);
+        await mongoose.disconnect();
+        process.exit(1);
+    });
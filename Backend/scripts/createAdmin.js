@@ -0,0 +1,75 @@
+// Bootstrap the first admin account.
+//
+//   BOOTSTRAP_ADMIN_EMAIL=someone@pilani.bits-pilani.ac.in npm run create-admin
+//
+// If a user with that email exists it is promoted to bosslevel. Otherwise a new
+// account is created, which also needs BOOTSTRAP_ADMIN_PASSWORD and optionally
+// BOOTSTRAP_ADMIN_NAME, BOOTSTRAP_ADMIN_CLUB and BOOTSTRAP_ADMIN_MOBILE.
+// Refuses to run once an admin exists unless called with --force.
+const mongoose = require('mongoose');
+const bcrypt = require('bcrypt');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const User = require('../models/user');
+const { recordAudit, snapshot } = require('../services/auditLog');
+
+// recordAudit expects an Express request; describe the CLI run instead
+const cliRequest = { method: 'CLI', originalUrl: 'scripts/createAdmin.js' };
+const cliActor = { email: 'bootstrap-cli' };
+
+const createAdmin = async () => {
+    const email = process.env.BOOTSTRAP_ADMIN_EMAIL;
+    const force = process.argv.includes('--force');
+
+    if (!email) {
+        throw new Error('Set BOOTSTRAP_ADMIN_EMAIL to the email of the first admin.');
+    }
+
+    const adminCount = await User.countDocuments({ access: 'bosslevel' });
+    if (adminCount > 0 && !force) {
+        throw new Error(`${adminCount} admin(s) already exist. Promote users from the admin UI, or pass --force.`);
+    }
+
+    const existingUser = await User.findOne({ email });
+
+    if (existingUser) {
+        if (existingUser.access === 'bosslevel') {
+            console.log(`${email} is already an admin.`);
+            return;
+        }
+
+        const before = snapshot(existingUser);
+        existingUser.access = 'bosslevel';
+        await existingUser.save();
+        await recordAudit(cliRequest, { entityType: 'User', entityId: existingUser._id, before, after: existingUser, actor: cliActor });
+        console.log(`Promoted ${email} to admin.`);
+        return;
+    }
+
+    const password = process.env.BOOTSTRAP_ADMIN_PASSWORD;
+    if (!password) {
+        throw new Error(`No user with email ${email}. Set BOOTSTRAP_ADMIN_PASSWORD to create one.`);
+    }
+
+    const newUser = await User.create({
+        cordName: process.env.BOOTSTRAP_ADMIN_NAME || 'ADP Admin',
+        clubName: process.env.BOOTSTRAP_ADMIN_CLUB || 'ADP',
+        mobile: process.env.BOOTSTRAP_ADMIN_MOBILE || '0000000000',
+        email,
+        password: await bcrypt.hash(password, 10),
+        access: 'bosslevel'
+    });
+    await recordAudit(cliRequest, { entityType: 'User', entityId: newUser._id, after: newUser, actor: cliActor });
+    console.log(`Created admin account ${email}.`);
+};
+
+mongoose.connect(process.env.MONGO_URI)
+    .then(createAdmin)
+    .then(() => mongoose.disconnect())
+    .catch(async (err) => {
+        console.error(err.message);
+        await mongoose.disconnect();
+        process.exit(1);
+    });
@@ -0,0 +1,99 @@
+const AllowedEmail = require('../models/allowedEmail');
+const { parseSheetFile } = require('./sheetFiles');
+
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+// Find the whitelist entry for an email, ignoring expired ones
+const findAllowedEmail = async (email, now = new Date()) => {
+    const normalized = normalizeEmail(email);
+    if (!normalized) return null;
+
+    return AllowedEmail.findOne({
+        email: normalized,
+        $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }]
+    });
+};
+
+// Header names vary between sheets ("Club Name", "club", "clubName"), so compare them loosely
+const HEADER_ALIASES = {
+    email: 'email',
+    emailid: 'email',
+    clubname: 'clubName',
+    club: 'clubName',
+    fest: 'fest',
+    expiresat: 'expiresAt',
+    expiry: 'expiresAt'
+};
+
+const normalizeRow = (row) => {
+    const normalized = {};
+    for (const [key, value] of Object.entries(row)) {
+        const field = HEADER_ALIASES[key.toLowerCase().replace(/[^a-z]/g, '')];
+        if (field && value !== undefined && value !== null && String(value).trim() !== '') {
+            normalized[field] = value instanceof Date ? value : String(value).trim();
+        }
+    }
+    return normalized;
+};
+
+// Read whitelist rows from an uploaded .csv or .xlsx file
+const parseAllowedEmailFile = async (buffer, filename) => {
+    const rows = await parseSheetFile(buffer, filename);
+    if (!rows) {
+        throw new Error('Upload a .csv or .xlsx file.');
+    }
+
+    return rows.map(normalizeRow);
+};
+
+// Upsert whitelist rows. `fest` and `expiresAt` fill in rows that do not set them.
+// Returns the created and updated documents (with their previous state) and the rejected rows.
+const importAllowedEmails = async (rows, { fest, expiresAt, addedBy } = {}) => {
+    const created = [];
+    const updated = [];
+    const skipped = [];
+
+    for (const [index, row] of rows.entries()) {
+        // Spreadsheet row numbers, counting the header row
+        const rowNumber = index + 2;
+        const email = normalizeEmail(row.email);
+
+        if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+            skipped.push({ row: rowNumber, email: row.email || '', error: 'Invalid or missing email' });
+            continue;
+        }
+        if (!row.clubName) {
+            skipped.push({ row: rowNumber, email, error: 'Missing club name' });
+            continue;
+        }
+
+        const rowExpiresAt = row.expiresAt ? new Date(row.expiresAt) : expiresAt;
+        if (rowExpiresAt && isNaN(rowExpiresAt.getTime())) {
+            skipped.push({ row: rowNumber, email, error: 'Invalid expiry date' });
+            continue;
+        }
+
+        const existing = await AllowedEmail.findOne({ email });
+        if (existing) {
+            const before = existing.toObject();
+            existing.clubName = row.clubName;
+            existing.fest = row.fest || fest || existing.fest;
+            existing.expiresAt = rowExpiresAt || existing.expiresAt;
+            await existing.save();
+            updated.push({ before, after: existing });
+        } else {
+            const allowedEmail = await AllowedEmail.create({
+                email,
+                clubName: row.clubName,
+                fest: row.fest || fest,
+                expiresAt: rowExpiresAt,
+                addedBy
+            });
+            created.push(allowedEmail);
+        }
+    }
+
+    return { created, updated, skipped };
+};
+
+module.exports = { normalizeEmail, findAllowedEmail, parseAllowedEmailFile, importAllowedEmails };
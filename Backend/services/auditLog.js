@@ -0,0 +1,66 @@
+const AuditLog = require('../models/auditLog');
+
+// Never copy these into the audit trail
+const REDACTED_FIELDS = ['password', 'code', '__v'];
+
+// Turn a mongoose document (or plain object) into a plain JSON-safe object without secrets
+const snapshot = (doc) => {
+    if (!doc) return null;
+
+    const plain = typeof doc.toObject === 'function' ? doc.toObject({ depopulate: true }) : { ...doc };
+    for (const field of REDACTED_FIELDS) {
+        delete plain[field];
+    }
+
+    return JSON.parse(JSON.stringify(plain));
+};
+
+// List the top-level fields that differ between two snapshots
+const diffSnapshots = (before, after) => {
+    const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+    const diff = [];
+
+    for (const field of fields) {
+        const from = before ? before[field] : undefined;
+        const to = after ? after[field] : undefined;
+
+        if (JSON.stringify(from) !== JSON.stringify(to)) {
+            diff.push({ field, from: from === undefined ? null : from, to: to === undefined ? null : to });
+        }
+    }
+
+    return diff;
+};
+
+// Record a write in the audit trail.
+// Auditing must never break the request itself, so failures are only logged.
+// `actor` defaults to the user decoded from the JWT by authMiddleware.
+const recordAudit = async (req, { entityType, entityId, before = null, after = null, actor }) => {
+    try {
+        const beforeSnapshot = snapshot(before);
+        const afterSnapshot = snapshot(after);
+        const action = !beforeSnapshot ? 'create' : (!afterSnapshot ? 'delete' : 'update');
+        const diff = diffSnapshots(beforeSnapshot, afterSnapshot);
+
+        // Nothing changed, nothing to record
+        if (action === 'update' && diff.length === 0) return;
+
+        const who = actor || req.user || {};
+
+        await AuditLog.create({
+            actor: { id: who.id, email: who.email },
+            method: req.method,
+            route: req.originalUrl,
+            action,
+            entityType,
+            entityId: String(entityId),
+            before: beforeSnapshot,
+            after: afterSnapshot,
+            diff
+        });
+    } catch (err) {
+        console.error('Failed to write audit log:', err);
+    }
+};
+
+module.exports = { recordAudit, snapshot, diffSnapshots };
@@ -1,7 +1,12 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/user');
+const Session = require('../models/session');
+const { isSessionActive } = require('./sessions');
+const { hasPermission } = require('./roles');
 
-const authMiddleware = (requiredAccess = 'user') => {
+// Authenticate the request and, when `requiredPermission` is given, check that the
+// user's role (or a role it inherits) grants it. See services/roles.js.
+const authMiddleware = (requiredPermission) => {
     return async (req, res, next) => {
         const token = req.header('Authorization')?.replace('Bearer ', '');
 
@@ -13,15 +18,24 @@ const authMiddleware = (requiredAccess = 'user') => {
             const decoded = jwt.verify(token, process.env.JWT_SECRET);
             req.user = decoded;
 
+            // Reject tokens whose session was logged out or revoked (e.g. after a password reset)
+            const session = decoded.sid ? await Session.findById(decoded.sid) : null;
+            if (!isSessionActive(session)) {
+                return res.status(401).json({ message: 'Session has been revoked. Please login again.' });
+            }
+
             const user = await User.findById(req.user.id);
             if (!user) {
                 return res.status(404).json({ message: 'User not found.' });
             }
 
-            if (user.access !== requiredAccess) {
+            if (requiredPermission && !hasPermission(user.access, requiredPermission)) {
                 return res.status(403).json({ message: 'Access denied.' });
             }
 
+            // Routes read the current role from here rather than trusting the token
+            req.user.access = user.access;
+
             next();
         } catch (err) {
             if (err.name === 'TokenExpiredError') {
@@ -0,0 +1,133 @@
+const Cart = require('../models/Cart');
+const CartItem = require('../models/cartItem');
+const Inventory = require('../models/inventory');
+const { snapshot } = require('./auditLog');
+const { linkHostOf } = require('./customItems');
+
+// Merge a club's submission into its cart for `season`: quantities of items already in the cart are
+// added up, new items get a CartItem. Returns the cart, one line per submitted item for the requisition,
+// and the audit entries of the changes for the caller to record once its transaction has committed.
+//   items:       [{ item_id, ordered_quantity }]
+//   customItems: [{ itemName, ordered_quantity, link, estimatedUnitCost }]
+const submitToCart = async (req, userId, season, { items = [], customItems = [] }, { session } = {}) => {
+    // Look every inventory item up first so an unknown ID doesn't leave a half-submitted order
+    const inventoryItems = await Inventory.find({ _id: { $in: items.map((item) => item.item_id) } }).session(session || null);
+    const inventoryById = new Map(inventoryItems.map((inventoryItem) => [inventoryItem._id.toString(), inventoryItem]));
+    for (const item of items) {
+        const inventoryItem = inventoryById.get(String(item.item_id));
+        if (!inventoryItem) {
+            throw Object.assign(new Error(`Item with ID ${item.item_id} not found in inventory`), { status: 404 });
+        }
+
+        const multiple = inventoryItem.minOrderMultiple || 1;
+        if (item.ordered_quantity % multiple !== 0) {
+            throw Object.assign(new Error(`${inventoryItem.itemName} is ordered in multiples of ${multiple} ${inventoryItem.unit || 'pcs'}.`), { status: 400 });
+        }
+    }
+
+    let cart = await Cart.findOne({ userId, season: season._id }).session(session || null);
+
+    if (!cart) {
+        cart = new Cart({
+            userId,
+            season: season._id,
+            cartItems: []
+        });
+    }
+
+    const lines = [];
+    const audits = [];
+
+    for (const item of items) {
+        const inventoryItem = inventoryById.get(String(item.item_id));
+
+        let cartItem = await CartItem.findOne({
+            cart: cart._id,
+            item_id: item.item_id
+        }).session(session || null);
+
+        if (cartItem) {
+            const before = snapshot(cartItem);
+            cartItem.ordered_quantity += item.ordered_quantity;
+
+            await cartItem.save({ session });
+            audits.push({ entityType: 'CartItem', entityId: cartItem._id, before, after: snapshot(cartItem) });
+        } else {
+            cartItem = new CartItem({
+                cart: cart._id,
+                season: season._id,
+                item_id: item.item_id,
+                itemName: inventoryItem.itemName,
+                ordered_quantity: item.ordered_quantity,
+                estimatedUnitCost: inventoryItem.unitCost || 0   // Price at the time of ordering
+            });
+
+            await cartItem.save({ session });
+            audits.push({ entityType: 'CartItem', entityId: cartItem._id, after: snapshot(cartItem) });
+            cart.cartItems.push(cartItem._id);
+        }
+
+        lines.push({
+            cartItem: cartItem._id,
+            item_id: String(item.item_id),
+            itemName: inventoryItem.itemName,
+            ordered_quantity: item.ordered_quantity
+        });
+    }
+
+    for (const { itemName, ordered_quantity, link, estimatedUnitCost } of customItems) {
+        // Check if the custom item already exists in the cart
+        let cartItem = await CartItem.findOne({
+            cart: cart._id,
+            itemName: itemName,  // Matching by name since it's a custom item
+            item_id: { $exists: false }  // Ensuring it's a custom item with no item_id
+        }).session(session || null);
+
+        if (cartItem) {
+            // If it exists, update the quantity and link
+            const before = snapshot(cartItem);
+            cartItem.ordered_quantity += ordered_quantity;
+
+            if (link !== undefined) {
+                cartItem.link = link;
+                cartItem.linkHost = linkHostOf(link);
+            }
+
+            if (estimatedUnitCost !== undefined) {
+                cartItem.estimatedUnitCost = estimatedUnitCost;
+            }
+
+            await cartItem.save({ session });
+            audits.push({ entityType: 'CartItem', entityId: cartItem._id, before, after: snapshot(cartItem) });
+        } else {
+            // If it doesn't exist, create a new CartItem
+            cartItem = new CartItem({
+                cart: cart._id,
+                season: season._id,
+                item_id: null,  // No item_id since it's a custom item
+                itemName,
+                ordered_quantity,
+                link,  // Store the provided link
+                linkHost: linkHostOf(link),
+                estimatedUnitCost,
+                approvalStatus: 'requested'
+            });
+
+            await cartItem.save({ session });
+            audits.push({ entityType: 'CartItem', entityId: cartItem._id, after: snapshot(cartItem) });
+            cart.cartItems.push(cartItem._id);
+        }
+
+        lines.push({ cartItem: cartItem._id, item_id: null, itemName, ordered_quantity, link });
+    }
+
+    const isNewCart = cart.isNew;
+    await cart.save({ session });
+    if (isNewCart) {
+        audits.push({ entityType: 'Cart', entityId: cart._id, after: snapshot(cart) });
+    }
+
+    return { cart, lines, audits };
+};
+
+module.exports = { submitToCart };
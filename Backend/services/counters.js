@@ -0,0 +1,14 @@
+const Counter = require('../models/counter');
+
+// Next number of a named sequence (1, 2, 3...). The increment is atomic, so numbers are never reused.
+// Pass a `session` to take the number inside a transaction, so an aborted one does not use a number up.
+const nextSequence = async (name, { session } = {}) => {
+    const counter = await Counter.findOneAndUpdate(
+        { _id: name },
+        { $inc: { seq: 1 } },
+        { upsert: true, new: true, session }
+    );
+    return counter.seq;
+};
+
+module.exports = { nextSequence };
@@ -0,0 +1,78 @@
+// Purchase lifecycle of a custom cart item (something the store does not stock), next to its order status.
+// Every stage change goes through here. 'converted' is reached only by promoting the item to inventory,
+// which may happen at any stage, e.g. when the request turns out to duplicate a stocked item.
+const APPROVAL_TRANSITIONS = {
+    requested: ['approved', 'converted'],
+    approved: ['purchased', 'requested', 'converted'],     // Back to requested withdraws the approval
+    purchased: ['received', 'converted'],
+    received: ['converted'],
+    converted: []
+};
+
+const APPROVAL_STAGES = Object.keys(APPROVAL_TRANSITIONS);
+
+// Who may move an item into each stage by hand
+const STAGE_PERMISSIONS = {
+    requested: 'purchasing:manage',
+    approved: 'purchasing:manage',
+    purchased: 'purchasing:manage',
+    received: 'purchasing:receive'
+};
+
+const approvalError = (message, status) => Object.assign(new Error(message), { status });
+
+// Custom items from before the approval flow count as requested
+const stageOf = (cartItem) => cartItem.approvalStatus || 'requested';
+
+// Check that a custom cart item may move to `to`. Returns null when it is already there.
+// Throws (status 400/409) on unknown stages, inventory items, rejected items and illegal transitions.
+const planApproval = (cartItem, to) => {
+    if (!APPROVAL_STAGES.includes(to)) {
+        throw approvalError(`Invalid stage "${to}". Use one of: ${APPROVAL_STAGES.join(', ')}.`, 400);
+    }
+    if (cartItem.item_id && to !== 'converted') {
+        throw approvalError(`${cartItem.itemName} is an inventory item and needs no approval.`, 409);
+    }
+    if (cartItem.status === 'Rejected') {
+        throw approvalError(`${cartItem.itemName} was rejected and cannot be bought.`, 409);
+    }
+
+    const from = stageOf(cartItem);
+    if (from === to) return null;
+
+    if (!APPROVAL_TRANSITIONS[from].includes(to)) {
+        const allowed = APPROVAL_TRANSITIONS[from];
+        throw approvalError(
+            allowed.length > 0
+                ? `Cannot move ${cartItem.itemName} from ${from} to ${to}. Allowed: ${allowed.join(', ')}.`
+                : `Cannot move ${cartItem.itemName} from ${from} to ${to}; it is already in the inventory.`,
+            409
+        );
+    }
+
+    return to;
+};
+
+// Move a custom cart item to a stage already checked by planApproval and record who did it
+const applyApproval = (cartItem, to, { actor, comment } = {}) => {
+    const from = stageOf(cartItem);
+    const by = actor ? { id: actor.id, email: actor.email } : undefined;
+    const at = new Date();
+
+    cartItem.approvalStatus = to;
+    cartItem.approvalHistory.push({ from, to, at, by, comment: comment ? comment.trim() : undefined });
+    if (comment && comment.trim()) {
+        cartItem.adminComments.push({ at, by, text: comment.trim() });
+    }
+
+    return cartItem;
+};
+
+module.exports = {
+    APPROVAL_STAGES,
+    APPROVAL_TRANSITIONS,
+    STAGE_PERMISSIONS,
+    stageOf,
+    planApproval,
+    applyApproval
+};
@@ -0,0 +1,138 @@
+const Inventory = require('../models/inventory');
+const { planApproval, applyApproval } = require('./customItemApproval');
+const { assertSeasonWritable } = require('./seasons');
+const { recordAudit, snapshot } = require('./auditLog');
+const { postMovement } = require('./stockLedger');
+const { nextSortRank } = require('./displayOrder');
+const { publishCartItemChange, publishInventoryChange } = require('./liveUpdates');
+
+const customItemError = (message, status) => Object.assign(new Error(message), { status });
+
+// Host part of an ordering link ('https://www.amazon.in/dp/…' -> 'www.amazon.in'); undefined when it is not a URL
+const linkHostOf = (link) => {
+    if (!link) return undefined;
+    try {
+        return new URL(link).hostname || undefined;
+    } catch (err) {
+        return undefined;
+    }
+};
+
+// Compare names ignoring case, spacing and punctuation: 'Fevicol (1kg)' matches 'fevicol 1 kg'
+const normalizeName = (name) => String(name).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Inventory items a custom item may duplicate: same name, or one name contained in the other.
+// Returns a Map of custom item name -> [{ _id, itemName }].
+const findInventoryDuplicates = async (itemNames) => {
+    const inventories = await Inventory.find({}, 'itemName');
+    const normalized = inventories.map(inventory => ({ inventory, key: normalizeName(inventory.itemName) }));
+
+    const duplicates = new Map();
+    for (const itemName of new Set(itemNames)) {
+        const key = normalizeName(itemName);
+        if (key.length < 3) continue;
+
+        const matches = normalized
+            .filter(candidate => candidate.key.length >= 3 && (candidate.key.includes(key) || key.includes(candidate.key)))
+            .map(({ inventory }) => ({ _id: inventory._id, itemName: inventory.itemName }));
+        if (matches.length > 0) {
+            duplicates.set(itemName, matches);
+        }
+    }
+    return duplicates;
+};
+
+// Move a custom cart item through the approval flow, optionally updating its estimated price
+const advanceApproval = async (req, cartItem, stage, { comment, estimatedUnitCost } = {}) => {
+    await assertSeasonWritable(cartItem.season);
+
+    const to = planApproval(cartItem, stage);
+    if (!to && estimatedUnitCost === undefined && !comment) {
+        return cartItem;
+    }
+
+    const before = snapshot(cartItem);
+    if (to) {
+        applyApproval(cartItem, to, { actor: req.user, comment });
+    } else if (comment) {
+        cartItem.adminComments.push({ by: { id: req.user.id, email: req.user.email }, text: comment.trim() });
+    }
+    if (estimatedUnitCost !== undefined) {
+        cartItem.estimatedUnitCost = estimatedUnitCost;
+    }
+
+    await cartItem.save();
+    await recordAudit(req, { entityType: 'CartItem', entityId: cartItem._id, before, after: cartItem });
+    await publishCartItemChange(cartItem);
+    return cartItem;
+};
+
+// Leave a note on a custom cart item without changing its stage
+const addAdminComment = async (req, cartItem, text) => {
+    await assertSeasonWritable(cartItem.season);
+
+    const before = snapshot(cartItem);
+    cartItem.adminComments.push({ by: { id: req.user.id, email: req.user.email }, text: text.trim() });
+    await cartItem.save();
+    await recordAudit(req, { entityType: 'CartItem', entityId: cartItem._id, before, after: cartItem });
+    await publishCartItemChange(cartItem);
+    return cartItem;
+};
+
+// Turn a custom cart item into an inventory item: link it to an existing item (a duplicate),
+// or create a new one from `fields`. The cart item's item_id is rewired either way, so from now on
+// its allotments come out of that item's stock. Items with units allotted cannot be promoted.
+//   target: { item_id } | { itemName, itemQuantity, ...item metadata }
+const promoteToInventory = async (req, cartItem, target) => {
+    await assertSeasonWritable(cartItem.season);
+    if (cartItem.item_id) {
+        throw customItemError(`${cartItem.itemName} is already an inventory item.`, 409);
+    }
+    // Units allotted to a custom item never came out of stock; once linked, taking them back would
+    // return them to the item's stock as if they had
+    if (cartItem.allotted_quantity > 0) {
+        throw customItemError(`${cartItem.itemName} has ${cartItem.allotted_quantity} allotted. Take the allotment back before promoting it.`, 409);
+    }
+    planApproval(cartItem, 'converted');
+
+    let inventory;
+    if (target.item_id) {
+        inventory = await Inventory.findById(target.item_id);
+        if (!inventory) {
+            throw customItemError(`Item with ID ${target.item_id} not found in inventory`, 404);
+        }
+    } else {
+        inventory = new Inventory({
+            ...target,
+            itemName: target.itemName || cartItem.itemName,
+            itemQuantity: 0,
+            unitCost: target.unitCost ?? cartItem.actualUnitCost ?? cartItem.estimatedUnitCost ?? 0,
+            sortRank: await nextSortRank()
+        });
+        try {
+            await inventory.save();
+        } catch (err) {
+            if (err.code === 11000) {
+                throw customItemError(`${inventory.itemName} is already in the inventory; link the item to it instead.`, 409);
+            }
+            throw err;
+        }
+        // Units already in the store are booked as an opening receipt
+        if (target.itemQuantity > 0) {
+            inventory = await postMovement(req, inventory._id, { type: 'receipt', quantity: target.itemQuantity, reason: 'Opening stock' });
+        }
+        await recordAudit(req, { entityType: 'Inventory', entityId: inventory._id, after: inventory });
+    }
+
+    const before = snapshot(cartItem);
+    cartItem.item_id = inventory._id.toString();
+    applyApproval(cartItem, 'converted', { actor: req.user, comment: `Promoted to inventory item ${inventory.itemName}` });
+    await cartItem.save();
+    await recordAudit(req, { entityType: 'CartItem', entityId: cartItem._id, before, after: cartItem });
+    await publishCartItemChange(cartItem);
+    publishInventoryChange(inventory._id);
+
+    return { cartItem, inventory };
+};
+
+module.exports = { linkHostOf, findInventoryDuplicates, advanceApproval, addAdminComment, promoteToInventory };
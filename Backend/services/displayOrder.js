@@ -0,0 +1,57 @@
+const Inventory = require('../models/inventory');
+const { recordAudit, snapshot } = require('./auditLog');
+
+// Items never reordered share rank 0 and fall back to category and name
+const byRank = (a, b) => (a.sortRank || 0) - (b.sortRank || 0)
+    || (a.category || '').localeCompare(b.category || '')
+    || a.itemName.localeCompare(b.itemName);
+
+// Items in the order clubs and coordinators see them: grouped by category, groups in the order of
+// their best-ranked item, items by sortRank inside each group.
+// Works on anything with itemName, category and sortRank, e.g. the cart item summary rows.
+const sortForDisplay = (items) => {
+    const groups = new Map();
+    for (const item of [...items].sort(byRank)) {
+        const category = item.category || 'Uncategorised';
+        if (!groups.has(category)) {
+            groups.set(category, []);
+        }
+        groups.get(category).push(item);
+    }
+    return [...groups.values()].flat();
+};
+
+// New items go to the end of the list
+const nextSortRank = async () => {
+    const last = await Inventory.findOne({}, 'sortRank').sort({ sortRank: -1 });
+    return last ? (last.sortRank || 0) + 1 : 0;
+};
+
+// Store a new display order. `itemIds` is the order from the drag-to-reorder screen; items it leaves
+// out keep their current order after the listed ones. Ranks are rewritten as 0, 1, 2...
+// Returns the items in their new order.
+const saveDisplayOrder = async (req, itemIds) => {
+    const items = sortForDisplay(await Inventory.find());
+    const itemsById = new Map(items.map((item) => [item._id.toString(), item]));
+
+    const unknown = itemIds.filter((id) => !itemsById.has(String(id)));
+    if (unknown.length > 0) {
+        throw Object.assign(new Error(`Items not found: ${unknown.join(', ')}`), { status: 404 });
+    }
+
+    const listed = new Set(itemIds.map(String));
+    const ordered = [...new Set(itemIds.map(String))].map((id) => itemsById.get(id))
+        .concat(items.filter((item) => !listed.has(item._id.toString())));
+
+    for (const [rank, item] of ordered.entries()) {
+        if (item.sortRank === rank) continue;
+
+        const before = snapshot(item);
+        item.sortRank = rank;
+        await item.save();
+        await recordAudit(req, { entityType: 'Inventory', entityId: item._id, before, after: item });
+    }
+    return sortForDisplay(ordered);
+};
+
+module.exports = { sortForDisplay, nextSortRank, saveDisplayOrder };
@@ -0,0 +1,99 @@
+const Cart = require('../models/Cart');
+const { hasPermission } = require('./roles');
+
+// Server-sent events that tell open screens something changed. Events only say what changed (and, for a
+// club's own items, the new status); screens re-read through the normal routes, which check permissions.
+// Subscribers live in this process's memory, so every instance only reaches the clients connected to it.
+
+// Besides the club an event is about, who receives it
+const EVENT_PERMISSIONS = {
+    cart: 'orders:read',           // A club submitted, or an admin removed items or the whole cart
+    'cart-item': 'orders:read',    // Allotment, status, approval or remarks of one cart item
+    inventory: 'inventory:browse', // Stock, details or display order of inventory items
+    notification: null             // New in-app notifications, only for the user they are for
+};
+
+// Proxies drop connections that stay silent for too long
+const HEARTBEAT_MS = 25 * 1000;
+
+const clients = new Set();
+
+const send = (res, event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+// Turn the response into an event stream for the user authenticated by authMiddleware. The stream
+// ends when the access token that opened it expires; the client then reconnects with a fresh token,
+// so a logged-out or demoted user stops receiving events within one token lifetime.
+const openStream = (req, res) => {
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    const client = { res, userId: String(req.user.id), access: req.user.access };
+    clients.add(client);
+    send(res, 'ready', { userId: client.userId });
+
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_MS);
+    const expiry = req.user.exp ? setTimeout(() => res.end(), req.user.exp * 1000 - Date.now()) : null;
+
+    res.on('close', () => {
+        clearInterval(heartbeat);
+        clearTimeout(expiry);
+        clients.delete(client);
+    });
+};
+
+// Deliver an event to everyone allowed to see it: roles with the event's permission and, when
+// `userId` is given, that club itself
+const publish = (event, data, { userId } = {}) => {
+    const permission = EVENT_PERMISSIONS[event];
+    for (const client of clients) {
+        if (hasPermission(client.access, permission) || (userId && client.userId === String(userId))) {
+            send(client.res, event, data);
+        }
+    }
+};
+
+const publishCartChange = (userId, cartId) => {
+    publish('cart', { userId: String(userId), cartId: String(cartId) }, { userId });
+};
+
+// Publishing must never break the request that made the change, so failures are only logged
+const publishCartItemChange = async (cartItem) => {
+    try {
+        const cart = await Cart.findById(cartItem.cart, 'userId');
+        if (!cart) return;
+
+        publish('cart-item', {
+            userId: String(cart.userId),
+            cartId: String(cart._id),
+            cartItemId: String(cartItem._id),
+            itemName: cartItem.itemName,
+            status: cartItem.status,
+            approvalStatus: cartItem.approvalStatus || null
+        }, { userId: cart.userId });
+    } catch (err) {
+        console.error('Failed to publish cart item change:', err);
+    }
+};
+
+// `itemIds` is one ID or a list of them
+const publishInventoryChange = (itemIds) => {
+    publish('inventory', { itemIds: [].concat(itemIds).map(String) });
+};
+
+// Close a user's streams, e.g. after a role change, so they reconnect with the new role
+const disconnectUser = (userId) => {
+    for (const client of clients) {
+        if (client.userId === String(userId)) {
+            client.res.end();
+        }
+    }
+};
+
+module.exports = { openStream, publish, publishCartChange, publishCartItemChange, publishInventoryChange, disconnectUser };
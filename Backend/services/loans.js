@@ -0,0 +1,139 @@
+const mongoose = require('mongoose');
+const Loan = require('../models/loan');
+const Cart = require('../models/Cart');
+const Inventory = require('../models/inventory');
+const { reserveStock, releaseStock } = require('./stockReservation');
+const { getActiveSeason } = require('./seasons');
+const { recordAudit, snapshot } = require('./auditLog');
+const { publishInventoryChange } = require('./liveUpdates');
+
+const loanError = (message, status) => Object.assign(new Error(message), { status });
+
+// Lent items are due back this many days after they leave the store unless a due date is given
+const DEFAULT_LOAN_DAYS = 7;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const actorOf = (req) => ({ id: req.user.id, email: req.user.email });
+
+const createLoan = async (req, fields) => {
+    const loan = await Loan.create({
+        ...fields,
+        dueAt: fields.dueAt || new Date(Date.now() + DEFAULT_LOAN_DAYS * DAY_MS),
+        checkedOutBy: actorOf(req)
+    });
+    await recordAudit(req, { entityType: 'Loan', entityId: loan._id, after: loan });
+    return loan;
+};
+
+// Lend units of a returnable item to a club outside the order flow; they are taken out of stock now
+const checkOut = async (req, { userId, item_id, quantity, dueAt }) => {
+    const inventory = await Inventory.findById(item_id);
+    if (!inventory) {
+        throw loanError(`Item with ID ${item_id} not found in inventory`, 404);
+    }
+    if (!inventory.returnable) {
+        throw loanError(`${inventory.itemName} is not marked as returnable.`, 409);
+    }
+
+    // The loan's ID is known up front so the stock ledger can point at it
+    const loanId = new mongoose.Types.ObjectId();
+    await reserveStock(req, inventory._id, quantity, { kind: 'Loan', id: loanId });
+    try {
+        const season = await getActiveSeason();
+        return await createLoan(req, {
+            _id: loanId,
+            userId,
+            season: season ? season._id : undefined,
+            item_id: inventory._id,
+            itemName: inventory.itemName,
+            quantity,
+            dueAt
+        });
+    } catch (err) {
+        // No loan to check the units back in against, give the stock back
+        await releaseStock(req, inventory._id, quantity, { kind: 'Loan', id: loanId });
+        throw err;
+    }
+};
+
+// A delivered order line of a returnable item becomes a loan for everything allotted to it.
+// The units already left stock when they were allotted. Returns null when there is nothing to lend.
+const checkOutDelivered = async (req, cartItem) => {
+    if (!cartItem.item_id || !cartItem.allotted_quantity) return null;
+
+    const inventory = await Inventory.findById(cartItem.item_id);
+    if (!inventory || !inventory.returnable) return null;
+
+    if (await Loan.exists({ cartItem: cartItem._id })) return null;
+
+    const cart = await Cart.findById(cartItem.cart, 'userId');
+    if (!cart) return null;
+
+    return createLoan(req, {
+        userId: cart.userId,
+        season: cartItem.season,
+        item_id: inventory._id,
+        itemName: inventory.itemName,
+        cartItem: cartItem._id,
+        quantity: cartItem.allotted_quantity
+    });
+};
+
+// Book units coming back. Returned units go back into stock; damaged and lost ones are written off.
+// The units are claimed on the loan with a conditional update that only matches while they still fit what
+// is out, and the stock is returned in the same transaction, so two check-ins sent at once cannot both
+// book the same units.
+//   counts: { returned, damaged, lost, notes }
+const checkIn = async (req, loan, { returned = 0, damaged = 0, lost = 0, notes }) => {
+    if (loan.status === 'returned') {
+        throw loanError(`All ${loan.itemName} of this loan are already accounted for.`, 409);
+    }
+    const total = returned + damaged + lost;
+    if (total === 0) {
+        throw loanError('Check in at least one unit.', 400);
+    }
+
+    const before = snapshot(loan);
+    const inventoryBefore = returned > 0 ? await Inventory.findById(loan.item_id) : null;
+
+    const session = await mongoose.startSession();
+    let checkedIn;
+    let inventory = null;
+    try {
+        await session.withTransaction(async () => {
+            const claimed = await Loan.findOneAndUpdate(
+                {
+                    _id: loan._id,
+                    $expr: { $lte: [total, { $subtract: ['$quantity', { $add: ['$returnedQuantity', '$damagedQuantity', '$lostQuantity'] }] }] }
+                },
+                {
+                    $inc: { returnedQuantity: returned, damagedQuantity: damaged, lostQuantity: lost },
+                    $push: { checkIns: { by: actorOf(req), returned, damaged, lost, notes } }
+                },
+                { new: true, session }
+            );
+            if (!claimed) {
+                const current = await Loan.findById(loan._id).session(session);
+                throw loanError(`Only ${current ? current.outstandingQuantity : 0} of ${loan.itemName} are still out on this loan.`, 409);
+            }
+
+            claimed.status = claimed.outstandingQuantity === 0 ? 'returned' : 'partially_returned';
+            checkedIn = await claimed.save({ session });
+
+            inventory = returned > 0
+                ? await releaseStock(req, loan.item_id, returned, { kind: 'Loan', id: loan._id }, { session })
+                : null;
+        });
+    } finally {
+        await session.endSession();
+    }
+
+    if (inventory) {
+        publishInventoryChange(inventory._id);
+        await recordAudit(req, { entityType: 'Inventory', entityId: inventory._id, before: inventoryBefore, after: inventory });
+    }
+    await recordAudit(req, { entityType: 'Loan', entityId: checkedIn._id, before, after: checkedIn });
+    return checkedIn;
+};
+
+module.exports = { DEFAULT_LOAN_DAYS, checkOut, checkOutDelivered, checkIn };
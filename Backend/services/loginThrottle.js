@@ -0,0 +1,49 @@
+const LoginAttempt = require('../models/loginAttempt');
+
+// Progressive lockout: once a key reaches its threshold every further failure locks it,
+// starting at one minute and doubling up to an hour.
+// IPs get a higher threshold since a whole hostel can share one address.
+const ACCOUNT_THRESHOLD = 5;
+const IP_THRESHOLD = 20;
+const BASE_LOCK_MS = 60 * 1000;
+const MAX_LOCK_MS = 60 * 60 * 1000;
+
+const loginKeys = (email, ip) => [
+    { key: `email:${String(email || '').trim().toLowerCase()}`, threshold: ACCOUNT_THRESHOLD },
+    { key: `ip:${ip}`, threshold: IP_THRESHOLD }
+];
+
+const lockDuration = (failures, threshold) =>
+    Math.min(BASE_LOCK_MS * 2 ** (failures - threshold), MAX_LOCK_MS);
+
+// Milliseconds until this account and IP may try again, 0 when not locked
+const getLoginLockRemaining = async (email, ip, now = new Date()) => {
+    const attempts = await LoginAttempt.find({ key: { $in: loginKeys(email, ip).map(({ key }) => key) } });
+
+    return attempts.reduce((remaining, attempt) => {
+        const lockedFor = attempt.lockedUntil ? attempt.lockedUntil.getTime() - now.getTime() : 0;
+        return Math.max(remaining, lockedFor);
+    }, 0);
+};
+
+const recordLoginFailure = async (email, ip, now = new Date()) => {
+    for (const { key, threshold } of loginKeys(email, ip)) {
+        const attempt = await LoginAttempt.findOneAndUpdate(
+            { key },
+            { $inc: { failures: 1 }, $set: { lastFailureAt: now } },
+            { upsert: true, new: true }
+        );
+
+        if (attempt.failures >= threshold) {
+            attempt.lockedUntil = new Date(now.getTime() + lockDuration(attempt.failures, threshold));
+            await attempt.save();
+        }
+    }
+};
+
+// A successful login clears the account's counter; the IP counter only decays
+const clearLoginFailures = async (email) => {
+    await LoginAttempt.deleteOne({ key: loginKeys(email, null)[0].key });
+};
+
+module.exports = { getLoginLockRemaining, recordLoginFailure, clearLoginFailures };
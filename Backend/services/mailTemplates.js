@@ -0,0 +1,52 @@
+// Subject, plain text and HTML for every mail the backend sends.
+// Each template takes the data it needs and returns { subject, text, html }.
+
+const APP_NAME = 'Oasis Inventory management system';
+
+const escapeHtml = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const templates = {
+    verification: ({ code }) => ({
+        subject: 'Email Verification Code',
+        text: `Your verification code for ${APP_NAME} is ${code}.`,
+        html: `<strong>Your verification code is ${escapeHtml(code)}.</strong>`
+    }),
+
+    passwordReset: ({ code }) => ({
+        subject: 'Password Reset Code',
+        text: `Your password reset code for ${APP_NAME} is ${code}. If you did not ask to reset your password, ignore this email.`,
+        html: `<p><strong>Your password reset code is ${escapeHtml(code)}.</strong></p><p>If you did not ask to reset your password, ignore this email.</p>`
+    }),
+
+    roleChange: ({ cordName, roleLabel, changedBy }) => ({
+        subject: 'Your Oasis Inventory access has changed',
+        text: `Hi ${cordName}, your role in the ${APP_NAME} is now "${roleLabel}" (changed by ${changedBy}). Log in again to use your new access.`,
+        html: `<p>Hi ${escapeHtml(cordName)},</p><p>Your role in the ${APP_NAME} is now <strong>${escapeHtml(roleLabel)}</strong> (changed by ${escapeHtml(changedBy)}).</p><p>Log in again to use your new access.</p>`
+    }),
+
+    // items: [{ itemName, quantity, status, remarks }]
+    orderStatus: ({ cordName, clubName, items }) => {
+        const lines = items.map((item) => `- ${item.itemName} (x${item.quantity}): ${item.status}${item.remarks ? ` - ${item.remarks}` : ''}`);
+        const rows = items.map((item) => `<tr><td>${escapeHtml(item.itemName)}</td><td>${escapeHtml(item.quantity)}</td><td>${escapeHtml(item.status)}</td><td>${escapeHtml(item.remarks)}</td></tr>`);
+
+        return {
+            subject: `Order update for ${clubName}`,
+            text: `Hi ${cordName},\n\nThe status of ${items.length} item(s) ordered by ${clubName} has changed:\n${lines.join('\n')}`,
+            html: `<p>Hi ${escapeHtml(cordName)},</p><p>The status of ${items.length} item(s) ordered by ${escapeHtml(clubName)} has changed:</p><table border="1" cellpadding="4" cellspacing="0"><tr><th>Item</th><th>Quantity</th><th>Status</th><th>Remarks</th></tr>${rows.join('')}</table>`
+        };
+    }
+};
+
+const renderTemplate = (name, data) => {
+    const template = templates[name];
+    if (!template) {
+        throw new Error(`Unknown mail template "${name}".`);
+    }
+    return template(data);
+};
+
+module.exports = { renderTemplate, escapeHtml };
@@ -0,0 +1,104 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Pick how mail leaves the server with MAIL_TRANSPORT:
+//   sendgrid - @sendgrid/mail, needs SENDGRID_API_KEY (default when the key is set)
+//   smtp     - nodemailer, configured by SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS
+//   file     - writes each mail as JSON into MAIL_FILE_DIR (default ./mail-outbox)
+//   console  - prints mails to the log
+// file and console also keep the last mails in memory for the dev mailbox. They are never picked
+// implicitly: without MAIL_TRANSPORT or a SendGrid key the server refuses to start, so a deploy with a
+// missing key cannot quietly start logging verification and reset codes.
+const MAIL_TRANSPORTS = ['sendgrid', 'smtp', 'file', 'console'];
+const CAPTURING_TRANSPORTS = ['file', 'console'];
+const MAX_CAPTURED_MAILS = 100;
+
+const capturedMails = [];
+
+const getTransportName = () => {
+    const configured = (process.env.MAIL_TRANSPORT || '').toLowerCase();
+    if (configured) {
+        if (!MAIL_TRANSPORTS.includes(configured)) {
+            throw new Error(`Unknown MAIL_TRANSPORT "${configured}". Use one of: ${MAIL_TRANSPORTS.join(', ')}.`);
+        }
+        if (configured === 'sendgrid' && !process.env.SENDGRID_API_KEY) {
+            throw new Error('MAIL_TRANSPORT is sendgrid but SENDGRID_API_KEY is not set.');
+        }
+        return configured;
+    }
+    if (!process.env.SENDGRID_API_KEY) {
+        throw new Error('No mail transport configured. Set SENDGRID_API_KEY, or MAIL_TRANSPORT (smtp, file or console for development).');
+    }
+    return 'sendgrid';
+};
+
+const isCapturingTransport = () => CAPTURING_TRANSPORTS.includes(getTransportName());
+
+const captureMail = (mail) => {
+    const captured = { id: crypto.randomUUID(), ...mail, sentAt: new Date() };
+    capturedMails.unshift(captured);
+    capturedMails.length = Math.min(capturedMails.length, MAX_CAPTURED_MAILS);
+    return captured;
+};
+
+// Transports are created lazily so that an unused one never needs its configuration
+let sendgridClient = null;
+let smtpTransporter = null;
+
+const transports = {
+    sendgrid: async (mail) => {
+        if (!sendgridClient) {
+            sendgridClient = require('@sendgrid/mail');
+            sendgridClient.setApiKey(process.env.SENDGRID_API_KEY);
+        }
+        await sendgridClient.send(mail);
+    },
+
+    smtp: async (mail) => {
+        if (!smtpTransporter) {
+            const nodemailer = require('nodemailer');
+            smtpTransporter = nodemailer.createTransport({
+                host: process.env.SMTP_HOST || 'localhost',
+                port: Number(process.env.SMTP_PORT) || 1025,
+                secure: process.env.SMTP_SECURE === 'true',
+                auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+            });
+        }
+        await smtpTransporter.sendMail(mail);
+    },
+
+    file: async (mail) => {
+        const captured = captureMail(mail);
+        const directory = process.env.MAIL_FILE_DIR || path.join(__dirname, '../mail-outbox');
+        await fs.promises.mkdir(directory, { recursive: true });
+        const filename = `${captured.sentAt.toISOString().replace(/[:.]/g, '-')}-${captured.id}.json`;
+        await fs.promises.writeFile(path.join(directory, filename), JSON.stringify(captured, null, 2));
+    },
+
+    console: async (mail) => {
+        captureMail(mail);
+        console.log(`[mail] To: ${mail.to} | Subject: ${mail.subject}\n${mail.text}`);
+    }
+};
+
+// Send a { to, subject, text, html } message through the configured transport
+const deliverMail = async (mail) => {
+    const message = { from: process.env.EMAIL_BOSSLEVEL, ...mail };
+    await transports[getTransportName()](message);
+};
+
+const listCapturedMails = () => [...capturedMails];
+
+const clearCapturedMails = () => {
+    capturedMails.length = 0;
+};
+
+module.exports = {
+    MAIL_TRANSPORTS,
+    getTransportName,
+    isCapturingTransport,
+    deliverMail,
+    listCapturedMails,
+    clearCapturedMails
+};
@@ -0,0 +1,104 @@
+const Notification = require('../models/notification');
+const Cart = require('../models/Cart');
+const User = require('../models/user');
+const { sendOrderStatusEmail } = require('./sendGridService');
+const { publish } = require('./liveUpdates');
+
+// Statuses a club is told about, and how they read in messages. Delivered is not among them:
+// the club is at the counter when it happens.
+const NOTIFIED_STATUSES = {
+    Ready: 'Ready for pickup',
+    Amazon: 'Being ordered from Amazon',
+    Rejected: 'Rejected'
+};
+
+// Both channels are on unless the user turned them off
+const preferencesOf = (user) => ({
+    email: user.notificationPreferences?.email ?? true,
+    inApp: user.notificationPreferences?.inApp ?? true
+});
+
+// Units the club will get, or asked for when nothing is allotted yet
+const quantityOf = (cartItem) => cartItem.allotted_quantity || cartItem.ordered_quantity;
+
+const messageOf = (cartItem) => {
+    const reason = cartItem.status === 'Rejected' && (cartItem.rejectionReason || cartItem.remarks);
+    return `${cartItem.itemName} (x${quantityOf(cartItem)}): ${NOTIFIED_STATUSES[cartItem.status]}${reason ? ` - ${reason}` : ''}`;
+};
+
+// Tell clubs about cart items whose status one request changed: an in-app notification per item and a
+// single digest mail per club, as each user's preferences allow. Callers collect the changed items of a
+// whole bulk update first, so a club gets one mail rather than one per item.
+// Notifying must never undo the status changes, so failures are only logged.
+const notifyStatusChanges = async (cartItems) => {
+    const notified = cartItems.filter((cartItem) => NOTIFIED_STATUSES[cartItem.status]);
+    if (notified.length === 0) return;
+
+    try {
+        const carts = await Cart.find({ _id: { $in: notified.map((cartItem) => cartItem.cart) } }, 'userId');
+        const userIdByCart = new Map(carts.map((cart) => [String(cart._id), String(cart.userId)]));
+
+        const itemsByUser = new Map();
+        for (const cartItem of notified) {
+            const userId = userIdByCart.get(String(cartItem.cart));
+            if (!userId) continue;
+            itemsByUser.set(userId, [...(itemsByUser.get(userId) || []), cartItem]);
+        }
+
+        const users = await User.find({ _id: { $in: [...itemsByUser.keys()] } }, 'cordName clubName email notificationPreferences');
+        for (const user of users) {
+            const items = itemsByUser.get(String(user._id));
+            const preferences = preferencesOf(user);
+
+            if (preferences.inApp) {
+                await Notification.insertMany(items.map((cartItem) => ({
+                    user: user._id,
+                    type: 'orderStatus',
+                    message: messageOf(cartItem),
+                    cartItem: cartItem._id,
+                    status: cartItem.status
+                })));
+                publish('notification', { userId: String(user._id), count: items.length }, { userId: user._id });
+            }
+
+            if (preferences.email) {
+                try {
+                    await sendOrderStatusEmail(user.email, {
+                        cordName: user.cordName,
+                        clubName: user.clubName,
+                        items: items.map((cartItem) => ({
+                            itemName: cartItem.itemName,
+                            quantity: quantityOf(cartItem),
+                            status: NOTIFIED_STATUSES[cartItem.status],
+                            remarks: cartItem.status === 'Rejected' ? cartItem.rejectionReason || cartItem.remarks : cartItem.remarks
+                        }))
+                    });
+                } catch (emailError) {
+                    console.error(emailError);
+                }
+            }
+        }
+    } catch (err) {
+        console.error('Failed to send order status notifications:', err);
+    }
+};
+
+// A user's latest notifications, newest first, with how many are unread
+const listNotifications = async (userId, { limit = 50 } = {}) => {
+    const [notifications, unreadCount] = await Promise.all([
+        Notification.find({ user: userId }).sort({ createdAt: -1 }).limit(limit),
+        Notification.countDocuments({ user: userId, readAt: null })
+    ]);
+    return { notifications, unreadCount };
+};
+
+// Mark some of a user's notifications read, or all of them when no IDs are given
+const markRead = (userId, ids) => {
+    const filter = { user: userId, readAt: null };
+    if (ids) {
+        filter._id = { $in: ids };
+    }
+    return Notification.updateMany(filter, { readAt: new Date() });
+};
+
+module.exports = { NOTIFIED_STATUSES, preferencesOf, notifyStatusChanges, listNotifications, markRead };
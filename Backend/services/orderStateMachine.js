@@ -0,0 +1,87 @@
+// Lifecycle of a CartItem. Every status change in routes/cart.js goes through here.
+// Legal next statuses per status; Delivered and Rejected are final.
+const ORDER_TRANSITIONS = {
+    Pending: ['Ready', 'Amazon', 'Rejected'],
+    Amazon: ['Ready', 'Delivered', 'Rejected'],
+    Ready: ['Delivered', 'Rejected'],
+    Delivered: [],
+    Rejected: []
+};
+
+const ORDER_STATUSES = Object.keys(ORDER_TRANSITIONS);
+
+const orderStateError = (message, status) => Object.assign(new Error(message), { status });
+
+// Map any casing ('ready', 'READY') to the stored value, or null when unknown
+const normalizeStatus = (status) => {
+    if (typeof status !== 'string') return null;
+    return ORDER_STATUSES.find((known) => known.toLowerCase() === status.trim().toLowerCase()) || null;
+};
+
+// express-validator friendly check
+const isOrderStatus = (status) => normalizeStatus(status) !== null;
+
+const isFinalStatus = (status) => ORDER_TRANSITIONS[status].length === 0;
+
+const canTransition = (from, to) => ORDER_TRANSITIONS[from].includes(to);
+
+// Work out what a requested status means for a cart item without changing it.
+// Returns the normalized target status, or null when the status stays the same.
+// Throws (status 400/409) on unknown statuses, illegal transitions and rejections without a reason.
+const planTransition = (cartItem, requestedStatus, reason) => {
+    const to = normalizeStatus(requestedStatus);
+    if (!to) {
+        throw orderStateError(`Invalid status "${requestedStatus}". Use one of: ${ORDER_STATUSES.join(', ')}.`, 400);
+    }
+
+    const from = normalizeStatus(cartItem.status) || 'Pending';
+    if (from === to) return null;
+
+    if (!canTransition(from, to)) {
+        const allowed = ORDER_TRANSITIONS[from];
+        throw orderStateError(
+            allowed.length > 0
+                ? `Cannot move an item from ${from} to ${to}. Allowed: ${allowed.join(', ')}.`
+                : `Cannot move an item from ${from} to ${to}; ${from} is final.`,
+            409
+        );
+    }
+
+    if (to === 'Rejected' && !(reason && reason.trim())) {
+        throw orderStateError('A reason is required to reject an item.', 400);
+    }
+
+    return to;
+};
+
+// Move a cart item to a status already checked by planTransition and record when and by whom
+const applyTransition = (cartItem, to, { actor, reason } = {}) => {
+    const from = cartItem.status;
+    const at = new Date();
+
+    cartItem.status = to;
+    cartItem.statusChangedAt = at;
+    if (to === 'Rejected') {
+        cartItem.rejectionReason = reason.trim();
+    }
+    cartItem.statusHistory.push({
+        from,
+        to,
+        at,
+        by: actor ? { id: actor.id, email: actor.email } : undefined,
+        reason: reason ? reason.trim() : undefined
+    });
+
+    return cartItem;
+};
+
+module.exports = {
+    ORDER_STATUSES,
+    ORDER_TRANSITIONS,
+    normalizeStatus,
+    isOrderStatus,
+    isFinalStatus,
+    canTransition,
+    planTransition,
+    applyTransition
+};
@@ -0,0 +1,47 @@
+const OrderWindow = require('../models/orderWindow');
+
+// Fetch the order window settings, creating the default (open) document on first use
+const getOrderWindow = () => {
+    return OrderWindow.findOneAndUpdate(
+        {},
+        {},
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+};
+
+// Orders are accepted only when the switch is on and "now" lies inside the optional schedule
+const isAcceptingOrders = (orderWindow, now = new Date()) => {
+    if (!orderWindow.isOpen) return false;
+    if (orderWindow.openAt && now < orderWindow.openAt) return false;
+    if (orderWindow.closeAt && now >= orderWindow.closeAt) return false;
+    return true;
+};
+
+const serializeOrderWindow = (orderWindow) => ({
+    isOpen: orderWindow.isOpen,
+    openAt: orderWindow.openAt,
+    closeAt: orderWindow.closeAt,
+    festLabel: orderWindow.festLabel || '',
+    updatedAt: orderWindow.updatedAt,
+    isAcceptingOrders: isAcceptingOrders(orderWindow)
+});
+
+// Middleware refusing cart submissions while the order window is closed
+const requireOpenOrderWindow = async (req, res, next) => {
+    try {
+        const orderWindow = await getOrderWindow();
+
+        if (!isAcceptingOrders(orderWindow)) {
+            return res.status(423).json({
+                error: 'Orders are currently closed. Please contact the ADP coordinators.',
+                orderWindow: serializeOrderWindow(orderWindow)
+            });
+        }
+
+        next();
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+};
+
+module.exports = { getOrderWindow, isAcceptingOrders, serializeOrderWindow, requireOpenOrderWindow };
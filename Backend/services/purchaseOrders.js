@@ -0,0 +1,272 @@
+const mongoose = require('mongoose');
+const PurchaseOrder = require('../models/purchaseOrder');
+const Vendor = require('../models/vendor');
+const Inventory = require('../models/inventory');
+const CartItem = require('../models/cartItem');
+const { nextSequence } = require('./counters');
+const { getActiveSeason } = require('./seasons');
+const { recordAudit, snapshot } = require('./auditLog');
+const { stageOf } = require('./customItemApproval');
+const { advanceApproval } = require('./customItems');
+const { postMovement } = require('./stockLedger');
+const { publishInventoryChange } = require('./liveUpdates');
+
+const purchaseOrderError = (message, status) => Object.assign(new Error(message), { status });
+
+const actorOf = (req) => ({ id: req.user.id, email: req.user.email });
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Set an inventory item's itemOrderedStatus, auditing the change
+const setItemOrderedStatus = async (req, itemId, itemOrderedStatus) => {
+    const inventory = await Inventory.findById(itemId);
+    if (!inventory || inventory.itemOrderedStatus === itemOrderedStatus) return;
+
+    const before = snapshot(inventory);
+    inventory.itemOrderedStatus = itemOrderedStatus;
+    await inventory.save();
+    await recordAudit(req, { entityType: 'Inventory', entityId: inventory._id, before, after: inventory });
+};
+
+// The vendor's price for a custom item becomes what the club is charged for it
+const setActualUnitCost = async (req, cartItemId, unitCost) => {
+    const cartItem = await CartItem.findById(cartItemId);
+    if (!cartItem || cartItem.actualUnitCost === unitCost) return;
+
+    const before = snapshot(cartItem);
+    cartItem.actualUnitCost = unitCost;
+    await cartItem.save();
+    await recordAudit(req, { entityType: 'CartItem', entityId: cartItem._id, before, after: cartItem });
+};
+
+// Resolve requested lines to inventory items or custom cart items. Everything is checked before anything is written.
+//   lines: [{ item_id } | { cartItem }, quantity, unitCost]
+const resolveLines = async (lines) => {
+    const resolved = [];
+    for (const { item_id, cartItem: cartItemId, quantity, unitCost = 0 } of lines) {
+        if (Boolean(item_id) === Boolean(cartItemId)) {
+            throw purchaseOrderError('Each line needs either an inventory item or a custom cart item.', 400);
+        }
+
+        if (item_id) {
+            const inventory = await Inventory.findById(item_id);
+            if (!inventory) {
+                throw purchaseOrderError(`Item with ID ${item_id} not found in inventory`, 404);
+            }
+            resolved.push({ item_id: inventory._id, itemName: inventory.itemName, orderedQuantity: quantity, unitCost });
+        } else {
+            const cartItem = await CartItem.findById(cartItemId);
+            if (!cartItem) {
+                throw purchaseOrderError(`Cart item with ID ${cartItemId} not found.`, 404);
+            }
+            if (cartItem.item_id) {
+                throw purchaseOrderError(`${cartItem.itemName} is an inventory item; order it by its item ID.`, 400);
+            }
+            if (cartItem.status === 'Rejected') {
+                throw purchaseOrderError(`${cartItem.itemName} was rejected.`, 409);
+            }
+            if (!['approved', 'purchased'].includes(stageOf(cartItem))) {
+                throw purchaseOrderError(`${cartItem.itemName} is ${stageOf(cartItem)}; approve it before buying it.`, 409);
+            }
+            resolved.push({ cartItem: cartItem._id, itemName: cartItem.itemName, orderedQuantity: quantity, unitCost });
+        }
+    }
+    return resolved;
+};
+
+// Raise a purchase order with a vendor and mark its inventory items as ordered from that vendor
+const createPurchaseOrder = async (req, { vendorId, lines, notes }) => {
+    const vendor = await Vendor.findById(vendorId);
+    if (!vendor) {
+        throw purchaseOrderError('Vendor not found.', 404);
+    }
+    if (!vendor.active) {
+        throw purchaseOrderError(`${vendor.name} is inactive.`, 409);
+    }
+
+    const resolvedLines = await resolveLines(lines);
+    const season = await getActiveSeason();
+
+    const purchaseOrder = await PurchaseOrder.create({
+        number: await nextSequence('purchaseOrder'),
+        vendor: vendor._id,
+        season: season ? season._id : undefined,
+        lines: resolvedLines,
+        notes,
+        expectedAt: vendor.leadTimeDays ? new Date(Date.now() + vendor.leadTimeDays * DAY_MS) : undefined,
+        createdBy: actorOf(req)
+    });
+    await recordAudit(req, { entityType: 'PurchaseOrder', entityId: purchaseOrder._id, after: purchaseOrder });
+
+    for (const line of resolvedLines) {
+        if (line.item_id) {
+            await setItemOrderedStatus(req, line.item_id, Inventory.orderedFrom(vendor.name));
+        } else {
+            if (line.unitCost > 0) {
+                await setActualUnitCost(req, line.cartItem, line.unitCost);
+            }
+            await advanceApproval(req, await CartItem.findById(line.cartItem), 'purchased', { comment: `On PO #${purchaseOrder.number}` });
+        }
+    }
+
+    return purchaseOrder;
+};
+
+const RECEIVABLE_STATUSES = ['open', 'partially_received'];
+
+// Add `quantity` to a line's received units, only while the order can still receive and that many are
+// still expected. The check and the increment are one conditional update, so two people booking the same
+// delivery cannot both receive the last units. Returns whether the units were claimed.
+const claimReceipt = async (purchaseOrder, lineId, quantity, { session }) => {
+    const line = purchaseOrder.lines.id(lineId);
+    const result = await PurchaseOrder.updateOne(
+        {
+            _id: purchaseOrder._id,
+            status: { $in: RECEIVABLE_STATUSES },
+            lines: { $elemMatch: { _id: lineId, receivedQuantity: { $lte: line.orderedQuantity - quantity } } }
+        },
+        { $inc: { 'lines.$.receivedQuantity': quantity } },
+        { session }
+    );
+    return result.modifiedCount === 1;
+};
+
+// Book goods that arrived against a purchase order. Inventory lines add the units to stock.
+// The received units, their stock movements and the order's receipt and status are written in one
+// transaction: either the whole delivery is booked or none of it.
+//   receipts: [{ lineId, quantity }]
+const receivePurchaseOrder = async (req, purchaseOrder, receipts) => {
+    if (!RECEIVABLE_STATUSES.includes(purchaseOrder.status)) {
+        throw purchaseOrderError(`PO #${purchaseOrder.number} is ${purchaseOrder.status.replace('_', ' ')} and cannot receive goods.`, 409);
+    }
+
+    // The same line listed twice counts once with both quantities
+    const quantityByLine = new Map();
+    for (const { lineId, quantity } of receipts) {
+        quantityByLine.set(String(lineId), (quantityByLine.get(String(lineId)) || 0) + quantity);
+    }
+    receipts = [...quantityByLine].map(([lineId, quantity]) => ({ lineId, quantity }));
+
+    // Check every line before touching stock
+    for (const { lineId, quantity } of receipts) {
+        const line = purchaseOrder.lines.id(lineId);
+        if (!line) {
+            throw purchaseOrderError(`Line ${lineId} is not on PO #${purchaseOrder.number}.`, 404);
+        }
+        const outstanding = line.orderedQuantity - line.receivedQuantity;
+        if (quantity > outstanding) {
+            throw purchaseOrderError(`Only ${outstanding} of ${line.itemName} are still expected on PO #${purchaseOrder.number}.`, 409);
+        }
+    }
+
+    const before = snapshot(purchaseOrder);
+
+    const session = await mongoose.startSession();
+    let received;
+    let stocked;
+    try {
+        await session.withTransaction(async () => {
+            // Someone may have booked the same delivery since the order was loaded; then nothing is received
+            for (const { lineId, quantity } of receipts) {
+                if (!(await claimReceipt(purchaseOrder, lineId, quantity, { session }))) {
+                    const line = purchaseOrder.lines.id(lineId);
+                    throw purchaseOrderError(`${line.itemName} on PO #${purchaseOrder.number} was received by someone else meanwhile. Reload and try again.`, 409);
+                }
+            }
+
+            // The lines as they are now, including receipts booked by others
+            received = await PurchaseOrder.findById(purchaseOrder._id).session(session);
+
+            stocked = [];
+            for (const { lineId, quantity } of receipts) {
+                const line = received.lines.id(lineId);
+                if (!line.item_id) continue;
+
+                const inventoryBefore = await Inventory.findById(line.item_id).session(session);
+                if (!inventoryBefore) continue;
+
+                const inventory = await postMovement(req, line.item_id, {
+                    type: 'receipt',
+                    quantity,
+                    reason: `PO #${received.number}`,
+                    reference: { kind: 'PurchaseOrder', id: received._id }
+                }, { session });
+                stocked.push({ inventoryBefore, inventory });
+            }
+
+            // Record the receipt and work the status out from the stored lines, so concurrent receipts
+            // cannot leave a stale status behind
+            await PurchaseOrder.updateOne({ _id: received._id }, {
+                $push: {
+                    receipts: {
+                        by: actorOf(req),
+                        lines: receipts.map(({ lineId, quantity }) => ({ line: lineId, quantity }))
+                    }
+                }
+            }, { session });
+            await PurchaseOrder.updateOne({ _id: received._id, status: { $in: RECEIVABLE_STATUSES } }, [{
+                $set: {
+                    status: {
+                        $cond: [
+                            { $allElementsTrue: [{ $map: { input: '$lines', as: 'line', in: { $gte: ['$$line.receivedQuantity', '$$line.orderedQuantity'] } } }] },
+                            'received',
+                            'partially_received'
+                        ]
+                    }
+                }
+            }], { session });
+        });
+    } finally {
+        await session.endSession();
+    }
+
+    if (stocked.length > 0) {
+        publishInventoryChange(stocked.map(({ inventory }) => inventory._id));
+    }
+    for (const { inventoryBefore, inventory } of stocked) {
+        await recordAudit(req, { entityType: 'Inventory', entityId: inventory._id, before: inventoryBefore, after: inventory });
+    }
+
+    // Fully received lines are no longer on order
+    for (const { lineId } of receipts) {
+        const line = received.lines.id(lineId);
+        if (line.receivedQuantity !== line.orderedQuantity) continue;
+
+        if (line.item_id) {
+            await setItemOrderedStatus(req, line.item_id, 'Available');
+        } else if (line.cartItem) {
+            const cartItem = await CartItem.findById(line.cartItem);
+            if (cartItem && stageOf(cartItem) === 'purchased') {
+                await advanceApproval(req, cartItem, 'received', { comment: `Received on PO #${received.number}` });
+            }
+        }
+    }
+
+    const after = await PurchaseOrder.findById(received._id);
+    await recordAudit(req, { entityType: 'PurchaseOrder', entityId: after._id, before, after });
+    return after;
+};
+
+// Close a purchase order; anything not received by now is no longer expected.
+// Only closes while the order is still in the status it was loaded with, so a receipt booked meanwhile
+// is not overwritten.
+const closePurchaseOrder = async (req, purchaseOrder) => {
+    if (purchaseOrder.status === 'closed') {
+        throw purchaseOrderError(`PO #${purchaseOrder.number} is already closed.`, 409);
+    }
+
+    const before = snapshot(purchaseOrder);
+    const closed = await PurchaseOrder.findOneAndUpdate(
+        { _id: purchaseOrder._id, status: purchaseOrder.status },
+        { $set: { status: 'closed', closedAt: new Date(), closedBy: actorOf(req) } },
+        { new: true }
+    );
+    if (!closed) {
+        throw purchaseOrderError(`PO #${purchaseOrder.number} changed meanwhile. Reload and try again.`, 409);
+    }
+
+    await recordAudit(req, { entityType: 'PurchaseOrder', entityId: closed._id, before, after: closed });
+    return closed;
+};
+
+module.exports = { createPurchaseOrder, receivePurchaseOrder, closePurchaseOrder };
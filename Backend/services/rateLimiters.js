@@ -0,0 +1,31 @@
+const rateLimit = require('express-rate-limit');
+
+// One limiter per route group. Limits are per client IP over a 15 minute window and
+// can be overridden with RATE_LIMIT_<GROUP>_MAX, e.g. RATE_LIMIT_LOGIN_MAX=50.
+const WINDOW_MS = 15 * 60 * 1000;
+
+const LIMITS = {
+    api: 1000,          // Normal app traffic: inventory, cart, audit, admin screens
+    login: 30,          // Password guesses; accounts are also locked by services/loginThrottle.js
+    codeRequest: 10,    // Sending verification/reset emails
+    codeVerify: 20      // Submitting verification codes (register, reset-password)
+};
+
+const createLimiter = (group, message) => {
+    const envMax = Number(process.env[`RATE_LIMIT_${group.replace(/[A-Z]/g, (c) => `_${c}`).toUpperCase()}_MAX`]);
+
+    return rateLimit({
+        windowMs: WINDOW_MS,
+        max: envMax > 0 ? envMax : LIMITS[group],
+        standardHeaders: 'draft-7',
+        legacyHeaders: false,
+        message: { error: message }
+    });
+};
+
+const apiLimiter = createLimiter('api', 'Too many requests from this IP, please try again later.');
+const loginLimiter = createLimiter('login', 'Too many login attempts from this IP, please try again later.');
+const codeRequestLimiter = createLimiter('codeRequest', 'Too many verification emails requested from this IP, please try again later.');
+const codeVerifyLimiter = createLimiter('codeVerify', 'Too many verification attempts from this IP, please try again later.');
+
+module.exports = { apiLimiter, loginLimiter, codeRequestLimiter, codeVerifyLimiter };
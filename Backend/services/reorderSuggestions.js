@@ -0,0 +1,79 @@
+const Inventory = require('../models/inventory');
+const CartItem = require('../models/cartItem');
+const { ORDER_STATUSES, isFinalStatus } = require('./orderStateMachine');
+const { seasonFilter } = require('./seasons');
+
+const FINAL_STATUSES = ORDER_STATUSES.filter(isFinalStatus);
+
+// Items are grouped by the vendor named in their itemOrderedStatus ('Ordered from Akshay' -> Akshay)
+const UNASSIGNED = 'Unassigned';
+const vendorOf = (inventory) => Inventory.vendorNameOf(inventory.itemOrderedStatus) || UNASSIGNED;
+
+// Round up to the next whole pack the store buys from the vendor
+const roundUpToMultiple = (quantity, multiple) => Math.ceil(quantity / multiple) * multiple;
+
+// Units still owed to clubs per inventory item: ordered but not yet allotted, on items that are not final.
+// Allotted units have already left itemQuantity, so they don't count again.
+const outstandingDemandByItem = async (season) => {
+    const cartItems = await CartItem.find({
+        item_id: { $ne: null },
+        status: { $nin: FINAL_STATUSES },
+        ...seasonFilter(season)
+    }, 'item_id ordered_quantity allotted_quantity');
+
+    const demand = new Map();
+    for (const cartItem of cartItems) {
+        const key = cartItem.item_id.toString();
+        const outstanding = Math.max(0, cartItem.ordered_quantity - cartItem.allotted_quantity);
+        demand.set(key, (demand.get(key) || 0) + outstanding);
+    }
+    return demand;
+};
+
+// Stock position of one item against its open demand
+const stockPosition = (inventory, outstandingDemand) => {
+    const projectedStock = inventory.itemQuantity - outstandingDemand;
+    return {
+        outstandingDemand,
+        projectedStock,
+        shortfall: Math.max(0, -projectedStock)
+    };
+};
+
+// Items whose stock after serving open orders falls below their reorder threshold, grouped by vendor
+const getReorderSuggestions = async (season) => {
+    const [inventories, demand] = await Promise.all([Inventory.find(), outstandingDemandByItem(season)]);
+
+    const groups = new Map();
+    for (const inventory of inventories) {
+        const position = stockPosition(inventory, demand.get(inventory._id.toString()) || 0);
+        const reorderThreshold = inventory.reorderThreshold || 0;
+        if (position.projectedStock >= reorderThreshold) continue;
+
+        const vendor = vendorOf(inventory);
+        if (!groups.has(vendor)) groups.set(vendor, []);
+        groups.get(vendor).push({
+            _id: inventory._id,
+            itemName: inventory.itemName,
+            category: inventory.category,
+            unit: inventory.unit,
+            itemQuantity: inventory.itemQuantity,
+            reorderThreshold,
+            ...position,
+            purchasePackSize: inventory.purchasePackSize || 1,
+            suggestedQuantity: roundUpToMultiple(reorderThreshold - position.projectedStock, inventory.purchasePackSize || 1),
+            itemOrderedStatus: inventory.itemOrderedStatus,
+            itemRemark: inventory.itemRemark || ''
+        });
+    }
+
+    // Named vendors alphabetically, items without a vendor last
+    return [...groups.keys()]
+        .sort((a, b) => (a === UNASSIGNED) - (b === UNASSIGNED) || a.localeCompare(b))
+        .map((vendor) => ({
+            vendor,
+            items: groups.get(vendor).sort((a, b) => b.shortfall - a.shortfall || a.itemName.localeCompare(b.itemName))
+        }));
+};
+
+module.exports = { UNASSIGNED, vendorOf, outstandingDemandByItem, stockPosition, getReorderSuggestions };
@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+const Requisition = require('../models/requisition');
+const User = require('../models/user');
+const { nextSequence } = require('./counters');
+const { recordAudit } = require('./auditLog');
+const { submitToCart } = require('./cartSubmission');
+const { requireActiveSeason } = require('./seasons');
+const { publishCartChange } = require('./liveUpdates');
+
+// Record what a club just submitted as the next numbered requisition.
+// Pass a `session` to create it as part of the caller's transaction; the caller then records the audit entry.
+const createRequisition = async (req, { cart, season, userId, lines }, { session } = {}) => {
+    const user = await User.findById(userId, 'clubName').session(session || null);
+
+    const [requisition] = await Requisition.create([{
+        number: await nextSequence('requisition', { session }),
+        cart: cart._id,
+        season: season._id,
+        userId,
+        clubName: user ? user.clubName : 'Unknown club',
+        submittedBy: { id: req.user.id, email: req.user.email },
+        items: lines
+    }], { session });
+    if (!session) {
+        await recordAudit(req, { entityType: 'Requisition', entityId: requisition._id, after: requisition });
+    }
+
+    return requisition;
+};
+
+// Merge a submission into the club's cart for the running season and record it as a requisition.
+// Both happen in one transaction, so a failed requisition never leaves its quantities in the cart.
+const submitRequisition = async (req, userId, { items, customItems }) => {
+    const season = await requireActiveSeason();
+
+    const session = await mongoose.startSession();
+    let submitted;
+    try {
+        await session.withTransaction(async () => {
+            const { cart, lines, audits } = await submitToCart(req, userId, season, { items, customItems }, { session });
+            // An empty submission changes nothing and gets no number
+            const requisition = lines.length > 0 ? await createRequisition(req, { cart, season, userId, lines }, { session }) : null;
+            submitted = { cart, requisition, audits };
+        });
+    } finally {
+        await session.endSession();
+    }
+
+    const { cart, requisition, audits } = submitted;
+    for (const audit of audits) {
+        await recordAudit(req, audit);
+    }
+    if (requisition) {
+        await recordAudit(req, { entityType: 'Requisition', entityId: requisition._id, after: requisition });
+        publishCartChange(userId, cart._id);
+    }
+    return { cart, requisition };
+};
+
+// Inventory items are matched by ID, custom items by name
+const lineKey = (line) => (line.item_id ? `item:${line.item_id}` : `custom:${line.itemName.trim().toLowerCase()}`);
+
+const totalsByItem = (requisition) => {
+    const totals = new Map();
+    for (const line of requisition.items) {
+        const key = lineKey(line);
+        const total = totals.get(key) || { itemName: line.itemName, isCustom: !line.item_id, quantity: 0 };
+        total.quantity += line.ordered_quantity;
+        totals.set(key, total);
+    }
+    return totals;
+};
+
+// Compare the quantities asked for in two requisitions, item by item
+const diffRequisitions = (from, to) => {
+    const fromTotals = totalsByItem(from);
+    const toTotals = totalsByItem(to);
+    const keys = new Set([...fromTotals.keys(), ...toTotals.keys()]);
+
+    return [...keys].map((key) => {
+        const before = fromTotals.get(key);
+        const after = toTotals.get(key);
+        const fromQuantity = before ? before.quantity : 0;
+        const toQuantity = after ? after.quantity : 0;
+
+        let change = 'unchanged';
+        if (!before) change = 'added';
+        else if (!after) change = 'removed';
+        else if (fromQuantity !== toQuantity) change = 'changed';
+
+        return {
+            itemName: (after || before).itemName,
+            isCustom: (after || before).isCustom,
+            fromQuantity,
+            toQuantity,
+            change
+        };
+    }).sort((a, b) => a.itemName.localeCompare(b.itemName));
+};
+
+module.exports = { createRequisition, submitRequisition, diffRequisitions };
@@ -0,0 +1,59 @@
+// Role model: each role grants a set of permissions and may inherit the permissions of other roles.
+// Routes ask for a permission, never for a role, so new roles can be added here without touching them.
+const ROLE_DEFINITIONS = {
+    user: {                                   // Club / department coordinator
+        label: 'Club user',
+        inherits: [],
+        permissions: ['inventory:browse', 'cart:submit', 'cart:read-own']
+    },
+    viewer: {                                 // Read-only access to the admin screens
+        label: 'Viewer',
+        inherits: [],
+        permissions: ['inventory:browse', 'inventory:read', 'orders:read']
+    },
+    storekeeper: {                            // Runs the store: stock and allotments
+        label: 'Store-keeper',
+        inherits: ['viewer'],
+        permissions: ['inventory:write', 'orders:manage', 'purchasing:receive']
+    },
+    bosslevel: {                              // ADP admin
+        label: 'Admin',
+        inherits: ['storekeeper', 'user'],
+        permissions: ['audit:read', 'users:manage', 'settings:manage', 'purchasing:manage', 'budgets:manage']
+    }
+};
+
+const ROLES = Object.keys(ROLE_DEFINITIONS);
+
+// Collect the permissions of a role and everything it inherits
+const resolvePermissions = (role, seen = new Set()) => {
+    const definition = ROLE_DEFINITIONS[role];
+    if (!definition || seen.has(role)) return new Set();
+    seen.add(role);
+
+    const permissions = new Set(definition.permissions);
+    for (const parent of definition.inherits) {
+        for (const permission of resolvePermissions(parent, seen)) {
+            permissions.add(permission);
+        }
+    }
+    return permissions;
+};
+
+const ROLE_PERMISSIONS = Object.fromEntries(ROLES.map(role => [role, resolvePermissions(role)]));
+
+const hasPermission = (role, permission) => {
+    return Boolean(ROLE_PERMISSIONS[role]) && ROLE_PERMISSIONS[role].has(permission);
+};
+
+// Club-scoped routes take a userId; only roles that manage orders may act for another user
+const canActForUser = (req, userId) => {
+    return String(req.user.id) === String(userId) || hasPermission(req.user.access, 'orders:manage');
+};
+
+// Read-only club data: the club itself, or any role that can read orders
+const canViewForUser = (req, userId) => {
+    return String(req.user.id) === String(userId) || hasPermission(req.user.access, 'orders:read');
+};
+
+module.exports = { ROLE_DEFINITIONS, ROLES, ROLE_PERMISSIONS, hasPermission, canActForUser, canViewForUser };
@@ -0,0 +1,128 @@
+const mongoose = require('mongoose');
+const Season = require('../models/season');
+const Cart = require('../models/Cart');
+const CartItem = require('../models/cartItem');
+const Inventory = require('../models/inventory');
+const Requisition = require('../models/requisition');
+const { getOrderWindow } = require('./orderWindow');
+const { recordAudit, snapshot } = require('./auditLog');
+
+const seasonError = (message, status) => Object.assign(new Error(message), { status });
+
+const getActiveSeason = () => Season.findOne({ status: 'active' });
+
+// Cart submissions need an open season to file the order under
+const requireActiveSeason = async () => {
+    const season = await getActiveSeason();
+    if (!season) {
+        throw seasonError('No season is running. An admin has to start one before orders can be placed.', 409);
+    }
+    return season;
+};
+
+// The season a read request is about: ?season=<id> for the archive, otherwise the active one, or the
+// latest season between two fests so its orders stay apart from older ones. null when no season exists yet.
+const resolveSeason = async (req) => {
+    const seasonId = req.query.season;
+    if (!seasonId) {
+        return (await getActiveSeason()) || Season.findOne().sort({ startedAt: -1 });
+    }
+
+    if (!mongoose.isValidObjectId(seasonId)) {
+        throw seasonError('Invalid season ID', 400);
+    }
+    const season = await Season.findById(seasonId);
+    if (!season) {
+        throw seasonError('Season not found.', 404);
+    }
+    return season;
+};
+
+// Query filter for documents of a season; without any season everything is shown
+const seasonFilter = (season) => (season ? { season: season._id } : {});
+
+// Refuse writes to documents of a closed season
+const assertSeasonWritable = async (seasonId) => {
+    if (!seasonId) return;
+
+    const season = await Season.findById(seasonId);
+    if (season && season.status === 'closed') {
+        throw seasonError(`${season.name} is closed and read-only.`, 409);
+    }
+};
+
+const stockSnapshot = async () => {
+    const inventories = await Inventory.find({}, 'itemName itemQuantity');
+    return inventories.map((inventory) => ({
+        item_id: inventory._id.toString(),
+        itemName: inventory.itemName,
+        itemQuantity: inventory.itemQuantity
+    }));
+};
+
+// File carts, cart items and requisitions from before seasons existed under `season`.
+// Run once by scripts/bootstrapSeason.js after deploying seasons; returns how many of each were filed.
+const fileUnseasonedData = async (season) => {
+    const carts = await Cart.updateMany({ season: null }, { $set: { season: season._id } });
+    const cartItems = await CartItem.updateMany({ season: null }, { $set: { season: season._id } });
+    // Bypasses the immutability hooks on purpose: this only files old requisitions under a season
+    const requisitions = await Requisition.collection.updateMany({ season: null }, { $set: { season: season._id } });
+    return { carts: carts.modifiedCount, cartItems: cartItems.modifiedCount, requisitions: requisitions.modifiedCount };
+};
+
+// Start a new season with the current stock as its opening stock
+const startSeason = async (req, { fest, year }) => {
+    if (await getActiveSeason()) {
+        throw seasonError('Close the running season before starting a new one.', 409);
+    }
+    if (await Season.exists({ fest, year })) {
+        throw seasonError(`${fest} ${year} has already been run.`, 409);
+    }
+
+    const season = await Season.create({
+        fest,
+        year,
+        startedBy: { id: req.user.id, email: req.user.email },
+        openingStock: await stockSnapshot()
+    });
+
+    await recordAudit(req, { entityType: 'Season', entityId: season._id, after: season });
+    return season;
+};
+
+// Close the active season: record its closing stock and stop taking orders
+const closeSeason = async (req, season) => {
+    if (season.status !== 'active') {
+        throw seasonError(`${season.name} is already closed.`, 409);
+    }
+
+    const before = snapshot(season);
+    season.status = 'closed';
+    season.closedAt = new Date();
+    season.closedBy = { id: req.user.id, email: req.user.email };
+    season.closingStock = await stockSnapshot();
+    await season.save();
+    await recordAudit(req, { entityType: 'Season', entityId: season._id, before, after: season });
+
+    const orderWindow = await getOrderWindow();
+    if (orderWindow.isOpen) {
+        const orderWindowBefore = snapshot(orderWindow);
+        orderWindow.isOpen = false;
+        orderWindow.updatedBy = req.user.id;
+        await orderWindow.save();
+        await recordAudit(req, { entityType: 'OrderWindow', entityId: orderWindow._id, before: orderWindowBefore, after: orderWindow });
+    }
+
+    return season;
+};
+
+module.exports = {
+    getActiveSeason,
+    requireActiveSeason,
+    resolveSeason,
+    seasonFilter,
+    assertSeasonWritable,
+    fileUnseasonedData,
+    startSeason,
+    closeSeason
+};
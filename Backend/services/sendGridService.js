@@ -1,24 +1,29 @@
 // sendgridService.js
-const sgMail = require('@sendgrid/mail');
-
-sgMail.setApiKey(process.env.SENDGRID_API_KEY); // Your SendGrid API key from environment variable
-
-const sendVerificationEmail = async (to, code) => {
-    const msg = {
-        to,
-        from: process.env.EMAIL_BOSSLEVEL, // Your verified sender email on SendGrid
-        subject: 'Email Verification Code',
-        text: `Your verification code for Oasis Inventory management system is ${code}.`,
-        html: `<strong>Your verification code is ${code}.</strong>`, // Optional HTML content
-    };
+// Kept under its old name; the actual transport (SendGrid, SMTP, file, console) is chosen in mailTransport.js
+const { deliverMail } = require('./mailTransport');
+const { renderTemplate } = require('./mailTemplates');
 
+// Render a template and send it, with one error message per kind of mail
+const sendTemplatedEmail = async (to, templateName, data, failureMessage) => {
     try {
-        await sgMail.send(msg);
-        console.log('Email sent');
+        await deliverMail({ to, ...renderTemplate(templateName, data) });
+        console.log(`Email sent (${templateName})`);
     } catch (error) {
         console.error('Error sending email:', error);
-        throw new Error('Failed to send verification email.');
+        throw new Error(failureMessage);
     }
 };
 
-module.exports = { sendVerificationEmail };
+const sendVerificationEmail = (to, code) =>
+    sendTemplatedEmail(to, 'verification', { code }, 'Failed to send verification email.');
+
+const sendPasswordResetEmail = (to, code) =>
+    sendTemplatedEmail(to, 'passwordReset', { code }, 'Failed to send password reset email.');
+
+const sendRoleChangeEmail = (to, { cordName, roleLabel, changedBy }) =>
+    sendTemplatedEmail(to, 'roleChange', { cordName, roleLabel, changedBy }, 'Failed to send role change email.');
+
+const sendOrderStatusEmail = (to, { cordName, clubName, items }) =>
+    sendTemplatedEmail(to, 'orderStatus', { cordName, clubName, items }, 'Failed to send order status email.');
+
+module.exports = { sendVerificationEmail, sendPasswordResetEmail, sendRoleChangeEmail, sendOrderStatusEmail };
@@ -0,0 +1,90 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/session');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 7;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const generateRefreshToken = () => crypto.randomBytes(48).toString('hex');
+
+const refreshTokenExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+// Short-lived JWT carrying the session ID so authMiddleware can check for revocation
+const signAccessToken = (user, session) => {
+    return jwt.sign(
+        { id: user._id, email: user.email, sid: session._id },
+        process.env.JWT_SECRET,
+        { expiresIn: ACCESS_TOKEN_TTL }
+    );
+};
+
+// Start a new session for a user, returning the tokens to hand to the client
+const createSession = async (user, req) => {
+    const refreshToken = generateRefreshToken();
+
+    const session = await Session.create({
+        userId: user._id,
+        refreshTokenHash: hashToken(refreshToken),
+        expiresAt: refreshTokenExpiry(),
+        userAgent: req.get('User-Agent'),
+        ip: req.ip
+    });
+
+    return { session, token: signAccessToken(user, session), refreshToken };
+};
+
+// Swap a refresh token for a new one. The old token stops working immediately,
+// so a stolen token can be used at most once before the real client notices.
+const rotateSession = async (refreshToken) => {
+    const newRefreshToken = generateRefreshToken();
+
+    const session = await Session.findOneAndUpdate(
+        {
+            refreshTokenHash: hashToken(refreshToken),
+            revokedAt: null,
+            expiresAt: { $gt: new Date() }
+        },
+        {
+            refreshTokenHash: hashToken(newRefreshToken),
+            expiresAt: refreshTokenExpiry(),
+            lastUsedAt: new Date()
+        },
+        { new: true }
+    );
+
+    if (!session) {
+        return null;
+    }
+
+    return { session, refreshToken: newRefreshToken };
+};
+
+// Revoke the session a refresh token belongs to
+const revokeSessionByToken = (refreshToken) => {
+    return Session.findOneAndUpdate(
+        { refreshTokenHash: hashToken(refreshToken), revokedAt: null },
+        { revokedAt: new Date() },
+        { new: true }
+    );
+};
+
+// Revoke every session of a user ("log out everywhere")
+const revokeAllSessions = (userId) => {
+    return Session.updateMany({ userId, revokedAt: null }, { revokedAt: new Date() });
+};
+
+// True when the session is still usable
+const isSessionActive = (session) => {
+    return Boolean(session) && !session.revokedAt && session.expiresAt > new Date();
+};
+
+module.exports = {
+    signAccessToken,
+    createSession,
+    rotateSession,
+    revokeSessionByToken,
+    revokeAllSessions,
+    isSessionActive
+};
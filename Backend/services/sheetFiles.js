@@ -0,0 +1,64 @@
+const { Readable } = require('stream');
+const path = require('path');
+const csv = require('csv-parser');
+const ExcelJS = require('exceljs');
+
+// Rows of an uploaded .csv file as objects keyed by the header row
+const parseCsv = (buffer) => {
+    return new Promise((resolve, reject) => {
+        const rows = [];
+        Readable.from(buffer)
+            .pipe(csv())
+            .on('data', (row) => {
+                rows.push(row);
+            })
+            .on('end', () => {
+                resolve(rows);
+            })
+            .on('error', reject);
+    });
+};
+
+// Dates stay dates; anything else is the text the cell shows (hyperlinks, formulas and rich text included)
+const cellValue = (cell) => (cell.value instanceof Date ? cell.value : cell.text);
+
+// Rows of the first sheet of an uploaded .xlsx file, keyed by the header row like parseCsv.
+// Empty cells are '' and blank rows are skipped.
+const parseXlsx = async (buffer) => {
+    const workbook = new ExcelJS.Workbook();
+    try {
+        await workbook.xlsx.load(buffer);
+    } catch (err) {
+        console.error(err);
+        throw new Error('The file is not a readable .xlsx workbook.');
+    }
+    const sheet = workbook.worksheets[0];
+    if (!sheet) return [];
+
+    const headers = [];
+    sheet.getRow(1).eachCell((cell, column) => {
+        headers[column] = cell.text.trim();
+    });
+
+    const rows = [];
+    sheet.eachRow((row, rowNumber) => {
+        if (rowNumber === 1) return;
+
+        const values = {};
+        headers.forEach((header, column) => {
+            if (header) values[header] = cellValue(row.getCell(column));
+        });
+        rows.push(values);
+    });
+    return rows;
+};
+
+// Rows of an uploaded .csv or .xlsx file, or null for any other kind of file
+const parseSheetFile = (buffer, filename) => {
+    const extension = path.extname(filename || '').toLowerCase();
+    if (extension === '.csv') return parseCsv(buffer);
+    if (extension === '.xlsx') return parseXlsx(buffer);
+    return null;
+};
+
+module.exports = { parseCsv, parseSheetFile };
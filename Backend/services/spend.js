@@ -0,0 +1,100 @@
+const Budget = require('../models/budget');
+const Cart = require('../models/Cart');
+const CartItem = require('../models/cartItem');
+const Inventory = require('../models/inventory');
+const PurchaseOrder = require('../models/purchaseOrder');
+const { seasonFilter } = require('./seasons');
+
+const CUSTOM_CATEGORY = 'Custom items';
+
+// What the store pays per unit of a cart item: the actual price once known, otherwise the estimate
+const unitCostOf = (cartItem) => cartItem.actualUnitCost ?? cartItem.estimatedUnitCost ?? 0;
+
+// Money committed to a cart item; rejected items cost nothing
+const costOf = (cartItem) => {
+    if (cartItem.status === 'Rejected') return 0;
+    return cartItem.ordered_quantity * unitCostOf(cartItem);
+};
+
+const addTo = (totals, key, amount) => totals.set(key, (totals.get(key) || 0) + amount);
+
+// Budget, spend so far and what is left for one club in a season. budget is null when none was set.
+const getClubSpend = async (season, userId) => {
+    if (!season) {
+        return { budget: null, spent: 0, remaining: null };
+    }
+
+    const [budget, cart] = await Promise.all([
+        Budget.findOne({ season: season._id, userId }),
+        Cart.findOne({ userId, season: season._id }).populate('cartItems')
+    ]);
+
+    const spent = cart ? cart.cartItems.reduce((total, cartItem) => total + costOf(cartItem), 0) : 0;
+    return {
+        budget: budget ? budget.amount : null,
+        spent,
+        remaining: budget ? budget.amount - spent : null
+    };
+};
+
+// Season spend broken down by club (against its budget), by item category and by vendor
+const getSpendReport = async (season) => {
+    const filter = seasonFilter(season);
+    const [carts, budgets, purchaseOrders] = await Promise.all([
+        Cart.find(filter).populate('userId', 'clubName cordName').populate('cartItems'),
+        season ? Budget.find({ season: season._id }).populate('userId', 'clubName cordName') : [],
+        PurchaseOrder.find(filter).populate('vendor', 'name')
+    ]);
+
+    // Categories are looked up on the inventory, custom items get their own
+    const itemIds = carts.flatMap(cart => cart.cartItems.filter(cartItem => cartItem.item_id).map(cartItem => cartItem.item_id));
+    const inventories = await Inventory.find({ _id: { $in: itemIds } }, 'category');
+    const categoryById = new Map(inventories.map(inventory => [inventory._id.toString(), inventory.category]));
+
+    const clubs = new Map();
+    const categories = new Map();
+    for (const cart of carts) {
+        if (!cart.userId) continue;
+        const key = cart.userId._id.toString();
+        const club = { userId: cart.userId._id, clubName: cart.userId.clubName, budget: null, spent: 0 };
+        clubs.set(key, club);
+
+        for (const cartItem of cart.cartItems) {
+            const cost = costOf(cartItem);
+            club.spent += cost;
+            const category = cartItem.item_id
+                ? categoryById.get(cartItem.item_id.toString()) || 'Uncategorised'
+                : CUSTOM_CATEGORY;
+            addTo(categories, category, cost);
+        }
+    }
+
+    // Clubs with a budget but no cart yet still show up
+    for (const budget of budgets) {
+        if (!budget.userId) continue;
+        const key = budget.userId._id.toString();
+        if (!clubs.has(key)) {
+            clubs.set(key, { userId: budget.userId._id, clubName: budget.userId.clubName, budget: null, spent: 0 });
+        }
+        const club = clubs.get(key);
+        club.budget = budget.amount;
+        club.budgetId = budget._id;
+    }
+
+    // Vendor spend is what the store ordered from each vendor on purchase orders
+    const vendors = new Map();
+    for (const purchaseOrder of purchaseOrders) {
+        addTo(vendors, purchaseOrder.vendor ? purchaseOrder.vendor.name : 'Unknown vendor', purchaseOrder.totalCost);
+    }
+
+    const byAmount = (a, b) => b.spent - a.spent;
+    return {
+        clubs: [...clubs.values()]
+            .map(club => ({ ...club, remaining: club.budget === null ? null : club.budget - club.spent }))
+            .sort((a, b) => a.clubName.localeCompare(b.clubName)),
+        categories: [...categories].map(([category, spent]) => ({ category, spent })).sort(byAmount),
+        vendors: [...vendors].map(([vendor, spent]) => ({ vendor, spent })).sort(byAmount)
+    };
+};
+
+module.exports = { unitCostOf, costOf, getClubSpend, getSpendReport };
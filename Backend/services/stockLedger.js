@@ -0,0 +1,120 @@
+const mongoose = require('mongoose');
+const Inventory = require('../models/inventory');
+const StockMovement = require('../models/stockMovement');
+const { publishInventoryChange } = require('./liveUpdates');
+
+const ledgerError = (message, status) => Object.assign(new Error(message), { status });
+
+// Scripts have no logged-in user
+const actorOf = (req) => (req && req.user ? { id: req.user.id, email: req.user.email } : undefined);
+
+const writeMovement = async (req, itemId, { type, quantity, reason, reference }, { session, expectedQuantity }) => {
+    const filter = { _id: itemId };
+    if (expectedQuantity !== undefined) {
+        filter.itemQuantity = expectedQuantity;
+    } else if (quantity < 0) {
+        filter.itemQuantity = { $gte: -quantity };
+    }
+    const inventory = await Inventory.findOneAndUpdate(filter, { $inc: { itemQuantity: quantity } }, { new: true, session });
+    if (!inventory) return null;
+
+    await StockMovement.create([{
+        item_id: inventory._id,
+        type,
+        quantity,
+        balanceAfter: inventory.itemQuantity,
+        reason,
+        reference,
+        by: actorOf(req)
+    }], { session });
+    return inventory;
+};
+
+// Change an item's stock by `quantity` (negative takes units out) and append the movement to the ledger.
+// Taking units out only succeeds when that much is in stock; the check and the change are one conditional
+// update, so two writers cannot both take the last units. The quantity and its ledger row are written in
+// one transaction, so stock never changes without a movement to show for it. Returns the updated item,
+// or null when the item is gone or has too little stock.
+// Pass a `session` to post as part of the caller's transaction; the caller then publishes the change once
+// it has committed. Pass `expectedQuantity` to post only while the stock is still exactly that.
+//   movement: { type, quantity, reason, reference: { kind, id } }
+const postMovement = async (req, itemId, movement, { session, expectedQuantity } = {}) => {
+    if (session) {
+        return writeMovement(req, itemId, movement, { session, expectedQuantity });
+    }
+
+    const ownSession = await mongoose.startSession();
+    let inventory;
+    try {
+        await ownSession.withTransaction(async () => {
+            inventory = await writeMovement(req, itemId, movement, { session: ownSession, expectedQuantity });
+        });
+    } finally {
+        await ownSession.endSession();
+    }
+
+    if (inventory) {
+        publishInventoryChange(inventory._id);
+    }
+    return inventory;
+};
+
+// Correct an item's stock by hand. adjustment takes a signed change; write-off takes the number of units lost.
+const adjustStock = async (req, itemId, { type, quantity, reason }) => {
+    if (!['adjustment', 'write-off'].includes(type)) {
+        throw ledgerError('Only adjustments and write-offs can be posted by hand.', 400);
+    }
+    if (type === 'write-off' && quantity <= 0) {
+        throw ledgerError('Write off at least one unit.', 400);
+    }
+    if (quantity === 0) {
+        throw ledgerError('An adjustment has to change the quantity.', 400);
+    }
+
+    const change = type === 'write-off' ? -quantity : quantity;
+    const inventory = await postMovement(req, itemId, { type, quantity: change, reason });
+    if (!inventory) {
+        const current = await Inventory.findById(itemId);
+        if (!current) {
+            throw ledgerError('Item not found', 404);
+        }
+        throw ledgerError(`Only ${current.itemQuantity} of ${current.itemName} in stock, cannot take out ${-change}.`, 409);
+    }
+    return inventory;
+};
+
+// Set an item's stock to `quantity`, booking the difference as an adjustment. The difference is only
+// posted while the stock is still what it was worked out from; when an allotment gets in between, it is
+// worked out again, so the item ends up at exactly the quantity asked for. Returns the updated item.
+const setStock = async (req, itemId, quantity, reason) => {
+    for (let attempt = 0; attempt < 3; attempt++) {
+        const current = await Inventory.findById(itemId);
+        if (!current) {
+            throw ledgerError('Item not found', 404);
+        }
+        if (current.itemQuantity === quantity) {
+            return current;
+        }
+
+        const inventory = await postMovement(req, itemId, {
+            type: 'adjustment',
+            quantity: quantity - current.itemQuantity,
+            reason
+        }, { expectedQuantity: current.itemQuantity });
+        if (inventory) {
+            return inventory;
+        }
+    }
+    throw ledgerError('The stock kept changing while it was being set. Try again.', 409);
+};
+
+// Stock of an item according to its movements; matches itemQuantity unless it was changed behind the ledger
+const ledgerQuantity = async (itemId) => {
+    const [total] = await StockMovement.aggregate([
+        { $match: { item_id: new mongoose.Types.ObjectId(String(itemId)) } },
+        { $group: { _id: null, quantity: { $sum: '$quantity' } } }
+    ]);
+    return total ? total.quantity : 0;
+};
+
+module.exports = { postMovement, adjustStock, setStock, ledgerQuantity };
@@ -0,0 +1,134 @@
+const mongoose = require('mongoose');
+const Inventory = require('../models/inventory');
+const CartItem = require('../models/cartItem');
+const { postMovement } = require('./stockLedger');
+const { publishInventoryChange } = require('./liveUpdates');
+
+// Errors raised here are the client's fault (not enough stock, bad quantity), not the server's
+const stockError = (message) => Object.assign(new Error(message), { status: 409 });
+
+const cartItemReference = (cartItem) => ({ kind: 'CartItem', id: cartItem._id });
+
+// Take `quantity` units out of the available stock, only if that much is left, as an issue in the stock ledger.
+// The ledger's conditional update means two coordinators allotting the last units at the same time cannot both succeed.
+//   reference: what the units are issued for, e.g. { kind: 'CartItem', id }
+// Pass a `session` to take the units as part of the caller's transaction.
+const reserveStock = async (req, itemId, quantity, reference, { session } = {}) => {
+    const inventory = await postMovement(req, itemId, { type: 'issue', quantity: -quantity, reference }, { session });
+
+    if (!inventory) {
+        const current = await Inventory.findById(itemId).session(session || null);
+        if (!current) {
+            throw stockError('Inventory item no longer exists.');
+        }
+        throw stockError(`Only ${current.itemQuantity} of ${current.itemName} left in stock, cannot allot ${quantity}.`);
+    }
+
+    return inventory;
+};
+
+// Put `quantity` units back into the available stock as a return in the stock ledger.
+// Pass a `session` to return them as part of the caller's transaction.
+const releaseStock = (req, itemId, quantity, reference, { session } = {}) => {
+    return postMovement(req, itemId, { type: 'return', quantity, reference }, { session });
+};
+
+// Run `work(session)` in one transaction and return its result
+const inTransaction = async (work) => {
+    const session = await mongoose.startSession();
+    let result;
+    try {
+        await session.withTransaction(async () => {
+            result = await work(session);
+        });
+    } finally {
+        await session.endSession();
+    }
+    return result;
+};
+
+// Add `quantity` (may be negative to take units back) to a cart item's allotment,
+// moving the same amount out of / back into stock. Custom items have no stock to touch.
+// The stock and the allotment change in one transaction, so units are never lost between the two.
+// Returns the updated cart item.
+const allotCartItem = async (req, cartItem, quantity) => {
+    if (!quantity) {
+        return cartItem;
+    }
+
+    const updatedCartItem = await inTransaction(async (session) => {
+        if (quantity > 0) {
+            if (cartItem.item_id) {
+                await reserveStock(req, cartItem.item_id, quantity, cartItemReference(cartItem), { session });
+            }
+
+            const allotted = await CartItem.findByIdAndUpdate(
+                cartItem._id,
+                { $inc: { allotted_quantity: quantity } },
+                { new: true, session }
+            );
+            if (!allotted) {
+                throw stockError('Cart item no longer exists.');
+            }
+            return allotted;
+        }
+
+        const takenBack = await CartItem.findOneAndUpdate(
+            { _id: cartItem._id, allotted_quantity: { $gte: -quantity } },
+            { $inc: { allotted_quantity: quantity } },
+            { new: true, session }
+        );
+        if (!takenBack) {
+            throw stockError(`Cannot take back ${-quantity} of ${cartItem.itemName}, only ${cartItem.allotted_quantity} allotted.`);
+        }
+
+        if (cartItem.item_id) {
+            await releaseStock(req, cartItem.item_id, -quantity, cartItemReference(cartItem), { session });
+        }
+        return takenBack;
+    });
+
+    if (cartItem.item_id) {
+        publishInventoryChange(cartItem.item_id);
+    }
+    return updatedCartItem;
+};
+
+// Return everything allotted to a cart item to stock and reset its allotment to 0, in one transaction.
+// Returns the updated cart item.
+const releaseAllotment = async (req, cartItem) => {
+    let releasedItemId = null;
+    const updatedCartItem = await inTransaction(async (session) => {
+        // Read-and-reset in one step so the same units are never released twice
+        const previous = await CartItem.findOneAndUpdate(
+            { _id: cartItem._id, allotted_quantity: { $gt: 0 } },
+            { $set: { allotted_quantity: 0 } },
+            { session }
+        );
+
+        releasedItemId = null;
+        if (previous && previous.item_id) {
+            await releaseStock(req, previous.item_id, previous.allotted_quantity, cartItemReference(previous), { session });
+            releasedItemId = previous.item_id;
+        }
+
+        return CartItem.findById(cartItem._id).session(session);
+    });
+
+    if (releasedItemId) {
+        publishInventoryChange(releasedItemId);
+    }
+    return updatedCartItem;
+};
+
+// Release the stock held by cart items that are about to be deleted.
+// Delivered items have physically left the store, so their units are not returned.
+const releaseCartItems = async (req, cartItems) => {
+    for (const cartItem of cartItems) {
+        if (cartItem.status !== 'Delivered') {
+            await releaseAllotment(req, cartItem);
+        }
+    }
+};
+
+module.exports = { reserveStock, releaseStock, allotCartItem, releaseAllotment, releaseCartItems };
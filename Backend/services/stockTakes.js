@@ -0,0 +1,228 @@
+const mongoose = require('mongoose');
+const StockTake = require('../models/stockTake');
+const Inventory = require('../models/inventory');
+const CartItem = require('../models/cartItem');
+const { nextSequence } = require('./counters');
+const { postMovement } = require('./stockLedger');
+const { publishInventoryChange } = require('./liveUpdates');
+const { parseSheetFile } = require('./sheetFiles');
+
+const stockTakeError = (message, status) => Object.assign(new Error(message), { status });
+
+const actorOf = (req) => ({ id: req.user.id, email: req.user.email });
+
+// Start a count with one line per inventory item. Only one count runs at a time.
+const startStockTake = async (req, { label }) => {
+    if (await StockTake.exists({ status: 'open' })) {
+        throw stockTakeError('A stock-take is already in progress. Post or cancel it first.', 409);
+    }
+
+    const items = await Inventory.find({}, 'itemName unit category sku storageLocation').sort({ category: 1, itemName: 1 });
+    return StockTake.create({
+        number: await nextSequence('stockTake'),
+        label,
+        lines: items.map((item) => ({
+            item_id: item._id,
+            itemName: item.itemName,
+            unit: item.unit,
+            category: item.category,
+            sku: item.sku,
+            storageLocation: item.storageLocation
+        })),
+        startedBy: actorOf(req)
+    });
+};
+
+// What the system says is on the shelf per item ID, as { available, allotted, onShelf }: the available
+// stock plus units allotted to clubs but not yet handed over. Allotted units have left itemQuantity but are still in the store when it is counted.
+// Allotting moves units between the two, so the sum holds still while clubs are served during a count.
+const shelfQuantities = async (itemIds, { session } = {}) => {
+    const inventories = await Inventory.find({ _id: { $in: itemIds } }, 'itemQuantity').session(session || null);
+    const allotments = await CartItem.aggregate([
+        { $match: { item_id: { $in: itemIds.map(String) }, status: { $ne: 'Delivered' }, allotted_quantity: { $gt: 0 } } },
+        { $group: { _id: '$item_id', allotted: { $sum: '$allotted_quantity' } } }
+    ]).session(session || null);
+    const allottedByItem = new Map(allotments.map((allotment) => [String(allotment._id), allotment.allotted]));
+
+    return new Map(inventories.map((inventory) => {
+        const key = inventory._id.toString();
+        const allotted = allottedByItem.get(key) || 0;
+        return [key, { available: inventory.itemQuantity, allotted, onShelf: inventory.itemQuantity + allotted }];
+    }));
+};
+
+// The stock-take with each line's current system quantity and variance (counted - system).
+// Stock keeps moving while the store is counted, so variances are against the live quantity.
+const withVariances = async (stockTake) => {
+    const shelf = await shelfQuantities(stockTake.lines.map((line) => line.item_id));
+
+    const lines = stockTake.lines.map((line) => {
+        const systemQuantity = shelf.has(line.item_id.toString()) ? shelf.get(line.item_id.toString()).onShelf : null;
+        const variance = line.countedQuantity === null || systemQuantity === null ? null : line.countedQuantity - systemQuantity;
+        return { ...line.toObject(), systemQuantity, variance };
+    });
+
+    return {
+        ...stockTake.toObject(),
+        lines,
+        summary: {
+            items: lines.length,
+            counted: lines.filter((line) => line.countedQuantity !== null).length,
+            withVariance: lines.filter((line) => line.variance).length
+        }
+    };
+};
+
+// Record counted quantities; a null count clears the line. Each line is set on its own, so counters
+// on different devices working through different shelves do not overwrite each other.
+//   counts: [{ item_id, countedQuantity }]
+// Returns how many lines were recorded and the item IDs that are not part of this count.
+const recordCounts = async (req, stockTake, counts) => {
+    const by = actorOf(req);
+    let recorded = 0;
+    const skipped = [];
+
+    for (const { item_id, countedQuantity } of counts) {
+        const result = await StockTake.updateOne(
+            { _id: stockTake._id, status: 'open', 'lines.item_id': item_id },
+            {
+                $set: {
+                    'lines.$.countedQuantity': countedQuantity,
+                    'lines.$.countedAt': new Date(),
+                    'lines.$.countedBy': by
+                }
+            }
+        );
+        if (result.matchedCount) {
+            recorded++;
+        } else if (!(await StockTake.exists({ _id: stockTake._id, status: 'open' }))) {
+            throw stockTakeError('This stock-take is no longer open.', 409);
+        } else {
+            skipped.push(String(item_id));
+        }
+    }
+
+    return { recorded, skipped };
+};
+
+// Header names vary between sheets ("Item ID", "itemId", "Counted Qty"), so compare them loosely
+const HEADER_ALIASES = {
+    itemid: 'item_id',
+    id: 'item_id',
+    item: 'itemName',
+    itemname: 'itemName',
+    name: 'itemName',
+    counted: 'countedQuantity',
+    countedqty: 'countedQuantity',
+    countedquantity: 'countedQuantity',
+    count: 'countedQuantity'
+};
+
+// Read counts from a filled-in count sheet (.xlsx, or .csv). Rows are matched on Item ID, or on the
+// item name when the ID column is missing; rows with an empty Counted cell are left alone.
+// Returns the counts to record and the rows that could not be used.
+const parseCountSheet = async (stockTake, buffer, filename) => {
+    const rows = await parseSheetFile(buffer, filename);
+    if (!rows) {
+        throw stockTakeError('Upload the count sheet as an .xlsx or .csv file.', 400);
+    }
+
+    const byId = new Map(stockTake.lines.map((line) => [line.item_id.toString(), line]));
+    const byName = new Map(stockTake.lines.map((line) => [line.itemName.trim().toLowerCase(), line]));
+
+    const counts = [];
+    const rejected = [];
+    rows.forEach((row, index) => {
+        const fields = {};
+        for (const [key, value] of Object.entries(row)) {
+            const field = HEADER_ALIASES[key.toLowerCase().replace(/[^a-z]/g, '')];
+            if (field) fields[field] = String(value).trim();
+        }
+        if (!fields.countedQuantity) return;
+
+        // Row 1 is the header
+        const rowNumber = index + 2;
+        const line = (fields.item_id && byId.get(fields.item_id)) || (fields.itemName && byName.get(fields.itemName.toLowerCase()));
+        if (!line) {
+            rejected.push({ row: rowNumber, reason: `Unknown item ${fields.itemName || fields.item_id || ''}`.trim() });
+            return;
+        }
+        const countedQuantity = Number(fields.countedQuantity);
+        if (!Number.isInteger(countedQuantity) || countedQuantity < 0) {
+            rejected.push({ row: rowNumber, reason: `Counted quantity of ${line.itemName} must be a whole number of 0 or more` });
+            return;
+        }
+        counts.push({ item_id: line.item_id, countedQuantity });
+    });
+
+    return { counts, rejected };
+};
+
+// Book every counted line's variance as a stock adjustment and close the count, all in one transaction:
+// either the whole reconciliation is posted or none of it. Uncounted items keep their quantity.
+const postStockTake = async (req, stockTake) => {
+    const session = await mongoose.startSession();
+    let posted;
+    try {
+        await session.withTransaction(async () => {
+            const current = await StockTake.findOne({ _id: stockTake._id, status: 'open' }).session(session);
+            if (!current) {
+                throw stockTakeError('This stock-take is no longer open.', 409);
+            }
+
+            const counted = current.lines.filter((line) => line.countedQuantity !== null);
+            const shelf = await shelfQuantities(counted.map((line) => line.item_id), { session });
+
+            for (const line of counted) {
+                const system = shelf.get(line.item_id.toString());
+                if (!system) continue;
+
+                // Only the available stock is adjusted; allotments stay with the clubs they were made for
+                if (line.countedQuantity < system.allotted) {
+                    throw stockTakeError(`Only ${line.countedQuantity} of ${line.itemName} were counted but ${system.allotted} are allotted to clubs. Take back allotments first.`, 409);
+                }
+                const variance = line.countedQuantity - system.onShelf;
+                line.postedVariance = variance;
+                if (variance === 0) continue;
+
+                const adjusted = await postMovement(req, line.item_id, {
+                    type: 'adjustment',
+                    quantity: variance,
+                    reason: `Stock-take #${current.number}`,
+                    reference: { kind: 'StockTake', id: current._id }
+                }, { session });
+                if (!adjusted) {
+                    throw stockTakeError(`Stock of ${line.itemName} changed while posting. Try again.`, 409);
+                }
+            }
+
+            current.status = 'posted';
+            current.closedAt = new Date();
+            current.closedBy = actorOf(req);
+            posted = await current.save({ session });
+        });
+    } finally {
+        await session.endSession();
+    }
+
+    const adjustedItems = posted.lines.filter((line) => line.postedVariance).map((line) => line.item_id);
+    if (adjustedItems.length > 0) {
+        publishInventoryChange(adjustedItems);
+    }
+    return posted;
+};
+
+// Drop a count without touching stock
+const cancelStockTake = async (req, stockTake) => {
+    const cancelled = await StockTake.findOneAndUpdate(
+        { _id: stockTake._id, status: 'open' },
+        { $set: { status: 'cancelled', closedAt: new Date(), closedBy: actorOf(req) } },
+        { new: true }
+    );
+    if (!cancelled) {
+        throw stockTakeError('This stock-take is no longer open.', 409);
+    }
+    return cancelled;
+};
+
+module.exports = { startStockTake, withVariances, recordCounts, parseCountSheet, postStockTake, cancelStockTake };
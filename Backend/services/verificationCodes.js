@@ -0,0 +1,78 @@
+const crypto = require('crypto');
+const VerificationCode = require('../models/verificationCode');
+
+const MAX_CODE_ATTEMPTS = Number(process.env.VERIFICATION_CODE_MAX_ATTEMPTS) || 5;
+// Matches the resend timer on the forgot-password page
+const RESEND_INTERVAL_MS = 30 * 1000;
+
+// 6-digit code from a cryptographically secure source
+const generateVerificationCode = () => crypto.randomInt(100000, 1000000).toString();
+
+// Keyed hash so a leaked collection cannot be brute-forced without the server secret
+const hashVerificationCode = (email, code) =>
+    crypto.createHmac('sha256', process.env.JWT_SECRET).update(`${email}:${code}`).digest('hex');
+
+const codeError = (message, status) => {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+};
+
+// Store a fresh code for an email (replacing any previous one) and return it for sending.
+// Throws with status 429 when a code was sent too recently.
+const issueVerificationCode = async (email) => {
+    const existing = await VerificationCode.findOne({ email });
+    if (existing && Date.now() - existing.createdAt.getTime() < RESEND_INTERVAL_MS) {
+        throw codeError('A code was sent moments ago. Please wait before requesting another one.', 429);
+    }
+
+    const code = generateVerificationCode();
+    await VerificationCode.findOneAndUpdate(
+        { email },
+        { codeHash: hashVerificationCode(email, code), attempts: 0, createdAt: Date.now() },
+        { upsert: true, new: true }
+    );
+
+    return code;
+};
+
+// Check a submitted code, counting the attempt. Returns null when the code is valid,
+// otherwise the error message to show. The code is deleted after MAX_CODE_ATTEMPTS wrong guesses.
+const checkVerificationCode = async (email, code) => {
+    // Codes issued before they were hashed have neither codeHash nor attempts and cannot be checked;
+    // treat them as expired rather than letting the attempt counter below pass them over
+    if (await VerificationCode.findOneAndDelete({ email, codeHash: { $exists: false } })) {
+        return 'Your verification code has expired. Please request a new code.';
+    }
+
+    // Count the attempt before comparing so parallel guesses cannot exceed the limit
+    const record = await VerificationCode.findOneAndUpdate(
+        { email, attempts: { $lt: MAX_CODE_ATTEMPTS } },
+        { $inc: { attempts: 1 } },
+        { new: true }
+    );
+
+    if (!record) {
+        // Either there is no code or its attempts are used up
+        const deleted = await VerificationCode.findOneAndDelete({ email });
+        return deleted
+            ? 'Too many incorrect attempts. Please request a new code.'
+            : 'Invalid verification code.';
+    }
+
+    const expected = Buffer.from(record.codeHash, 'hex');
+    const actual = Buffer.from(hashVerificationCode(email, String(code || '')), 'hex');
+    if (crypto.timingSafeEqual(expected, actual)) {
+        return null;
+    }
+
+    const attemptsLeft = MAX_CODE_ATTEMPTS - record.attempts;
+    if (attemptsLeft <= 0) {
+        await VerificationCode.deleteOne({ _id: record._id });
+        return 'Too many incorrect attempts. Please request a new code.';
+    }
+
+    return `Invalid verification code. ${attemptsLeft} attempt(s) left.`;
+};
+
+module.exports = { issueVerificationCode, checkVerificationCode };
@@ -23,7 +23,16 @@ import Items from './Components/Content/Items';
 import CustomItem from './Components/Content/CustomItem'
 import OrderwiseItem from './Components/Content/OrderwiseItem';
 import Forgpass from './Components/Content/Forgpass';
+import AuditLog from './Components/Content/AuditLog';
+import Users from './Components/Content/Users';
+import PurchaseOrders from './Components/Content/PurchaseOrders';
+import SpendReport from './Components/Content/SpendReport';
+import Loans from './Components/Content/Loans';
+import StockTake from './Components/Content/StockTake';
 import { OrderProvider } from './Components/Content/OrderContext';
+import { AuthProvider } from './Components/Content/AuthContext';
+import RequireRole from './Components/Content/RequireRole';
+import { ADMIN_ROLES, BOSS_ROLES, CLUB_ROLES } from './api/roles';
 
 import './App.css';
 
@@ -39,6 +48,7 @@ function App() {
   }, []);
 
   return (
+    <AuthProvider>
     <OrderProvider>
     <Router>
       {loading ? (
@@ -99,46 +109,88 @@ function App() {
             </>
           } />
           <Route path="/inventoryuser" element={
-            <>
+            <RequireRole roles={CLUB_ROLES}>
               <Navbar />
               <InventoryUser />
               <Footer />
-            </>
+            </RequireRole>
           } />
           <Route path="/inventoryadp" element={
-            <>
+            <RequireRole roles={ADMIN_ROLES}>
               <Navbar />
               <InventoryADP />
               <Footer />
-            </>
+            </RequireRole>
           } />
           <Route path="/items" element={
-            <>
+            <RequireRole roles={ADMIN_ROLES}>
               <Navbar />
               <Items />
               <Footer />
-            </>
+            </RequireRole>
           } />
           <Route path="/customitems" element={
-            <>
+            <RequireRole roles={ADMIN_ROLES}>
               <Navbar />
               <CustomItem />
               <Footer />
-            </>
+            </RequireRole>
           } />
           <Route path="/orderwiseitem" element={
-            <>
+            <RequireRole roles={ADMIN_ROLES}>
               <Navbar />
               <OrderwiseItem />
               <Footer />
-            </>
+            </RequireRole>
+          } />
+          <Route path="/audit" element={
+            <RequireRole roles={BOSS_ROLES}>
+              <Navbar />
+              <AuditLog />
+              <Footer />
+            </RequireRole>
+          } />
+          <Route path="/users" element={
+            <RequireRole roles={BOSS_ROLES}>
+              <Navbar />
+              <Users />
+              <Footer />
+            </RequireRole>
+          } />
+          <Route path="/purchase-orders" element={
+            <RequireRole roles={ADMIN_ROLES}>
+              <Navbar />
+              <PurchaseOrders />
+              <Footer />
+            </RequireRole>
+          } />
+          <Route path="/spend" element={
+            <RequireRole roles={BOSS_ROLES}>
+              <Navbar />
+              <SpendReport />
+              <Footer />
+            </RequireRole>
+          } />
+          <Route path="/loans" element={
+            <RequireRole roles={ADMIN_ROLES}>
+              <Navbar />
+              <Loans />
+              <Footer />
+            </RequireRole>
+          } />
+          <Route path="/stock-take" element={
+            <RequireRole roles={ADMIN_ROLES}>
+              <Navbar />
+              <StockTake />
+              <Footer />
+            </RequireRole>
           } />
           <Route path="/orders" element={
-            <>
+            <RequireRole roles={ADMIN_ROLES}>
               <Navbar />
               <Orders />
               <Footer />
-            </>
+            </RequireRole>
           } />
           <Route path="/" element={
             <>
@@ -157,6 +209,7 @@ function App() {
       )}
     </Router>
     </OrderProvider>
+    </AuthProvider>
   );
 }
 
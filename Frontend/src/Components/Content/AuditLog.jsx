@@ -0,0 +1,262 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import bgImage from '../../assets/bg.jpg';
+import { audit } from '../../api/endpoints';
+import { errorMessageOf } from '../../api/client';
+
+const PAGE_SIZE = 50;
+
+function AuditLog() {
+  const [logs, setLogs] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [page, setPage] = useState(1);
+  const [loading, setLoading] = useState(false);
+  const [entityType, setEntityType] = useState('');
+  const [entityId, setEntityId] = useState('');
+  const [user, setUser] = useState('');
+  const [from, setFrom] = useState('');
+  const [to, setTo] = useState('');
+  const [selectedLog, setSelectedLog] = useState(null);
+
+  // The filters of the last search; the form fields only apply when Search is pressed
+  const [query, setQuery] = useState({});
+
+  const fetchLogs = useCallback(async (pageToLoad) => {
+    setLoading(true);
+    try {
+      const data = await audit.list({ ...query, page: pageToLoad, limit: PAGE_SIZE });
+      setLogs(data.logs);
+      setTotal(data.total);
+      setPage(data.page);
+    } catch (error) {
+      console.error('Error fetching audit log:', error);
+      alert(errorMessageOf(error, 'Failed to fetch audit log'));
+    } finally {
+      setLoading(false);
+    }
+  }, [query]);
+
+  // First page of each new search
+  useEffect(() => {
+    fetchLogs(1);
+  }, [fetchLogs]);
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    setQuery({
+      entityType,
+      entityId: entityId.trim(),
+      user: user.trim(),
+      from: from && new Date(from).toISOString(),
+      to: to && new Date(to).toISOString(),
+    });
+  };
+
+  const formatValue = (value) => {
+    if (value === null || value === undefined || value === '') return '—';
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+  };
+
+  const totalPages = Math.max(1, Math.ceil(total / PAGE_SIZE));
+
+  return (
+    <div
+      id='AuditLog'
+      className='bg-custom-light text-black dark:bg-custom-dark dark:text-white lg:px-32 px-5 py-20 min-h-screen flex flex-col items-center'
+      style={{
+        backgroundImage: `url(${bgImage})`,
+        backgroundSize: 'cover',
+        backgroundPosition: 'center',
+        backgroundRepeat: 'no-repeat',
+      }}
+    >
+      <h1 className='text-4xl font-bold mb-10'>Audit Log</h1>
+
+      {/* Button to link to /inventoryadp */}
+      <Link to='/inventoryadp'>
+        <button className='bg-blue-500 text-white px-4 py-2 rounded mb-10'>
+          Back to Home
+        </button>
+      </Link>
+
+      {/* Filters */}
+      <form onSubmit={handleSearch} className='flex flex-wrap justify-center gap-4 mb-8'>
+        <select
+          className='filter-input'
+          value={entityType}
+          onChange={(e) => setEntityType(e.target.value)}
+        >
+          <option value=''>All entities</option>
+          <option value='Inventory'>Inventory</option>
+          <option value='Cart'>Cart</option>
+          <option value='CartItem'>Cart Item</option>
+          <option value='Requisition'>Requisition</option>
+          <option value='Season'>Season</option>
+          <option value='Vendor'>Vendor</option>
+          <option value='PurchaseOrder'>Purchase Order</option>
+          <option value='Budget'>Budget</option>
+          <option value='Loan'>Loan</option>
+          <option value='StockTake'>Stock-take</option>
+          <option value='User'>User</option>
+          <option value='AllowedEmail'>Whitelisted Email</option>
+          <option value='OrderWindow'>Order Window</option>
+        </select>
+        <input
+          type='text'
+          className='filter-input'
+          placeholder='Entity ID'
+          value={entityId}
+          onChange={(e) => setEntityId(e.target.value)}
+        />
+        <input
+          type='text'
+          className='filter-input'
+          placeholder='User email or ID'
+          value={user}
+          onChange={(e) => setUser(e.target.value)}
+        />
+        <input
+          type='datetime-local'
+          className='filter-input'
+          value={from}
+          onChange={(e) => setFrom(e.target.value)}
+          title='From'
+        />
+        <input
+          type='datetime-local'
+          className='filter-input'
+          value={to}
+          onChange={(e) => setTo(e.target.value)}
+          title='To'
+        />
+        <button type='submit' className='bg-green-500 text-white px-4 py-2 rounded'>
+          Search
+        </button>
+      </form>
+
+      {/* Table with glow and rounded corners */}
+      <div className='overflow-hidden rounded-lg shadow-lg border border-blue-400 glow w-full'>
+        <table className='min-w-full bg-white dark:bg-gray-800'>
+          <thead>
+            <tr className='text-left'>
+              <th className='py-2 px-4 border-b'>Time</th>
+              <th className='py-2 px-4 border-b'>User</th>
+              <th className='py-2 px-4 border-b'>Action</th>
+              <th className='py-2 px-4 border-b'>Entity</th>
+              <th className='py-2 px-4 border-b'>Changes</th>
+            </tr>
+          </thead>
+          <tbody>
+            {loading ? (
+              <tr>
+                <td colSpan='5' className='py-4 px-4 text-center'>Loading...</td>
+              </tr>
+            ) : logs.length === 0 ? (
+              <tr>
+                <td colSpan='5' className='py-4 px-4 text-center'>No entries found</td>
+              </tr>
+            ) : (
+              logs.map((log) => (
+                <tr key={log._id} className='hover:bg-gray-100 dark:hover:bg-gray-700'>
+                  <td className='py-2 px-4 border-b whitespace-nowrap'>{new Date(log.createdAt).toLocaleString()}</td>
+                  <td className='py-2 px-4 border-b'>{log.actor?.email || 'Unknown'}</td>
+                  <td className='py-2 px-4 border-b'>
+                    <div className='capitalize'>{log.action}</div>
+                    <div className='text-xs text-gray-400'>{log.method} {log.route}</div>
+                  </td>
+                  <td className='py-2 px-4 border-b'>
+                    <div>{log.entityType}</div>
+                    <div className='text-xs text-gray-400'>{log.entityId}</div>
+                  </td>
+                  <td
+                    className='py-2 px-4 border-b cursor-pointer text-blue-500 hover:underline'
+                    onClick={() => setSelectedLog(log)}
+                  >
+                    {log.diff.length} field{log.diff.length === 1 ? '' : 's'}
+                  </td>
+                </tr>
+              ))
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      {/* Pagination */}
+      <div className='flex items-center space-x-4 mt-6'>
+        <button
+          onClick={() => fetchLogs(page - 1)}
+          disabled={page <= 1 || loading}
+          className='bg-blue-500 text-white px-4 py-2 rounded disabled:opacity-50'
+        >
+          Previous
+        </button>
+        <span>Page {page} of {totalPages} ({total} entries)</span>
+        <button
+          onClick={() => fetchLogs(page + 1)}
+          disabled={page >= totalPages || loading}
+          className='bg-blue-500 text-white px-4 py-2 rounded disabled:opacity-50'
+        >
+          Next
+        </button>
+      </div>
+
+      {/* Modal with the before/after diff of one entry */}
+      {selectedLog && (
+        <div className='fixed inset-0 bg-black bg-opacity-75 flex items-center justify-center z-50'>
+          <div className='bg-white dark:bg-gray-900 text-black dark:text-white p-6 rounded-lg shadow-lg w-2/3 max-h-[80vh] overflow-y-auto relative'>
+            <button
+              onClick={() => setSelectedLog(null)}
+              className='absolute top-2 right-2 text-gray-500 dark:text-gray-300 text-2xl'
+            >
+              &times;
+            </button>
+            <h2 className='text-xl font-semibold mb-4'>
+              {selectedLog.entityType} {selectedLog.entityId}
+            </h2>
+            <table className='min-w-full'>
+              <thead>
+                <tr className='text-left'>
+                  <th className='py-2 px-4 border-b'>Field</th>
+                  <th className='py-2 px-4 border-b'>Before</th>
+                  <th className='py-2 px-4 border-b'>After</th>
+                </tr>
+              </thead>
+              <tbody>
+                {selectedLog.diff.map((change) => (
+                  <tr key={change.field}>
+                    <td className='py-2 px-4 border-b'>{change.field}</td>
+                    <td className='py-2 px-4 border-b break-all'>{formatValue(change.from)}</td>
+                    <td className='py-2 px-4 border-b break-all'>{formatValue(change.to)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <button
+              onClick={() => setSelectedLog(null)}
+              className='bg-blue-500 text-white px-4 py-2 rounded mt-4'
+            >
+              Close
+            </button>
+          </div>
+        </div>
+      )}
+
+      <style>{`
+        .glow {
+          box-shadow: 0 0 15px rgba(0, 123, 255, 0.6);
+        }
+
+        .filter-input {
+          background-color: rgba(0, 0, 0, 0.5);
+          color: white;
+          border: 1px solid #555;
+          padding: 8px;
+          border-radius: 5px;
+        }
+      `}</style>
+    </div>
+  );
+}
+
+export default AuditLog;
@@ -0,0 +1,84 @@
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import PropTypes from 'prop-types';
+import { AuthContext } from './useAuth';
+import { onSessionChange, storeSession, clearSession, refreshSession, logout as endSession } from '../../api/authFetch';
+
+// Renew the access token this long before it runs out, so requests do not have to wait for a 401 first
+const RENEW_BEFORE_EXPIRY_MS = 30 * 1000;
+// Spread renewals out so tabs sharing the session do not rotate the same refresh token at once
+const RENEW_JITTER_MS = 5 * 1000;
+
+// When the access token runs out (ms since epoch), from the JWT's exp claim; null when it cannot be read
+const tokenExpiry = (token) => {
+  try {
+    const payload = JSON.parse(atob(token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')));
+    return payload.exp ? payload.exp * 1000 : null;
+  } catch {
+    return null;
+  }
+};
+
+const readSession = () => {
+  const token = localStorage.getItem('token');
+  const userString = localStorage.getItem('user');
+  if (!token || !userString) {
+    return { user: null, token: null, expiresAt: null };
+  }
+  return { user: JSON.parse(userString), token, expiresAt: tokenExpiry(token) };
+};
+
+// The logged-in user for the whole app. localStorage stays the source of truth (authFetch reads the
+// tokens from there); this keeps React in step with it and ends the session once it cannot be renewed.
+export const AuthProvider = ({ children }) => {
+  const [session, setSession] = useState(readSession);
+
+  useEffect(() => {
+    const reload = () => setSession(readSession());
+    const unsubscribe = onSessionChange(reload);
+
+    // Logins, renewals and logouts in other tabs
+    const handleStorage = (e) => {
+      if (e.key === null || e.key === 'token' || e.key === 'user') reload();
+    };
+    window.addEventListener('storage', handleStorage);
+
+    return () => {
+      unsubscribe();
+      window.removeEventListener('storage', handleStorage);
+    };
+  }, []);
+
+  // Renew the access token shortly before it expires. Without a refresh token, or when the backend
+  // refuses it (expired or revoked), the session ends and RequireRole sends the user to the login page.
+  useEffect(() => {
+    if (!session.token || !session.expiresAt) return undefined;
+
+    const delay = session.expiresAt - Date.now() - RENEW_BEFORE_EXPIRY_MS - Math.random() * RENEW_JITTER_MS;
+    const timer = setTimeout(async () => {
+      // Another tab got there first; its new token arrives through the storage event
+      if (localStorage.getItem('token') !== session.token) return;
+
+      const token = await refreshSession();
+      if (!token && !localStorage.getItem('refreshToken')) {
+        clearSession();
+      }
+      // A null token with the refresh token still stored means the backend was unreachable; the next
+      // request retries the renewal through authFetch
+    }, Math.max(delay, 0));
+
+    return () => clearTimeout(timer);
+  }, [session.token, session.expiresAt]);
+
+  // Keep the tokens from a login response
+  const login = useCallback((data) => storeSession(data), []);
+
+  const logout = useCallback((options) => endSession(options), []);
+
+  const value = useMemo(() => ({ ...session, login, logout }), [session, login, logout]);
+
+  return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
+};
+
+AuthProvider.propTypes = {
+  children: PropTypes.node.isRequired,
+};
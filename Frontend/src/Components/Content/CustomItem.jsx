@@ -1,39 +1,32 @@
 import React, { useState, useEffect } from 'react';
-import { useLocation, Link, useNavigate } from 'react-router-dom';
+import { useLocation, Link } from 'react-router-dom';
 import * as XLSX from 'xlsx';
 import bgImage from '../../assets/bg.jpg'; // Ensure the correct path to your background image
+import { isViewingArchive } from '../../api/seasons';
+import { cart, customItems } from '../../api/endpoints';
+import SeasonBanner from './SeasonBanner';
+import CustomItemReview from './CustomItemReview';
+import { ORDER_STATUS_LABELS, statusOptions, findRejectionsWithoutReason, partialSaveMessage } from '../../api/orderStatus';
+import { APPROVAL_STAGE_LABELS } from '../../api/customItemApproval';
 
 function Inventory() {
   const [items, setItems] = useState([]);
   const [modalVisible, setModalVisible] = useState(false);
   const [selectedOrder, setSelectedOrder] = useState(null);
+  const [reviewingId, setReviewingId] = useState(null);
+  const [reloadCount, setReloadCount] = useState(0);
 
   const location = useLocation();
   const { state } = location;
   const userId = state ? state.user_id : null;
 
-  const userString = localStorage.getItem("user");
-  const userData = userString ? JSON.parse(userString) : null;
-  const token = localStorage.getItem("token");
-  const navigate = useNavigate();
+  // Closed seasons are read-only
+  const viewingArchive = isViewingArchive();
 
   useEffect(() => {
-    if (!token || (userData && userData.access !== 'bosslevel')) {
-      navigate('/inventory');
-      return; // Prevent further execution
-    }
-
     const fetchItems = async () => {
       try {
-        const response = await fetch(
-          'https://adp-backend-bzdrfdhvbhbngbgu.southindia-01.azurewebsites.net/api/cart/cart-item-summary-custom',
-          {
-            headers: {
-              Authorization: `Bearer ${token}`,
-            },
-          }
-        );
-        const data = await response.json();
+        const data = await customItems.list();
 
         console.log('Fetched items:', data);
 
@@ -46,8 +39,18 @@ function Inventory() {
               orderedQuantity: item.ordered_quantity, // Default to 0 if undefined
               allottedQuantity: item.allotted_quantity, // Default to 0 if undefined
               status: item.status, // Ensure proper initial value
+              originalStatus: item.status, // Limits the dropdown to legal transitions
               remarks: item.remarks, // Initialize remarks (you can modify this later)
               link: item.link, // Initialize link
+              linkHost: item.linkHost,
+              clubName: item.clubName,
+              approvalStatus: item.approvalStatus,
+              approvalHistory: item.approvalHistory || [],
+              adminComments: item.adminComments || [],
+              possibleDuplicates: item.possibleDuplicates || [],
+              estimatedUnitCost: item.estimatedUnitCost,
+              actualUnitCost: item.actualUnitCost ?? '',
+              originalActualUnitCost: item.actualUnitCost ?? '',
             }))
           );
         } else {
@@ -59,7 +62,7 @@ function Inventory() {
     };
 
     fetchItems();
-  }, [userId]); // Added dependencies
+  }, [userId, reloadCount]); // Added dependencies
 
   const handleStatusChange = (index, value) => {
     const updatedItems = [...items];
@@ -73,6 +76,12 @@ function Inventory() {
     setItems(updatedItems);
   };
 
+  const handleActualCostChange = (index, value) => {
+    const updatedItems = [...items];
+    updatedItems[index].actualUnitCost = value;
+    setItems(updatedItems);
+  };
+
   const handleSave = async () => {
     // Create an array of updated items
     const updatedItems = items
@@ -81,6 +90,10 @@ function Inventory() {
         _id: item.id,
         status: item.status,
         remarks: item.remarks,
+        // Only sent when edited; clearing the field removes the actual price
+        ...(String(item.actualUnitCost) !== String(item.originalActualUnitCost) && {
+          actualUnitCost: item.actualUnitCost === '' ? null : Number(item.actualUnitCost),
+        }),
       }))
       .filter((item) => item.status || item.remarks); // Remove items with no changes
 
@@ -89,26 +102,24 @@ function Inventory() {
       return;
     }
 
-    try {
-      const response = await fetch(
-        'https://adp-backend-bzdrfdhvbhbngbgu.southindia-01.azurewebsites.net/api/cart/update-multiple-cart-items',
-        {
-          method: 'PUT',
-          headers: {
-            'Content-Type': 'application/json',
-            Authorization: `Bearer ${token}`,
-          },
-          body: JSON.stringify({ items: updatedItems }),
-        }
-      );
-
-      if (!response.ok) {
-        throw new Error('Failed to save changes');
-      }
+    // Rejections need a reason, which is taken from the remarks
+    const missingReasons = findRejectionsWithoutReason(items);
+    if (missingReasons.length > 0) {
+      alert(`Add a remark explaining the rejection for:\n${missingReasons.map((item) => item.name).join('\n')}`);
+      return;
+    }
 
+    try {
+      await cart.updateItems(updatedItems);
       console.log('Items saved:', updatedItems);
       window.location.reload(); // Refresh the page
     } catch (error) {
+      const partialFailure = partialSaveMessage(error, items);
+      if (partialFailure) {
+        alert(partialFailure);
+        window.location.reload();
+        return;
+      }
       console.error('Error saving changes:', error);
     }
   };
@@ -149,6 +160,8 @@ function Inventory() {
     >
       <h1 className='text-4xl font-bold mb-6'>External Inventory Demand</h1>
 
+      <SeasonBanner />
+
       <div className='flex align-center justify-center w-full mb-8'>
         <Link to='/inventoryadp'>
           <button className='bg-blue-500 text-white px-4 py-2 rounded mr-4'>
@@ -166,17 +179,37 @@ function Inventory() {
           <thead>
             <tr className='text-left'>
               <th className='py-2 px-4 border-b'>Item Name</th>
+              <th className='py-2 px-4 border-b'>Club</th>
+              <th className='py-2 px-4 border-b'>Approval</th>
               <th className='py-2 px-4 border-b'>Ordered Quantity</th>
               <th className='py-2 px-4 border-b'>Allotted Quantity</th>
               <th className='py-2 px-4 border-b'>Status</th>
               <th className='py-2 px-4 border-b'>Remarks</th>
               <th className='py-2 px-4 border-b'>Link</th>
+              <th className='py-2 px-4 border-b'>Est. Price/Unit</th>
+              <th className='py-2 px-4 border-b'>Actual Price/Unit</th>
             </tr>
           </thead>
           <tbody>
             {items.map((item, index) => (
               <tr key={index} className='hover:bg-gray-100 dark:hover:bg-gray-700'>
-                <td className='py-2 px-4 border-b'>{item.name}</td>
+                <td className='py-2 px-4 border-b'>
+                  {item.name}
+                  {item.possibleDuplicates.length > 0 && (
+                    <div className='text-xs text-yellow-400' title={item.possibleDuplicates.map((duplicate) => duplicate.itemName).join(', ')}>
+                      Possibly in inventory
+                    </div>
+                  )}
+                </td>
+                <td className='py-2 px-4 border-b'>{item.clubName}</td>
+                <td className='py-2 px-4 border-b'>
+                  <button onClick={() => setReviewingId(item.id)} className='text-blue-500 underline'>
+                    {APPROVAL_STAGE_LABELS[item.approvalStatus]}
+                  </button>
+                  {item.adminComments.length > 0 && (
+                    <span className='text-xs text-gray-400'> ({item.adminComments.length})</span>
+                  )}
+                </td>
                 <td className='py-2 px-4 border-b'>{item.orderedQuantity}</td>
                 <td className='py-2 px-4 border-b'>{item.allottedQuantity}</td>
                 <td className='py-2 px-4 border-b'>
@@ -185,12 +218,11 @@ function Inventory() {
                     value={item.status} 
                     onChange={(e) => handleStatusChange(index, e.target.value)}
                   >
-                    <option value=''>Select Status</option>
-                    <option value='Pending'>Pending</option>
-                    <option value='Delivered'>Delivered</option>
-                    <option value='Ready'>Ready for Pickup</option>
-                    <option value='Rejected'>Rejected</option>
-                    <option value='Amazon'>Amazon</option>
+                    {statusOptions(item.originalStatus).map((status) => (
+                      <option key={status} value={status}>
+                        {ORDER_STATUS_LABELS[status]}
+                      </option>
+                    ))}
                   </select>
                 </td>
                 <td className='py-2 px-4 border-b'>
@@ -214,12 +246,25 @@ function Inventory() {
                 <td className='py-2 px-4 border-b'>
                   {item.link ? (
                     <a href={item.link} target="_blank" rel="noopener noreferrer" className='text-blue-500 underline'>
-                      Link
+                      {item.linkHost || 'Link'}
                     </a>
                   ) : (
                     'No link'
                   )}
                 </td>
+                <td className='py-2 px-4 border-b'>
+                  {item.estimatedUnitCost ? `₹${item.estimatedUnitCost}` : '—'}
+                </td>
+                <td className='py-2 px-4 border-b'>
+                  <input
+                    type='number'
+                    min='0'
+                    className='cost-input'
+                    value={item.actualUnitCost}
+                    onChange={(e) => handleActualCostChange(index, e.target.value)}
+                    placeholder='₹'
+                  />
+                </td>
               </tr>
             ))}
           </tbody>
@@ -228,11 +273,21 @@ function Inventory() {
 
       <button
         onClick={handleSave}
-        className='bg-green-500 text-white px-4 py-2 rounded mt-8'
+        disabled={viewingArchive}
+        className='bg-green-500 text-white px-4 py-2 rounded mt-8 disabled:opacity-50'
       >
         Save Changes
       </button>
 
+      {reviewingId && items.some((item) => item.id === reviewingId) && (
+        <CustomItemReview
+          item={items.find((item) => item.id === reviewingId)}
+          readOnly={viewingArchive}
+          onClose={() => setReviewingId(null)}
+          onChanged={() => setReloadCount((count) => count + 1)}
+        />
+      )}
+
       {modalVisible && (
         <div className='fixed inset-0 bg-black bg-opacity-75 flex items-center justify-center z-50'>
           <div className='bg-white dark:bg-gray-900 text-black dark:text-white p-6 rounded-lg shadow-lg w-1/3 relative'>
@@ -265,6 +320,15 @@ function Inventory() {
           font-size: 0.875rem;
         }
 
+        .cost-input {
+          background-color: black;
+          color: white;
+          border: 1px solid #555;
+          border-radius: 4px;
+          padding: 6px;
+          width: 7rem;
+        }
+
         .status-dropdown option {
           background-color: black;
           color: white;
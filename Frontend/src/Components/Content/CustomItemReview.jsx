@@ -0,0 +1,236 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import { customItems } from '../../api/endpoints';
+import { errorMessageOf } from '../../api/client';
+import { APPROVAL_STAGE_LABELS, APPROVAL_ACTIONS } from '../../api/customItemApproval';
+
+const UNITS = ['pcs', 'litres', 'ml', 'kg', 'g', 'metres', 'sheets', 'rolls', 'boxes'];
+
+// Review one custom request: move it through approval, comment on it and promote it to an inventory item
+function CustomItemReview({ item, readOnly, onClose, onChanged }) {
+  const [comment, setComment] = useState('');
+  const [estimatedUnitCost, setEstimatedUnitCost] = useState(item.estimatedUnitCost ?? '');
+  const [promoteTarget, setPromoteTarget] = useState(item.possibleDuplicates.length > 0 ? item.possibleDuplicates[0]._id : '');
+  const [newItem, setNewItem] = useState({ itemName: item.name, itemQuantity: 0, category: '', unit: 'pcs' });
+
+  // Runs one of the customItems calls; true once it went through and the list was refreshed
+  const send = async (call, fallback) => {
+    try {
+      await call();
+      onChanged();
+      return true;
+    } catch (error) {
+      console.error('Error updating custom item:', error);
+      alert(errorMessageOf(error, fallback));
+    }
+    return false;
+  };
+
+  const moveTo = async (stage) => {
+    const payload = { stage, comment: comment || undefined };
+    if (estimatedUnitCost !== '' && Number(estimatedUnitCost) !== item.estimatedUnitCost) {
+      payload.estimatedUnitCost = Number(estimatedUnitCost);
+    }
+    if (await send(() => customItems.advance(item.id, payload), 'Failed to update the request')) {
+      setComment('');
+    }
+  };
+
+  const addComment = async () => {
+    if (!comment.trim()) return;
+    if (await send(() => customItems.comment(item.id, comment), 'Failed to add the comment')) {
+      setComment('');
+    }
+  };
+
+  const promote = async () => {
+    const payload = promoteTarget
+      ? { item_id: promoteTarget }
+      : {
+          itemName: newItem.itemName,
+          itemQuantity: Number(newItem.itemQuantity),
+          unit: newItem.unit,
+          ...(newItem.category.trim() && { category: newItem.category.trim() }),
+        };
+    if (await send(() => customItems.promote(item.id, payload), 'Failed to promote the item')) {
+      onClose();
+    }
+  };
+
+  const isConverted = item.approvalStatus === 'converted';
+
+  return (
+    <div className='fixed inset-0 bg-black bg-opacity-75 flex items-center justify-center z-50'>
+      <div className='bg-white dark:bg-gray-900 text-black dark:text-white p-6 rounded-lg shadow-lg w-2/3 max-h-[85vh] overflow-y-auto relative'>
+        <button onClick={onClose} className='absolute top-2 right-2 text-gray-500 dark:text-gray-300 text-2xl'>
+          &times;
+        </button>
+        <h2 className='text-xl font-semibold mb-1'>{item.name}</h2>
+        <p className='text-gray-400 mb-4'>
+          {item.clubName || 'Unknown club'} · {item.orderedQuantity} requested · {APPROVAL_STAGE_LABELS[item.approvalStatus]}
+          {item.link && (
+            <>
+              {' · '}
+              <a href={item.link} target='_blank' rel='noopener noreferrer' className='text-blue-500 underline'>
+                {item.linkHost || 'Link'}
+              </a>
+            </>
+          )}
+        </p>
+
+        {item.possibleDuplicates.length > 0 && !isConverted && (
+          <p className='mb-4 text-yellow-400'>
+            Possibly already stocked as: {item.possibleDuplicates.map((duplicate) => duplicate.itemName).join(', ')}
+          </p>
+        )}
+
+        {!readOnly && !isConverted && (
+          <div className='mb-6'>
+            <div className='flex flex-wrap items-center gap-2 mb-3'>
+              <label>Estimated price/unit (₹)</label>
+              <input
+                type='number'
+                min='0'
+                className='review-input w-32'
+                value={estimatedUnitCost}
+                onChange={(e) => setEstimatedUnitCost(e.target.value)}
+              />
+            </div>
+            <textarea
+              className='review-input w-full mb-3'
+              rows='2'
+              placeholder='Comment for the club (optional)'
+              value={comment}
+              onChange={(e) => setComment(e.target.value)}
+            />
+            <div className='flex flex-wrap gap-2'>
+              {APPROVAL_ACTIONS[item.approvalStatus].map((action) => (
+                <button key={action.stage} onClick={() => moveTo(action.stage)} className='bg-green-500 text-white px-4 py-2 rounded'>
+                  {action.label}
+                </button>
+              ))}
+              <button onClick={addComment} disabled={!comment.trim()} className='bg-blue-500 text-white px-4 py-2 rounded disabled:opacity-50'>
+                Comment only
+              </button>
+            </div>
+          </div>
+        )}
+
+        {!readOnly && !isConverted && (
+          <div className='mb-6 p-3 border border-gray-600 rounded'>
+            <h3 className='text-lg font-semibold mb-2'>Promote to inventory item</h3>
+            <select className='review-input mb-3 w-full' value={promoteTarget} onChange={(e) => setPromoteTarget(e.target.value)}>
+              <option value=''>Create a new inventory item</option>
+              {item.possibleDuplicates.map((duplicate) => (
+                <option key={duplicate._id} value={duplicate._id}>
+                  Link to existing: {duplicate.itemName}
+                </option>
+              ))}
+            </select>
+            {!promoteTarget && (
+              <div className='flex flex-wrap gap-2 mb-3'>
+                <input
+                  type='text'
+                  className='review-input flex-1'
+                  placeholder='Item name'
+                  value={newItem.itemName}
+                  onChange={(e) => setNewItem({ ...newItem, itemName: e.target.value })}
+                />
+                <input
+                  type='number'
+                  min='0'
+                  className='review-input w-28'
+                  title='Units now in stock'
+                  value={newItem.itemQuantity}
+                  onChange={(e) => setNewItem({ ...newItem, itemQuantity: e.target.value })}
+                />
+                <select className='review-input' value={newItem.unit} onChange={(e) => setNewItem({ ...newItem, unit: e.target.value })}>
+                  {UNITS.map((unit) => (
+                    <option key={unit} value={unit}>
+                      {unit}
+                    </option>
+                  ))}
+                </select>
+                <input
+                  type='text'
+                  className='review-input w-40'
+                  placeholder='Category'
+                  value={newItem.category}
+                  onChange={(e) => setNewItem({ ...newItem, category: e.target.value })}
+                />
+              </div>
+            )}
+            <button onClick={promote} className='bg-purple-600 text-white px-4 py-2 rounded'>
+              Promote
+            </button>
+          </div>
+        )}
+
+        <h3 className='text-lg font-semibold mb-2'>Comments</h3>
+        {item.adminComments.length === 0 ? (
+          <p className='text-gray-400 mb-4'>No comments yet.</p>
+        ) : (
+          <ul className='mb-4'>
+            {item.adminComments.map((entry, index) => (
+              <li key={index} className='mb-2'>
+                <span className='text-xs text-gray-400'>
+                  {new Date(entry.at).toLocaleString()} · {entry.by?.email || 'Unknown'}
+                </span>
+                <div>{entry.text}</div>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        <h3 className='text-lg font-semibold mb-2'>History</h3>
+        {item.approvalHistory.length === 0 ? (
+          <p className='text-gray-400'>No changes yet.</p>
+        ) : (
+          <ul>
+            {item.approvalHistory.map((entry, index) => (
+              <li key={index} className='text-sm'>
+                {new Date(entry.at).toLocaleString()}: {APPROVAL_STAGE_LABELS[entry.from]} → {APPROVAL_STAGE_LABELS[entry.to]}
+                {entry.by?.email ? ` by ${entry.by.email}` : ''}
+              </li>
+            ))}
+          </ul>
+        )}
+
+        <button onClick={onClose} className='bg-blue-500 text-white px-4 py-2 rounded mt-4'>
+          Close
+        </button>
+
+        <style>{`
+          .review-input {
+            background-color: black;
+            color: white;
+            border: 1px solid #555;
+            border-radius: 4px;
+            padding: 6px;
+          }
+        `}</style>
+      </div>
+    </div>
+  );
+}
+
+CustomItemReview.propTypes = {
+  item: PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    name: PropTypes.string.isRequired,
+    clubName: PropTypes.string,
+    orderedQuantity: PropTypes.number,
+    link: PropTypes.string,
+    linkHost: PropTypes.string,
+    estimatedUnitCost: PropTypes.number,
+    approvalStatus: PropTypes.string.isRequired,
+    approvalHistory: PropTypes.array.isRequired,
+    adminComments: PropTypes.array.isRequired,
+    possibleDuplicates: PropTypes.array.isRequired,
+  }).isRequired,
+  readOnly: PropTypes.bool,
+  onClose: PropTypes.func.isRequired,
+  onChanged: PropTypes.func.isRequired,
+};
+
+export default CustomItemReview;
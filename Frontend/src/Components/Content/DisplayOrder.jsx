@@ -0,0 +1,146 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import { inventory } from '../../api/endpoints';
+import { errorMessageOf } from '../../api/client';
+
+// Items arrive in display order already, so each category's first appearance fixes its place
+const groupByCategory = (items) => {
+  const groups = [];
+  for (const item of items) {
+    const category = item.category || 'Uncategorised';
+    let group = groups.find((candidate) => candidate.category === category);
+    if (!group) {
+      group = { category, items: [] };
+      groups.push(group);
+    }
+    group.items.push(item);
+  }
+  return groups;
+};
+
+const move = (list, from, to) => {
+  const next = [...list];
+  const [moved] = next.splice(from, 1);
+  next.splice(to, 0, moved);
+  return next;
+};
+
+// Drag categories and the items inside them into the order clubs see them in (bosslevel only)
+function DisplayOrder({ items, onClose, onSaved }) {
+  const [groups, setGroups] = useState(() => groupByCategory(items));
+  const [dragged, setDragged] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const dropOnGroup = (groupIndex) => {
+    if (dragged?.type !== 'group' || dragged.groupIndex === groupIndex) return;
+    setGroups(move(groups, dragged.groupIndex, groupIndex));
+  };
+
+  // Items only move inside their own category; the category itself is changed on the item
+  const dropOnItem = (groupIndex, itemIndex) => {
+    if (dragged?.type !== 'item' || dragged.groupIndex !== groupIndex || dragged.itemIndex === itemIndex) return;
+    setGroups(
+      groups.map((group, index) => (index === groupIndex ? { ...group, items: move(group.items, dragged.itemIndex, itemIndex) } : group))
+    );
+  };
+
+  const handleDrop = (e, groupIndex, itemIndex) => {
+    e.preventDefault();
+    e.stopPropagation();
+    if (itemIndex === undefined) {
+      dropOnGroup(groupIndex);
+    } else {
+      dropOnItem(groupIndex, itemIndex);
+    }
+    setDragged(null);
+  };
+
+  const saveOrder = async () => {
+    setSaving(true);
+    try {
+      await inventory.saveDisplayOrder(groups.flatMap((group) => group.items.map((item) => item._id)));
+      onSaved();
+      onClose();
+    } catch (error) {
+      console.error('Error saving display order:', error);
+      alert(errorMessageOf(error, 'Failed to save the display order'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className='fixed inset-0 bg-black bg-opacity-75 flex items-center justify-center z-50'>
+      <div className='bg-white dark:bg-gray-900 text-black dark:text-white p-6 rounded-lg shadow-lg w-2/3 max-h-[85vh] overflow-y-auto relative'>
+        <button onClick={onClose} className='absolute top-2 right-2 text-gray-500 dark:text-gray-300 text-2xl'>
+          &times;
+        </button>
+        <h2 className='text-xl font-semibold mb-1'>Display Order</h2>
+        <p className='text-gray-400 mb-4'>Drag categories by their heading and items within a category. Clubs see the list in this order.</p>
+
+        {groups.map((group, groupIndex) => (
+          <div
+            key={group.category}
+            className={`mb-4 border border-gray-600 rounded ${dragged?.type === 'group' && dragged.groupIndex === groupIndex ? 'opacity-50' : ''}`}
+            onDragOver={(e) => e.preventDefault()}
+            onDrop={(e) => handleDrop(e, groupIndex)}
+          >
+            <div
+              draggable
+              onDragStart={() => setDragged({ type: 'group', groupIndex })}
+              onDragEnd={() => setDragged(null)}
+              className='px-3 py-2 bg-gray-700 text-white font-semibold cursor-move rounded-t'
+            >
+              ☰ {group.category} ({group.items.length})
+            </div>
+            <ul>
+              {group.items.map((item, itemIndex) => (
+                <li
+                  key={item._id}
+                  draggable
+                  onDragStart={(e) => {
+                    e.stopPropagation();
+                    setDragged({ type: 'item', groupIndex, itemIndex });
+                  }}
+                  onDragEnd={() => setDragged(null)}
+                  onDragOver={(e) => e.preventDefault()}
+                  onDrop={(e) => handleDrop(e, groupIndex, itemIndex)}
+                  className={`px-3 py-1 border-t border-gray-700 cursor-move ${
+                    dragged?.type === 'item' && dragged.groupIndex === groupIndex && dragged.itemIndex === itemIndex ? 'opacity-50' : ''
+                  }`}
+                >
+                  ⋮⋮ {item.itemName}
+                  {item.itemStatus === 'disabled' && <span className='text-gray-400'> (disabled)</span>}
+                </li>
+              ))}
+            </ul>
+          </div>
+        ))}
+
+        <div className='flex justify-end space-x-4 mt-4'>
+          <button onClick={saveOrder} disabled={saving} className='bg-green-500 text-white px-4 py-2 rounded disabled:opacity-50'>
+            Save Order
+          </button>
+          <button onClick={onClose} className='bg-gray-500 text-white px-4 py-2 rounded'>
+            Cancel
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+DisplayOrder.propTypes = {
+  items: PropTypes.arrayOf(
+    PropTypes.shape({
+      _id: PropTypes.string.isRequired,
+      itemName: PropTypes.string.isRequired,
+      category: PropTypes.string,
+      itemStatus: PropTypes.string,
+    })
+  ).isRequired,
+  onClose: PropTypes.func.isRequired,
+  onSaved: PropTypes.func.isRequired,
+};
+
+export default DisplayOrder;
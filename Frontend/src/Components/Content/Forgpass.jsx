@@ -3,6 +3,9 @@ import 'boxicons/css/boxicons.min.css';
 import { FaWhatsapp } from 'react-icons/fa';
 import { useNavigate } from 'react-router-dom';
 import bgImage from '../../assets/bg.jpg'; 
+import { clearSession } from '../../api/authFetch';
+import { users } from '../../api/endpoints';
+import { errorMessageOf } from '../../api/client';
 
 function Forgpass() {
   const navigate = useNavigate();
@@ -29,82 +32,39 @@ function Forgpass() {
     return () => clearInterval(interval);
   }, [timer, resendEnabled]);
 
-  const handleGenerateOtp = async (e) => {
-    e.preventDefault();
+  const sendResetCode = async () => {
     try {
-      const response = await fetch('https://adp-backend-bzdrfdhvbhbngbgu.southindia-01.azurewebsites.net/api/users/request-code-pass-reset', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ email }),
-      });
-
-      if (response.ok) {
-        console.log("OTP generated and sent to:", email);
-        setShowOtpAndPassword(true);
-        setResendEnabled(false);
-        setTimer(30);
-      } else {
-        console.error("Failed to generate OTP");
-        // Handle failure (e.g., display an error message to the user)
-      }
+      await users.requestPasswordResetCode(email);
+      console.log("OTP generated and sent to:", email);
+      setShowOtpAndPassword(true);
+      setResendEnabled(false);
+      setTimer(30);
     } catch (error) {
       console.error("Error generating OTP:", error);
-      // Handle error (e.g., network error)
+      alert(errorMessageOf(error, 'Failed to send OTP.'));
     }
   };
 
-  const handleResendOtp = async () => {
-    try {
-      const response = await fetch('https://adp-backend-bzdrfdhvbhbngbgu.southindia-01.azurewebsites.net/api/users/request-code-pass-reset', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ email }),
-      });
+  const handleGenerateOtp = async (e) => {
+    e.preventDefault();
+    await sendResetCode();
+  };
 
-      if (response.ok) {
-        console.log("OTP generated and sent to:", email);
-        setShowOtpAndPassword(true);
-        setResendEnabled(false);
-        setTimer(30);
-      } else {
-        console.error("Failed to generate OTP");
-        // Handle failure (e.g., display an error message to the user)
-      }
-    } catch (error) {
-      console.error("Error generating OTP:", error);
-      // Handle error (e.g., network error)
-    }
+  const handleResendOtp = async () => {
+    await sendResetCode();
   };
 
   const handleSubmit = async (e) => {
     e.preventDefault();
     try {
-        const response = await fetch('https://adp-backend-bzdrfdhvbhbngbgu.southindia-01.azurewebsites.net/api/users/reset-password', {
-            method: 'PUT',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-                email,
-                newPassword,
-                verificationCode
-            }),
-        });
-
-        // Log the raw response text for better debugging
-        const responseText = await response.text(); // Get the response as text
-
-        console.log("Response status:", response.status);  // Log response status
-        console.log("Response body:", responseText); // Log the raw response body
-
-        if (response.ok) {
-            const responseData = JSON.parse(responseText); // Parse JSON response
-            console.log("Password reset successful for:", email);
-            console.log("Server response:", responseData); // Log the server response
-            navigate('/inventory'); // Redirect to the login page
-        } else {
-            console.error("Failed to reset password:", responseText); // Log error details
-        }
+        await users.resetPassword({ email, newPassword, verificationCode });
+        console.log("Password reset successful for:", email);
+        clearSession(); // Every session was revoked by the reset
+        navigate('/inventory'); // Redirect to the login page
     } catch (error) {
-        console.error("Error resetting password:", error); // Handle any fetch errors
+        console.error("Error resetting password:", error);
+        // Show why, e.g. a wrong code and how many attempts are left
+        alert(errorMessageOf(error, 'Failed to reset password.'));
     }
 };
   
@@ -1,11 +1,55 @@
-import React, { useState, useEffect } from "react";
+import React, { useState, useEffect, useCallback } from "react";
 import { useNavigate } from "react-router-dom";
 import "./Inventory.css";
 import bgImage from "../../assets/bg.jpg";
 import { useOrderContext } from './OrderContext';
+import { useAuth } from "./useAuth";
 import { FontAwesomeIcon } from "@fortawesome/react-fontawesome";
 import { faSignOutAlt } from "@fortawesome/free-solid-svg-icons";
 import { faSearch } from "@fortawesome/free-solid-svg-icons";
+import { inventory, seasons as seasonsApi } from "../../api/endpoints";
+import { errorMessageOf } from "../../api/client";
+import { getViewedSeason, setViewedSeason } from "../../api/seasons";
+import ProjectsList from "../../All_Lists/ProjectsList";
+import ReorderSuggestions from "./ReorderSuggestions";
+import StockHistory from "./StockHistory";
+import DisplayOrder from "./DisplayOrder";
+
+// Seasons are named after the fests on the Projects page
+const FESTS = ProjectsList.map((project) => project.title);
+
+// Optional item metadata edited alongside name and quantity
+const EMPTY_ITEM_DETAILS = {
+  category: "",
+  unit: "pcs",
+  sku: "",
+  storageLocation: "",
+  minOrderMultiple: 1,
+  unitCost: 0,
+  reorderThreshold: 0,
+  purchasePackSize: 1,
+  photoUrl: "",
+  returnable: false,
+};
+
+const itemDetailsOf = (item) => ({
+  category: item.category || "",
+  unit: item.unit || "pcs",
+  sku: item.sku || "",
+  storageLocation: item.storageLocation || "",
+  minOrderMultiple: item.minOrderMultiple || 1,
+  unitCost: item.unitCost || 0,
+  reorderThreshold: item.reorderThreshold || 0,
+  purchasePackSize: item.purchasePackSize || 1,
+  photoUrl: item.photoUrl || "",
+  returnable: Boolean(item.returnable),
+});
+
+// An empty category falls back to the backend default
+const itemDetailsPayload = (details) => {
+  const { category, ...rest } = details;
+  return category.trim() ? { ...rest, category: category.trim() } : rest;
+};
 
 function Inventory() {
   const navigate = useNavigate();
@@ -16,66 +60,152 @@ function Inventory() {
   const [newItemQuantity, setNewItemQuantity] = useState(0);
   const [selectedItemIndex, setSelectedItemIndex] = useState(null);
   const [itemBeingEditedName, setItemBeingEditedName] = useState("");
-  const [itemBeingEditedQuantity, setItemBeingEditedQuantity] = useState(0);
   const [itemBeingEditedEnabled, setItemBeingEditedEnabled] = useState(true);
+  const [newItemDetails, setNewItemDetails] = useState(EMPTY_ITEM_DETAILS);
+  const [itemBeingEditedDetails, setItemBeingEditedDetails] = useState(EMPTY_ITEM_DETAILS);
+  const [categories, setCategories] = useState([]);
+  const [units, setUnits] = useState(["pcs"]);
   const [tapCount, setTapCount] = useState(0);
   const [tapTimeout, setTapTimeout] = useState(null);
+  const [showReorderSuggestions, setShowReorderSuggestions] = useState(false);
+  const [showStockHistory, setShowStockHistory] = useState(false);
+  const [displayOrderModal, setDisplayOrderModal] = useState(false);
   const [loading, setLoading] = useState(true); // Add this line
-  const { isConfirmDisabled, setIsConfirmDisabled } = useOrderContext();
-
-  // Fetch token and user details from localStorage
-  const userString = localStorage.getItem("user");
-  const userData = userString ? JSON.parse(userString) : null;
-  const token = localStorage.getItem("token");
-
-  useEffect(() => {
-    if (!token || userData.access !== "bosslevel") {
-      navigate("/inventory");
-    } else {
-      fetchItems();
-    }
-  }, [token, navigate]);
+  const { orderWindow, isConfirmDisabled, refreshOrderWindow, updateOrderWindow } = useOrderContext();
+  const [orderWindowModal, setOrderWindowModal] = useState(false);
+  const [windowFestLabel, setWindowFestLabel] = useState("");
+  const [windowOpenAt, setWindowOpenAt] = useState("");
+  const [windowCloseAt, setWindowCloseAt] = useState("");
+  const [seasonsModal, setSeasonsModal] = useState(false);
+  const [seasons, setSeasons] = useState([]);
+  const [viewedSeason, setViewedSeasonState] = useState(getViewedSeason);
+  const [newSeasonFest, setNewSeasonFest] = useState(FESTS[0]);
+  const [newSeasonYear, setNewSeasonYear] = useState(new Date().getFullYear());
+
+  // RequireRole only renders this page for the admin roles
+  const { user: userData, logout } = useAuth();
 
   // Fetch items from the API
-  const fetchItems = async () => {
+  const fetchItems = useCallback(async () => {
     setLoading(true);
     try {
-      const response = await fetch(
-        "https://adp-backend-bzdrfdhvbhbngbgu.southindia-01.azurewebsites.net/api/inventorys/inventory",
-        {
-          method: "GET",
-          headers: {
-            Authorization: `Bearer ${token}`,
-          },
-        }
-      );
-      const data = await response.json();
-      if (response.ok) {
-        const sortedData = data.sort((a, b) => {
-          if (a.itemName.startsWith("Brush Round")) return -1;
-          if (b.itemName.startsWith("Brush Round")) return 1;
-
-          if (a.itemName.startsWith("Brush Flat")) return -1;
-          if (b.itemName.startsWith("Brush Flat")) return 1;
-  
-          if (a.itemName.startsWith("Paint (15 ml)")) return -1;
-          if (b.itemName.startsWith("Paint (15 ml)")) return 1;
-  
-          if (a.itemName.startsWith("Paint (500 ml)")) return -1;
-          if (b.itemName.startsWith("Paint (500 ml)")) return 1;
-  
-          return 0; // Other items remain in their default order
-        });
-        setItems(sortedData);
-      } else {
-        alert("Failed to fetch items");
-      }
+      setItems(await inventory.list()); // Already in display order
     } catch (error) {
       console.error("Error fetching items:", error);
+      alert(errorMessageOf(error, "Failed to fetch items"));
     } finally {
       setLoading(false); // Set loading to false after fetching
     }
-  };
+  }, []);
+
+  // Categories in use and the allowed units, for the item forms
+  const fetchCategories = useCallback(async () => {
+    try {
+      const data = await inventory.categories();
+      setCategories(data.categories);
+      setUnits(data.units);
+    } catch (error) {
+      console.error("Error fetching categories:", error);
+    }
+  }, []);
+
+  const updateDetails = (setDetails, field, value) =>
+    setDetails((prevDetails) => ({ ...prevDetails, [field]: value }));
+
+  const renderItemDetailsFields = (details, setDetails) => (
+    <>
+      <input
+        type="text"
+        list="inventory-categories"
+        className="border p-2 mb-4 w-full bg-gray-700 text-white border-gray-600"
+        placeholder="Category (e.g. Paints)"
+        value={details.category}
+        onChange={(e) => updateDetails(setDetails, "category", e.target.value)}
+      />
+      <datalist id="inventory-categories">
+        {categories.map((category) => (
+          <option key={category} value={category} />
+        ))}
+      </datalist>
+      <div className="flex space-x-2 mb-4">
+        <select
+          className="border p-2 w-1/2 bg-gray-700 text-white border-gray-600"
+          value={details.unit}
+          onChange={(e) => updateDetails(setDetails, "unit", e.target.value)}
+        >
+          {units.map((unit) => (
+            <option key={unit} value={unit}>
+              {unit}
+            </option>
+          ))}
+        </select>
+        <input
+          type="number"
+          min="1"
+          className="border p-2 w-1/2 bg-gray-700 text-white border-gray-600"
+          placeholder="Order multiple"
+          title="Clubs order in multiples of this"
+          value={details.minOrderMultiple}
+          onChange={(e) => updateDetails(setDetails, "minOrderMultiple", Math.max(1, Number(e.target.value)))}
+        />
+      </div>
+      <label className="block mb-1 text-white">Price per unit (₹)</label>
+      <input
+        type="number"
+        min="0"
+        step="any"
+        className="border p-2 mb-4 w-full bg-gray-700 text-white border-gray-600"
+        value={details.unitCost}
+        onChange={(e) => updateDetails(setDetails, "unitCost", Math.max(0, Number(e.target.value)))}
+      />
+      <label className="block mb-1 text-white">Reorder below (stock left after open orders)</label>
+      <input
+        type="number"
+        min="0"
+        className="border p-2 mb-4 w-full bg-gray-700 text-white border-gray-600"
+        value={details.reorderThreshold}
+        onChange={(e) => updateDetails(setDetails, "reorderThreshold", Math.max(0, Number(e.target.value)))}
+      />
+      <label className="block mb-1 text-white">Bought from the vendor in packs of</label>
+      <input
+        type="number"
+        min="1"
+        className="border p-2 mb-4 w-full bg-gray-700 text-white border-gray-600"
+        value={details.purchasePackSize}
+        onChange={(e) => updateDetails(setDetails, "purchasePackSize", Math.max(1, Number(e.target.value)))}
+      />
+      <input
+        type="text"
+        className="border p-2 mb-4 w-full bg-gray-700 text-white border-gray-600"
+        placeholder="SKU (optional)"
+        value={details.sku}
+        onChange={(e) => updateDetails(setDetails, "sku", e.target.value)}
+      />
+      <input
+        type="text"
+        className="border p-2 mb-4 w-full bg-gray-700 text-white border-gray-600"
+        placeholder="Storage location (optional)"
+        value={details.storageLocation}
+        onChange={(e) => updateDetails(setDetails, "storageLocation", e.target.value)}
+      />
+      <input
+        type="url"
+        className="border p-2 mb-4 w-full bg-gray-700 text-white border-gray-600"
+        placeholder="Photo URL (optional)"
+        value={details.photoUrl}
+        onChange={(e) => updateDetails(setDetails, "photoUrl", e.target.value)}
+      />
+      <label className="flex items-center mb-4 text-white">
+        <input
+          type="checkbox"
+          className="mr-2"
+          checked={details.returnable}
+          onChange={(e) => updateDetails(setDetails, "returnable", e.target.checked)}
+        />
+        Returnable (lent to clubs and checked back in)
+      </label>
+    </>
+  );
 
   const addItem = async () => {
     if (newItemName.trim() === "") return;
@@ -84,33 +214,20 @@ function Inventory() {
       itemQuantity: newItemQuantity,
       itemStatus: "enabled",
       itemName: newItemName,
+      ...itemDetailsPayload(newItemDetails),
     };
 
     try {
-      const response = await fetch(
-        "https://adp-backend-bzdrfdhvbhbngbgu.southindia-01.azurewebsites.net/api/inventorys/inventory",
-        {
-          method: "POST",
-          headers: {
-            "Content-Type": "application/json",
-            Authorization: `Bearer ${token}`,
-          },
-          body: JSON.stringify(newItem),
-        }
-      );
-
-      if (response.ok) {
-        fetchItems(); // Refetch items after adding
-        setNewItemName("");
-        setNewItemQuantity(0);
-        setAddItemModal(false);
-      } else {
-        const data = await response.json();
-        alert(data.message || "Failed to add item");
-      }
+      await inventory.create(newItem);
+      fetchItems(); // Refetch items after adding
+      fetchCategories();
+      setNewItemName("");
+      setNewItemQuantity(0);
+      setNewItemDetails(EMPTY_ITEM_DETAILS);
+      setAddItemModal(false);
     } catch (error) {
       console.error("Error adding item:", error);
-      alert("An error occurred while adding the item.");
+      alert(errorMessageOf(error, "An error occurred while adding the item."));
     }
   };
 
@@ -119,29 +236,104 @@ function Inventory() {
 
     const itemId = items[selectedItemIndex]._id;
     try {
-      const response = await fetch(
-        `https://adp-backend-bzdrfdhvbhbngbgu.southindia-01.azurewebsites.net/api/inventorys/inventory/${itemId}`,
-        {
-          method: "DELETE",
-          headers: {
-            Authorization: `Bearer ${token}`,
-          },
-        }
-      );
-
-      if (response.ok) {
-        fetchItems(); // Refetch items after deleting
-        setItemsManagerModal(false);
-      } else {
-        alert("Failed to delete item");
-      }
+      await inventory.remove(itemId);
+      fetchItems(); // Refetch items after deleting
+      setItemsManagerModal(false);
     } catch (error) {
       console.error("Error deleting item:", error);
+      alert(errorMessageOf(error, "Failed to delete item"));
+    }
+  };
+  // Open or close the order window for every club
+  const handleToggle = async () => {
+    try {
+      await updateOrderWindow({ isOpen: !(orderWindow?.isOpen ?? true) });
+    } catch (error) {
+      console.error("Error updating order window:", error);
+      alert(error.message);
     }
   };
-  // Toggle the button state
-  const handleToggle = () => {
-    setIsConfirmDisabled(!isConfirmDisabled);
+
+  // datetime-local inputs work with local time strings, not ISO dates
+  const toLocalInputValue = (date) => {
+    if (!date) return "";
+    const value = new Date(date);
+    value.setMinutes(value.getMinutes() - value.getTimezoneOffset());
+    return value.toISOString().slice(0, 16);
+  };
+
+  const openOrderWindowModal = () => {
+    setWindowFestLabel(orderWindow?.festLabel || "");
+    setWindowOpenAt(toLocalInputValue(orderWindow?.openAt));
+    setWindowCloseAt(toLocalInputValue(orderWindow?.closeAt));
+    setOrderWindowModal(true);
+  };
+
+  const saveOrderWindowSchedule = async () => {
+    try {
+      await updateOrderWindow({
+        festLabel: windowFestLabel,
+        openAt: windowOpenAt ? new Date(windowOpenAt).toISOString() : null,
+        closeAt: windowCloseAt ? new Date(windowCloseAt).toISOString() : null,
+      });
+      setOrderWindowModal(false);
+    } catch (error) {
+      console.error("Error updating order window:", error);
+      alert(error.message);
+    }
+  };
+
+  // Seasons, newest first
+  const fetchSeasons = useCallback(async () => {
+    try {
+      const data = await seasonsApi.list();
+      setSeasons(data.seasons);
+    } catch (error) {
+      console.error("Error fetching seasons:", error);
+      alert(errorMessageOf(error, "Failed to fetch seasons"));
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchItems();
+    fetchCategories();
+    refreshOrderWindow();
+    fetchSeasons();
+  }, [fetchItems, fetchCategories, refreshOrderWindow, fetchSeasons]);
+
+  const activeSeason = seasons.find((season) => season.status === "active");
+
+  const startSeason = async () => {
+    try {
+      await seasonsApi.start({ fest: newSeasonFest, year: Number(newSeasonYear) });
+      fetchSeasons();
+    } catch (error) {
+      console.error("Error starting season:", error);
+      alert(errorMessageOf(error, "Failed to start season"));
+    }
+  };
+
+  const closeSeason = async (season) => {
+    if (!window.confirm(`Close ${season.name}? Its orders become read-only and the order window is closed.`)) {
+      return;
+    }
+
+    try {
+      await seasonsApi.close(season._id);
+      fetchSeasons();
+      refreshOrderWindow();
+    } catch (error) {
+      console.error("Error closing season:", error);
+      alert(errorMessageOf(error, "Failed to close season"));
+    }
+  };
+
+  // Switch the order screens between the running season and an archived one
+  const viewSeason = (season) => {
+    const archived = season && season.status === "closed" ? season : null;
+    setViewedSeason(archived);
+    setViewedSeasonState(getViewedSeason());
+    setSeasonsModal(false);
   };
 
   const updateItem = async () => {
@@ -151,30 +343,17 @@ function Inventory() {
     const updatedItem = {
       itemName: itemBeingEditedName,
       itemStatus: itemBeingEditedEnabled ? "enabled" : "disabled",
-      itemQuantity: itemBeingEditedQuantity,
+      ...itemDetailsPayload(itemBeingEditedDetails),
     };
 
     try {
-      const response = await fetch(
-        `https://adp-backend-bzdrfdhvbhbngbgu.southindia-01.azurewebsites.net/api/inventorys/inventory/${itemId}`,
-        {
-          method: "PUT",
-          headers: {
-            "Content-Type": "application/json",
-            Authorization: `Bearer ${token}`,
-          },
-          body: JSON.stringify(updatedItem),
-        }
-      );
-
-      if (response.ok) {
-        fetchItems(); // Refetch items after updating
-        setItemsManagerModal(false);
-      } else {
-        alert("Failed to update item");
-      }
+      await inventory.update(itemId, updatedItem);
+      fetchItems(); // Refetch items after updating
+      fetchCategories();
+      setItemsManagerModal(false);
     } catch (error) {
       console.error("Error updating item:", error);
+      alert(errorMessageOf(error, "Failed to update item"));
     }
   };
 
@@ -183,8 +362,8 @@ function Inventory() {
     setItemsManagerModal(false);
     setSelectedItemIndex(null);
     setItemBeingEditedName("");
-    setItemBeingEditedQuantity(0);
     setItemBeingEditedEnabled(true);
+    setItemBeingEditedDetails(EMPTY_ITEM_DETAILS);
   };
 
   const handleItemChange = (e) => {
@@ -192,13 +371,12 @@ function Inventory() {
     setSelectedItemIndex(index);
     const selectedItem = items[index];
     setItemBeingEditedName(selectedItem.itemName);
-    setItemBeingEditedQuantity(selectedItem.itemQuantity);
     setItemBeingEditedEnabled(selectedItem.itemStatus === "enabled");
+    setItemBeingEditedDetails(itemDetailsOf(selectedItem));
   };
 
-  const handleLogoutAndRedirect = () => {
-    localStorage.removeItem("user");
-    localStorage.removeItem("token");
+  const handleLogoutAndRedirect = async () => {
+    await logout();
     navigate("/inventory");
   };
 
@@ -214,14 +392,6 @@ function Inventory() {
     item.itemName.toLowerCase().includes(searchQuery.toLowerCase())
   );
 
-  const [isOrderConfirmedEnabled, setIsOrderConfirmedEnabled] = useState(true); // State for the toggle
-
-  // Handler to toggle order confirmation state
-  const handleToggleOrderConfirmation = () => {
-    setIsOrderConfirmedEnabled(!isOrderConfirmedEnabled);
-    setIsConfirmDisabled(!isConfirmDisabled); // Update context state as well
-  };
-
   return (
     <div
       id="Inventory"
@@ -241,6 +411,13 @@ function Inventory() {
         <h2 className="text-xl font-semibold text-silver-600 dark:text-silver-400">
           Welcome, {userData?.cordName || "CRAC Coordinator"}
         </h2>
+        <p className="mt-2 text-silver-600 dark:text-silver-400">
+          {viewedSeason
+            ? `Viewing the ${viewedSeason.name} archive (read-only)`
+            : activeSeason
+            ? `Season: ${activeSeason.name}`
+            : "No season is running"}
+        </p>
         <div className="flex space-x-4 mt-4">
           <button
             onClick={handleToggle}
@@ -252,6 +429,54 @@ function Inventory() {
               ? "Orders Disabled"
               : "Orders Enabled"}
           </button>
+          <button
+            onClick={openOrderWindowModal}
+            className="bg-[#390B31] border-2 border-white text-white px-5 py-2 rounded shadow-md hover:from-teal-600 hover:to-teal-800 transition duration-300"
+          >
+            Order Window
+          </button>
+          <button
+            onClick={() => setSeasonsModal(true)}
+            className="bg-[#390B31] border-2 border-white text-white px-5 py-2 rounded shadow-md hover:from-teal-600 hover:to-teal-800 transition duration-300"
+          >
+            Seasons
+          </button>
+          {userData?.access === "bosslevel" && (
+            <button
+              onClick={() => setShowReorderSuggestions(!showReorderSuggestions)}
+              className="bg-[#390B31] border-2 border-white text-white px-5 py-2 rounded shadow-md hover:from-teal-600 hover:to-teal-800 transition duration-300"
+            >
+              {showReorderSuggestions ? "Hide Reorders" : "Reorders"}
+            </button>
+          )}
+          {userData?.access === "bosslevel" && (
+            <button
+              onClick={() => setDisplayOrderModal(true)}
+              className="bg-[#390B31] border-2 border-white text-white px-5 py-2 rounded shadow-md hover:from-teal-600 hover:to-teal-800 transition duration-300"
+            >
+              Display Order
+            </button>
+          )}
+          {userData?.access === "bosslevel" && (
+            <button
+              onClick={() => navigate("/spend")}
+              className="bg-[#390B31] border-2 border-white text-white px-5 py-2 rounded shadow-md hover:from-teal-600 hover:to-teal-800 transition duration-300"
+            >
+              Budgets &amp; Spend
+            </button>
+          )}
+          <button
+            onClick={() => navigate("/loans")}
+            className="bg-[#390B31] border-2 border-white text-white px-5 py-2 rounded shadow-md hover:from-teal-600 hover:to-teal-800 transition duration-300"
+          >
+            Loans
+          </button>
+          <button
+            onClick={() => navigate("/stock-take")}
+            className="bg-[#390B31] border-2 border-white text-white px-5 py-2 rounded shadow-md hover:from-teal-600 hover:to-teal-800 transition duration-300"
+          >
+            Stock-take
+          </button>
           <button
             onClick={() => navigate("/orders")}
             className="bg-[#390B31] border-2 border-white text-white px-5 py-2 rounded shadow-md hover:from-teal-600 hover:to-teal-800 transition duration-300"
@@ -270,6 +495,18 @@ function Inventory() {
           >
             Inventory Custom analysis
           </button>
+          <button
+            onClick={() => navigate("/audit")}
+            className="bg-[#390B31] border-2 border-white text-white px-5 py-2 rounded shadow-md hover:from-teal-600 hover:to-teal-800 transition duration-300"
+          >
+            Audit Log
+          </button>
+          <button
+            onClick={() => navigate("/users")}
+            className="bg-[#390B31] border-2 border-white text-white px-5 py-2 rounded shadow-md hover:from-teal-600 hover:to-teal-800 transition duration-300"
+          >
+            User Roles
+          </button>
           <button
             onClick={handleLogoutAndRedirect}
             className="bg-[#390B31] border-2 border-white text-white px-5 py-2 rounded shadow-md hover:from-red-600 hover:to-red-800 transition duration-300"
@@ -280,6 +517,8 @@ function Inventory() {
       </div>
 
      
+      {showReorderSuggestions && <ReorderSuggestions />}
+
       <div className="relative w-full mb-6">
       
       <div className="absolute left-3 top-3 text-gray-500 pl-5">
@@ -324,8 +563,8 @@ function Inventory() {
                   e.preventDefault(); // Prevent default context menu
                   setSelectedItemIndex(index);
                   setItemBeingEditedName(item.itemName);
-                  setItemBeingEditedQuantity(item.itemQuantity);
                   setItemBeingEditedEnabled(item.itemStatus === "enabled");
+                  setItemBeingEditedDetails(itemDetailsOf(item));
                   setItemsManagerModal(true);
                 }}
                 onTouchStart={() => {
@@ -343,8 +582,8 @@ function Inventory() {
                     // Open the modal on double tap
                     setSelectedItemIndex(index);
                     setItemBeingEditedName(item.itemName);
-                    setItemBeingEditedQuantity(item.itemQuantity);
                     setItemBeingEditedEnabled(item.itemStatus === "enabled");
+                    setItemBeingEditedDetails(itemDetailsOf(item));
                     setItemsManagerModal(true);
                   }
                 }}
@@ -352,7 +591,11 @@ function Inventory() {
                 <div className="text-lg font-semibold mb-2">
                   {item.itemName || `Item Name ${index + 1}`}
                 </div>
-                <div className="text-lg">Quantity: {item.itemQuantity}</div>
+                <div className="text-lg">Quantity: {item.itemQuantity} {item.unit}</div>
+                <div className="text-sm text-gray-300">
+                  {item.category}
+                  {item.storageLocation ? ` · ${item.storageLocation}` : ""}
+                </div>
                 <div
                   className={`mt-2 text-sm ${
                     item.itemStatus === "enabled"
@@ -404,6 +647,7 @@ function Inventory() {
                 }
               }}
             />
+            {renderItemDetailsFields(newItemDetails, setNewItemDetails)}
             <div className="flex justify-end space-x-4">
               <button
                 onClick={addItem}
@@ -422,6 +666,148 @@ function Inventory() {
         </div>
       )}
 
+      {/* Order Window Modal */}
+      {orderWindowModal && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex justify-center items-center">
+          <div className="bg-gray-800 p-6 rounded-lg shadow-lg">
+            <h3 className="text-2xl font-semibold mb-4 text-white">
+              Order Window
+            </h3>
+            <p className="mb-4 text-sm text-gray-300">
+              Orders are {orderWindow?.isAcceptingOrders ? "being accepted" : "closed"} right now.
+              Leave a time empty to remove it from the schedule.
+            </p>
+            <input
+              type="text"
+              className="border p-2 mb-4 w-full bg-gray-700 text-white border-gray-600"
+              placeholder="Fest (e.g. OASIS 2024)"
+              value={windowFestLabel}
+              onChange={(e) => setWindowFestLabel(e.target.value)}
+            />
+            <label className="block mb-1 text-white">Open at</label>
+            <input
+              type="datetime-local"
+              className="border p-2 mb-4 w-full bg-gray-700 text-white border-gray-600"
+              value={windowOpenAt}
+              onChange={(e) => setWindowOpenAt(e.target.value)}
+            />
+            <label className="block mb-1 text-white">Close at</label>
+            <input
+              type="datetime-local"
+              className="border p-2 mb-4 w-full bg-gray-700 text-white border-gray-600"
+              value={windowCloseAt}
+              onChange={(e) => setWindowCloseAt(e.target.value)}
+            />
+            <div className="flex justify-end space-x-4">
+              <button
+                onClick={saveOrderWindowSchedule}
+                className="bg-blue-500 hover:bg-blue-600 text-white px-4 py-2 rounded"
+              >
+                Save
+              </button>
+              <button
+                onClick={() => setOrderWindowModal(false)}
+                className="bg-gray-500 hover:bg-gray-600 text-white px-4 py-2 rounded"
+              >
+                Cancel
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Seasons Modal */}
+      {seasonsModal && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex justify-center items-center">
+          <div className="bg-gray-800 p-6 rounded-lg shadow-lg max-h-[85vh] overflow-y-auto">
+            <h3 className="text-2xl font-semibold mb-4 text-white">
+              Seasons
+            </h3>
+            {seasons.length === 0 ? (
+              <p className="mb-4 text-sm text-gray-300">No season has been started yet.</p>
+            ) : (
+              <table className="mb-4 w-full text-white">
+                <tbody>
+                  {seasons.map((season) => (
+                    <tr key={season._id}>
+                      <td className="py-2 pr-4">{season.name}</td>
+                      <td className="py-2 pr-4 text-sm text-gray-300">
+                        {season.status === "active"
+                          ? `Running since ${new Date(season.startedAt).toLocaleDateString()}`
+                          : `Closed ${new Date(season.closedAt).toLocaleDateString()}`}
+                      </td>
+                      <td className="py-2">
+                        {season.status === "active" ? (
+                          <>
+                            <button
+                              onClick={() => viewSeason(null)}
+                              className="bg-blue-500 hover:bg-blue-600 text-white px-3 py-1 rounded mr-2"
+                            >
+                              View
+                            </button>
+                            <button
+                              onClick={() => closeSeason(season)}
+                              className="bg-red-500 hover:bg-red-600 text-white px-3 py-1 rounded"
+                            >
+                              Close
+                            </button>
+                          </>
+                        ) : (
+                          <button
+                            onClick={() => viewSeason(season)}
+                            className="bg-blue-500 hover:bg-blue-600 text-white px-3 py-1 rounded"
+                          >
+                            View archive
+                          </button>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+            {!activeSeason && (
+              <>
+                <label className="block mb-1 text-white">Start a new season</label>
+                <div className="flex space-x-2 mb-4">
+                  <select
+                    className="border p-2 bg-gray-700 text-white border-gray-600"
+                    value={newSeasonFest}
+                    onChange={(e) => setNewSeasonFest(e.target.value)}
+                  >
+                    {FESTS.map((fest) => (
+                      <option key={fest} value={fest}>
+                        {fest}
+                      </option>
+                    ))}
+                  </select>
+                  <input
+                    type="number"
+                    className="border p-2 w-28 bg-gray-700 text-white border-gray-600"
+                    value={newSeasonYear}
+                    onChange={(e) => setNewSeasonYear(e.target.value)}
+                  />
+                  <button
+                    onClick={startSeason}
+                    className="bg-green-500 hover:bg-green-600 text-white px-4 py-2 rounded"
+                  >
+                    Start
+                  </button>
+                </div>
+              </>
+            )}
+            <div className="flex justify-end">
+              <button
+                onClick={() => setSeasonsModal(false)}
+                className="bg-gray-500 hover:bg-gray-600 text-white px-4 py-2 rounded"
+              >
+                Close
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
       {/* Items Manager Modal */}
       {itemsManagerModal && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex justify-center items-center">
@@ -451,21 +837,19 @@ function Inventory() {
                   value={itemBeingEditedName}
                   onChange={(e) => setItemBeingEditedName(e.target.value)}
                 />
-                <input
-                  type="number"
-                  className="border p-2 mb-4 w-full bg-gray-700 text-white border-gray-600"
-                  value={
-                    itemBeingEditedQuantity > 0 ? itemBeingEditedQuantity : ""
-                  } // Set to empty if 0
-                  onChange={(e) => {
-                    const value = e.target.value;
-                    if (value === "") {
-                      setItemBeingEditedQuantity(0); // Reset if input is empty
-                    } else {
-                      setItemBeingEditedQuantity(Number(value));
-                    }
-                  }}
-                />
+                {/* Stock only changes through the movement ledger */}
+                <div className="flex items-center justify-between mb-4 text-white">
+                  <span>
+                    In stock: {items[selectedItemIndex].itemQuantity}
+                  </span>
+                  <button
+                    onClick={() => setShowStockHistory(true)}
+                    className="bg-blue-500 hover:bg-blue-600 text-white px-4 py-2 rounded"
+                  >
+                    Stock History
+                  </button>
+                </div>
+                {renderItemDetailsFields(itemBeingEditedDetails, setItemBeingEditedDetails)}
                 <label className="flex items-center">
                   <span className="mr-2 text-white">
                     {itemBeingEditedEnabled ? "Enabled" : "Disabled"}
@@ -518,6 +902,22 @@ function Inventory() {
           </div>
         </div>
       )}
+
+      {displayOrderModal && (
+        <DisplayOrder
+          items={items}
+          onClose={() => setDisplayOrderModal(false)}
+          onSaved={fetchItems}
+        />
+      )}
+
+      {showStockHistory && selectedItemIndex !== null && (
+        <StockHistory
+          itemId={items[selectedItemIndex]._id}
+          onClose={() => setShowStockHistory(false)}
+          onChanged={fetchItems}
+        />
+      )}
     </div>
   );
 }
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from "react";
+import React, { useState, useEffect, useRef, useCallback } from "react";
 import { useNavigate } from "react-router-dom";
 import bgImage from "../../assets/bg.jpg";
 import inImage from "../../assets/product_inspection.png";
@@ -9,6 +9,16 @@ import { faSignOutAlt } from "@fortawesome/free-solid-svg-icons";
 import { faList } from "@fortawesome/free-solid-svg-icons";
 import { faDice } from "@fortawesome/free-solid-svg-icons";
 import { useOrderContext } from "./OrderContext";
+import { useAuth } from "./useAuth";
+import { inventory as inventoryApi, requisitions, budgets, cart as cartApi, loans as loansApi } from "../../api/endpoints";
+import { ApiError, errorMessageOf } from "../../api/client";
+import { APPROVAL_STAGE_LABELS } from "../../api/customItemApproval";
+import { ORDER_STATUS_LABELS } from "../../api/orderStatus";
+import { useLiveUpdates, useLiveRefresh } from "./useLiveUpdates";
+import Notifications from "./Notifications";
+
+// Compare item names ignoring case, spacing and punctuation, like the backend's duplicate check
+const normalizeName = (name) => name.toLowerCase().replace(/[^a-z0-9]/g, "");
 
 function Inventory() {
   const navigate = useNavigate();
@@ -17,6 +27,7 @@ function Inventory() {
   const [showCart, setShowCart] = useState(false);
   const [showOrders, setShowOrders] = useState(false);
   const [orders, setOrders] = useState([]);
+  const [loans, setLoans] = useState([]);
   const [remarkToShow, setRemarkToShow] = useState(null);
   const [notification, setNotification] = useState("");
   const [user, setUser] = useState(null);
@@ -25,72 +36,97 @@ function Inventory() {
   const [newItemName, setNewItemName] = useState("");
   const [newItemQuantity, setNewItemQuantity] = useState("");
   const [newItemLink, setNewItemLink] = useState("");
+  const [newItemCost, setNewItemCost] = useState("");
+  const [spend, setSpend] = useState(null);
   const [errorMessage, setErrorMessage] = useState("");
-  const { isConfirmDisabled } = useOrderContext();
+  const { orderWindow, isConfirmDisabled, refreshOrderWindow } = useOrderContext();
   const [confirmDeleteVisible, setConfirmDeleteVisible] = useState(false);
   const [confirmOrderVisible, setConfirmOrderVisible] = useState(false);
   const [allItems, setAllItems] = useState([]);
   const [searchQuery, setSearchQuery] = useState("");
+  const [categoryFilter, setCategoryFilter] = useState("");
 
 
-  // Fetch the user info from localStorage
-  const userString = localStorage.getItem("user");
-  const userData = userString ? JSON.parse(userString) : null;
-  const token = localStorage.getItem("token");
-  // If token is not found, redirect to /inventory
+  // RequireRole only renders this page for a logged-in club user
+  const { user: userData, logout } = useAuth();
 
-  useEffect(() => {
-    if (!token || userData.access !== "user") {
-      // If no token found, redirect to inventory page
-      navigate("/inventory");
+  // The club's budget for the season and what its submitted orders already cost
+  const fetchSpend = useCallback(async () => {
+    if (!userData?.id) return;
+    try {
+      setSpend(await budgets.forClub(userData.id));
+    } catch (error) {
+      console.error("Error fetching budget:", error);
     }
+  }, [userData?.id]);
+
+  useEffect(() => {
     setUser(userData);
-  
-    fetch(
-      "https://adp-backend-bzdrfdhvbhbngbgu.southindia-01.azurewebsites.net/api/inventorys/inventory/user",
-      {
-        headers: {
-          Authorization: `Bearer ${token}`,
-        },
-      }
-    )
-      .then((response) => response.json())
-      .then((data) => {
-        // Sorting logic
-        const sortedData = data.sort((a, b) => {
-          if (a.itemName.startsWith("Brush Round")) return -1;
-          if (b.itemName.startsWith("Brush Round")) return 1;
-
-          if (a.itemName.startsWith("Brush Flat")) return -1;
-          if (b.itemName.startsWith("Brush Flat")) return 1;
-  
-          if (a.itemName.startsWith("Paint (15 ml)")) return -1;
-          if (b.itemName.startsWith("Paint (15 ml)")) return 1;
-  
-          if (a.itemName.startsWith("Paint (500 ml)")) return -1;
-          if (b.itemName.startsWith("Paint (500 ml)")) return 1;
-  
-          return 0; // Other items remain in their default order
-        });
-  
-        // Set sorted items
-        setItems(
-          sortedData.map((item) => ({
-            id: item._id,
-            name: item.itemName,
-            quantity: 0,
-          }))
-        );
-        setAllItems(
-          sortedData.map((item) => ({
-            id: item._id,
-            name: item.itemName,
-            quantity: 0,
-          }))
-        );
-      })
-      .catch((error) => console.error("Error fetching inventory:", error));
+  }, [userData]);
+
+  useEffect(() => {
+    refreshOrderWindow();
+    fetchSpend();
+  }, [refreshOrderWindow, fetchSpend]);
+
+  // The search as typed, for reloads of the item list that should keep it
+  const filtersRef = useRef({ query: "", category: "" });
+  filtersRef.current = { query: searchQuery, category: categoryFilter };
+
+  const fetchInventory = useCallback(async () => {
+    try {
+      const data = await inventoryApi.listForClubs();
+      // Items arrive grouped by category and in display order
+      const inventoryItems = data.map((item) => ({
+        id: item._id,
+        name: item.itemName,
+        category: item.category || "Uncategorised",
+        unit: item.unit || "pcs",
+        minOrderMultiple: item.minOrderMultiple || 1,
+        photoUrl: item.photoUrl,
+        unitCost: item.unitCost || 0,
+        quantity: 0,
+      }));
+      setAllItems(inventoryItems);
+      // A reload while the club is shopping keeps the search and the quantities typed in so far
+      const { query, category } = filtersRef.current;
+      setItems((prevItems) => {
+        const typed = new Map(prevItems.map((item) => [item.id, item.quantity]));
+        return inventoryItems
+          .filter((item) => item.name.toLowerCase().includes(query) && (!category || item.category === category))
+          .map((item) => ({ ...item, quantity: typed.get(item.id) || 0 }));
+      });
+    } catch (error) {
+      console.error("Error fetching inventory:", error);
+    }
   }, []);
+
+  useEffect(() => {
+    fetchInventory();
+  }, [fetchInventory]);
+
+  // Last status seen per cart item, so only real status changes are announced
+  const seenStatuses = useRef(new Map());
+  const isOwnUpdate = (event, data) => data.userId === userData?.id;
+
+  // The coordinators' changes to this club's orders, and to the item list, arrive without a reload
+  useLiveUpdates(["cart-item"], (event, data) => {
+    if (!isOwnUpdate(event, data)) return;
+
+    const previous = seenStatuses.current.get(data.cartItemId);
+    seenStatuses.current.set(data.cartItemId, data.status);
+    if (previous !== data.status && (previous || data.status !== "Pending")) {
+      setNotification(`${data.itemName}: ${ORDER_STATUS_LABELS[data.status] || data.status}`);
+      setTimeout(() => setNotification(""), 4000);
+    }
+  });
+
+  useLiveRefresh(["cart", "cart-item"], () => {
+    fetchSpend();
+    if (showOrders) fetchOrders();
+  }, isOwnUpdate);
+
+  useLiveRefresh(["inventory"], fetchInventory);
   
 
   const handleQuantityChange = (index, value) => {
@@ -102,10 +138,11 @@ function Inventory() {
     );
   };
 
+  // The +/- buttons step by the item's minimum order multiple
   const incrementQuantity = (index) => {
     setItems((prevItems) =>
       prevItems.map((item, i) =>
-        i === index ? { ...item, quantity: item.quantity + 1 } : item
+        i === index ? { ...item, quantity: item.quantity + item.minOrderMultiple } : item
       )
     );
   };
@@ -114,7 +151,7 @@ function Inventory() {
     setItems((prevItems) =>
       prevItems.map((item, i) =>
         i === index
-          ? { ...item, quantity: Math.max(0, item.quantity - 1) }
+          ? { ...item, quantity: Math.max(0, item.quantity - item.minOrderMultiple) }
           : item
       )
     );
@@ -122,6 +159,10 @@ function Inventory() {
 
   const addToCart = (index) => {
     const item = items[index];
+    if (item.quantity % item.minOrderMultiple !== 0) {
+      alert(`${item.name} is ordered in multiples of ${item.minOrderMultiple} ${item.unit}.`);
+      return;
+    }
     if (item.quantity > 0) {
       setCart((prevCart) => {
         // Check if the item is already in the cart
@@ -144,6 +185,8 @@ function Inventory() {
             {
               item_id: item.id,
               item_name: item.name,
+              unit: item.unit,
+              unit_cost: item.unitCost,
               ordered_quantity: item.quantity,
             },
           ];
@@ -174,6 +217,15 @@ function Inventory() {
       return;
     }
 
+    // Point the club at the stocked item instead of a custom request for the same thing
+    const stocked = allItems.find((item) => normalizeName(item.name) === normalizeName(newItemName));
+    if (
+      stocked &&
+      !window.confirm(`${stocked.name} is already in the inventory and can be ordered from the list. Request it as a custom item anyway?`)
+    ) {
+      return;
+    }
+
     setCart((prevCart) => {
       // Check if the item is already in the cart
       const existingItemIndex = prevCart.findIndex(
@@ -197,6 +249,7 @@ function Inventory() {
             item_name: newItemName,
             ordered_quantity: newItemQuantity,
             link: newItemLink,
+            unit_cost: Number(newItemCost) || 0,
           },
         ];
       }
@@ -208,6 +261,7 @@ function Inventory() {
     setNewItemName("");
     setNewItemQuantity("");
     setNewItemLink("");
+    setNewItemCost("");
     setErrorMessage("");
 
     // Close the dialog
@@ -219,7 +273,13 @@ function Inventory() {
     setShowCart(false);
   };
 
-  const handleOrder =() => {
+  const handleOrder = async () => {
+    // Re-check the live order window before asking for confirmation
+    const latestWindow = await refreshOrderWindow();
+    if (latestWindow && !latestWindow.isAcceptingOrders) {
+      alert("Orders are currently closed.");
+      return;
+    }
     setConfirmOrderVisible(true);
   }
 
@@ -227,7 +287,6 @@ function Inventory() {
     // Fetch the user info from localStorage
     const userString = localStorage.getItem("user");
     const userData = userString ? JSON.parse(userString) : null;
-    const token = localStorage.getItem("token");
     setUser(userData);
 
     // Split cart items into two categories: those with item_id and those without
@@ -236,82 +295,51 @@ function Inventory() {
       (cartItem) => cartItem.item_id === null
     );
 
-    // Format the cart items with item_id to match the required order format
-    const formattedCart = cartWithItemId.map((cartItem) => ({
-      item_id: cartItem.item_id,
-      ordered_quantity: cartItem.ordered_quantity,
-    }));
-
     try {
-      // Proceed with placing order for items with item_id (original placeOrder logic)
-      if (formattedCart.length > 0) {
-        const response = await fetch(
-          "https://adp-backend-bzdrfdhvbhbngbgu.southindia-01.azurewebsites.net/api/cart/add-items",
-          {
-            method: "POST",
-            headers: {
-              "Content-Type": "application/json",
-              Authorization: `Bearer ${token}`,
-            },
-            body: JSON.stringify({
-              userId: userData.id, // Using userData directly to avoid async issue with state
-              items: formattedCart,
-            }),
-          }
-        );
-
-        if (!response.ok) {
-          throw new Error(`HTTP error! status: ${response.status}`);
-        }
-
-        setNotification("Order Placed");
-        setTimeout(() => setNotification(""), 2000);
-      }
-
-      // Now handle items without item_id (logic from handleAddNewItem)
-      for (const newItem of cartWithoutItemId) {
-        const response = await fetch(
-          "https://adp-backend-bzdrfdhvbhbngbgu.southindia-01.azurewebsites.net/api/cart/add-custom-item",
-          {
-            method: "POST",
-            headers: {
-              "Content-Type": "application/json",
-              Authorization: `Bearer ${token}`,
-            },
-            body: JSON.stringify({
-              userId: userData.id,
-              itemName: newItem.item_name,
-              ordered_quantity: newItem.ordered_quantity,
-              link: newItem.link || "", // Assuming the link is optional
-            }),
-          }
-        );
+      // The whole cart is submitted at once and recorded as one numbered requisition
+      const data = await requisitions.submit({
+        userId: userData.id, // Using userData directly to avoid async issue with state
+        items: cartWithItemId.map((cartItem) => ({
+          item_id: cartItem.item_id,
+          ordered_quantity: cartItem.ordered_quantity,
+        })),
+        customItems: cartWithoutItemId.map((newItem) => ({
+          itemName: newItem.item_name,
+          ordered_quantity: newItem.ordered_quantity,
+          link: newItem.link || "", // Assuming the link is optional
+          estimatedUnitCost: newItem.unit_cost,
+        })),
+      });
 
-        const data = await response.json();
-        if (response.status !== 200) {
-          // Handle any errors from the backend
-          setErrorMessage(
-            data.errors
-              ? data.errors.map((err) => err.msg).join(", ")
-              : "Failed to add custom item"
-          );
-          continue;
-        }
-      }
+      setNotification(`Order Placed (Requisition #${data.requisition.number})`);
+      setTimeout(() => setNotification(""), 2000);
 
-      // Clear cart and close order modal after successful requests
+      // Clear cart and close order modal after a successful request
       handleDelete();
+      fetchSpend();
     } catch (error) {
       console.error("Error placing order:", error);
-      setErrorMessage("Something went wrong. Please try again.");
+      if (error instanceof ApiError && error.status === 423) {
+        // The order window was closed since the page loaded
+        refreshOrderWindow();
+        alert(error.message);
+        return;
+      }
+      setErrorMessage(errorMessageOf(error, "Something went wrong. Please try again."));
     }
   };
 
+  const formatRupees = (amount) => `₹${Number(amount).toLocaleString("en-IN", { maximumFractionDigits: 2 })}`;
+
+  const cartCost = cart.reduce(
+    (total, item) => total + Number(item.ordered_quantity) * (item.unit_cost || 0),
+    0
+  );
+
   const fetchOrders = async () => {
     // Fetch the user info from localStorage
     const userString = localStorage.getItem("user");
     const userData = userString ? JSON.parse(userString) : null;
-    const token = localStorage.getItem("token");
     setUser(userData); // Ensure setUser updates state properly
 
     // Optional: Log user and cart information for debugging
@@ -323,26 +351,20 @@ function Inventory() {
 
     if (userData && userData.id) {
       try {
-        const response = await fetch(
-          `https://adp-backend-bzdrfdhvbhbngbgu.southindia-01.azurewebsites.net/api/cart/cart-items-final/${userData.id}`, // Corrected userData.id
-          {
-            method: "GET",
-            headers: {
-              "Content-Type": "application/json",
-              Authorization: `Bearer ${token}`,
-            },
-          }
-        );
-
-        if (!response.ok) {
-          throw new Error(`HTTP error! status: ${response.status}`);
-        }
-
-        const data = await response.json(); // Only calling response.json() once
+        const data = await cartApi.finalItems(userData.id);
+        data.forEach((order) => seenStatuses.current.set(String(order._id), order.status));
         setOrders(data);
       } catch (error) {
         console.error("Error fetching orders:", error);
       }
+
+      // Borrowed tools the club still has to bring back
+      try {
+        const data = await loansApi.forClub(userData.id);
+        setLoans(data.filter((loan) => loan.status !== "returned"));
+      } catch (error) {
+        console.error("Error fetching loans:", error);
+      }
     }
   };
 
@@ -354,16 +376,29 @@ function Inventory() {
     setConfirmDeleteVisible(true);
   }
 
+  const applyFilters = (query, category) => {
+    const filteredItems = allItems.filter(
+      (item) =>
+        item.name.toLowerCase().includes(query) &&
+        (!category || item.category === category)
+    );
+    setItems(filteredItems);
+  };
+
   // Handler for search input
   const handleSearchChange = (e) => {
     const query = e.target.value.toLowerCase();
     setSearchQuery(query);
-    const filteredItems = allItems.filter((item) =>
-      item.name.toLowerCase().includes(query)
-    );
-    setItems(filteredItems);
+    applyFilters(query, categoryFilter);
+  };
+
+  const handleCategoryChange = (e) => {
+    setCategoryFilter(e.target.value);
+    applyFilters(searchQuery, e.target.value);
   };
 
+  const categories = [...new Set(allItems.map((item) => item.category))];
+
 
   const handleViewOrders = () => {
     if (!showOrders) {
@@ -379,9 +414,8 @@ function Inventory() {
     {showOrders ? "Hide Orders" : "View Orders"}
   </button>;
 
-  const handleLogoutAndRedirect = () => {
-    localStorage.removeItem("user");
-    localStorage.removeItem("token");
+  const handleLogoutAndRedirect = async () => {
+    await logout();
     navigate("/inventory");
   };
 
@@ -483,6 +517,8 @@ function Inventory() {
               <FontAwesomeIcon icon={faStoreAlt} className="text-white ml-2" />
             </button>
 
+            <Notifications />
+
             {/* Logout Button */}
             <button
               onClick={handleLogoutAndRedirect}
@@ -521,6 +557,9 @@ function Inventory() {
                   <th className="py-2 px-2 sm:px-4 border-b text-xl uppercase text-center text-gray-700 dark:text-gray-300">
                     Quantity
                   </th>
+                  <th className="py-2 px-2 sm:px-4 border-b text-xl uppercase text-center text-gray-700 dark:text-gray-300">
+                    Cost
+                  </th>
                   <th className="py-2 px-2 sm:px-4 border-b text-xl uppercase text-center text-gray-700 dark:text-gray-300">
                     Remove
                   </th>
@@ -530,7 +569,7 @@ function Inventory() {
                 {cart.length === 0 ? (
                   <tr>
                     <td
-                      colSpan="3"
+                      colSpan="4"
                       className="py-4 px-4 text-center text-gray-600 dark:text-gray-300"
                     >
                       No items in cart
@@ -546,7 +585,10 @@ function Inventory() {
                         {item.item_name}
                       </td>
                       <td className="py-2 px-2 sm:px-4 border-b text-xl text-gray-600 dark:text-gray-100 text-center">
-                        {item.ordered_quantity}
+                        {item.ordered_quantity} {item.unit || ""}
+                      </td>
+                      <td className="py-2 px-2 sm:px-4 border-b text-xl text-gray-600 dark:text-gray-100 text-center">
+                        {item.unit_cost ? formatRupees(Number(item.ordered_quantity) * item.unit_cost) : "—"}
                       </td>
                       <td className="py-2 px-2 sm:px-4 border-b text-xl text-gray-600 dark:text-gray-100 text-center">
                         <button
@@ -563,6 +605,36 @@ function Inventory() {
             </table>
           </div>
 
+          {/* Live spend against the club's budget */}
+          {spend && (
+            <div className="mt-4 p-3 rounded-lg border border-gray-600 text-lg">
+              <div className="flex flex-wrap justify-between gap-2">
+                <span>Budget: {spend.budget === null ? "Not set" : formatRupees(spend.budget)}</span>
+                <span>Already ordered: {formatRupees(spend.spent)}</span>
+                <span>This cart: {formatRupees(cartCost)}</span>
+                {spend.budget !== null && (
+                  <span className={spend.remaining - cartCost < 0 ? "text-red-400 font-bold" : "text-green-400"}>
+                    Left after this order: {formatRupees(spend.remaining - cartCost)}
+                  </span>
+                )}
+              </div>
+              {spend.budget > 0 && (
+                <div className="mt-2 h-3 w-full bg-gray-700 rounded">
+                  <div
+                    className={`h-3 rounded ${spend.remaining - cartCost < 0 ? "bg-red-500" : "bg-green-500"}`}
+                    style={{ width: `${Math.min(100, ((spend.spent + cartCost) / spend.budget) * 100)}%` }}
+                  ></div>
+                </div>
+              )}
+            </div>
+          )}
+
+          {isConfirmDisabled && (
+            <p className="mt-4 text-center text-red-400">
+              Orders {orderWindow?.festLabel ? `for ${orderWindow.festLabel} ` : ""}are currently closed.
+            </p>
+          )}
+
           {cart.length > 0 && (
             <div className="mt-4 flex flex-col sm:flex-row sm:justify-between">
               <button
@@ -624,6 +696,9 @@ function Inventory() {
                     <tr key={index}>
                       <td className="py-4 px-2 sm:px-4 border-b text-xl text-gray-800 dark:text-gray-100">
                         {order.itemName}
+                        {!order.item_id && order.approvalStatus && (
+                          <div className="text-sm text-gray-400">{APPROVAL_STAGE_LABELS[order.approvalStatus]}</div>
+                        )}
                       </td>
                       <td className="py-4 px-2 sm:px-4 border-b text-center text-xl text-gray-800 dark:text-gray-100">
                         {order.ordered_quantity}
@@ -632,11 +707,17 @@ function Inventory() {
                         {order.status}
                       </td>
                       <td className="py-4 px-2 sm:px-4 border-b text-center text-xl text-gray-800 dark:text-gray-100">
-                        {order.remarks ? (
+                        {order.remarks || order.adminComments?.length > 0 ? (
                           <button
                             style={{ backgroundColor: "#390B31" }}
                             className="text-white px-2 py-1 rounded hover:bg-blue-600 transition duration-300"
-                            onClick={() => setRemarkToShow(order.remarks)}
+                            onClick={() =>
+                              setRemarkToShow(
+                                [order.remarks, ...(order.adminComments || []).map((comment) => comment.text)]
+                                  .filter(Boolean)
+                                  .join("\n")
+                              )
+                            }
                           >
                             View
                           </button>
@@ -651,13 +732,27 @@ function Inventory() {
             </table>
           </div>
 
+          {loans.length > 0 && (
+            <div className="mt-6">
+              <h4 className="text-xl font-bold mb-2 text-center">To Return</h4>
+              <ul className="text-lg">
+                {loans.map((loan) => (
+                  <li key={loan._id} className={loan.isOverdue ? "text-red-400 font-bold" : ""}>
+                    {loan.outstandingQuantity} × {loan.itemName}, due {new Date(loan.dueAt).toLocaleDateString()}
+                    {loan.isOverdue ? " (overdue)" : ""}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
           {/* Modal to display the remark */}
           {remarkToShow && (
             <div className="fixed inset-0 flex items-center justify-center bg-black bg-opacity-50">
             <div className="bg-white dark:bg-gray-800 p-6 rounded-lg border border-gray-300 dark:border-gray-600 w-96 h-80 flex flex-col">
               <div className="flex-grow overflow-y-auto"> 
                 <h4 className="text-2xl font-bold mb-4 text-center">Remark</h4>
-                <p className="text-center mb-4">{remarkToShow}</p> {/* Displaying the remark content */}
+                <p className="text-center mb-4 whitespace-pre-line">{remarkToShow}</p> {/* Displaying the remark content */}
               </div>
               <div className="flex justify-center mt-4"> 
                 <button
@@ -702,6 +797,14 @@ function Inventory() {
               onChange={(e) => setNewItemLink(e.target.value)}
               className="mb-3 p-2 border rounded w-full text-black font-bold"
             />
+            <input
+              type="number"
+              min="0"
+              placeholder="Estimated price per unit in ₹ (optional)"
+              value={newItemCost}
+              onChange={(e) => setNewItemCost(e.target.value)}
+              className="mb-3 p-2 border rounded w-full text-black font-bold"
+            />
             <div className="flex flex-col sm:flex-row justify-between">
               <button
                 onClick={handleAddNewItem}
@@ -799,6 +902,18 @@ function Inventory() {
             onFocus={(e) => (e.target.style.boxShadow = "0 0 15px rgba(255, 255, 255, 0.5), inset 0px -6px 12px rgba(0, 0, 0, 0.2), inset 0px 6px 12px rgba(0, 0, 0, 0.1)")} // Glow effect on typing
             onBlur={(e) => (e.target.style.boxShadow = "inset 0px -6px 12px rgba(0, 0, 0, 0.2), inset 0px 6px 12px rgba(0, 0, 0, 0.1)")} // Revert to original when unfocused
           />
+          <select
+            value={categoryFilter}
+            onChange={handleCategoryChange}
+            className="ml-4 p-3 mb-6 border border-gray-300 rounded-md text-black bg-white"
+          >
+            <option value="">All categories</option>
+            {categories.map((category) => (
+              <option key={category} value={category}>
+                {category}
+              </option>
+            ))}
+          </select>
         </div>
 
         {items.length === 0 ? (
@@ -814,8 +929,17 @@ function Inventory() {
             }
           >
             {items.map((item, index) => (
+              <React.Fragment key={item.id}>
+              {/* Category heading before the first item of each category */}
+              {(index === 0 || items[index - 1].category !== item.category) && (
+                <li
+                  className={`text-2xl font-bold uppercase tracking-wide ${isGridView ? "col-span-full" : ""}`}
+                  style={{ fontFamily: "Anton", letterSpacing: 2 }}
+                >
+                  {item.category}
+                </li>
+              )}
               <li
-                key={item.id}
                 className={`bg-black/50 backdrop-blur-lg flex items-center justify-between shadow-lg hover:shadow-[0_0_15px_5px_rgba(59,130,246,0.6)] transition-all duration-300 transform hover:scale-105 p-4 sm:p-6 rounded-lg ${
                   isGridView
                     ? "flex-col justify-between"
@@ -862,6 +986,22 @@ function Inventory() {
                   </h4>
                 </div>
 
+                {/* Photo, unit and pack size */}
+                <div className={`flex items-center ${isGridView ? "flex-col mb-2" : "space-x-2"}`}>
+                  {item.photoUrl && (
+                    <img
+                      src={item.photoUrl}
+                      alt={item.name}
+                      className="w-16 h-16 object-cover rounded mb-1"
+                    />
+                  )}
+                  <span className="text-sm text-gray-300">
+                    {item.minOrderMultiple > 1
+                      ? `Packs of ${item.minOrderMultiple} ${item.unit}`
+                      : `Per ${item.unit}`}
+                  </span>
+                </div>
+
                 {/* Quantity Controls */}
                 <div
                   className={`flex items-center justify-center bg-white rounded-xl space-x-2 sm:space-x-5 ${
@@ -937,6 +1077,7 @@ function Inventory() {
                   </button>
                 </div>
               </li>
+              </React.Fragment>
             ))}
             <li
               key="add-item"
@@ -1,79 +1,93 @@
-import React, { useState, useEffect } from 'react';
-import { useLocation, Link, useNavigate } from 'react-router-dom';
+import React, { useState, useEffect, useCallback } from 'react';
+import { useLocation, Link } from 'react-router-dom';
 import * as XLSX from 'xlsx';
 import bgImage from '../../assets/bg.jpg'; // Ensure the correct path to your background image
+import { isViewingArchive } from '../../api/seasons';
+import { cart, inventory, vendors } from '../../api/endpoints';
+import { errorMessageOf } from '../../api/client';
+import SeasonBanner from './SeasonBanner';
+import { useLiveRefresh } from './useLiveUpdates';
 
 function Inventory() {
   const [items, setItems] = useState([]);
   const [modalVisible, setModalVisible] = useState(false);
   const [selectedOrder, setSelectedOrder] = useState(null);
+  const [categoryFilter, setCategoryFilter] = useState('');
+  const [groupByCategory, setGroupByCategory] = useState(true);
+  const [vendorNames, setVendorNames] = useState([]);
+  // Unsaved status/remark edits, and whether newer figures arrived while there were some
+  const [hasEdits, setHasEdits] = useState(false);
+  const [updatesAvailable, setUpdatesAvailable] = useState(false);
 
   const location = useLocation();
   const { state } = location;
   const userId = state ? state.user_id : null;
 
-  const userString = localStorage.getItem("user");
-  const userData = userString ? JSON.parse(userString) : null;
-  const token = localStorage.getItem("token");
-  const navigate = useNavigate();
+  // Closed seasons are read-only
+  const viewingArchive = isViewingArchive();
 
-  useEffect(() => {
-    if (!token || (userData && userData.access !== 'bosslevel')) {
-      navigate('/inventory');
-      return; // Prevent further execution
+  const fetchItems = useCallback(async () => {
+    try {
+      const data = await cart.itemSummary();
+
+      console.log('Fetched items:', data);
+
+      if (Array.isArray(data)) {
+        // Items arrive grouped by category and in display order
+        setItems(
+          data.map((item) => ({
+            id: item._id, // Ensure you include the item ID here
+            name: item.itemName,
+            category: item.category || 'Uncategorised',
+            unit: item.unit || 'pcs',
+            sku: item.sku,
+            storageLocation: item.storageLocation,
+            availableQuantity: item.availableQuantity,
+            shortfall: item.shortfall,
+            needsReorder: item.needsReorder,
+            totalOrderedQuantity: item.totalOrderedQuantity,
+            totalAllottedQuantity: item.totalAllottedQuantity,
+            itemOrderedStatus: item.itemOrderedStatus, // Ensure proper initial value
+            itemRemark: item.itemRemark,
+          }))
+        );
+      } else {
+        console.error('Unexpected data format:', data);
+      }
+    } catch (error) {
+      console.error('Error fetching items:', error);
     }
+  }, []);
 
-    const fetchItems = async () => {
+  useEffect(() => {
+    // Vendors an item can be marked as ordered from
+    const fetchVendors = async () => {
       try {
-        const response = await fetch(
-          'https://adp-backend-bzdrfdhvbhbngbgu.southindia-01.azurewebsites.net/api/cart/cart-item-summary',
-          {
-            headers: {
-              Authorization: `Bearer ${token}`,
-            },
-          }
-        );
-        const data = await response.json();
-
-        console.log('Fetched items:', data);
-
-        if (Array.isArray(data)) {
-          const sortedData = data.sort((a, b) => {
-            if (a.itemName.startsWith("Brush Round")) return -1;
-            if (b.itemName.startsWith("Brush Round")) return 1;
-  
-            if (a.itemName.startsWith("Brush Flat")) return -1;
-            if (b.itemName.startsWith("Brush Flat")) return 1;
-    
-            if (a.itemName.startsWith("Paint (15 ml)")) return -1;
-            if (b.itemName.startsWith("Paint (15 ml)")) return 1;
-    
-            if (a.itemName.startsWith("Paint (500 ml)")) return -1;
-            if (b.itemName.startsWith("Paint (500 ml)")) return 1;
-    
-            return 0; // Other items remain in their default order
-          });
-          setItems(
-            sortedData.map((item) => ({
-              id: item._id, // Ensure you include the item ID here
-              name: item.itemName,
-              availableQuantity: item.availableQuantity,
-              totalOrderedQuantity: item.totalOrderedQuantity,
-              totalAllottedQuantity: item.totalAllottedQuantity,
-              itemOrderedStatus: item.itemOrderedStatus, // Ensure proper initial value
-              itemRemark: item.itemRemark,
-            }))
-          );
-        } else {
-          console.error('Unexpected data format:', data);
-        }
+        const data = await vendors.list();
+        setVendorNames(data.filter((vendor) => vendor.active).map((vendor) => vendor.name));
       } catch (error) {
-        console.error('Error fetching items:', error);
+        console.error('Error fetching vendors:', error);
       }
     };
 
     fetchItems();
-  }, [userId]);
+    fetchVendors();
+  }, [userId, fetchItems]);
+
+  const reloadItems = async () => {
+    await fetchItems();
+    setHasEdits(false);
+    setUpdatesAvailable(false);
+  };
+
+  // Submissions and allotments change the figures; reload them unless that would throw away edits
+  useLiveRefresh(['cart', 'cart-item', 'inventory'], () => {
+    if (hasEdits) {
+      setUpdatesAvailable(true);
+    } else {
+      fetchItems();
+    }
+  });
 
   const handleStatusChange = (index, value) => {
     const updatedItems = [...items];
@@ -82,6 +96,7 @@ function Inventory() {
       itemOrderedStatus: value, // Ensure the status is updated
     };
     setItems(updatedItems);
+    setHasEdits(true);
   };
 
   const handleRemarkChange = (index, value) => {
@@ -91,6 +106,7 @@ function Inventory() {
       itemRemark: value, // Ensure the status is updated
     };
     setItems(updatedItems);
+    setHasEdits(true);
   };
 
   const handleSave = async () => {
@@ -107,25 +123,12 @@ function Inventory() {
       return;
     }
     try {
-      const response = await fetch(
-        'https://adp-backend-bzdrfdhvbhbngbgu.southindia-01.azurewebsites.net/api/inventorys/update-inventory-items',
-        {
-          method: 'PUT',
-          headers: {
-            'Content-Type': 'application/json',
-            Authorization: `Bearer ${token}`,
-          },
-          body: JSON.stringify(updatedItems),
-        }
-      );
-
-      if (!response.ok) {
-        throw new Error('Failed to save items');
-      }
+      await inventory.updateMany(updatedItems);
 
-      window.location.reload();
+      await reloadItems();
     } catch (error) {
       console.error('Error saving items:', error);
+      alert(errorMessageOf(error, 'Failed to save items'));
     }
   };
 
@@ -143,8 +146,13 @@ function Inventory() {
     const ws = XLSX.utils.json_to_sheet(
       items.map((item) => ({
         'Item Name': item.name,
+        Category: item.category,
+        Unit: item.unit,
+        SKU: item.sku,
+        'Storage Location': item.storageLocation,
         'Available Quantity': item.availableQuantity,
         'Total Ordered Quantity': item.totalOrderedQuantity,
+        Shortfall: item.shortfall,
       }))
     );
     const wb = XLSX.utils.book_new();
@@ -153,6 +161,13 @@ function Inventory() {
     XLSX.writeFile(wb, 'inventory_items.xlsx');
   };
 
+  const categories = [...new Set(items.map((item) => item.category))];
+
+  // Rows keep their index into items so the edit handlers still line up
+  const visibleRows = items
+    .map((item, index) => ({ item, index }))
+    .filter(({ item }) => !categoryFilter || item.category === categoryFilter);
+
   return (
     <div
       id='Inventory'
@@ -166,6 +181,8 @@ function Inventory() {
     >
       <h1 className='text-4xl font-bold mb-6'>Item List</h1>
 
+      <SeasonBanner />
+
       <div className='flex align-center justify-center w-full mb-8'>
         <Link to='/inventoryadp'>
           <button className='bg-blue-500 text-white px-4 py-2 rounded mr-4'>
@@ -173,9 +190,47 @@ function Inventory() {
           </button>
         </Link>
 
-        <button onClick={handleDownloadExcel} className='bg-green-500 text-white px-4 py-2 rounded'>
+        <button onClick={handleDownloadExcel} className='bg-green-500 text-white px-4 py-2 rounded mr-4'>
           Download Excel
         </button>
+
+        <Link to='/purchase-orders'>
+          <button className='bg-purple-500 text-white px-4 py-2 rounded'>
+            Purchase Orders
+          </button>
+        </Link>
+      </div>
+
+      {updatesAvailable && (
+        <div className='flex items-center justify-center w-full mb-4 space-x-4 text-yellow-400'>
+          <span>Orders or stock changed since this list was loaded.</span>
+          <button onClick={reloadItems} className='bg-yellow-500 text-black px-3 py-1 rounded'>
+            Refresh (discards unsaved edits)
+          </button>
+        </div>
+      )}
+
+      <div className='flex items-center justify-center w-full mb-8 space-x-4'>
+        <select
+          className='status-dropdown'
+          value={categoryFilter}
+          onChange={(e) => setCategoryFilter(e.target.value)}
+        >
+          <option value=''>All categories</option>
+          {categories.map((category) => (
+            <option key={category} value={category}>
+              {category}
+            </option>
+          ))}
+        </select>
+        <label className='flex items-center space-x-2'>
+          <input
+            type='checkbox'
+            checked={groupByCategory}
+            onChange={(e) => setGroupByCategory(e.target.checked)}
+          />
+          <span>Group by category</span>
+        </label>
       </div>
 
       <div className='overflow-hidden rounded-lg shadow-lg border border-blue-400 glow'>
@@ -183,20 +238,38 @@ function Inventory() {
           <thead>
             <tr className='text-left'>
               <th className='py-2 px-4 border-b'>Item Name</th>
+              <th className='py-2 px-4 border-b'>Unit</th>
+              <th className='py-2 px-4 border-b'>Location</th>
               <th className='py-2 px-4 border-b'>Available Quantity</th>
               <th className='py-2 px-4 border-b'>Total Ordered Quantity</th>
               <th className='py-2 px-4 border-b'>Total Allotted Quantity</th>
+              <th className='py-2 px-4 border-b'>Shortfall</th>
               <th className='py-2 px-4 border-b'>Status</th>
               <th className='py-2 px-4 border-b'>Remarks</th>
             </tr>
           </thead>
           <tbody>
-            {items.map((item, index) => (
-              <tr key={index} className='hover:bg-gray-100 dark:hover:bg-gray-700'>
-                <td className='py-2 px-4 border-b'>{item.name}</td>
+            {visibleRows.map(({ item, index }, row) => (
+              <React.Fragment key={item.id}>
+              {groupByCategory && (row === 0 || visibleRows[row - 1].item.category !== item.category) && (
+                <tr className='bg-gray-200 dark:bg-gray-900'>
+                  <td colSpan='9' className='py-2 px-4 border-b font-semibold uppercase'>{item.category}</td>
+                </tr>
+              )}
+              <tr className='hover:bg-gray-100 dark:hover:bg-gray-700'>
+                <td className='py-2 px-4 border-b'>
+                  {item.name}
+                  {item.sku && <div className='text-xs text-gray-400'>{item.sku}</div>}
+                </td>
+                <td className='py-2 px-4 border-b'>{item.unit}</td>
+                <td className='py-2 px-4 border-b'>{item.storageLocation || '—'}</td>
                 <td className='py-2 px-4 border-b'>{item.availableQuantity}</td>
                 <td className='py-2 px-4 border-b'>{item.totalOrderedQuantity}</td>
                 <td className='py-2 px-4 border-b'>{item.totalAllottedQuantity}</td>
+                <td className={`py-2 px-4 border-b ${item.needsReorder ? 'text-red-500 font-semibold' : ''}`}>
+                  {item.shortfall}
+                  {item.needsReorder && <div className='text-xs'>Reorder</div>}
+                </td>
                 <td className='py-2 px-4 border-b'>
                   <select
                     className='status-dropdown'
@@ -206,8 +279,13 @@ function Inventory() {
                     <option value="">Select Status</option>
                     <option value="Available">Available</option>
                     <option value="Not Available">Not Available</option>
-                    <option value="Ordered from Akshay">Ordered from Akshay</option>
-                    <option value="Ordered from Amazon">Ordered from Amazon</option>
+                    {/* Keep the current vendor listed even if it has been retired since */}
+                    {[...new Set([
+                      ...vendorNames.map((vendor) => `Ordered from ${vendor}`),
+                      ...(item.itemOrderedStatus?.startsWith('Ordered from ') ? [item.itemOrderedStatus] : []),
+                    ])].map((status) => (
+                      <option key={status} value={status}>{status}</option>
+                    ))}
                   </select>
                 </td>
                 <td className='py-2 px-4 border-b'>
@@ -220,6 +298,7 @@ function Inventory() {
                   />
                 </td>
               </tr>
+              </React.Fragment>
             ))}
           </tbody>
         </table>
@@ -227,7 +306,8 @@ function Inventory() {
 
       <button
         onClick={handleSave}
-        className='bg-green-500 text-white px-4 py-2 rounded mt-8'
+        disabled={viewingArchive}
+        className='bg-green-500 text-white px-4 py-2 rounded mt-8 disabled:opacity-50'
       >
         Save Changes
       </button>
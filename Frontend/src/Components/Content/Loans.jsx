@@ -0,0 +1,331 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import bgImage from '../../assets/bg.jpg';
+import { useAuth } from './useAuth';
+import { loans as loansApi, cart, inventory } from '../../api/endpoints';
+import { errorMessageOf } from '../../api/client';
+
+const VIEWS = [
+  { value: 'overdue', label: 'Overdue' },
+  { value: 'open', label: 'Out' },
+  { value: 'returned', label: 'Returned' },
+  { value: 'all', label: 'All' },
+];
+
+const EMPTY_CHECK_IN = { returned: 0, damaged: 0, lost: 0, notes: '' };
+
+// yyyy-mm-dd for date inputs
+const toDateInput = (date) => new Date(date).toISOString().slice(0, 10);
+
+// Tools and reusable kit lent to clubs: overdue list, check-ins and lending outside the order flow
+function Loans() {
+  const [loans, setLoans] = useState([]);
+  const [view, setView] = useState('overdue');
+  const [clubFilter, setClubFilter] = useState('');
+  const [clubs, setClubs] = useState([]);
+  const [returnableItems, setReturnableItems] = useState([]);
+  const [checkingIn, setCheckingIn] = useState(null);
+  const [checkInCounts, setCheckInCounts] = useState(EMPTY_CHECK_IN);
+  const [newLoan, setNewLoan] = useState(null);
+
+  const { user: userData } = useAuth();
+
+  // Mirrors orders:manage in Backend/services/roles.js
+  const canManage = ['bosslevel', 'storekeeper'].includes(userData?.access);
+
+  const fetchLoans = useCallback(async () => {
+    try {
+      setLoans(await loansApi.list({ view, userId: clubFilter }));
+    } catch (error) {
+      console.error('Error fetching loans:', error);
+      alert(errorMessageOf(error, 'Failed to fetch loans'));
+    }
+  }, [view, clubFilter]);
+
+  useEffect(() => {
+    const fetchClubs = async () => {
+      try {
+        const data = await cart.clubList();
+        setClubs(data.map((club) => ({ userId: club.user_id, clubName: club.clubName })));
+      } catch (error) {
+        console.error('Error fetching clubs:', error);
+      }
+    };
+
+    fetchClubs();
+  }, []);
+
+  useEffect(() => {
+    fetchLoans();
+  }, [fetchLoans]);
+
+  const openNewLoan = async () => {
+    try {
+      const data = await inventory.list();
+      setReturnableItems(data.filter((item) => item.returnable));
+    } catch (error) {
+      console.error('Error fetching items:', error);
+    }
+    setNewLoan({ userId: clubFilter, item_id: '', quantity: 1, dueAt: '' });
+  };
+
+  const saveNewLoan = async () => {
+    try {
+      await loansApi.checkOut({
+        userId: newLoan.userId,
+        item_id: newLoan.item_id,
+        quantity: Number(newLoan.quantity),
+        ...(newLoan.dueAt && { dueAt: newLoan.dueAt }),
+      });
+      setNewLoan(null);
+      fetchLoans();
+    } catch (error) {
+      console.error('Error lending item:', error);
+      alert(errorMessageOf(error, 'Failed to lend the item'));
+    }
+  };
+
+  const saveCheckIn = async () => {
+    try {
+      await loansApi.checkIn(checkingIn._id, {
+        returned: Number(checkInCounts.returned),
+        damaged: Number(checkInCounts.damaged),
+        lost: Number(checkInCounts.lost),
+        notes: checkInCounts.notes || undefined,
+      });
+      setCheckingIn(null);
+      fetchLoans();
+    } catch (error) {
+      console.error('Error checking in:', error);
+      alert(errorMessageOf(error, 'Failed to check the items in'));
+    }
+  };
+
+  const changeDueDate = async (loan, dueAt) => {
+    if (!dueAt) return;
+    try {
+      await loansApi.update(loan._id, { dueAt });
+      fetchLoans();
+    } catch (error) {
+      console.error('Error changing due date:', error);
+      alert(errorMessageOf(error, 'Failed to change the due date'));
+    }
+  };
+
+  return (
+    <div
+      id='Inventory'
+      className='bg-custom-light text-black dark:bg-custom-dark dark:text-white lg:px-32 px-5 py-20 min-h-screen flex flex-col items-center'
+      style={{
+        backgroundImage: `url(${bgImage})`,
+        backgroundSize: 'cover',
+        backgroundPosition: 'center',
+        backgroundRepeat: 'no-repeat',
+      }}
+    >
+      <h1 className='text-4xl font-bold mb-6'>Loans</h1>
+
+      <div className='flex flex-wrap items-center justify-center gap-4 w-full mb-8'>
+        <Link to='/inventoryadp'>
+          <button className='bg-blue-500 text-white px-4 py-2 rounded'>Back to Home</button>
+        </Link>
+        <select className='loan-input' value={view} onChange={(e) => setView(e.target.value)}>
+          {VIEWS.map((option) => (
+            <option key={option.value} value={option.value}>
+              {option.label}
+            </option>
+          ))}
+        </select>
+        <select className='loan-input' value={clubFilter} onChange={(e) => setClubFilter(e.target.value)}>
+          <option value=''>All clubs</option>
+          {clubs.map((club) => (
+            <option key={club.userId} value={club.userId}>
+              {club.clubName}
+            </option>
+          ))}
+        </select>
+        {canManage && (
+          <button onClick={openNewLoan} className='bg-green-500 text-white px-4 py-2 rounded'>
+            Lend Item
+          </button>
+        )}
+      </div>
+
+      <div className='w-full max-w-6xl p-4 bg-black/50 backdrop-blur-lg border border-gray-600 rounded-lg'>
+        {loans.length === 0 ? (
+          <p className='text-gray-300'>{view === 'overdue' ? 'Nothing is overdue.' : 'No loans.'}</p>
+        ) : (
+          <table className='min-w-full'>
+            <thead>
+              <tr className='text-left'>
+                <th className='py-2 px-4 border-b'>Club</th>
+                <th className='py-2 px-4 border-b'>Item</th>
+                <th className='py-2 px-4 border-b'>Lent</th>
+                <th className='py-2 px-4 border-b'>Still Out</th>
+                <th className='py-2 px-4 border-b'>Returned / Damaged / Lost</th>
+                <th className='py-2 px-4 border-b'>Due</th>
+                <th className='py-2 px-4 border-b'></th>
+              </tr>
+            </thead>
+            <tbody>
+              {loans.map((loan) => (
+                <tr key={loan._id}>
+                  <td className='py-2 px-4 border-b'>
+                    {loan.userId?.clubName || 'Unknown club'}
+                    {loan.userId?.mobile && <div className='text-xs text-gray-400'>{loan.userId.mobile}</div>}
+                  </td>
+                  <td className='py-2 px-4 border-b'>{loan.itemName}</td>
+                  <td className='py-2 px-4 border-b'>{loan.quantity}</td>
+                  <td className='py-2 px-4 border-b'>{loan.outstandingQuantity}</td>
+                  <td className='py-2 px-4 border-b'>
+                    {loan.returnedQuantity} / {loan.damagedQuantity} / {loan.lostQuantity}
+                  </td>
+                  <td className={`py-2 px-4 border-b ${loan.isOverdue ? 'text-red-400 font-semibold' : ''}`}>
+                    {canManage && loan.status !== 'returned' ? (
+                      <input
+                        type='date'
+                        className='loan-input'
+                        value={toDateInput(loan.dueAt)}
+                        onChange={(e) => changeDueDate(loan, e.target.value)}
+                      />
+                    ) : (
+                      new Date(loan.dueAt).toLocaleDateString()
+                    )}
+                    {loan.isOverdue && <div className='text-xs'>Overdue</div>}
+                  </td>
+                  <td className='py-2 px-4 border-b'>
+                    {canManage && loan.status !== 'returned' && (
+                      <button
+                        onClick={() => {
+                          setCheckingIn(loan);
+                          setCheckInCounts({ ...EMPTY_CHECK_IN, returned: loan.outstandingQuantity });
+                        }}
+                        className='bg-blue-500 text-white px-3 py-1 rounded'
+                      >
+                        Check In
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      {checkingIn && (
+        <div className='fixed inset-0 bg-black bg-opacity-75 flex items-center justify-center z-50'>
+          <div className='bg-white dark:bg-gray-900 text-black dark:text-white p-6 rounded-lg shadow-lg w-96'>
+            <h2 className='text-xl font-semibold mb-2'>Check in {checkingIn.itemName}</h2>
+            <p className='text-gray-400 mb-4'>
+              {checkingIn.userId?.clubName} still has {checkingIn.outstandingQuantity}.
+            </p>
+            {['returned', 'damaged', 'lost'].map((field) => (
+              <label key={field} className='flex justify-between items-center mb-3 capitalize'>
+                {field}
+                <input
+                  type='number'
+                  min='0'
+                  max={checkingIn.outstandingQuantity}
+                  className='loan-input w-24'
+                  value={checkInCounts[field]}
+                  onChange={(e) => setCheckInCounts({ ...checkInCounts, [field]: e.target.value })}
+                />
+              </label>
+            ))}
+            <textarea
+              className='loan-input w-full mb-4'
+              rows='2'
+              placeholder='Notes (optional)'
+              value={checkInCounts.notes}
+              onChange={(e) => setCheckInCounts({ ...checkInCounts, notes: e.target.value })}
+            />
+            <div className='flex justify-end gap-2'>
+              <button onClick={() => setCheckingIn(null)} className='bg-gray-600 text-white px-4 py-2 rounded'>
+                Cancel
+              </button>
+              <button onClick={saveCheckIn} className='bg-green-500 text-white px-4 py-2 rounded'>
+                Check In
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {newLoan && (
+        <div className='fixed inset-0 bg-black bg-opacity-75 flex items-center justify-center z-50'>
+          <div className='bg-white dark:bg-gray-900 text-black dark:text-white p-6 rounded-lg shadow-lg w-96'>
+            <h2 className='text-xl font-semibold mb-4'>Lend Item</h2>
+            <select
+              className='loan-input w-full mb-3'
+              value={newLoan.userId}
+              onChange={(e) => setNewLoan({ ...newLoan, userId: e.target.value })}
+            >
+              <option value=''>Pick a club</option>
+              {clubs.map((club) => (
+                <option key={club.userId} value={club.userId}>
+                  {club.clubName}
+                </option>
+              ))}
+            </select>
+            <select
+              className='loan-input w-full mb-3'
+              value={newLoan.item_id}
+              onChange={(e) => setNewLoan({ ...newLoan, item_id: e.target.value })}
+            >
+              <option value=''>Pick a returnable item</option>
+              {returnableItems.map((item) => (
+                <option key={item._id} value={item._id}>
+                  {item.itemName} ({item.itemQuantity} in stock)
+                </option>
+              ))}
+            </select>
+            <label className='flex justify-between items-center mb-3'>
+              Quantity
+              <input
+                type='number'
+                min='1'
+                className='loan-input w-24'
+                value={newLoan.quantity}
+                onChange={(e) => setNewLoan({ ...newLoan, quantity: e.target.value })}
+              />
+            </label>
+            <label className='flex justify-between items-center mb-4'>
+              Due back
+              <input
+                type='date'
+                className='loan-input'
+                value={newLoan.dueAt}
+                onChange={(e) => setNewLoan({ ...newLoan, dueAt: e.target.value })}
+              />
+            </label>
+            <div className='flex justify-end gap-2'>
+              <button onClick={() => setNewLoan(null)} className='bg-gray-600 text-white px-4 py-2 rounded'>
+                Cancel
+              </button>
+              <button
+                onClick={saveNewLoan}
+                disabled={!newLoan.userId || !newLoan.item_id}
+                className='bg-green-500 text-white px-4 py-2 rounded disabled:opacity-50'
+              >
+                Lend
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      <style>{`
+        .loan-input {
+          background-color: black;
+          color: white;
+          border: 1px solid #555;
+          border-radius: 4px;
+          padding: 6px;
+        }
+      `}</style>
+    </div>
+  );
+}
+
+export default Loans;
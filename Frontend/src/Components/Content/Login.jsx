@@ -1,11 +1,17 @@
 import React, { useState } from 'react';
 import 'boxicons/css/boxicons.min.css';
 import { FaWhatsapp } from 'react-icons/fa';
-import { useNavigate } from 'react-router-dom';
+import { useNavigate, useLocation } from 'react-router-dom';
 import bgImage from '../../assets/bg.jpg'; 
+import { isAdminRole, homePathFor } from '../../api/roles';
+import { users } from '../../api/endpoints';
+import { errorMessageOf } from '../../api/client';
+import { useAuth } from './useAuth';
 
 function Login() {
   const navigate = useNavigate();
+  const location = useLocation();
+  const { login } = useAuth();
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
   const [showPassword, setShowPassword] = useState(false); // State for toggling password visibility
@@ -18,41 +24,20 @@ function Login() {
     e.preventDefault();
 
     try {
-      const response = await fetch('https://adp-backend-bzdrfdhvbhbngbgu.southindia-01.azurewebsites.net/api/users/login', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ email, password }),
-      });
-
-      const data = await response.json();
-
-      if (response.ok) {
-        // Store the JWT token and user info in local storage
-        localStorage.setItem('token', data.token);
-        localStorage.setItem('user', JSON.stringify(data.user)); // Storing user information
-
-        setTimeout(() => {
-          localStorage.removeItem('token');
-          localStorage.removeItem('user');
-          console.log('Token and user data have been removed from local storage after 1 hour.');
-          alert('Your session has expired.');
-          navigate('/inventory'); // Redirect user to the inventory or login page after expiry
-        }, 3600000);
-
-        // Navigate based on the user's access level
-        if (data.user.access === 'user') {
-          navigate('/inventoryuser');
-        } else if (data.user.access === 'bosslevel') {
-          navigate('/inventoryadp');
-        } else {
-          alert('Unknown access level');
-        }
+      const data = await users.login({ email, password });
+
+      // The short-lived token is renewed by AuthProvider, which logs the user out once that is refused
+      login(data);
+
+      // Back to the page that asked for a login, or the landing page of the user's access level
+      if (data.user.access === 'user' || isAdminRole(data.user.access)) {
+        navigate(location.state?.from || homePathFor(data.user.access));
       } else {
-        alert(data.message || 'Login failed');
+        alert('Unknown access level');
       }
     } catch (error) {
       console.error('Login error:', error);
-      alert('An error occurred during login.');
+      alert(errorMessageOf(error, 'An error occurred during login.'));
     }
   };
 
@@ -0,0 +1,128 @@
+import { useState, useEffect, useCallback } from 'react';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faBell } from '@fortawesome/free-solid-svg-icons';
+import { notifications as notificationsApi } from '../../api/endpoints';
+import { errorMessageOf } from '../../api/client';
+import { useLiveRefresh } from './useLiveUpdates';
+
+// Bell button with the unread count, opening the club's order status notifications and the
+// settings for how it hears about them (a digest mail, in-app notifications, or both)
+function Notifications() {
+  const [open, setOpen] = useState(false);
+  const [notifications, setNotifications] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [preferences, setPreferences] = useState(null);
+
+  const showList = (data) => {
+    setNotifications(data.notifications);
+    setUnreadCount(data.unreadCount);
+  };
+
+  const fetchNotifications = useCallback(async () => {
+    try {
+      showList(await notificationsApi.list());
+    } catch (error) {
+      console.error('Error fetching notifications:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchNotifications();
+  }, [fetchNotifications]);
+
+  useLiveRefresh(['notification'], fetchNotifications);
+
+  const togglePanel = async () => {
+    setOpen(!open);
+    if (open || preferences) return;
+
+    try {
+      setPreferences(await notificationsApi.preferences());
+    } catch (error) {
+      console.error('Error fetching notification settings:', error);
+    }
+  };
+
+  const markAllRead = async () => {
+    try {
+      showList(await notificationsApi.markRead());
+    } catch (error) {
+      console.error('Error marking notifications read:', error);
+      alert(errorMessageOf(error, 'Failed to mark notifications read'));
+    }
+  };
+
+  const changePreference = async (channel, enabled) => {
+    try {
+      setPreferences(await notificationsApi.savePreferences({ [channel]: enabled }));
+    } catch (error) {
+      console.error('Error saving notification settings:', error);
+      alert(errorMessageOf(error, 'Failed to save notification settings'));
+    }
+  };
+
+  return (
+    <div className='relative'>
+      <button
+        onClick={togglePanel}
+        className='bg-[#390B31] border-2 border-white h-16 text-2xl rounded-md text-white px-4 shadow-md transition duration-300 font-bold flex items-center justify-center w-full sm:w-auto p-2'
+        aria-label='Notifications'
+      >
+        <FontAwesomeIcon icon={faBell} />
+        {unreadCount > 0 && (
+          <span className='ml-2 bg-red-500 text-white text-sm rounded-full px-2'>{unreadCount}</span>
+        )}
+      </button>
+
+      {open && (
+        <div className='absolute right-0 mt-2 w-80 max-h-96 overflow-y-auto bg-black/90 border glow rounded-lg shadow-lg z-50 p-4 text-white text-left'>
+          <div className='flex justify-between items-center mb-2'>
+            <h4 className='font-bold'>Notifications</h4>
+            {unreadCount > 0 && (
+              <button onClick={markAllRead} className='text-sm underline'>
+                Mark all read
+              </button>
+            )}
+          </div>
+
+          {notifications.length === 0 ? (
+            <p className='text-sm text-gray-400'>No notifications yet.</p>
+          ) : (
+            <ul className='space-y-2'>
+              {notifications.map((notification) => (
+                <li key={notification._id} className={`text-sm ${notification.readAt ? 'text-gray-400' : 'font-semibold'}`}>
+                  {notification.message}
+                  <div className='text-xs text-gray-500'>{new Date(notification.createdAt).toLocaleString()}</div>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          {preferences && (
+            <div className='mt-4 pt-2 border-t border-gray-600 text-sm space-y-1'>
+              <div className='font-semibold'>When an order item changes status</div>
+              <label className='flex items-center space-x-2'>
+                <input
+                  type='checkbox'
+                  checked={preferences.email}
+                  onChange={(e) => changePreference('email', e.target.checked)}
+                />
+                <span>Email me a summary</span>
+              </label>
+              <label className='flex items-center space-x-2'>
+                <input
+                  type='checkbox'
+                  checked={preferences.inApp}
+                  onChange={(e) => changePreference('inApp', e.target.checked)}
+                />
+                <span>Show it here</span>
+              </label>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default Notifications;
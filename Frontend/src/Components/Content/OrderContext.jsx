@@ -1,4 +1,5 @@
-import React, { createContext, useState, useContext } from 'react';
+import React, { createContext, useState, useContext, useCallback } from 'react';
+import { cart } from '../../api/endpoints';
 
 // Create the context
 const OrderContext = createContext();
@@ -7,11 +8,34 @@ const OrderContext = createContext();
 export const useOrderContext = () => useContext(OrderContext);
 
 // Provider component to wrap around the app
+// The order window lives on the server; this only caches the last response
 export const OrderProvider = ({ children }) => {
-  const [isConfirmDisabled, setIsConfirmDisabled] = useState(false);
+  const [orderWindow, setOrderWindow] = useState(null);
+
+  // Re-read the order window from the backend
+  const refreshOrderWindow = useCallback(async () => {
+    try {
+      const data = await cart.orderWindow();
+      setOrderWindow(data);
+      return data;
+    } catch (error) {
+      console.error('Error fetching order window:', error);
+    }
+    return null;
+  }, []);
+
+  // Persist a change to the order window (bosslevel only); throws ApiError with the backend's reason
+  const updateOrderWindow = useCallback(async (changes) => {
+    const data = await cart.updateOrderWindow(changes);
+    setOrderWindow(data);
+    return data;
+  }, []);
+
+  // Until the first response arrives we do not block the button; the server enforces the window anyway
+  const isConfirmDisabled = orderWindow ? !orderWindow.isAcceptingOrders : false;
 
   return (
-    <OrderContext.Provider value={{ isConfirmDisabled, setIsConfirmDisabled }}>
+    <OrderContext.Provider value={{ orderWindow, isConfirmDisabled, refreshOrderWindow, updateOrderWindow }}>
       {children}
     </OrderContext.Provider>
   );
@@ -1,6 +1,10 @@
-import React, { useState, useEffect, useMemo } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import bgImage from '../../assets/bg.jpg';
+import { isViewingArchive } from '../../api/seasons';
+import { cart } from '../../api/endpoints';
+import SeasonBanner from './SeasonBanner';
+import { useLiveRefresh } from './useLiveUpdates';
 
 function Order() {
   const [items, setItems] = useState([]);
@@ -11,12 +15,8 @@ function Order() {
 
 
   const navigate = useNavigate();
-
-  // Use useMemo to ensure userData and token are fetched only once
-  const userData = useMemo(() => {
-    const userString = localStorage.getItem('user');
-    return userString ? JSON.parse(userString) : null;
-  }, []);
+  // Closed seasons are read-only
+  const viewingArchive = isViewingArchive();
 
   const requestDelete = (cart_id) => {
     setItemToDelete({ cart_id }); // Store both cart and itemName
@@ -25,69 +25,41 @@ function Order() {
 
   const handleDelete = async (cart_id) => {
     try {
-      // Make the DELETE request to the API
-      const response = await fetch(
-        `https://adp-backend-bzdrfdhvbhbngbgu.southindia-01.azurewebsites.net/api/cart/remove-cart/${cart_id}`,
-        {
-          method: 'DELETE',
-          headers: {
-            Authorization: `Bearer ${token}`, // Use your token for authorization
-          },
-        }
-      );
-  
-      const data = await response.json(); // Get the response data
-  
-      if (response.ok) {
-        // On success, filter out the deleted item from the local state
-        const updatedItems = items.filter(item => item.cart_id !== cart_id);
-        setItems(updatedItems);
-  
-        // Optional: Notify the user of successful deletion
-        console.log('Cart successfully deleted:', data.message);
-      } else {
-        // Handle errors returned by the server
-        console.error('Error deleting Cart:', data.error || data);
-      }
+      const data = await cart.removeCart(cart_id);
+
+      // On success, filter out the deleted item from the local state
+      setItems(items.filter(item => item.cart_id !== cart_id));
+      console.log('Cart successfully deleted:', data.message);
     } catch (error) {
-      // Handle network or other unexpected errors
-      console.error('Error making delete request:', error);
+      console.error('Error deleting Cart:', error.message);
     }
   };
 
-  const token = useMemo(() => localStorage.getItem('token'), []);
+  // Fetch cart items summary from the API
+  const fetchCartItemsSummary = useCallback(async () => {
+    try {
+      const data = await cart.clubList();
+
+      setItems(data.map((item) => ({
+        clubName: item.clubName,
+        cordName: item.cordName,
+        contact: item.contact,
+        cart_id: item.cart_id,
+        user_id: item.user_id,
+        requisitionCount: item.requisitionCount,
+        lastRequisitionAt: item.lastRequisitionAt,
+      })));
+    } catch (error) {
+      console.error('Error fetching cart items summary:', error);
+    }
+  }, []);
 
   useEffect(() => {
-    // Redirect to /inventory if user is not logged in or not a boss
-    if (!token || (userData && userData.access !== 'bosslevel')) {
-      navigate('/inventory');
-      return; // Prevent further execution
-    }
+    fetchCartItemsSummary();
+  }, [fetchCartItemsSummary]);
 
-    // Fetch cart items summary from the API
-    const fetchCartItemsSummary = async () => {
-      try {
-        const response = await fetch('https://adp-backend-bzdrfdhvbhbngbgu.southindia-01.azurewebsites.net/api/cart/get-club-list', {
-          headers: {
-            Authorization: `Bearer ${token}`,
-          },
-        });
-        const data = await response.json();
-
-        setItems(data.map((item) => ({
-          clubName: item.clubName,
-          cordName: item.cordName,
-          contact: item.contact,
-          cart_id: item.cart_id,
-          user_id: item.user_id,
-        })));
-      } catch (error) {
-        console.error('Error fetching cart items summary:', error);
-      }
-    };
-
-    fetchCartItemsSummary(); // Fetch data only once when component mounts
-  }, [token, userData, navigate]);
+  // New requisitions and removed carts show up without a reload
+  useLiveRefresh(['cart'], fetchCartItemsSummary);
 
   const handleOrderClick = (user_id, cart_id) => {
     navigate('/orderwiseitem', { state: { user_id, cart_id} });
@@ -111,6 +83,8 @@ function Order() {
     >
       <h1 className='text-4xl font-bold mb-10'>Order Management</h1>
 
+      <SeasonBanner />
+
       {/* Button to link to /inventoryadp */}
       <Link to='/inventoryadp'>
         <button className='bg-blue-500 text-white px-4 py-2 rounded mb-10'>
@@ -126,6 +100,7 @@ function Order() {
               <th className='py-2 px-4 border-b'>Club Name</th>
               <th className='py-2 px-4 border-b'>Coordinator</th>
               <th className='py-2 px-4 border-b'>Contact</th>
+              <th className='py-2 px-4 border-b'>Requisitions</th>
               <th className='py-2 px-4 border-b'>Order</th>
               <th className='py-2 px-4 border-b'>Manage</th>
             </tr>
@@ -136,6 +111,14 @@ function Order() {
                 <td className='py-2 px-4 border-b'>{item.clubName}</td>
                 <td className='py-2 px-4 border-b'>{item.cordName}</td>
                 <td className='py-2 px-4 border-b'>{item.contact}</td>
+                <td className='py-2 px-4 border-b'>
+                  {item.requisitionCount}
+                  {item.lastRequisitionAt && (
+                    <div className='text-xs text-gray-400'>
+                      Last: {new Date(item.lastRequisitionAt).toLocaleString()}
+                    </div>
+                  )}
+                </td>
                 <td
                   className='py-2 px-4 border-b cursor-pointer text-blue-500 hover:underline'
                   onClick={() => handleOrderClick(item.user_id, item.cart_id)}
@@ -145,7 +128,8 @@ function Order() {
                 <td className='py-2 px-4 border-b'>
                 <button
                   onClick={() => requestDelete(item.cart_id)}
-                  className='text-red-500 text-2xl px-4 py-2'
+                  disabled={viewingArchive}
+                  className='text-red-500 text-2xl px-4 py-2 disabled:opacity-50'
                   title='Delete'
                 >
                   &times; {/* Cross symbol for delete */}
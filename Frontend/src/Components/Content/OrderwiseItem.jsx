@@ -1,6 +1,11 @@
 import React, { useState, useEffect } from 'react';
-import { useLocation, Link, useNavigate } from 'react-router-dom';
+import { useLocation, Link } from 'react-router-dom';
 import bgImage from '../../assets/bg.jpg';
+import { isViewingArchive } from '../../api/seasons';
+import { cart as cartApi } from '../../api/endpoints';
+import SeasonBanner from './SeasonBanner';
+import { ORDER_STATUS_LABELS, statusOptions, findRejectionsWithoutReason, partialSaveMessage } from '../../api/orderStatus';
+import RequisitionsModal from './RequisitionsModal';
 
 function OrderwiseItem() {
   const [items, setItems] = useState([]);
@@ -13,35 +18,21 @@ function OrderwiseItem() {
   const userId = state ? state.user_id : null;
   const cartId = state ? state.cart_id :null;
 
-  const userString = localStorage.getItem('user');
-  const userData = userString ? JSON.parse(userString) : null;
-  const token = localStorage.getItem('token');
-  const navigate = useNavigate();
+  // Closed seasons are read-only
+  const viewingArchive = isViewingArchive();
 
   const [confirmDeleteVisible, setConfirmDeleteVisible] = useState(false);
   const [itemToDelete, setItemToDelete] = useState(null);
+  const [requisitionsVisible, setRequisitionsVisible] = useState(false);
 
 
   useEffect(() => {
-    if (!token || (userData && userData.access !== 'bosslevel')) {
-      navigate('/inventory');
-      return; // Prevent further execution
-    }
-
     const fetchItems = async () => {
       if (!userId) return;
 
       try {
         // Fetch items based on `userId`
-        const response = await fetch(
-          `https://adp-backend-bzdrfdhvbhbngbgu.southindia-01.azurewebsites.net/api/cart/cart-items-user/${userId}`,
-          {
-            headers: {
-              Authorization: `Bearer ${token}`,
-            },
-          }
-        );
-        const data = await response.json();
+        const data = await cartApi.userItems(userId);
 
         // Log data to verify structure
         console.log('Fetched items:', data);
@@ -56,6 +47,7 @@ function OrderwiseItem() {
               Tavail: item.allotted_quantity,
               addQuantity: '', // Initialize empty or default value
               status: item.status,
+              originalStatus: item.status, // Limits the dropdown to legal transitions
               remarks: item.remarks || '', // Default to empty if not provided
               link: item.link || '',
             }))
@@ -88,33 +80,13 @@ function OrderwiseItem() {
 
   const handleDelete = async (cart, itemName) => {
     try {
-      // Make the DELETE request to the API
-      const response = await fetch(
-        `https://adp-backend-bzdrfdhvbhbngbgu.southindia-01.azurewebsites.net/api/cart/remove-item/${cart}/${itemName}`,
-        {
-          method: 'DELETE',
-          headers: {
-            Authorization: `Bearer ${token}`, // Use your token for authorization
-          },
-        }
-      );
-  
-      const data = await response.json(); // Get the response data
-  
-      if (response.ok) {
-        // On success, filter out the deleted item from the local state
-        const updatedItems = items.filter(item => item.name !== itemName);
-        setItems(updatedItems);
-  
-        // Optional: Notify the user of successful deletion
-        console.log('Item successfully deleted:', data.message);
-      } else {
-        // Handle errors returned by the server
-        console.error('Error deleting item:', data.error || data);
-      }
+      const data = await cartApi.removeItem(cart, itemName);
+
+      // On success, filter out the deleted item from the local state
+      setItems(items.filter(item => item.name !== itemName));
+      console.log('Item successfully deleted:', data.message);
     } catch (error) {
-      // Handle network or other unexpected errors
-      console.error('Error making delete request:', error);
+      console.error('Error deleting item:', error.message);
     }
   };
   
@@ -149,26 +121,24 @@ function OrderwiseItem() {
       return;
     }
 
-    try {
-      const response = await fetch(
-        'https://adp-backend-bzdrfdhvbhbngbgu.southindia-01.azurewebsites.net/api/cart/update-multiple-cart-items',
-        {
-          method: 'PUT',
-          headers: {
-            'Content-Type': 'application/json',
-            Authorization: `Bearer ${token}`,
-          },
-          body: JSON.stringify({ items: updatedItems }),
-        }
-      );
-
-      if (!response.ok) {
-        throw new Error('Failed to save changes');
-      }
+    // Rejections need a reason, which is taken from the remarks
+    const missingReasons = findRejectionsWithoutReason(items);
+    if (missingReasons.length > 0) {
+      alert(`Add a remark explaining the rejection for:\n${missingReasons.map((item) => item.name).join('\n')}`);
+      return;
+    }
 
+    try {
+      await cartApi.updateItems(updatedItems);
       console.log('Items saved:', updatedItems);
       window.location.reload(); // Refresh the page
     } catch (error) {
+      const partialFailure = partialSaveMessage(error, items);
+      if (partialFailure) {
+        alert(partialFailure);
+        window.location.reload();
+        return;
+      }
       console.error('Error saving changes:', error);
     }
   };
@@ -196,12 +166,22 @@ function OrderwiseItem() {
     >
       <h1 className='text-4xl font-bold mb-6'>Orderwise Item Management</h1>
 
+      <SeasonBanner />
+
       {/* Button to link to /inventoryadp */}
-      <Link to='/inventoryadp'>
-        <button className='bg-blue-500 text-white px-4 py-2 rounded mb-10'>
-          Back to Home
+      <div className='flex space-x-4 mb-10'>
+        <Link to='/inventoryadp'>
+          <button className='bg-blue-500 text-white px-4 py-2 rounded'>
+            Back to Home
+          </button>
+        </Link>
+        <button
+          onClick={() => setRequisitionsVisible(true)}
+          className='bg-purple-500 text-white px-4 py-2 rounded'
+        >
+          Requisitions
         </button>
-      </Link>
+      </div>
 
       {/* Table with glow and rounded corners */}
       <div className='overflow-hidden rounded-lg shadow-lg border border-blue-400 glow'>
@@ -239,12 +219,11 @@ function OrderwiseItem() {
                     value={item.status}
                     onChange={(e) => handleStatusChange(index, e.target.value)}
                   >
-                    <option value=''>Select Status</option>
-                    <option value='Pending'>Pending</option>
-                    <option value='Delivered'>Delivered</option>
-                    <option value='Ready'>Ready for Pickup</option>
-                    <option value='Rejected'>Rejected</option>
-                    <option value='Amazon'>Amazon</option>
+                    {statusOptions(item.originalStatus).map((status) => (
+                      <option key={status} value={status}>
+                        {ORDER_STATUS_LABELS[status]}
+                      </option>
+                    ))}
                   </select>
                 </td>
                 <td className='py-2 px-4 border-b'>
@@ -268,7 +247,8 @@ function OrderwiseItem() {
               <td className='py-2 px-4 border-b'>
                 <button
                   onClick={() => requestDelete(cartId, item.name)} // Pass both cart and itemName
-                  className='text-red-500 text-2xl px-4 py-2'
+                  disabled={viewingArchive}
+                  className='text-red-500 text-2xl px-4 py-2 disabled:opacity-50'
                   title='Delete'
                 >
                   &times; {/* Cross symbol for delete */}
@@ -283,7 +263,8 @@ function OrderwiseItem() {
       {/* Save Button */}
       <button
         onClick={handleSave}
-        className='bg-green-500 text-white px-4 py-2 rounded mt-10'
+        disabled={viewingArchive}
+        className='bg-green-500 text-white px-4 py-2 rounded mt-10 disabled:opacity-50'
       >
         Save Changes
       </button>
@@ -310,6 +291,11 @@ function OrderwiseItem() {
         </div>
       )}
 
+      {/* Numbered submissions of this club */}
+      {requisitionsVisible && (
+        <RequisitionsModal userId={userId} onClose={() => setRequisitionsVisible(false)} />
+      )}
+
 {confirmDeleteVisible && (
   <div className='fixed inset-0 bg-black bg-opacity-75 flex items-center justify-center z-50'>
     <div className='bg-white dark:bg-gray-900 text-black dark:text-white p-4 rounded-lg shadow-lg w-1/4 relative flex flex-col items-center'>
@@ -0,0 +1,536 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import bgImage from '../../assets/bg.jpg';
+import { useAuth } from './useAuth';
+import { vendors as vendorsApi, purchaseOrders as purchaseOrdersApi, inventory, cart } from '../../api/endpoints';
+import { errorMessageOf } from '../../api/client';
+import { isApprovedToBuy } from '../../api/customItemApproval';
+
+const STATUS_LABELS = {
+  open: 'Open',
+  partially_received: 'Partially received',
+  received: 'Received',
+  closed: 'Closed',
+};
+
+const EMPTY_VENDOR = { name: '', contactName: '', email: '', phone: '', leadTimeDays: 0, notes: '', active: true };
+const EMPTY_LINE = { source: '', quantity: 1, unitCost: 0 };
+
+// Vendors and purchase orders: raise POs for inventory and custom items, receive goods, close POs
+function PurchaseOrders() {
+  const [vendors, setVendors] = useState([]);
+  const [purchaseOrders, setPurchaseOrders] = useState([]);
+  const [statusFilter, setStatusFilter] = useState('');
+  const [inventoryItems, setInventoryItems] = useState([]);
+  const [customItems, setCustomItems] = useState([]);
+  const [vendorForm, setVendorForm] = useState(null);
+  const [newOrder, setNewOrder] = useState(null);
+  const [receivingOrder, setReceivingOrder] = useState(null);
+  const [receiveQuantities, setReceiveQuantities] = useState({});
+
+  const { user: userData } = useAuth();
+
+  // Mirrors the purchasing permissions in Backend/services/roles.js
+  const canManage = userData?.access === 'bosslevel';
+  const canReceive = canManage || userData?.access === 'storekeeper';
+
+  const fetchVendors = useCallback(async () => {
+    try {
+      setVendors(await vendorsApi.list());
+    } catch (error) {
+      console.error('Error fetching vendors:', error);
+      alert(errorMessageOf(error, 'Failed to fetch vendors'));
+    }
+  }, []);
+
+  const fetchPurchaseOrders = useCallback(async () => {
+    try {
+      setPurchaseOrders(await purchaseOrdersApi.list({ status: statusFilter }));
+    } catch (error) {
+      console.error('Error fetching purchase orders:', error);
+      alert(errorMessageOf(error, 'Failed to fetch purchase orders'));
+    }
+  }, [statusFilter]);
+
+  useEffect(() => {
+    fetchVendors();
+  }, [fetchVendors]);
+
+  useEffect(() => {
+    fetchPurchaseOrders();
+  }, [fetchPurchaseOrders]);
+
+  const saveVendor = async () => {
+    const { _id, ...fields } = vendorForm;
+    try {
+      const vendor = { ...fields, leadTimeDays: Number(fields.leadTimeDays) };
+      await (_id ? vendorsApi.update(_id, vendor) : vendorsApi.create(vendor));
+      setVendorForm(null);
+      fetchVendors();
+    } catch (error) {
+      console.error('Error saving vendor:', error);
+      alert(errorMessageOf(error, 'Failed to save vendor'));
+    }
+  };
+
+  // Items a PO line can point at: stock items and this season's custom cart items approved to buy
+  const openNewOrder = async () => {
+    try {
+      const [inventoryData, customData] = await Promise.all([inventory.list(), cart.customItemSummary()]);
+      setInventoryItems(inventoryData);
+      setCustomItems(customData.filter((item) => item.status !== 'Rejected' && isApprovedToBuy(item)));
+    } catch (error) {
+      console.error('Error fetching items:', error);
+    }
+
+    const firstVendor = vendors.find((vendor) => vendor.active);
+    setNewOrder({ vendor: firstVendor ? firstVendor._id : '', notes: '', lines: [{ ...EMPTY_LINE }] });
+  };
+
+  const updateLine = (index, field, value) => {
+    setNewOrder((prevOrder) => ({
+      ...prevOrder,
+      lines: prevOrder.lines.map((line, i) => (i === index ? { ...line, [field]: value } : line)),
+    }));
+  };
+
+  const createPurchaseOrder = async () => {
+    const lines = newOrder.lines.filter((line) => line.source);
+    if (!newOrder.vendor || lines.length === 0) {
+      alert('Pick a vendor and at least one item.');
+      return;
+    }
+
+    try {
+      await purchaseOrdersApi.create({
+        vendor: newOrder.vendor,
+        notes: newOrder.notes,
+        lines: lines.map((line) => {
+          // Sources are 'item:<id>' for inventory items and 'custom:<id>' for custom cart items
+          const [kind, id] = line.source.split(':');
+          return {
+            ...(kind === 'item' ? { item_id: id } : { cartItem: id }),
+            quantity: Number(line.quantity),
+            unitCost: Number(line.unitCost),
+          };
+        }),
+      });
+      setNewOrder(null);
+      fetchPurchaseOrders();
+    } catch (error) {
+      console.error('Error creating purchase order:', error);
+      alert(errorMessageOf(error, 'Failed to create purchase order'));
+    }
+  };
+
+  const openReceive = (purchaseOrder) => {
+    setReceiveQuantities({});
+    setReceivingOrder(purchaseOrder);
+  };
+
+  const receiveGoods = async () => {
+    const lines = Object.entries(receiveQuantities)
+      .map(([lineId, quantity]) => ({ lineId, quantity: Number(quantity) }))
+      .filter((line) => line.quantity > 0);
+    if (lines.length === 0) {
+      alert('Enter the quantity received for at least one line.');
+      return;
+    }
+
+    try {
+      await purchaseOrdersApi.receive(receivingOrder._id, lines);
+      setReceivingOrder(null);
+      fetchPurchaseOrders();
+    } catch (error) {
+      console.error('Error receiving goods:', error);
+      alert(errorMessageOf(error, 'Failed to receive goods'));
+    }
+  };
+
+  const closePurchaseOrder = async (purchaseOrder) => {
+    if (!window.confirm(`Close PO #${purchaseOrder.number}? Anything not received yet will no longer be expected.`)) {
+      return;
+    }
+
+    try {
+      await purchaseOrdersApi.close(purchaseOrder._id);
+      fetchPurchaseOrders();
+    } catch (error) {
+      console.error('Error closing purchase order:', error);
+      alert(errorMessageOf(error, 'Failed to close purchase order'));
+    }
+  };
+
+  const isReceivable = (purchaseOrder) => ['open', 'partially_received'].includes(purchaseOrder.status);
+
+  return (
+    <div
+      id='PurchaseOrders'
+      className='bg-custom-light text-black dark:bg-custom-dark dark:text-white lg:px-32 px-5 py-20 min-h-screen flex flex-col items-center'
+      style={{
+        backgroundImage: `url(${bgImage})`,
+        backgroundSize: 'cover',
+        backgroundPosition: 'center',
+        backgroundRepeat: 'no-repeat',
+      }}
+    >
+      <h1 className='text-4xl font-bold mb-6'>Purchase Orders</h1>
+
+      <div className='flex justify-center w-full mb-10 space-x-4'>
+        <Link to='/inventoryadp'>
+          <button className='bg-blue-500 text-white px-4 py-2 rounded'>Back to Home</button>
+        </Link>
+        <Link to='/items'>
+          <button className='bg-blue-500 text-white px-4 py-2 rounded'>Item List</button>
+        </Link>
+        {canManage && (
+          <button onClick={openNewOrder} className='bg-green-500 text-white px-4 py-2 rounded'>
+            New Purchase Order
+          </button>
+        )}
+      </div>
+
+      {/* Purchase orders */}
+      <div className='w-full max-w-6xl mb-4 flex justify-end'>
+        <select className='po-input' value={statusFilter} onChange={(e) => setStatusFilter(e.target.value)}>
+          <option value=''>All statuses</option>
+          {Object.entries(STATUS_LABELS).map(([status, label]) => (
+            <option key={status} value={status}>
+              {label}
+            </option>
+          ))}
+        </select>
+      </div>
+      <div className='overflow-hidden rounded-lg shadow-lg border border-blue-400 glow w-full max-w-6xl mb-12'>
+        <table className='min-w-full bg-white dark:bg-gray-800'>
+          <thead>
+            <tr className='text-left'>
+              <th className='py-2 px-4 border-b'>PO</th>
+              <th className='py-2 px-4 border-b'>Vendor</th>
+              <th className='py-2 px-4 border-b'>Items</th>
+              <th className='py-2 px-4 border-b'>Total Cost</th>
+              <th className='py-2 px-4 border-b'>Expected</th>
+              <th className='py-2 px-4 border-b'>Status</th>
+              <th className='py-2 px-4 border-b'>Manage</th>
+            </tr>
+          </thead>
+          <tbody>
+            {purchaseOrders.length === 0 ? (
+              <tr>
+                <td colSpan='7' className='py-4 px-4 text-center'>No purchase orders</td>
+              </tr>
+            ) : (
+              purchaseOrders.map((purchaseOrder) => (
+                <tr key={purchaseOrder._id} className='hover:bg-gray-100 dark:hover:bg-gray-700'>
+                  <td className='py-2 px-4 border-b'>
+                    #{purchaseOrder.number}
+                    <div className='text-xs text-gray-400'>{new Date(purchaseOrder.createdAt).toLocaleDateString()}</div>
+                  </td>
+                  <td className='py-2 px-4 border-b'>{purchaseOrder.vendor?.name}</td>
+                  <td className='py-2 px-4 border-b'>
+                    {purchaseOrder.lines.map((line) => (
+                      <div key={line._id}>
+                        {line.itemName}: {line.receivedQuantity}/{line.orderedQuantity}
+                        {!line.item_id && <span className='text-xs text-gray-400'> (custom)</span>}
+                      </div>
+                    ))}
+                  </td>
+                  <td className='py-2 px-4 border-b'>₹{purchaseOrder.totalCost.toFixed(2)}</td>
+                  <td className='py-2 px-4 border-b'>
+                    {purchaseOrder.expectedAt ? new Date(purchaseOrder.expectedAt).toLocaleDateString() : '—'}
+                  </td>
+                  <td className='py-2 px-4 border-b'>{STATUS_LABELS[purchaseOrder.status]}</td>
+                  <td className='py-2 px-4 border-b space-x-2'>
+                    {canReceive && isReceivable(purchaseOrder) && (
+                      <button onClick={() => openReceive(purchaseOrder)} className='bg-green-500 text-white px-3 py-1 rounded'>
+                        Receive
+                      </button>
+                    )}
+                    {canManage && purchaseOrder.status !== 'closed' && (
+                      <button onClick={() => closePurchaseOrder(purchaseOrder)} className='bg-red-500 text-white px-3 py-1 rounded'>
+                        Close
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      {/* Vendors */}
+      <div className='w-full max-w-6xl flex justify-between items-center mb-4'>
+        <h2 className='text-2xl font-semibold'>Vendors</h2>
+        {canManage && (
+          <button onClick={() => setVendorForm({ ...EMPTY_VENDOR })} className='bg-green-500 text-white px-4 py-2 rounded'>
+            Add Vendor
+          </button>
+        )}
+      </div>
+      <div className='overflow-hidden rounded-lg shadow-lg border border-blue-400 glow w-full max-w-6xl'>
+        <table className='min-w-full bg-white dark:bg-gray-800'>
+          <thead>
+            <tr className='text-left'>
+              <th className='py-2 px-4 border-b'>Name</th>
+              <th className='py-2 px-4 border-b'>Contact</th>
+              <th className='py-2 px-4 border-b'>Lead Time</th>
+              <th className='py-2 px-4 border-b'>Status</th>
+              {canManage && <th className='py-2 px-4 border-b'>Manage</th>}
+            </tr>
+          </thead>
+          <tbody>
+            {vendors.map((vendor) => (
+              <tr key={vendor._id} className='hover:bg-gray-100 dark:hover:bg-gray-700'>
+                <td className='py-2 px-4 border-b'>{vendor.name}</td>
+                <td className='py-2 px-4 border-b'>
+                  {[vendor.contactName, vendor.phone, vendor.email].filter(Boolean).join(' · ') || '—'}
+                </td>
+                <td className='py-2 px-4 border-b'>{vendor.leadTimeDays} days</td>
+                <td className='py-2 px-4 border-b'>{vendor.active ? 'Active' : 'Inactive'}</td>
+                {canManage && (
+                  <td className='py-2 px-4 border-b'>
+                    <button
+                      onClick={() => setVendorForm({ ...EMPTY_VENDOR, ...vendor })}
+                      className='bg-blue-500 text-white px-3 py-1 rounded'
+                    >
+                      Edit
+                    </button>
+                  </td>
+                )}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {/* Vendor form */}
+      {vendorForm && (
+        <div className='fixed inset-0 bg-black bg-opacity-75 flex items-center justify-center z-50'>
+          <div className='bg-white dark:bg-gray-900 text-black dark:text-white p-6 rounded-lg shadow-lg w-1/3'>
+            <h2 className='text-xl font-semibold mb-4'>{vendorForm._id ? 'Edit Vendor' : 'Add Vendor'}</h2>
+            {[
+              ['name', 'Name'],
+              ['contactName', 'Contact person'],
+              ['phone', 'Phone'],
+              ['email', 'Email'],
+            ].map(([field, placeholder]) => (
+              <input
+                key={field}
+                type='text'
+                className='po-input w-full mb-3'
+                placeholder={placeholder}
+                value={vendorForm[field] || ''}
+                onChange={(e) => setVendorForm({ ...vendorForm, [field]: e.target.value })}
+              />
+            ))}
+            <label className='block mb-1'>Lead time (days)</label>
+            <input
+              type='number'
+              min='0'
+              className='po-input w-full mb-3'
+              value={vendorForm.leadTimeDays}
+              onChange={(e) => setVendorForm({ ...vendorForm, leadTimeDays: e.target.value })}
+            />
+            <textarea
+              className='po-input w-full mb-3'
+              placeholder='Notes'
+              value={vendorForm.notes || ''}
+              onChange={(e) => setVendorForm({ ...vendorForm, notes: e.target.value })}
+            />
+            <label className='flex items-center mb-4 space-x-2'>
+              <input
+                type='checkbox'
+                checked={vendorForm.active}
+                onChange={(e) => setVendorForm({ ...vendorForm, active: e.target.checked })}
+              />
+              <span>Active</span>
+            </label>
+            <div className='flex justify-end space-x-2'>
+              <button onClick={saveVendor} className='bg-green-500 text-white px-4 py-2 rounded'>Save</button>
+              <button onClick={() => setVendorForm(null)} className='bg-gray-500 text-white px-4 py-2 rounded'>Cancel</button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* New purchase order */}
+      {newOrder && (
+        <div className='fixed inset-0 bg-black bg-opacity-75 flex items-center justify-center z-50'>
+          <div className='bg-white dark:bg-gray-900 text-black dark:text-white p-6 rounded-lg shadow-lg w-2/3 max-h-[85vh] overflow-y-auto'>
+            <h2 className='text-xl font-semibold mb-4'>New Purchase Order</h2>
+            <select
+              className='po-input w-full mb-4'
+              value={newOrder.vendor}
+              onChange={(e) => setNewOrder({ ...newOrder, vendor: e.target.value })}
+            >
+              <option value=''>Select a vendor</option>
+              {vendors
+                .filter((vendor) => vendor.active)
+                .map((vendor) => (
+                  <option key={vendor._id} value={vendor._id}>
+                    {vendor.name}
+                  </option>
+                ))}
+            </select>
+            <table className='min-w-full mb-4'>
+              <thead>
+                <tr className='text-left'>
+                  <th className='py-2 px-2'>Item</th>
+                  <th className='py-2 px-2'>Quantity</th>
+                  <th className='py-2 px-2'>Unit Cost (₹)</th>
+                  <th className='py-2 px-2'></th>
+                </tr>
+              </thead>
+              <tbody>
+                {newOrder.lines.map((line, index) => (
+                  <tr key={index}>
+                    <td className='py-1 px-2'>
+                      <select
+                        className='po-input w-full'
+                        value={line.source}
+                        onChange={(e) => updateLine(index, 'source', e.target.value)}
+                      >
+                        <option value=''>Select an item</option>
+                        <optgroup label='Inventory'>
+                          {inventoryItems.map((item) => (
+                            <option key={item._id} value={`item:${item._id}`}>
+                              {item.itemName}
+                            </option>
+                          ))}
+                        </optgroup>
+                        <optgroup label='Custom items'>
+                          {customItems.map((item) => (
+                            <option key={item._id} value={`custom:${item._id}`}>
+                              {item.itemName} ({item.ordered_quantity})
+                            </option>
+                          ))}
+                        </optgroup>
+                      </select>
+                    </td>
+                    <td className='py-1 px-2'>
+                      <input
+                        type='number'
+                        min='1'
+                        className='po-input w-24'
+                        value={line.quantity}
+                        onChange={(e) => updateLine(index, 'quantity', e.target.value)}
+                      />
+                    </td>
+                    <td className='py-1 px-2'>
+                      <input
+                        type='number'
+                        min='0'
+                        step='0.01'
+                        className='po-input w-28'
+                        value={line.unitCost}
+                        onChange={(e) => updateLine(index, 'unitCost', e.target.value)}
+                      />
+                    </td>
+                    <td className='py-1 px-2'>
+                      <button
+                        onClick={() =>
+                          setNewOrder({ ...newOrder, lines: newOrder.lines.filter((_, i) => i !== index) })
+                        }
+                        className='text-red-500 text-2xl'
+                        title='Remove line'
+                      >
+                        &times;
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <button
+              onClick={() => setNewOrder({ ...newOrder, lines: [...newOrder.lines, { ...EMPTY_LINE }] })}
+              className='bg-blue-500 text-white px-4 py-1 rounded mb-4'
+            >
+              Add Line
+            </button>
+            <textarea
+              className='po-input w-full mb-4'
+              placeholder='Notes (optional)'
+              value={newOrder.notes}
+              onChange={(e) => setNewOrder({ ...newOrder, notes: e.target.value })}
+            />
+            <div className='flex justify-end space-x-2'>
+              <button onClick={createPurchaseOrder} className='bg-green-500 text-white px-4 py-2 rounded'>
+                Create
+              </button>
+              <button onClick={() => setNewOrder(null)} className='bg-gray-500 text-white px-4 py-2 rounded'>
+                Cancel
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Receive goods */}
+      {receivingOrder && (
+        <div className='fixed inset-0 bg-black bg-opacity-75 flex items-center justify-center z-50'>
+          <div className='bg-white dark:bg-gray-900 text-black dark:text-white p-6 rounded-lg shadow-lg w-1/2'>
+            <h2 className='text-xl font-semibold mb-4'>
+              Receive PO #{receivingOrder.number} from {receivingOrder.vendor?.name}
+            </h2>
+            <table className='min-w-full mb-4'>
+              <thead>
+                <tr className='text-left'>
+                  <th className='py-2 px-2'>Item</th>
+                  <th className='py-2 px-2'>Ordered</th>
+                  <th className='py-2 px-2'>Received</th>
+                  <th className='py-2 px-2'>Receiving Now</th>
+                </tr>
+              </thead>
+              <tbody>
+                {receivingOrder.lines.map((line) => (
+                  <tr key={line._id}>
+                    <td className='py-1 px-2'>{line.itemName}</td>
+                    <td className='py-1 px-2'>{line.orderedQuantity}</td>
+                    <td className='py-1 px-2'>{line.receivedQuantity}</td>
+                    <td className='py-1 px-2'>
+                      <input
+                        type='number'
+                        min='0'
+                        max={line.orderedQuantity - line.receivedQuantity}
+                        disabled={line.receivedQuantity >= line.orderedQuantity}
+                        className='po-input w-24'
+                        value={receiveQuantities[line._id] ?? ''}
+                        onChange={(e) => setReceiveQuantities({ ...receiveQuantities, [line._id]: e.target.value })}
+                      />
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <p className='text-sm text-gray-400 mb-4'>Inventory items are added to stock as soon as they are received.</p>
+            <div className='flex justify-end space-x-2'>
+              <button onClick={receiveGoods} className='bg-green-500 text-white px-4 py-2 rounded'>
+                Receive
+              </button>
+              <button onClick={() => setReceivingOrder(null)} className='bg-gray-500 text-white px-4 py-2 rounded'>
+                Cancel
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      <style>{`
+        .glow {
+          box-shadow: 0 0 15px rgba(0, 123, 255, 0.6);
+        }
+
+        .po-input {
+          background-color: black;
+          color: white;
+          border: none;
+          padding: 8px;
+          border-radius: 5px;
+        }
+      `}</style>
+    </div>
+  );
+}
+
+export default PurchaseOrders;
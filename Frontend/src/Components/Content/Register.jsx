@@ -2,6 +2,8 @@ import React, { useState } from 'react';
 import 'boxicons/css/boxicons.min.css';
 import { useNavigate } from 'react-router-dom';
 import bgImage from '../../assets/bg.jpg'; 
+import { users } from '../../api/endpoints';
+import { errorMessageOf } from '../../api/client';
 
 function Register() {
   const navigate = useNavigate();
@@ -19,6 +21,8 @@ function Register() {
   const handleChange = (e) => {
     // Prevent changing email if OTP has been sent
     if (e.target.name === 'email' && otpSent) return;
+    // The club comes from the whitelist once the OTP is sent
+    if (e.target.name === 'clubName' && otpSent) return;
     setFormData({ ...formData, [e.target.name]: e.target.value });
   };
 
@@ -29,21 +33,13 @@ function Register() {
       return;
     }
     try {
-      const response = await fetch('https://adp-backend-bzdrfdhvbhbngbgu.southindia-01.azurewebsites.net/api/users/request-code', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ email: formData.email }),
-      });
-      const result = await response.json();
-      if (response.ok) {
-        setOtpSent(true);
-        alert('OTP sent to your email.');
-      } else {
-        alert(result.error || 'Failed to send OTP.');
-      }
+      const result = await users.requestCode(formData.email);
+      setOtpSent(true);
+      setFormData((prevData) => ({ ...prevData, clubName: result.clubName || prevData.clubName }));
+      alert('OTP sent to your email.');
     } catch (error) {
       console.error('Error sending OTP:', error);
-      alert('An error occurred while sending OTP.');
+      alert(errorMessageOf(error, 'Failed to send OTP.'));
     }
   };
 
@@ -51,21 +47,12 @@ function Register() {
     e.preventDefault();
     setIsRegistering(true);
     try {
-      const response = await fetch('https://adp-backend-bzdrfdhvbhbngbgu.southindia-01.azurewebsites.net/api/users/register', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(formData),
-      });
-      const result = await response.json();
-      if (response.ok) {
-        alert('Registration successful!');
-        navigate('/inventory');
-      } else {
-        alert(result.error || 'Registration failed.');
-      }
+      await users.register(formData);
+      alert('Registration successful!');
+      navigate('/inventory');
     } catch (error) {
       console.error('Error registering user:', error);
-      alert('An error occurred during registration.');
+      alert(errorMessageOf(error, 'Registration failed.'));
     } finally {
       setIsRegistering(false);
     }
@@ -262,6 +249,7 @@ function Register() {
                   value={formData.clubName}
                   onChange={handleChange}
                   required
+                  disabled={otpSent} // Club is bound to the whitelisted email
                 />
                 <i className='bx bxs-building'></i>
               </div>
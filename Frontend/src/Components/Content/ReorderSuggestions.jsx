@@ -0,0 +1,142 @@
+import { useState, useEffect, useCallback } from 'react';
+import { inventory, vendors as vendorsApi } from '../../api/endpoints';
+import { errorMessageOf } from '../../api/client';
+
+// Dashboard panel: items whose stock after open orders is below their reorder threshold
+function ReorderSuggestions() {
+  const [vendors, setVendors] = useState([]);
+  const [season, setSeason] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [vendorNames, setVendorNames] = useState([]);
+
+  const fetchSuggestions = useCallback(async () => {
+    setLoading(true);
+    try {
+      const data = await inventory.reorderSuggestions();
+      setVendors(data.vendors);
+      setSeason(data.season);
+    } catch (error) {
+      console.error('Error fetching reorder suggestions:', error);
+      alert(errorMessageOf(error, 'Failed to fetch reorder suggestions'));
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchSuggestions();
+  }, [fetchSuggestions]);
+
+  // Active vendors an item can be flagged for
+  useEffect(() => {
+    const fetchVendors = async () => {
+      try {
+        const data = await vendorsApi.list();
+        setVendorNames(data.filter((vendor) => vendor.active).map((vendor) => vendor.name));
+      } catch (error) {
+        console.error('Error fetching vendors:', error);
+      }
+    };
+
+    fetchVendors();
+  }, []);
+
+  // Flag an item to be bought from a vendor; it moves to that vendor's group
+  const flagVendor = async (item, itemOrderedStatus) => {
+    try {
+      await inventory.updateMany([{ _id: item._id, itemOrderedStatus }]);
+      fetchSuggestions();
+    } catch (error) {
+      console.error('Error updating item:', error);
+      alert(errorMessageOf(error, 'Failed to update item'));
+    }
+  };
+
+  return (
+    <div className='w-full max-w-6xl mb-10 p-4 bg-black/50 backdrop-blur-lg border border-gray-600 rounded-lg'>
+      <div className='flex justify-between items-center mb-4'>
+        <h3 className='text-2xl font-semibold'>
+          Reorder Suggestions{season ? ` · ${season}` : ''}
+        </h3>
+        <button onClick={fetchSuggestions} className='bg-blue-500 text-white px-4 py-1 rounded'>
+          Refresh
+        </button>
+      </div>
+
+      {loading ? (
+        <p>Loading...</p>
+      ) : vendors.length === 0 ? (
+        <p className='text-gray-300'>Every item has enough stock for the open orders.</p>
+      ) : (
+        vendors.map((group) => (
+          <div key={group.vendor} className='mb-6'>
+            <h4 className='text-lg font-semibold mb-2'>
+              {group.vendor === 'Unassigned' ? 'No vendor yet' : `Buy from ${group.vendor}`}
+            </h4>
+            <table className='min-w-full'>
+              <thead>
+                <tr className='text-left'>
+                  <th className='py-2 px-4 border-b'>Item</th>
+                  <th className='py-2 px-4 border-b'>In Stock</th>
+                  <th className='py-2 px-4 border-b'>Open Demand</th>
+                  <th className='py-2 px-4 border-b'>Reorder Below</th>
+                  <th className='py-2 px-4 border-b'>Shortfall</th>
+                  <th className='py-2 px-4 border-b'>Suggested</th>
+                  <th className='py-2 px-4 border-b'>Vendor</th>
+                </tr>
+              </thead>
+              <tbody>
+                {group.items.map((item) => (
+                  <tr key={item._id}>
+                    <td className='py-2 px-4 border-b'>
+                      {item.itemName}
+                      <div className='text-xs text-gray-400'>{item.category}</div>
+                    </td>
+                    <td className='py-2 px-4 border-b'>{item.itemQuantity}</td>
+                    <td className='py-2 px-4 border-b'>{item.outstandingDemand}</td>
+                    <td className='py-2 px-4 border-b'>{item.reorderThreshold}</td>
+                    <td className={`py-2 px-4 border-b ${item.shortfall > 0 ? 'text-red-400 font-semibold' : ''}`}>
+                      {item.shortfall}
+                    </td>
+                    <td className='py-2 px-4 border-b'>
+                      {item.suggestedQuantity} {item.unit}
+                      {item.purchasePackSize > 1 && (
+                        <div className='text-xs text-gray-400'>Packs of {item.purchasePackSize}</div>
+                      )}
+                    </td>
+                    <td className='py-2 px-4 border-b'>
+                      <select
+                        className='reorder-select'
+                        value={group.vendor === 'Unassigned' ? '' : group.vendor}
+                        onChange={(e) => flagVendor(item, e.target.value ? `Ordered from ${e.target.value}` : 'Not Available')}
+                      >
+                        <option value=''>—</option>
+                        {[...new Set([...vendorNames, ...(group.vendor === 'Unassigned' ? [] : [group.vendor])])].map((vendor) => (
+                          <option key={vendor} value={vendor}>
+                            {vendor}
+                          </option>
+                        ))}
+                      </select>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        ))
+      )}
+
+      <style>{`
+        .reorder-select {
+          background-color: black;
+          color: white;
+          border: none;
+          padding: 6px;
+          border-radius: 5px;
+        }
+      `}</style>
+    </div>
+  );
+}
+
+export default ReorderSuggestions;
@@ -0,0 +1,31 @@
+import { Navigate, useLocation } from 'react-router-dom';
+import PropTypes from 'prop-types';
+import { useAuth } from './useAuth';
+import { homePathFor } from '../../api/roles';
+
+const LOGIN_PATH = '/inventory';
+
+// Route guard: renders the page only for a logged-in user whose role is in `roles`. Anyone logged out
+// goes to the login page (which returns them here afterwards); other roles go to their own landing page.
+function RequireRole({ roles, children }) {
+  const { user } = useAuth();
+  const location = useLocation();
+
+  if (!user) {
+    return <Navigate to={LOGIN_PATH} replace state={{ from: location.pathname }} />;
+  }
+
+  if (!roles.includes(user.access)) {
+    const home = homePathFor(user.access);
+    return <Navigate to={home === location.pathname ? LOGIN_PATH : home} replace />;
+  }
+
+  return children;
+}
+
+RequireRole.propTypes = {
+  roles: PropTypes.arrayOf(PropTypes.string).isRequired,
+  children: PropTypes.node.isRequired,
+};
+
+export default RequireRole;
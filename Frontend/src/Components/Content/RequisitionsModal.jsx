@@ -0,0 +1,208 @@
+import { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import { requisitions as requisitionsApi } from '../../api/endpoints';
+import { errorMessageOf } from '../../api/client';
+
+const CHANGE_CLASSES = {
+  added: 'text-green-500',
+  removed: 'text-red-500',
+  changed: 'text-yellow-500',
+  unchanged: 'text-gray-400',
+};
+
+// Browse a club's numbered requisitions and compare two of them
+function RequisitionsModal({ userId, onClose }) {
+  const [requisitions, setRequisitions] = useState([]);
+  const [selected, setSelected] = useState(null);
+  const [fromId, setFromId] = useState('');
+  const [toId, setToId] = useState('');
+  const [diff, setDiff] = useState(null);
+
+  useEffect(() => {
+    const fetchRequisitions = async () => {
+      try {
+        const data = await requisitionsApi.list(userId);
+        setRequisitions(data);
+        // Default comparison: the previous submission against the latest one
+        if (data.length >= 2) {
+          setFromId(data[1]._id);
+          setToId(data[0]._id);
+        }
+      } catch (error) {
+        console.error('Error fetching requisitions:', error);
+        alert(errorMessageOf(error, 'Failed to fetch requisitions'));
+      }
+    };
+
+    if (userId) fetchRequisitions();
+  }, [userId]);
+
+  const handleCompare = async () => {
+    if (!fromId || !toId || fromId === toId) {
+      alert('Pick two different requisitions to compare.');
+      return;
+    }
+
+    try {
+      const data = await requisitionsApi.diff(fromId, toId);
+      setSelected(null);
+      setDiff(data);
+    } catch (error) {
+      console.error('Error comparing requisitions:', error);
+      alert(errorMessageOf(error, 'Failed to compare requisitions'));
+    }
+  };
+
+  const requisitionOptions = requisitions.map((requisition) => (
+    <option key={requisition._id} value={requisition._id}>
+      #{requisition.number} ({new Date(requisition.submittedAt).toLocaleString()})
+    </option>
+  ));
+
+  return (
+    <div className='fixed inset-0 bg-black bg-opacity-75 flex items-center justify-center z-50'>
+      <div className='bg-white dark:bg-gray-900 text-black dark:text-white p-6 rounded-lg shadow-lg w-2/3 max-h-[85vh] overflow-y-auto relative'>
+        <button
+          onClick={onClose}
+          className='absolute top-2 right-2 text-gray-500 dark:text-gray-300 text-2xl'
+        >
+          &times;
+        </button>
+        <h2 className='text-xl font-semibold mb-4'>Requisitions</h2>
+
+        {requisitions.length === 0 ? (
+          <p>This club has not submitted any requisitions yet.</p>
+        ) : (
+          <table className='min-w-full mb-6'>
+            <thead>
+              <tr className='text-left'>
+                <th className='py-2 px-4 border-b'>No.</th>
+                <th className='py-2 px-4 border-b'>Submitted</th>
+                <th className='py-2 px-4 border-b'>By</th>
+                <th className='py-2 px-4 border-b'>Items</th>
+              </tr>
+            </thead>
+            <tbody>
+              {requisitions.map((requisition) => (
+                <tr
+                  key={requisition._id}
+                  className='cursor-pointer hover:bg-gray-100 dark:hover:bg-gray-700'
+                  onClick={() => {
+                    setDiff(null);
+                    setSelected(requisition);
+                  }}
+                >
+                  <td className='py-2 px-4 border-b text-blue-500'>#{requisition.number}</td>
+                  <td className='py-2 px-4 border-b'>{new Date(requisition.submittedAt).toLocaleString()}</td>
+                  <td className='py-2 px-4 border-b'>{requisition.submittedBy?.email || 'Unknown'}</td>
+                  <td className='py-2 px-4 border-b'>{requisition.items.length}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+
+        {/* Compare two requisitions */}
+        {requisitions.length >= 2 && (
+          <div className='flex flex-wrap items-center gap-2 mb-6'>
+            <span>Compare</span>
+            <select className='requisition-select' value={fromId} onChange={(e) => setFromId(e.target.value)}>
+              {requisitionOptions}
+            </select>
+            <span>with</span>
+            <select className='requisition-select' value={toId} onChange={(e) => setToId(e.target.value)}>
+              {requisitionOptions}
+            </select>
+            <button onClick={handleCompare} className='bg-blue-500 text-white px-4 py-2 rounded'>
+              Compare
+            </button>
+          </div>
+        )}
+
+        {selected && (
+          <>
+            <h3 className='text-lg font-semibold mb-2'>Requisition #{selected.number}</h3>
+            <table className='min-w-full'>
+              <thead>
+                <tr className='text-left'>
+                  <th className='py-2 px-4 border-b'>Item</th>
+                  <th className='py-2 px-4 border-b'>Quantity</th>
+                  <th className='py-2 px-4 border-b'>Link</th>
+                </tr>
+              </thead>
+              <tbody>
+                {selected.items.map((line, index) => (
+                  <tr key={index}>
+                    <td className='py-2 px-4 border-b'>
+                      {line.itemName}
+                      {!line.item_id && <span className='text-xs text-gray-400'> (custom)</span>}
+                    </td>
+                    <td className='py-2 px-4 border-b'>{line.ordered_quantity}</td>
+                    <td className='py-2 px-4 border-b'>
+                      {line.link ? (
+                        <a href={line.link} target='_blank' rel='noopener noreferrer' className='text-blue-500'>
+                          Link
+                        </a>
+                      ) : (
+                        '—'
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </>
+        )}
+
+        {diff && (
+          <>
+            <h3 className='text-lg font-semibold mb-2'>
+              #{diff.from.number} → #{diff.to.number}
+            </h3>
+            <table className='min-w-full'>
+              <thead>
+                <tr className='text-left'>
+                  <th className='py-2 px-4 border-b'>Item</th>
+                  <th className='py-2 px-4 border-b'>#{diff.from.number}</th>
+                  <th className='py-2 px-4 border-b'>#{diff.to.number}</th>
+                  <th className='py-2 px-4 border-b'>Change</th>
+                </tr>
+              </thead>
+              <tbody>
+                {diff.items.map((line) => (
+                  <tr key={`${line.isCustom}-${line.itemName}`}>
+                    <td className='py-2 px-4 border-b'>{line.itemName}</td>
+                    <td className='py-2 px-4 border-b'>{line.fromQuantity}</td>
+                    <td className='py-2 px-4 border-b'>{line.toQuantity}</td>
+                    <td className={`py-2 px-4 border-b capitalize ${CHANGE_CLASSES[line.change]}`}>{line.change}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </>
+        )}
+
+        <button onClick={onClose} className='bg-blue-500 text-white px-4 py-2 rounded mt-4'>
+          Close
+        </button>
+
+        <style>{`
+          .requisition-select {
+            background-color: black;
+            color: white;
+            border: none;
+            padding: 8px;
+            border-radius: 5px;
+          }
+        `}</style>
+      </div>
+    </div>
+  );
+}
+
+RequisitionsModal.propTypes = {
+  userId: PropTypes.string.isRequired,
+  onClose: PropTypes.func.isRequired,
+};
+
+export default RequisitionsModal;
@@ -0,0 +1,23 @@
+import { getViewedSeason, setViewedSeason } from '../../api/seasons';
+
+// Shown on the order screens while an archived season is being viewed
+function SeasonBanner() {
+  const season = getViewedSeason();
+  if (!season) return null;
+
+  const backToCurrentSeason = () => {
+    setViewedSeason(null);
+    window.location.reload();
+  };
+
+  return (
+    <div className='w-full max-w-4xl mb-8 p-3 rounded bg-yellow-500 text-black text-center'>
+      Viewing the archive of {season.name}. Archived seasons are read-only.
+      <button onClick={backToCurrentSeason} className='ml-4 underline font-semibold'>
+        Back to the current season
+      </button>
+    </div>
+  );
+}
+
+export default SeasonBanner;
@@ -0,0 +1,242 @@
+import { useState, useEffect, useMemo, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import * as XLSX from 'xlsx';
+import bgImage from '../../assets/bg.jpg';
+import { isViewingArchive } from '../../api/seasons';
+import { budgets, users } from '../../api/endpoints';
+import { errorMessageOf } from '../../api/client';
+import SeasonBanner from './SeasonBanner';
+
+const formatRupees = (amount) => `₹${Number(amount).toLocaleString('en-IN', { maximumFractionDigits: 2 })}`;
+
+// Club budgets and season spend by club, category and vendor (bosslevel only)
+function SpendReport() {
+  const [report, setReport] = useState(null);
+  const [clubUsers, setClubUsers] = useState([]);
+  const [budgetDrafts, setBudgetDrafts] = useState({});
+  const viewingArchive = isViewingArchive();
+
+  const fetchReport = useCallback(async () => {
+    try {
+      setReport(await budgets.report());
+    } catch (error) {
+      console.error('Error fetching spend report:', error);
+      alert(errorMessageOf(error, 'Failed to fetch the spend report'));
+    }
+  }, []);
+
+  // Every club account, so a budget can be set before the club orders anything
+  const fetchClubUsers = useCallback(async () => {
+    try {
+      const data = await users.list();
+      setClubUsers(data.filter((user) => user.access === 'user'));
+    } catch (error) {
+      console.error('Error fetching clubs:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchReport();
+    fetchClubUsers();
+  }, [fetchReport, fetchClubUsers]);
+
+  // Clubs from the report plus club accounts that have neither a cart nor a budget yet
+  const clubs = useMemo(() => {
+    if (!report) return [];
+    const rows = new Map(report.clubs.map((club) => [club.userId, club]));
+    if (!viewingArchive) {
+      for (const user of clubUsers) {
+        if (!rows.has(user._id)) {
+          rows.set(user._id, { userId: user._id, clubName: user.clubName, budget: null, spent: 0, remaining: null });
+        }
+      }
+    }
+    return [...rows.values()].sort((a, b) => a.clubName.localeCompare(b.clubName));
+  }, [report, clubUsers, viewingArchive]);
+
+  const saveBudget = async (club) => {
+    const amount = budgetDrafts[club.userId];
+    try {
+      await budgets.set(club.userId, Number(amount));
+      setBudgetDrafts((prevDrafts) => {
+        const drafts = { ...prevDrafts };
+        delete drafts[club.userId];
+        return drafts;
+      });
+      fetchReport();
+    } catch (error) {
+      console.error('Error saving budget:', error);
+      alert(errorMessageOf(error, 'Failed to save budget'));
+    }
+  };
+
+  const removeBudget = async (club) => {
+    if (!window.confirm(`Remove the budget of ${club.clubName}?`)) return;
+    try {
+      await budgets.remove(club.budgetId);
+      fetchReport();
+    } catch (error) {
+      console.error('Error removing budget:', error);
+      alert(errorMessageOf(error, 'Failed to remove budget'));
+    }
+  };
+
+  const handleDownloadExcel = () => {
+    const wb = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(
+      wb,
+      XLSX.utils.json_to_sheet(
+        clubs.map((club) => ({
+          Club: club.clubName,
+          Budget: club.budget ?? '',
+          Spent: club.spent,
+          Remaining: club.remaining ?? '',
+        }))
+      ),
+      'By Club'
+    );
+    XLSX.utils.book_append_sheet(
+      wb,
+      XLSX.utils.json_to_sheet(report.categories.map((row) => ({ Category: row.category, Spent: row.spent }))),
+      'By Category'
+    );
+    XLSX.utils.book_append_sheet(
+      wb,
+      XLSX.utils.json_to_sheet(report.vendors.map((row) => ({ Vendor: row.vendor, 'Purchase Orders': row.spent }))),
+      'By Vendor'
+    );
+
+    XLSX.writeFile(wb, `spend_report${report.season ? `_${report.season.replace(/\s+/g, '_')}` : ''}.xlsx`);
+  };
+
+  const totalSpent = clubs.reduce((total, club) => total + club.spent, 0);
+
+  return (
+    <div
+      id='Inventory'
+      className='bg-custom-light text-black dark:bg-custom-dark dark:text-white lg:px-32 px-5 py-20 min-h-screen flex flex-col items-center'
+      style={{
+        backgroundImage: `url(${bgImage})`,
+        backgroundSize: 'cover',
+        backgroundPosition: 'center',
+        backgroundRepeat: 'no-repeat',
+      }}
+    >
+      <h1 className='text-4xl font-bold mb-6'>Budgets &amp; Spend{report?.season ? ` · ${report.season}` : ''}</h1>
+
+      <SeasonBanner />
+
+      <div className='flex align-center justify-center w-full mb-8'>
+        <Link to='/inventoryadp'>
+          <button className='bg-blue-500 text-white px-4 py-2 rounded mr-4'>Back to Home</button>
+        </Link>
+        <button onClick={handleDownloadExcel} disabled={!report} className='bg-green-500 text-white px-4 py-2 rounded disabled:opacity-50'>
+          Download Excel
+        </button>
+      </div>
+
+      {!report ? (
+        <p>Loading...</p>
+      ) : (
+        <>
+          <div className='w-full max-w-6xl mb-10 p-4 bg-black/50 backdrop-blur-lg border border-gray-600 rounded-lg'>
+            <h3 className='text-2xl font-semibold mb-4'>By Club · {formatRupees(totalSpent)}</h3>
+            <table className='min-w-full'>
+              <thead>
+                <tr className='text-left'>
+                  <th className='py-2 px-4 border-b'>Club</th>
+                  <th className='py-2 px-4 border-b'>Budget</th>
+                  <th className='py-2 px-4 border-b'>Spent</th>
+                  <th className='py-2 px-4 border-b'>Remaining</th>
+                </tr>
+              </thead>
+              <tbody>
+                {clubs.map((club) => (
+                  <tr key={club.userId}>
+                    <td className='py-2 px-4 border-b'>{club.clubName}</td>
+                    <td className='py-2 px-4 border-b'>
+                      {viewingArchive ? (
+                        club.budget === null ? '—' : formatRupees(club.budget)
+                      ) : (
+                        <div className='flex items-center gap-2'>
+                          <input
+                            type='number'
+                            min='0'
+                            className='budget-input'
+                            placeholder='Not set'
+                            value={budgetDrafts[club.userId] ?? club.budget ?? ''}
+                            onChange={(e) => setBudgetDrafts({ ...budgetDrafts, [club.userId]: e.target.value })}
+                          />
+                          {budgetDrafts[club.userId] !== undefined && budgetDrafts[club.userId] !== '' && (
+                            <button onClick={() => saveBudget(club)} className='bg-green-500 text-white px-3 py-1 rounded'>
+                              Save
+                            </button>
+                          )}
+                          {club.budgetId && (
+                            <button onClick={() => removeBudget(club)} className='bg-red-500 text-white px-3 py-1 rounded'>
+                              Remove
+                            </button>
+                          )}
+                        </div>
+                      )}
+                    </td>
+                    <td className='py-2 px-4 border-b'>{formatRupees(club.spent)}</td>
+                    <td className={`py-2 px-4 border-b ${club.remaining < 0 ? 'text-red-400 font-semibold' : ''}`}>
+                      {club.remaining === null ? '—' : formatRupees(club.remaining)}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div className='w-full max-w-6xl flex flex-col md:flex-row gap-6'>
+            <div className='flex-1 p-4 bg-black/50 backdrop-blur-lg border border-gray-600 rounded-lg'>
+              <h3 className='text-2xl font-semibold mb-4'>By Category</h3>
+              <table className='min-w-full'>
+                <tbody>
+                  {report.categories.map((row) => (
+                    <tr key={row.category}>
+                      <td className='py-2 px-4 border-b'>{row.category}</td>
+                      <td className='py-2 px-4 border-b text-right'>{formatRupees(row.spent)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            <div className='flex-1 p-4 bg-black/50 backdrop-blur-lg border border-gray-600 rounded-lg'>
+              <h3 className='text-2xl font-semibold mb-4'>By Vendor</h3>
+              {report.vendors.length === 0 ? (
+                <p className='text-gray-300'>No purchase orders this season.</p>
+              ) : (
+                <table className='min-w-full'>
+                  <tbody>
+                    {report.vendors.map((row) => (
+                      <tr key={row.vendor}>
+                        <td className='py-2 px-4 border-b'>{row.vendor}</td>
+                        <td className='py-2 px-4 border-b text-right'>{formatRupees(row.spent)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </div>
+          </div>
+        </>
+      )}
+
+      <style>{`
+        .budget-input {
+          background-color: black;
+          color: white;
+          border: 1px solid #555;
+          border-radius: 4px;
+          padding: 6px;
+          width: 8rem;
+        }
+      `}</style>
+    </div>
+  );
+}
+
+export default SpendReport;
@@ -0,0 +1,149 @@
+import { useState, useEffect, useCallback } from 'react';
+import PropTypes from 'prop-types';
+import { inventory } from '../../api/endpoints';
+import { errorMessageOf } from '../../api/client';
+
+const MOVEMENT_LABELS = {
+  receipt: 'Receipt',
+  issue: 'Issued',
+  return: 'Returned',
+  adjustment: 'Adjustment',
+  'write-off': 'Write-off',
+};
+
+// Stock movements of one item, with a form to correct the stock or write units off
+function StockHistory({ itemId, onClose, onChanged }) {
+  const [history, setHistory] = useState(null);
+  const [type, setType] = useState('adjustment');
+  const [quantity, setQuantity] = useState('');
+  const [reason, setReason] = useState('');
+
+  const fetchHistory = useCallback(async () => {
+    try {
+      setHistory(await inventory.movements(itemId));
+    } catch (error) {
+      console.error('Error fetching stock history:', error);
+      alert(errorMessageOf(error, 'Failed to fetch stock history'));
+    }
+  }, [itemId]);
+
+  useEffect(() => {
+    fetchHistory();
+  }, [fetchHistory]);
+
+  const postMovement = async () => {
+    try {
+      await inventory.postMovement(itemId, { type, quantity: Number(quantity), reason });
+      setQuantity('');
+      setReason('');
+      fetchHistory();
+      onChanged();
+    } catch (error) {
+      console.error('Error posting stock movement:', error);
+      alert(errorMessageOf(error, 'Failed to post the movement'));
+    }
+  };
+
+  const canPost = quantity !== '' && Number(quantity) !== 0 && reason.trim() !== '';
+
+  return (
+    <div className='fixed inset-0 bg-black bg-opacity-75 flex items-center justify-center z-50'>
+      <div className='bg-white dark:bg-gray-900 text-black dark:text-white p-6 rounded-lg shadow-lg w-2/3 max-h-[85vh] overflow-y-auto relative'>
+        <button onClick={onClose} className='absolute top-2 right-2 text-gray-500 dark:text-gray-300 text-2xl'>
+          &times;
+        </button>
+        {!history ? (
+          <p>Loading...</p>
+        ) : (
+          <>
+            <h2 className='text-xl font-semibold mb-1'>{history.item.itemName}</h2>
+            <p className='text-gray-400 mb-4'>
+              {history.item.itemQuantity} {history.item.unit} in stock
+              {history.ledgerQuantity !== history.item.itemQuantity && (
+                <span className='text-yellow-400'> · movements add up to {history.ledgerQuantity}</span>
+              )}
+            </p>
+
+            <div className='flex flex-wrap items-center gap-2 mb-6'>
+              <select className='history-input' value={type} onChange={(e) => setType(e.target.value)}>
+                <option value='adjustment'>Adjust by</option>
+                <option value='write-off'>Write off</option>
+              </select>
+              <input
+                type='number'
+                min={type === 'write-off' ? '1' : undefined}
+                className='history-input w-28'
+                placeholder={type === 'write-off' ? 'Units' : '+/- units'}
+                value={quantity}
+                onChange={(e) => setQuantity(e.target.value)}
+              />
+              <input
+                type='text'
+                className='history-input flex-1'
+                placeholder='Reason, e.g. stock count or broken in store'
+                value={reason}
+                onChange={(e) => setReason(e.target.value)}
+              />
+              <button onClick={postMovement} disabled={!canPost} className='bg-green-500 text-white px-4 py-2 rounded disabled:opacity-50'>
+                Post
+              </button>
+            </div>
+
+            {history.movements.length === 0 ? (
+              <p className='text-gray-400'>No stock movements yet.</p>
+            ) : (
+              <table className='min-w-full'>
+                <thead>
+                  <tr className='text-left'>
+                    <th className='py-2 px-4 border-b'>When</th>
+                    <th className='py-2 px-4 border-b'>Type</th>
+                    <th className='py-2 px-4 border-b'>Change</th>
+                    <th className='py-2 px-4 border-b'>Balance</th>
+                    <th className='py-2 px-4 border-b'>Reason</th>
+                    <th className='py-2 px-4 border-b'>By</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {history.movements.map((movement) => (
+                    <tr key={movement._id}>
+                      <td className='py-2 px-4 border-b'>{new Date(movement.at).toLocaleString()}</td>
+                      <td className='py-2 px-4 border-b'>{MOVEMENT_LABELS[movement.type]}</td>
+                      <td className={`py-2 px-4 border-b ${movement.quantity < 0 ? 'text-red-400' : 'text-green-400'}`}>
+                        {movement.quantity > 0 ? `+${movement.quantity}` : movement.quantity}
+                      </td>
+                      <td className='py-2 px-4 border-b'>{movement.balanceAfter}</td>
+                      <td className='py-2 px-4 border-b'>{movement.reason || movement.reference?.kind || ''}</td>
+                      <td className='py-2 px-4 border-b'>{movement.by?.email || '—'}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </>
+        )}
+
+        <button onClick={onClose} className='bg-blue-500 text-white px-4 py-2 rounded mt-4'>
+          Close
+        </button>
+
+        <style>{`
+          .history-input {
+            background-color: black;
+            color: white;
+            border: 1px solid #555;
+            border-radius: 4px;
+            padding: 6px;
+          }
+        `}</style>
+      </div>
+    </div>
+  );
+}
+
+StockHistory.propTypes = {
+  itemId: PropTypes.string.isRequired,
+  onClose: PropTypes.func.isRequired,
+  onChanged: PropTypes.func.isRequired,
+};
+
+export default StockHistory;
@@ -0,0 +1,337 @@
+import { useState, useEffect, useMemo, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import * as XLSX from 'xlsx';
+import bgImage from '../../assets/bg.jpg';
+import { useAuth } from './useAuth';
+import { stockTakes as stockTakesApi } from '../../api/endpoints';
+import { errorMessageOf } from '../../api/client';
+
+const FILTERS = [
+  { value: 'all', label: 'All items' },
+  { value: 'uncounted', label: 'Not counted' },
+  { value: 'variance', label: 'With variance' },
+];
+
+const STATUS_LABELS = { open: 'In progress', posted: 'Posted', cancelled: 'Cancelled' };
+
+const formatVariance = (variance) => (variance === null ? '' : variance > 0 ? `+${variance}` : String(variance));
+
+// Hand count of the store: record counts from any device, compare with system stock and post the differences
+function StockTake() {
+  const [stockTakes, setStockTakes] = useState([]);
+  const [current, setCurrent] = useState(null);
+  const [label, setLabel] = useState('');
+  const [filter, setFilter] = useState('all');
+  const [search, setSearch] = useState('');
+  const [drafts, setDrafts] = useState({});
+
+  const { user: userData } = useAuth();
+
+  // Mirrors inventory:write in Backend/services/roles.js
+  const canManage = ['bosslevel', 'storekeeper'].includes(userData?.access);
+
+  const fetchStockTakes = useCallback(async () => {
+    try {
+      setStockTakes(await stockTakesApi.list());
+    } catch (error) {
+      console.error('Error fetching stock-takes:', error);
+      alert(errorMessageOf(error, 'Failed to fetch stock-takes'));
+    }
+  }, []);
+
+  const openStockTake = useCallback(async (id) => {
+    try {
+      setCurrent(await stockTakesApi.get(id));
+    } catch (error) {
+      console.error('Error fetching stock-take:', error);
+      alert(errorMessageOf(error, 'Failed to fetch the stock-take'));
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchStockTakes();
+  }, [fetchStockTakes]);
+
+  // Pick up the running count on arrival
+  useEffect(() => {
+    const running = stockTakes.find((stockTake) => stockTake.status === 'open');
+    if (running && !current) {
+      openStockTake(running._id);
+    }
+  }, [stockTakes, current, openStockTake]);
+
+  // Runs one of the stockTakesApi calls; its result, or null once the failure has been reported
+  const send = async (call, fallback) => {
+    try {
+      return await call();
+    } catch (error) {
+      console.error('Error updating stock-take:', error);
+      alert(errorMessageOf(error, fallback));
+    }
+    return null;
+  };
+
+  const startCount = async () => {
+    const data = await send(() => stockTakesApi.start(label), 'Failed to start the stock-take');
+    if (data) {
+      setLabel('');
+      setCurrent(data);
+      fetchStockTakes();
+    }
+  };
+
+  // Counts are saved line by line as they are typed in, so several people can count at once
+  const saveCount = async (line) => {
+    const draft = drafts[line.item_id];
+    if (draft === undefined) return;
+    const countedQuantity = draft === '' ? null : Number(draft);
+    if (countedQuantity === line.countedQuantity) return;
+
+    const data = await send(
+      () => stockTakesApi.recordCounts(current._id, [{ item_id: line.item_id, countedQuantity }]),
+      `Failed to save the count of ${line.itemName}`
+    );
+    if (data) {
+      setDrafts((prevDrafts) => {
+        const nextDrafts = { ...prevDrafts };
+        delete nextDrafts[line.item_id];
+        return nextDrafts;
+      });
+      openStockTake(current._id);
+    }
+  };
+
+  const handleDownloadSheet = () => {
+    const rows = current.lines.map((line) => ({
+      'Item ID': line.item_id,
+      Item: line.itemName,
+      Category: line.category || '',
+      Location: line.storageLocation || '',
+      SKU: line.sku || '',
+      Unit: line.unit || '',
+      'System Quantity': line.systemQuantity ?? '',
+      Counted: line.countedQuantity ?? '',
+    }));
+    const wb = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(rows), 'Count Sheet');
+    XLSX.writeFile(wb, `stock_take_${current.number}.xlsx`);
+  };
+
+  const handleImportSheet = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    const formData = new FormData();
+    formData.append('file', file);
+    const data = await send(() => stockTakesApi.importSheet(current._id, formData), 'Failed to import the count sheet');
+    if (data) {
+      const problems = data.rejected.map((row) => `Row ${row.row}: ${row.reason}`).join('\n');
+      alert(`Imported ${data.recorded} count(s).${problems ? `\n\nSkipped:\n${problems}` : ''}`);
+      openStockTake(current._id);
+    }
+  };
+
+  const postReconciliation = async () => {
+    const { counted, withVariance } = current.summary;
+    if (!window.confirm(`Post ${withVariance} adjustment(s) from ${counted} counted item(s)? Items that were not counted keep their stock.`)) return;
+
+    const data = await send(() => stockTakesApi.post(current._id), 'Failed to post the stock-take');
+    if (data) {
+      setCurrent(data);
+      fetchStockTakes();
+    }
+  };
+
+  const cancelCount = async () => {
+    if (!window.confirm('Cancel this stock-take? Counts recorded so far are discarded.')) return;
+
+    const data = await send(() => stockTakesApi.cancel(current._id), 'Failed to cancel the stock-take');
+    if (data) {
+      openStockTake(current._id);
+      fetchStockTakes();
+    }
+  };
+
+  const visibleLines = useMemo(() => {
+    if (!current) return [];
+    const term = search.trim().toLowerCase();
+    return current.lines.filter((line) => {
+      if (filter === 'uncounted' && line.countedQuantity !== null) return false;
+      if (filter === 'variance' && !line.variance) return false;
+      return !term || line.itemName.toLowerCase().includes(term) || (line.storageLocation || '').toLowerCase().includes(term);
+    });
+  }, [current, filter, search]);
+
+  const isOpen = current?.status === 'open';
+  const hasRunningCount = stockTakes.some((stockTake) => stockTake.status === 'open');
+
+  return (
+    <div
+      id='Inventory'
+      className='bg-custom-light text-black dark:bg-custom-dark dark:text-white lg:px-32 px-5 py-20 min-h-screen flex flex-col items-center'
+      style={{
+        backgroundImage: `url(${bgImage})`,
+        backgroundSize: 'cover',
+        backgroundPosition: 'center',
+        backgroundRepeat: 'no-repeat',
+      }}
+    >
+      <h1 className='text-4xl font-bold mb-6'>Stock-take</h1>
+
+      <div className='flex flex-wrap align-center justify-center gap-4 w-full mb-8'>
+        <Link to='/inventoryadp'>
+          <button className='bg-blue-500 text-white px-4 py-2 rounded'>Back to Home</button>
+        </Link>
+        {canManage && !hasRunningCount && (
+          <>
+            <input
+              type='text'
+              className='count-input'
+              placeholder='Label, e.g. Pre-OASIS count'
+              value={label}
+              onChange={(e) => setLabel(e.target.value)}
+            />
+            <button onClick={startCount} className='bg-green-500 text-white px-4 py-2 rounded'>
+              Start Count
+            </button>
+          </>
+        )}
+      </div>
+
+      {current && (
+        <div className='w-full max-w-6xl mb-10 p-4 bg-black/50 backdrop-blur-lg border border-gray-600 rounded-lg'>
+          <div className='flex flex-wrap items-center justify-between gap-2 mb-4'>
+            <h3 className='text-2xl font-semibold'>
+              #{current.number}
+              {current.label ? ` · ${current.label}` : ''} · {STATUS_LABELS[current.status]}
+            </h3>
+            <span className='text-gray-300'>
+              {current.summary.counted} of {current.summary.items} counted · {current.summary.withVariance} with variance
+            </span>
+          </div>
+
+          <div className='flex flex-wrap items-center gap-2 mb-4'>
+            <select className='count-input' value={filter} onChange={(e) => setFilter(e.target.value)}>
+              {FILTERS.map((option) => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+            <input
+              type='text'
+              className='count-input flex-1'
+              placeholder='Search item or location'
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+            />
+            <button onClick={() => openStockTake(current._id)} className='bg-blue-500 text-white px-4 py-2 rounded'>
+              Refresh
+            </button>
+            <button onClick={handleDownloadSheet} className='bg-green-500 text-white px-4 py-2 rounded'>
+              Download Count Sheet
+            </button>
+            {isOpen && canManage && (
+              <>
+                <label className='bg-green-500 text-white px-4 py-2 rounded cursor-pointer'>
+                  Import Count Sheet
+                  <input type='file' accept='.xlsx,.csv' className='hidden' onChange={handleImportSheet} />
+                </label>
+                <button onClick={postReconciliation} className='bg-purple-600 text-white px-4 py-2 rounded'>
+                  Post Adjustments
+                </button>
+                <button onClick={cancelCount} className='bg-red-500 text-white px-4 py-2 rounded'>
+                  Cancel Count
+                </button>
+              </>
+            )}
+          </div>
+
+          <table className='min-w-full'>
+            <thead>
+              <tr className='text-left'>
+                <th className='py-2 px-4 border-b'>Item</th>
+                <th className='py-2 px-4 border-b'>Location</th>
+                <th className='py-2 px-4 border-b' title='Available stock plus units allotted to clubs and not yet collected'>System</th>
+                <th className='py-2 px-4 border-b'>Counted</th>
+                <th className='py-2 px-4 border-b'>{isOpen ? 'Variance' : 'Posted'}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {visibleLines.map((line) => {
+                const variance = isOpen ? line.variance : line.postedVariance;
+                return (
+                  <tr key={line.item_id}>
+                    <td className='py-2 px-4 border-b'>
+                      {line.itemName}
+                      {line.unit ? <span className='text-gray-400'> ({line.unit})</span> : null}
+                    </td>
+                    <td className='py-2 px-4 border-b'>{line.storageLocation || '—'}</td>
+                    <td className='py-2 px-4 border-b'>{line.systemQuantity ?? 'Deleted'}</td>
+                    <td className='py-2 px-4 border-b'>
+                      {isOpen && canManage ? (
+                        <input
+                          type='number'
+                          min='0'
+                          className='count-input w-24'
+                          value={drafts[line.item_id] ?? line.countedQuantity ?? ''}
+                          onChange={(e) => setDrafts({ ...drafts, [line.item_id]: e.target.value })}
+                          onBlur={() => saveCount(line)}
+                        />
+                      ) : (
+                        line.countedQuantity ?? '—'
+                      )}
+                    </td>
+                    <td className={`py-2 px-4 border-b ${variance < 0 ? 'text-red-400' : variance > 0 ? 'text-green-400' : ''}`}>
+                      {formatVariance(variance ?? null)}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <div className='w-full max-w-6xl p-4 bg-black/50 backdrop-blur-lg border border-gray-600 rounded-lg'>
+        <h3 className='text-2xl font-semibold mb-4'>Past Counts</h3>
+        {stockTakes.length === 0 ? (
+          <p className='text-gray-300'>No stock-takes yet.</p>
+        ) : (
+          <table className='min-w-full'>
+            <tbody>
+              {stockTakes.map((stockTake) => (
+                <tr key={stockTake._id}>
+                  <td className='py-2 px-4 border-b'>
+                    #{stockTake.number}
+                    {stockTake.label ? ` · ${stockTake.label}` : ''}
+                  </td>
+                  <td className='py-2 px-4 border-b'>{new Date(stockTake.startedAt).toLocaleString()}</td>
+                  <td className='py-2 px-4 border-b'>{STATUS_LABELS[stockTake.status]}</td>
+                  <td className='py-2 px-4 border-b text-right'>
+                    <button onClick={() => openStockTake(stockTake._id)} className='bg-blue-500 text-white px-3 py-1 rounded'>
+                      View
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      <style>{`
+        .count-input {
+          background-color: black;
+          color: white;
+          border: 1px solid #555;
+          border-radius: 4px;
+          padding: 6px;
+        }
+      `}</style>
+    </div>
+  );
+}
+
+export default StockTake;
@@ -0,0 +1,140 @@
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import bgImage from '../../assets/bg.jpg';
+import { users as usersApi } from '../../api/endpoints';
+import { errorMessageOf } from '../../api/client';
+
+function Users() {
+  const [users, setUsers] = useState([]);
+  const [roles, setRoles] = useState([]);
+  const [searchQuery, setSearchQuery] = useState('');
+
+  useEffect(() => {
+    const fetchUsersAndRoles = async () => {
+      try {
+        const [usersData, rolesData] = await Promise.all([usersApi.list(), usersApi.roles()]);
+        setUsers(usersData.map((user) => ({ ...user, newAccess: user.access })));
+        setRoles(rolesData);
+      } catch (error) {
+        console.error('Error fetching users:', error);
+        alert(errorMessageOf(error, 'Failed to fetch users'));
+      }
+    };
+
+    fetchUsersAndRoles();
+  }, []);
+
+  const handleRoleChange = (id, value) => {
+    setUsers((prevUsers) =>
+      prevUsers.map((user) => (user._id === id ? { ...user, newAccess: value } : user))
+    );
+  };
+
+  const saveRole = async (user) => {
+    try {
+      const data = await usersApi.setRole(user._id, user.newAccess);
+      setUsers((prevUsers) =>
+        prevUsers.map((u) => (u._id === user._id ? { ...u, access: data.access, newAccess: data.access } : u))
+      );
+    } catch (error) {
+      console.error('Error updating role:', error);
+      alert(errorMessageOf(error, 'Failed to update role'));
+    }
+  };
+
+  const filteredUsers = users.filter((user) =>
+    `${user.clubName} ${user.cordName} ${user.email}`.toLowerCase().includes(searchQuery.toLowerCase())
+  );
+
+  return (
+    <div
+      id='Users'
+      className='bg-custom-light text-black dark:bg-custom-dark dark:text-white lg:px-32 px-5 py-20 min-h-screen flex flex-col items-center'
+      style={{
+        backgroundImage: `url(${bgImage})`,
+        backgroundSize: 'cover',
+        backgroundPosition: 'center',
+        backgroundRepeat: 'no-repeat',
+      }}
+    >
+      <h1 className='text-4xl font-bold mb-10'>User Roles</h1>
+
+      {/* Button to link to /inventoryadp */}
+      <Link to='/inventoryadp'>
+        <button className='bg-blue-500 text-white px-4 py-2 rounded mb-10'>
+          Back to Home
+        </button>
+      </Link>
+
+      <input
+        type='text'
+        placeholder='Search by club, coordinator or email'
+        value={searchQuery}
+        onChange={(e) => setSearchQuery(e.target.value)}
+        className='role-dropdown w-full max-w-md mb-8 text-center'
+      />
+
+      {/* Table with glow and rounded corners */}
+      <div className='overflow-hidden rounded-lg shadow-lg border border-blue-400 glow'>
+        <table className='min-w-full bg-white dark:bg-gray-800'>
+          <thead>
+            <tr className='text-left'>
+              <th className='py-2 px-4 border-b'>Club Name</th>
+              <th className='py-2 px-4 border-b'>Coordinator</th>
+              <th className='py-2 px-4 border-b'>Email</th>
+              <th className='py-2 px-4 border-b'>Role</th>
+              <th className='py-2 px-4 border-b'>Manage</th>
+            </tr>
+          </thead>
+          <tbody>
+            {filteredUsers.map((user) => (
+              <tr key={user._id} className='hover:bg-gray-100 dark:hover:bg-gray-700'>
+                <td className='py-2 px-4 border-b'>{user.clubName}</td>
+                <td className='py-2 px-4 border-b'>{user.cordName}</td>
+                <td className='py-2 px-4 border-b'>{user.email}</td>
+                <td className='py-2 px-4 border-b'>
+                  <select
+                    className='role-dropdown'
+                    value={user.newAccess}
+                    onChange={(e) => handleRoleChange(user._id, e.target.value)}
+                  >
+                    {roles.map((role) => (
+                      <option key={role.role} value={role.role}>
+                        {role.label}
+                      </option>
+                    ))}
+                  </select>
+                </td>
+                <td className='py-2 px-4 border-b'>
+                  <button
+                    onClick={() => saveRole(user)}
+                    disabled={user.newAccess === user.access}
+                    className='bg-green-500 text-white px-4 py-1 rounded disabled:opacity-50'
+                  >
+                    Save
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <style>{`
+        .glow {
+          box-shadow: 0 0 15px rgba(0, 123, 255, 0.6);
+        }
+
+        .role-dropdown {
+          background-color: black;
+          color: white;
+          border: none;
+          padding: 8px;
+          border-radius: 5px;
+        }
+      `}</style>
+    </div>
+  );
+}
+
+export default Users;
@@ -0,0 +1,7 @@
+import { createContext, useContext } from 'react';
+
+// Filled in by AuthProvider; kept apart from it so AuthContext.jsx only exports components
+export const AuthContext = createContext(null);
+
+// { user, token, expiresAt, login, logout } of the current session; user and token are null when logged out
+export const useAuth = () => useContext(AuthContext);
@@ -0,0 +1,34 @@
+import { useEffect, useRef } from 'react';
+import { subscribe } from '../../api/liveUpdates';
+
+// Several changes often arrive together (a save touches many cart items), so refreshes wait for a quiet moment
+const REFRESH_DELAY_MS = 400;
+
+// Call handler(event, data) for each live update in `events` while the component is mounted
+export const useLiveUpdates = (events, handler) => {
+  const handlerRef = useRef(handler);
+  handlerRef.current = handler;
+  const key = events.join(',');
+
+  useEffect(() => {
+    return subscribe(key.split(','), (event, data) => handlerRef.current(event, data));
+  }, [key]);
+};
+
+// Call refresh() once after a burst of live updates in `events` (and after a lost connection comes back).
+// `accept(event, data)` can pass over updates that do not concern the page.
+export const useLiveRefresh = (events, refresh, accept = () => true) => {
+  const timerRef = useRef(null);
+  // The refresh of the latest render, so it sees the page's state when the timer fires
+  const refreshRef = useRef(refresh);
+  refreshRef.current = refresh;
+
+  useEffect(() => () => clearTimeout(timerRef.current), []);
+
+  useLiveUpdates([...events, 'resync'], (event, data) => {
+    if (event !== 'resync' && !accept(event, data)) return;
+
+    clearTimeout(timerRef.current);
+    timerRef.current = setTimeout(() => refreshRef.current(), REFRESH_DELAY_MS);
+  });
+};
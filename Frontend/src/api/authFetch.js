@@ -0,0 +1,102 @@
+import { apiUrl } from './config';
+
+let refreshPromise = null;
+const sessionListeners = new Set();
+
+// Call `listener` whenever this tab logs in, renews or ends the session; returns the unsubscribe function.
+// Other tabs are noticed through the 'storage' event instead (see AuthContext).
+export const onSessionChange = (listener) => {
+  sessionListeners.add(listener);
+  return () => sessionListeners.delete(listener);
+};
+
+const notifySessionChange = () => sessionListeners.forEach((listener) => listener());
+
+// Keep the tokens and user from a login or refresh response
+export const storeSession = ({ token, refreshToken, user }) => {
+  localStorage.setItem('token', token);
+  localStorage.setItem('refreshToken', refreshToken);
+  localStorage.setItem('user', JSON.stringify(user));
+  notifySessionChange();
+};
+
+// Forget everything we know about the logged-in user
+export const clearSession = () => {
+  localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+  localStorage.removeItem('user');
+  notifySessionChange();
+};
+
+// Trade the stored refresh token for a new access token.
+// Concurrent callers share one request, since a refresh token only works once.
+export const refreshSession = () => {
+  if (!refreshPromise) {
+    refreshPromise = (async () => {
+      const refreshToken = localStorage.getItem('refreshToken');
+      if (!refreshToken) return null;
+
+      try {
+        const response = await fetch(apiUrl('/api/users/refresh'), {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ refreshToken }),
+        });
+
+        if (!response.ok) {
+          clearSession();
+          return null;
+        }
+
+        const data = await response.json();
+        storeSession(data);
+        return data.token;
+      } catch (error) {
+        console.error('Error refreshing session:', error);
+        return null;
+      } finally {
+        refreshPromise = null;
+      }
+    })();
+  }
+  return refreshPromise;
+};
+
+// fetch() that sends the current access token and, when it has expired,
+// refreshes it once and retries the request
+export const authFetch = async (url, options = {}) => {
+  const withToken = (token) => ({
+    ...options,
+    headers: { ...options.headers, Authorization: `Bearer ${token}` },
+  });
+
+  const response = await fetch(url, withToken(localStorage.getItem('token')));
+  if (response.status !== 401 || !localStorage.getItem('refreshToken')) {
+    return response;
+  }
+
+  const token = await refreshSession();
+  if (!token) {
+    return response;
+  }
+
+  return fetch(url, withToken(token));
+};
+
+// Revoke the session on the server (or all of the user's sessions) and clear local state
+export const logout = async ({ everywhere = false } = {}) => {
+  const refreshToken = localStorage.getItem('refreshToken');
+  clearSession();
+
+  if (!refreshToken) return;
+
+  try {
+    await fetch(apiUrl('/api/users/logout'), {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ refreshToken, everywhere }),
+    });
+  } catch (error) {
+    console.error('Error logging out:', error);
+  }
+};
@@ -0,0 +1,111 @@
+import { apiUrl } from './config';
+import { authFetch, clearSession } from './authFetch';
+
+// Requests slower than this are aborted (and retried when they are safe to repeat)
+const DEFAULT_TIMEOUT_MS = 20000;
+// GETs are retried this many times after a network error, a timeout or a gateway error
+const DEFAULT_GET_RETRIES = 2;
+const RETRY_DELAY_MS = 500;
+const RETRYABLE_STATUSES = [502, 503, 504];
+
+// A request the backend answered with an error status. `message` is the backend's own
+// explanation ({ error } or express-validator's { errors }) when it gave one.
+export class ApiError extends Error {
+  constructor(status, data) {
+    const serverMessage = data && (data.error || data.message || (data.errors ? data.errors.map((err) => err.msg).join(', ') : ''));
+    super(serverMessage || `Request failed with status ${status}`);
+    this.name = 'ApiError';
+    this.status = status;
+    this.data = data;
+    this.serverMessage = serverMessage || null;
+  }
+}
+
+// Text to show for a failed call: the backend's explanation, or `fallback` when there is none
+// (network errors, timeouts, empty error responses)
+export const errorMessageOf = (error, fallback) => (error instanceof ApiError && error.serverMessage) || fallback;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const withQuery = (path, query) => {
+  const params = new URLSearchParams();
+  for (const [key, value] of Object.entries(query || {})) {
+    if (value !== undefined && value !== null && value !== '') {
+      params.append(key, value);
+    }
+  }
+  const search = params.toString();
+  return search ? `${path}${path.includes('?') ? '&' : '?'}${search}` : path;
+};
+
+const readBody = async (response) => {
+  const text = await response.text();
+  if (!text) return null;
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+};
+
+// One attempt, aborted after `timeout` ms
+const send = async (url, options, { auth, timeout }) => {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeout);
+  try {
+    const fetchOptions = { ...options, signal: controller.signal };
+    return await (auth ? authFetch(url, fetchOptions) : fetch(url, fetchOptions));
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+// Call the backend and return the parsed response body.
+//   path:    backend path, e.g. '/api/loans'
+//   method:  HTTP method, GET by default
+//   query:   query string parameters; empty values are left out
+//   body:    sent as JSON, or as is when it is FormData
+//   auth:    send the access token (default). A 401 that survives the token refresh ends the session,
+//            after which RequireRole sends the user to the login page.
+//   timeout: ms before the attempt is aborted
+//   retries: extra attempts after network errors, timeouts and 502/503/504; GETs only by default
+// Throws ApiError when the backend answers with an error status.
+export const request = async (path, { method = 'GET', query, body, headers, auth = true, timeout = DEFAULT_TIMEOUT_MS, retries } = {}) => {
+  const url = apiUrl(withQuery(path, query));
+  const isFormData = body instanceof FormData;
+  const options = {
+    method,
+    headers: body !== undefined && !isFormData ? { 'Content-Type': 'application/json', ...headers } : headers,
+    body: body === undefined || isFormData ? body : JSON.stringify(body),
+  };
+  const attempts = 1 + (retries ?? (method === 'GET' ? DEFAULT_GET_RETRIES : 0));
+
+  for (let attempt = 1; ; attempt++) {
+    let response;
+    try {
+      response = await send(url, options, { auth, timeout });
+    } catch (error) {
+      if (attempt >= attempts) throw error;
+      await sleep(RETRY_DELAY_MS * attempt);
+      continue;
+    }
+
+    if (RETRYABLE_STATUSES.includes(response.status) && attempt < attempts) {
+      await sleep(RETRY_DELAY_MS * attempt);
+      continue;
+    }
+
+    const data = await readBody(response);
+    if (response.ok) return data;
+
+    if (response.status === 401 && auth) {
+      clearSession();
+    }
+    throw new ApiError(response.status, data);
+  }
+};
+
+export const get = (path, options) => request(path, { ...options, method: 'GET' });
+export const post = (path, body, options) => request(path, { ...options, method: 'POST', body });
+export const put = (path, body, options) => request(path, { ...options, method: 'PUT', body });
+export const del = (path, options) => request(path, { ...options, method: 'DELETE' });
@@ -0,0 +1,8 @@
+// Where the backend lives. Set VITE_API_BASE_URL (e.g. in .env.local) to point the UI at another
+// backend, such as http://localhost:5001 when running Backend/ locally.
+const DEFAULT_API_BASE_URL = 'https://adp-backend-bzdrfdhvbhbngbgu.southindia-01.azurewebsites.net';
+
+export const API_BASE_URL = (import.meta.env.VITE_API_BASE_URL || DEFAULT_API_BASE_URL).replace(/\/+$/, '');
+
+// Absolute URL of a backend path such as '/api/cart/order-window'
+export const apiUrl = (path) => `${API_BASE_URL}${path}`;
@@ -0,0 +1,23 @@
+// Mirrors Backend/services/customItemApproval.js: the purchase stages of a custom item
+export const APPROVAL_STAGE_LABELS = {
+  requested: 'Requested',
+  approved: 'Approved to buy',
+  purchased: 'Purchased',
+  received: 'Received',
+  converted: 'In inventory',
+};
+
+// The stages an admin can move an item to by hand; 'converted' happens by promoting it
+export const APPROVAL_ACTIONS = {
+  requested: [{ stage: 'approved', label: 'Approve' }],
+  approved: [
+    { stage: 'purchased', label: 'Mark purchased' },
+    { stage: 'requested', label: 'Withdraw approval' },
+  ],
+  purchased: [{ stage: 'received', label: 'Mark received' }],
+  received: [],
+  converted: [],
+};
+
+// Custom items that can go on a purchase order
+export const isApprovedToBuy = (item) => ['approved', 'purchased'].includes(item.approvalStatus);
@@ -0,0 +1,174 @@
+import { get, post, put, del } from './client';
+import { seasonQuery } from './seasons';
+
+// One helper per backend route, grouped like Backend/routes. Every helper resolves to the parsed
+// response body and throws ApiError (see ./client) when the backend answers with an error.
+// Helpers marked "viewed season" read the season picked in InventoryADP (see ./seasons).
+
+const id = (value) => encodeURIComponent(value);
+
+// /api/users (public ones skip the access token)
+export const users = {
+  login: (credentials) => post('/api/users/login', credentials, { auth: false }),
+  // Verification code for registering; resolves to { message, clubName }
+  requestCode: (email) => post('/api/users/request-code', { email }, { auth: false }),
+  //   registration: { cordName, mobile, email, password, verificationCode }
+  register: (registration) => post('/api/users/register', registration, { auth: false }),
+  requestPasswordResetCode: (email) => post('/api/users/request-code-pass-reset', { email }, { auth: false }),
+  //   reset: { email, verificationCode, newPassword }
+  resetPassword: (reset) => put('/api/users/reset-password', reset, { auth: false }),
+  roles: () => get('/api/users/roles'),
+  list: () => get('/api/users'),
+  setRole: (userId, role) => put(`/api/users/${id(userId)}/role`, { role }),
+};
+
+// /api/inventorys
+export const inventory = {
+  list: (query) => get('/api/inventorys/inventory', { query }),
+  // Enabled items in display order, for the club order screen
+  listForClubs: () => get('/api/inventorys/inventory/user'),
+  categories: () => get('/api/inventorys/inventory/categories'),
+  create: (item) => post('/api/inventorys/inventory', item),
+  update: (itemId, item) => put(`/api/inventorys/inventory/${id(itemId)}`, item),
+  remove: (itemId) => del(`/api/inventorys/inventory/${id(itemId)}`),
+  //   items: [{ _id, itemOrderedStatus, itemRemark }]
+  updateMany: (items) => put('/api/inventorys/update-inventory-items', items),
+  reorderSuggestions: () => get('/api/inventorys/reorder-suggestions'),
+  movements: (itemId) => get(`/api/inventorys/inventory/${id(itemId)}/movements`),
+  //   movement: { type: 'adjustment' | 'write-off', quantity, reason }
+  postMovement: (itemId, movement) => post(`/api/inventorys/inventory/${id(itemId)}/movements`, movement),
+  saveDisplayOrder: (itemIds) => put('/api/inventorys/inventory/display-order', { itemIds }),
+};
+
+// /api/cart
+export const cart = {
+  orderWindow: () => get('/api/cart/order-window'),
+  updateOrderWindow: (changes) => put('/api/cart/order-window', changes),
+  //   order: { userId, items: [{ item_id, ordered_quantity }] }
+  addItems: (order) => post('/api/cart/add-items', order),
+  addCustomItem: (customItem) => post('/api/cart/add-custom-item', customItem),
+  finalItems: (userId) => get(`/api/cart/cart-items-final/${id(userId)}`),
+  removeItem: (cartId, itemName) => del(`/api/cart/remove-item/${id(cartId)}/${id(itemName)}`),
+  // viewed season
+  userItems: (userId) => get(`/api/cart/cart-items-user/${id(userId)}`, { query: seasonQuery() }),
+  // viewed season
+  clubList: () => get('/api/cart/get-club-list', { query: seasonQuery() }),
+  updateItemStatus: (cartItemId, changes) => put(`/api/cart/update-cart-item-status/${id(cartItemId)}`, changes),
+  //   items: [{ _id, allotted_quantity, status, remarks, actualUnitCost }]
+  updateItems: (items) => put('/api/cart/update-multiple-cart-items', { items }),
+  // viewed season
+  itemSummary: () => get('/api/cart/cart-item-summary', { query: seasonQuery() }),
+  // viewed season
+  customItemSummary: () => get('/api/cart/cart-item-summary-custom', { query: seasonQuery() }),
+  //   items: [{ _id, status, remarks, rejectionReason }]
+  updateItemsStatus: (items) => put('/api/cart/update-items-status', { items }),
+  removeCart: (cartId) => del(`/api/cart/remove-cart/${id(cartId)}`),
+};
+
+// /api/requisitions
+export const requisitions = {
+  submit: (requisition) => post('/api/requisitions', requisition),
+  // viewed season
+  list: (userId) => get('/api/requisitions', { query: { userId, ...seasonQuery() } }),
+  diff: (fromId, toId) => get('/api/requisitions/diff', { query: { from: fromId, to: toId } }),
+  get: (requisitionId) => get(`/api/requisitions/${id(requisitionId)}`),
+};
+
+// /api/seasons
+export const seasons = {
+  list: () => get('/api/seasons'),
+  active: () => get('/api/seasons/active'),
+  get: (seasonId) => get(`/api/seasons/${id(seasonId)}`),
+  start: (season) => post('/api/seasons', season),
+  close: (seasonId) => post(`/api/seasons/${id(seasonId)}/close`),
+};
+
+// /api/audit
+export const audit = {
+  //   query: { entityType, entityId, user, from, to, page, limit }
+  list: (query) => get('/api/audit', { query }),
+};
+
+// /api/allowed-emails
+export const allowedEmails = {
+  //   query: { search, fest, includeExpired }
+  list: (query) => get('/api/allowed-emails', { query }),
+  create: (allowedEmail) => post('/api/allowed-emails', allowedEmail),
+  // formData: file plus optional fest and expiresAt
+  import: (formData) => post('/api/allowed-emails/import', formData),
+  update: (allowedEmailId, changes) => put(`/api/allowed-emails/${id(allowedEmailId)}`, changes),
+  remove: (allowedEmailId) => del(`/api/allowed-emails/${id(allowedEmailId)}`),
+};
+
+// /api/vendors
+export const vendors = {
+  list: () => get('/api/vendors'),
+  create: (vendor) => post('/api/vendors', vendor),
+  update: (vendorId, changes) => put(`/api/vendors/${id(vendorId)}`, changes),
+};
+
+// /api/purchase-orders
+export const purchaseOrders = {
+  //   query: { status, vendor }
+  list: (query) => get('/api/purchase-orders', { query }),
+  get: (purchaseOrderId) => get(`/api/purchase-orders/${id(purchaseOrderId)}`),
+  create: (purchaseOrder) => post('/api/purchase-orders', purchaseOrder),
+  //   lines: [{ lineId, quantity }]
+  receive: (purchaseOrderId, lines) => post(`/api/purchase-orders/${id(purchaseOrderId)}/receive`, { lines }),
+  close: (purchaseOrderId) => post(`/api/purchase-orders/${id(purchaseOrderId)}/close`),
+};
+
+// /api/budgets
+export const budgets = {
+  // viewed season
+  report: () => get('/api/budgets/report', { query: seasonQuery() }),
+  forClub: (userId) => get(`/api/budgets/club/${id(userId)}`),
+  set: (userId, amount) => put('/api/budgets', { userId, amount }),
+  remove: (budgetId) => del(`/api/budgets/${id(budgetId)}`),
+};
+
+// /api/custom-items
+export const customItems = {
+  // viewed season
+  list: () => get('/api/custom-items', { query: seasonQuery() }),
+  //   approval: { stage, comment, estimatedUnitCost }
+  advance: (cartItemId, approval) => post(`/api/custom-items/${id(cartItemId)}/approval`, approval),
+  comment: (cartItemId, text) => post(`/api/custom-items/${id(cartItemId)}/comments`, { text }),
+  //   target: { item_id } to link an existing item, or the fields of a new one
+  promote: (cartItemId, target) => post(`/api/custom-items/${id(cartItemId)}/promote`, target),
+};
+
+// /api/loans
+export const loans = {
+  //   query: { view: 'open' | 'overdue' | 'returned' | 'all', userId }
+  list: (query) => get('/api/loans', { query }),
+  forClub: (userId) => get(`/api/loans/club/${id(userId)}`),
+  //   loan: { userId, item_id, quantity, dueAt }
+  checkOut: (loan) => post('/api/loans', loan),
+  //   checkIn: { returned, damaged, lost, notes }
+  checkIn: (loanId, checkIn) => post(`/api/loans/${id(loanId)}/check-in`, checkIn),
+  update: (loanId, changes) => put(`/api/loans/${id(loanId)}`, changes),
+};
+
+// /api/stock-takes
+export const stockTakes = {
+  list: () => get('/api/stock-takes'),
+  get: (stockTakeId) => get(`/api/stock-takes/${id(stockTakeId)}`),
+  start: (label) => post('/api/stock-takes', { label }),
+  //   counts: [{ item_id, countedQuantity }]
+  recordCounts: (stockTakeId, counts) => put(`/api/stock-takes/${id(stockTakeId)}/counts`, { counts }),
+  // formData: the filled-in count sheet as `file`
+  importSheet: (stockTakeId, formData) => post(`/api/stock-takes/${id(stockTakeId)}/import`, formData),
+  post: (stockTakeId) => post(`/api/stock-takes/${id(stockTakeId)}/post`),
+  cancel: (stockTakeId) => post(`/api/stock-takes/${id(stockTakeId)}/cancel`),
+};
+
+// /api/notifications, always the logged-in user's own
+export const notifications = {
+  list: () => get('/api/notifications'),
+  // ids: the notifications to mark read; all of them when left out
+  markRead: (ids) => put('/api/notifications/read', ids ? { ids } : {}),
+  preferences: () => get('/api/notifications/preferences'),
+  //   preferences: { email, inApp }
+  savePreferences: (preferences) => put('/api/notifications/preferences', preferences),
+};
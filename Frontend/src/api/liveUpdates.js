@@ -0,0 +1,134 @@
+import { apiUrl } from './config';
+import { authFetch, onSessionChange } from './authFetch';
+
+// Server-sent events from /api/events telling open screens that carts, cart items or inventory changed.
+// The stream is read with fetch rather than EventSource so the access token travels in the Authorization
+// header (not in the URL, where it would end up in logs). One connection is shared by every subscriber
+// and is only open while something is subscribed and someone is logged in.
+
+const RETRY_MIN_MS = 1000;
+const RETRY_MAX_MS = 30 * 1000;
+
+const subscribers = new Set();
+let controller = null;
+let openedWith = null;
+let retryTimer = null;
+let retryDelay = RETRY_MIN_MS;
+// Set when the connection dropped unexpectedly, so subscribers can re-read what they may have missed
+let missedEvents = false;
+
+const dispatch = (event, data) => {
+  subscribers.forEach(({ events, handler }) => {
+    if (events.includes(event)) handler(event, data);
+  });
+};
+
+// Parse one 'event: x\ndata: {...}' block; comments (heartbeats) have neither and are skipped
+const parseBlock = (block) => {
+  let event = 'message';
+  const data = [];
+  block.split('\n').forEach((line) => {
+    if (line.startsWith('event:')) event = line.slice(6).trim();
+    else if (line.startsWith('data:')) data.push(line.slice(5).trim());
+  });
+  if (data.length === 0) return null;
+
+  try {
+    return { event, data: JSON.parse(data.join('\n')) };
+  } catch {
+    return null;
+  }
+};
+
+const disconnect = () => {
+  clearTimeout(retryTimer);
+  retryTimer = null;
+  if (controller) controller.abort();
+  controller = null;
+  openedWith = null;
+};
+
+const scheduleRetry = () => {
+  missedEvents = true;
+  retryTimer = setTimeout(connect, retryDelay);
+  retryDelay = Math.min(retryDelay * 2, RETRY_MAX_MS);
+};
+
+async function connect() {
+  retryTimer = null;
+  const token = localStorage.getItem('token');
+  if (subscribers.size === 0 || !token) return;
+
+  const current = new AbortController();
+  controller = current;
+  openedWith = token;
+
+  try {
+    const response = await authFetch(apiUrl('/api/events'), {
+      headers: { Accept: 'text/event-stream' },
+      signal: current.signal,
+    });
+    // A refused token ends the session; the session listener reconnects after the next login
+    if (response.status === 401 || response.status === 403) {
+      if (controller === current) controller = null;
+      return;
+    }
+    if (!response.ok || !response.body) throw new Error(`Event stream failed with status ${response.status}`);
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true }).replace(/\r\n/g, '\n');
+      const blocks = buffer.split('\n\n');
+      buffer = blocks.pop();
+
+      blocks.map(parseBlock).filter(Boolean).forEach(({ event, data }) => {
+        if (event === 'ready') {
+          retryDelay = RETRY_MIN_MS;
+          if (missedEvents) dispatch('resync', data);
+          missedEvents = false;
+        } else {
+          dispatch(event, data);
+        }
+      });
+    }
+
+    // The backend ends the stream when the access token it was opened with expires; open a new one
+    if (controller === current) {
+      controller = null;
+      connect();
+    }
+  } catch (error) {
+    if (current.signal.aborted || controller !== current) return;
+    console.error('Live updates disconnected:', error);
+    controller = null;
+    scheduleRetry();
+  }
+}
+
+// Reconnect as whoever is logged in now: a new login or a renewed token opens a fresh stream, a logout closes it
+onSessionChange(() => {
+  const token = localStorage.getItem('token');
+  if (token === openedWith) return;
+
+  disconnect();
+  connect();
+});
+
+// Call handler(event, data) for each of `events` ('cart', 'cart-item', 'inventory', or 'resync' after the
+// connection was lost for a while); returns the unsubscribe function
+export const subscribe = (events, handler) => {
+  const subscriber = { events, handler };
+  subscribers.add(subscriber);
+  if (!controller && !retryTimer) connect();
+
+  return () => {
+    subscribers.delete(subscriber);
+    if (subscribers.size === 0) disconnect();
+  };
+};
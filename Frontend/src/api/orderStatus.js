@@ -0,0 +1,39 @@
+import { ApiError } from './client';
+
+// Mirrors Backend/services/orderStateMachine.js: legal next statuses per cart item status
+export const ORDER_TRANSITIONS = {
+  Pending: ['Ready', 'Amazon', 'Rejected'],
+  Amazon: ['Ready', 'Delivered', 'Rejected'],
+  Ready: ['Delivered', 'Rejected'],
+  Delivered: [],
+  Rejected: [],
+};
+
+export const ORDER_STATUS_LABELS = {
+  Pending: 'Pending',
+  Ready: 'Ready for Pickup',
+  Amazon: 'Amazon',
+  Delivered: 'Delivered',
+  Rejected: 'Rejected',
+};
+
+// The current status followed by the ones it may move to, for status dropdowns
+export const statusOptions = (currentStatus) => [currentStatus, ...(ORDER_TRANSITIONS[currentStatus] || [])];
+
+// Items being rejected without a remark; the backend refuses them
+export const findRejectionsWithoutReason = (items) =>
+  items.filter(
+    (item) => item.status === 'Rejected' && item.originalStatus !== 'Rejected' && !(item.remarks || '').trim()
+  );
+
+// A bulk save the backend answered with 409 because some items were refused (e.g. not enough stock);
+// the rest were saved. Returns the message listing the refused items by name, or null for other errors.
+export const partialSaveMessage = (error, items) => {
+  if (!(error instanceof ApiError) || error.status !== 409 || !Array.isArray(error.data?.errors)) return null;
+
+  const details = error.data.errors.map((err) => {
+    const item = items.find((i) => i.id === err._id);
+    return `${item ? item.name : err._id}: ${err.error}`;
+  });
+  return `${error.data.error}\n\n${details.join('\n')}`;
+};
@@ -0,0 +1,13 @@
+// Mirrors Backend/services/roles.js: which roles get the ADP admin screens
+export const ADMIN_ROLES = ['bosslevel', 'storekeeper', 'viewer'];
+
+export const isAdminRole = (access) => ADMIN_ROLES.includes(access);
+
+// Club coordinators, who order from the club inventory screen
+export const CLUB_ROLES = ['user'];
+
+// Screens limited to settings:manage and the other bosslevel-only permissions
+export const BOSS_ROLES = ['bosslevel'];
+
+// Where a role lands after logging in
+export const homePathFor = (access) => (isAdminRole(access) ? '/inventoryadp' : '/inventoryuser');
@@ -0,0 +1,28 @@
+// The admin screens show the running season unless an archived one is picked in InventoryADP.
+// Only closed seasons are stored here; closed seasons never change, so the copy cannot go stale.
+const VIEWED_SEASON_KEY = 'viewedSeason';
+
+export const getViewedSeason = () => {
+  const seasonString = localStorage.getItem(VIEWED_SEASON_KEY);
+  return seasonString ? JSON.parse(seasonString) : null;
+};
+
+// Pass null to go back to the running season
+export const setViewedSeason = (season) => {
+  if (season) {
+    localStorage.setItem(
+      VIEWED_SEASON_KEY,
+      JSON.stringify({ _id: season._id, name: season.name, status: season.status })
+    );
+  } else {
+    localStorage.removeItem(VIEWED_SEASON_KEY);
+  }
+};
+
+export const isViewingArchive = () => getViewedSeason() !== null;
+
+// { season } query parameter for the backend when an archived season is being viewed
+export const seasonQuery = () => {
+  const season = getViewedSeason();
+  return season ? { season: season._id } : {};
+};